@@ -191,7 +191,7 @@ async function createCloudflareHeaders() {
   X-Frame-Options: DENY
   X-Content-Type-Options: nosniff
   Referrer-Policy: strict-origin-when-cross-origin
-  Content-Security-Policy: default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'; connect-src 'self' https://cloudflare-dns.com https://dns.google https://dns.quad9.net
+  Content-Security-Policy: default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'; connect-src 'self' https://cloudflare-dns.com https://dns.google https://dns.quad9.net https://rdap.org https://rdap.verisign.com https://rdap.publicinterestregistry.org https://rdap.identitydigital.services https://pubapi.registry.google https://rdap.centralnic.com https://rdap.nominet.uk https://rdap.sidn.nl https://rdap.nic.fr https://rdap.nic.cz https://rdap.registro.br
 
 # Cache static assets for 1 year
 /css/*
@@ -0,0 +1,334 @@
+/**
+ * Delegation Analyzer - Compares the parent-zone delegation of a domain with the zone's own NS set
+ * Parent NS and glue come from the registry's RDAP record (queried directly for the TLDs in
+ * rdapServers, via the rdap.org bootstrap otherwise)
+ * Lame delegation means a nameserver that does not answer authoritatively for the zone. DoH
+ * resolvers cannot send a query to one chosen nameserver, so that is never measured here; it is
+ * only suspected from what the resolvers observe (unresolvable nameservers, SERVFAIL for the
+ * zone SOA, parent/child NS mismatches) and reported with that wording
+ */
+
+class DelegationAnalyzer {
+    /**
+     * @param {DNSQueryEngine} dnsEngine - Query engine used for all lookups
+     */
+    constructor(dnsEngine) {
+        this.dnsEngine = dnsEngine;
+
+        // Registry RDAP servers (IANA RDAP bootstrap registry); every origin here must also be listed
+        // in connect-src of the Content-Security-Policy in index.html and build.js
+        this.rdapServers = {
+            com: 'https://rdap.verisign.com/com/v1/',
+            net: 'https://rdap.verisign.com/net/v1/',
+            org: 'https://rdap.publicinterestregistry.org/rdap/',
+            info: 'https://rdap.identitydigital.services/rdap/',
+            io: 'https://rdap.identitydigital.services/rdap/',
+            app: 'https://pubapi.registry.google/rdap/',
+            dev: 'https://pubapi.registry.google/rdap/',
+            page: 'https://pubapi.registry.google/rdap/',
+            xyz: 'https://rdap.centralnic.com/xyz/',
+            uk: 'https://rdap.nominet.uk/uk/',
+            nl: 'https://rdap.sidn.nl/',
+            fr: 'https://rdap.nic.fr/',
+            cz: 'https://rdap.nic.cz/',
+            br: 'https://rdap.registro.br/'
+        };
+
+        // Bootstrap service for other TLDs; it redirects to the registry, which the CSP may not allow
+        this.rdapBootstrapURL = 'https://rdap.org/';
+
+        // Nameservers in the same IPv4 /24 or IPv6 /48 are treated as one network
+        this.ipv4PrefixOctets = 3;
+        this.ipv6PrefixNibbles = 12;
+    }
+
+    /**
+     * Analyzes the delegation of a zone
+     * @param {string} domain - Zone apex to analyze
+     * @param {Object} options - Analysis options
+     * @param {boolean} options.registered - Domain is registered at a TLD, so RDAP holds the parent NS set
+     * @returns {Promise<Object>} - { domain, parent, childNS, nameservers, networks, soaStatus, findings, timestamp }
+     */
+    async analyze(domain, options = {}) {
+        const zone = domain.toLowerCase().replace(/\.$/, '');
+        const report = {
+            domain: zone,
+            parent: { status: 'not-checked', source: null, hosts: [], error: null },
+            childNS: [],
+            nameservers: [],
+            networks: [],
+            soaStatus: null,
+            findings: [],
+            timestamp: new Date().toISOString()
+        };
+
+        let nsResponse;
+        try {
+            nsResponse = await this.dnsEngine.queryDNS(zone, 'NS');
+        } catch (error) {
+            report.findings.push(this.createFinding('warning', 'Delegation could not be checked',
+                `The NS lookup for ${zone} failed (${error.message}), so the nameservers, glue and lame delegation were not analyzed`,
+                'Run the analysis again; if the lookup keeps failing, check that the zone\'s nameservers are reachable'));
+            return report;
+        }
+        report.childNS = [...new Set(nsResponse.records.map(record => this.normalizeName(record.data)))];
+
+        // A zone whose nameservers all fail makes resolvers return SERVFAIL
+        try {
+            const soaResponse = await this.dnsEngine.queryDNS(zone, 'SOA');
+            report.soaStatus = soaResponse.error || 'ok';
+        } catch (error) {
+            report.soaStatus = error.message;
+        }
+
+        if (options.registered) {
+            report.parent = await this.fetchParentDelegation(zone);
+        }
+
+        const parentHosts = new Map(report.parent.hosts.map(host => [host.name, host]));
+        const names = [...new Set([...report.parent.hosts.map(host => host.name), ...report.childNS])];
+
+        for (const name of names) {
+            const parentHost = parentHosts.get(name);
+            const nameserver = {
+                name,
+                inParent: parentHost ? true : report.parent.status === 'fetched' ? false : null,
+                inChild: report.childNS.includes(name),
+                inBailiwick: name === zone || name.endsWith(`.${zone}`),
+                glue: parentHost ? parentHost.glue : [],
+                addresses: [],
+                error: null
+            };
+
+            for (const type of ['A', 'AAAA']) {
+                try {
+                    const response = await this.dnsEngine.queryDNS(name, type);
+                    nameserver.addresses.push(...response.records.map(record => record.data));
+                    if (response.error) {
+                        nameserver.error = response.error;
+                    }
+                } catch (error) {
+                    nameserver.error = error.message;
+                }
+            }
+
+            report.nameservers.push(nameserver);
+        }
+
+        report.networks = [...new Set(report.nameservers.flatMap(nameserver =>
+            nameserver.addresses.map(address => this.getNetworkPrefix(address)).filter(Boolean)
+        ))];
+
+        this.checkDelegation(report);
+        return report;
+    }
+
+    /**
+     * Reads the parent-side NS set and glue from the registry's RDAP record
+     * @param {string} zone - Registered domain
+     * @returns {Promise<Object>} - { status: 'fetched'|'blocked'|'failed', source, hosts: [{ name, glue }], error }
+     */
+    async fetchParentDelegation(zone) {
+        const tld = zone.split('.').pop();
+        const server = this.rdapServers[tld];
+        const url = `${server || this.rdapBootstrapURL}domain/${encodeURIComponent(zone)}`;
+        const parent = { status: 'blocked', source: url, hosts: [], error: null };
+
+        if (!this.isFetchAllowed(url)) {
+            return parent;
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.dnsEngine.timeout);
+
+        try {
+            const response = await fetch(url, { headers: { Accept: 'application/rdap+json' }, signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+            const data = await response.json();
+
+            parent.hosts = (data.nameservers || []).map(nameserver => ({
+                name: this.normalizeName(nameserver.ldhName || ''),
+                glue: nameserver.ipAddresses ? [...(nameserver.ipAddresses.v4 || []), ...(nameserver.ipAddresses.v6 || [])] : []
+            })).filter(host => host.name);
+            parent.status = 'fetched';
+        } catch (error) {
+            parent.status = 'failed';
+            if (error.name === 'AbortError') {
+                parent.error = `RDAP lookup timed out after ${this.dnsEngine.timeout}ms`;
+            } else if (!server && error.name === 'TypeError') {
+                // A redirect to a registry outside connect-src surfaces as a network error
+                parent.error = `${error.message}; the .${tld} registry's RDAP server may not be allowed by this page's Content-Security-Policy`;
+            } else {
+                parent.error = error.message;
+            }
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        return parent;
+    }
+
+    /**
+     * Checks the page's Content-Security-Policy connect-src before fetching a URL
+     * @param {string} url - URL to fetch
+     * @returns {boolean} - True if the CSP allows connecting to the URL
+     */
+    isFetchAllowed(url) {
+        const meta = typeof document !== 'undefined' && document.querySelector
+            ? document.querySelector('meta[http-equiv="Content-Security-Policy"]')
+            : null;
+        if (!meta) {
+            return true;
+        }
+
+        const directives = {};
+        for (const directive of meta.getAttribute('content').split(';')) {
+            const [name, ...sources] = directive.trim().split(/\s+/);
+            if (name) {
+                directives[name.toLowerCase()] = sources;
+            }
+        }
+
+        const sources = directives['connect-src'] || directives['default-src'];
+        if (!sources) {
+            return true;
+        }
+
+        const target = new URL(url);
+        return sources.some(source => {
+            if (source === '*' || source === target.protocol) {
+                return true;
+            }
+            const match = source.match(/^(https?:)\/\/(\*\.)?([^/:]+)/i);
+            if (!match || match[1].toLowerCase() !== target.protocol) {
+                return false;
+            }
+            const host = match[3].toLowerCase();
+            return match[2] ? target.hostname.endsWith(`.${host}`) : target.hostname === host;
+        });
+    }
+
+    /**
+     * Adds findings for the delegation report (parent/child mismatch, glue, lameness, redundancy)
+     * @param {Object} report - Delegation report (findings are appended)
+     */
+    checkDelegation(report) {
+        const zone = report.domain;
+        const findings = report.findings;
+
+        if (report.parent.status === 'blocked') {
+            findings.push(this.createFinding('info', 'Parent delegation not checked',
+                `This page's Content-Security-Policy does not allow the RDAP lookup (${report.parent.source}), so the NS set at the TLD and glue were not compared`,
+                `Look up ${zone} with your registrar or an RDAP/WHOIS client to compare the delegation manually`));
+        } else if (report.parent.status === 'failed') {
+            findings.push(this.createFinding('info', 'Parent delegation could not be retrieved',
+                `The RDAP lookup failed (${report.parent.error})`,
+                `Look up ${zone} with your registrar or an RDAP/WHOIS client to compare the delegation manually`));
+        }
+
+        if (report.soaStatus === 'Server Failure') {
+            findings.push(this.createFinding('critical', `Resolvers cannot resolve ${zone} (suspected lame delegation)`,
+                'Resolvers get SERVFAIL for the zone SOA. This is what happens when none of the delegated nameservers answers authoritatively, but a nameserver outage or a DNSSEC failure looks the same; the nameservers cannot be queried one by one from the browser',
+                `Query each nameserver listed at the registrar directly (dig @nameserver ${zone} SOA) and make sure it serves the zone`));
+        }
+
+        if (report.childNS.length === 1) {
+            findings.push(this.createFinding('warning', `${zone} has only one nameserver`,
+                `${report.childNS[0]} is a single point of failure; RFC 1034 and RFC 2182 require at least two nameservers`,
+                'Add a secondary nameserver, ideally at another provider or network'));
+        }
+
+        for (const nameserver of report.nameservers) {
+            if (nameserver.inParent && !nameserver.inChild) {
+                findings.push(this.createFinding('warning', `${nameserver.name} is delegated but not listed in the zone`,
+                    'The TLD sends resolvers to this nameserver, but the zone\'s own NS records do not include it. This inconsistency often goes with a server that was retired (suspected lame delegation); whether it still answers for the zone was not checked',
+                    'Make the NS set at the registrar and in the zone identical'));
+            } else if (nameserver.inParent === false && nameserver.inChild) {
+                findings.push(this.createFinding('warning', `${nameserver.name} is listed in the zone but not delegated`,
+                    'The zone\'s NS records include this nameserver, but the TLD does not, so most resolvers never query it',
+                    'Add the nameserver at the registrar or remove it from the zone\'s NS records'));
+            }
+
+            if (nameserver.addresses.length === 0) {
+                findings.push(this.createFinding('critical', `${nameserver.name} has no address (suspected lame delegation)`,
+                    `${nameserver.name} does not resolve to an A or AAAA record${nameserver.error ? ` (${nameserver.error})` : ''}, so it cannot answer for ${zone}`,
+                    'Fix the nameserver\'s address records or remove it from the delegation'));
+                continue;
+            }
+
+            if (nameserver.inBailiwick && nameserver.inParent && nameserver.glue.length === 0) {
+                findings.push(this.createFinding('critical', `Missing glue for ${nameserver.name}`,
+                    `${nameserver.name} is inside ${zone}, so resolvers need its address from the parent zone (glue) to reach it`,
+                    'Register the nameserver\'s IP addresses (host records) at your registrar'));
+            } else if (nameserver.glue.length > 0) {
+                const glue = nameserver.glue.map(address => this.normalizeAddress(address));
+                const addresses = nameserver.addresses.map(address => this.normalizeAddress(address));
+                if (glue.some(address => !addresses.includes(address))) {
+                    findings.push(this.createFinding('warning', `Glue for ${nameserver.name} does not match its address records`,
+                        `Parent glue: ${nameserver.glue.join(', ')}; zone data: ${nameserver.addresses.join(', ')}`,
+                        'Update the host records at your registrar to the current addresses'));
+                }
+            }
+        }
+
+        const reachable = report.nameservers.filter(nameserver => nameserver.addresses.length > 0);
+        if (reachable.length > 1 && report.networks.length === 1) {
+            findings.push(this.createFinding('warning', 'All nameservers are in the same network',
+                `Every nameserver address is in ${report.networks[0]}, so one network outage takes the zone offline`,
+                'Place at least one nameserver in a different network (different /24 or /48, ideally a different provider)'));
+        }
+    }
+
+    /**
+     * Gets the network prefix (/24 for IPv4, /48 for IPv6) of an address
+     * @param {string} address - IP address
+     * @returns {string|null} - Prefix in CIDR notation
+     */
+    getNetworkPrefix(address) {
+        const version = this.dnsEngine.getIPVersion(address);
+
+        if (version === 4) {
+            return `${address.split('.').slice(0, this.ipv4PrefixOctets).join('.')}.0/${this.ipv4PrefixOctets * 8}`;
+        }
+        if (version === 6) {
+            const nibbles = this.dnsEngine.expandIPv6(address).slice(0, this.ipv6PrefixNibbles);
+            return `${nibbles.match(/.{4}/g).join(':')}::/${this.ipv6PrefixNibbles * 4}`;
+        }
+        return null;
+    }
+
+    /**
+     * Normalizes an IP address for comparison (IPv6 expanded)
+     * @param {string} address - IP address
+     * @returns {string} - Normalized address
+     */
+    normalizeAddress(address) {
+        return this.dnsEngine.getIPVersion(address) === 6 ? this.dnsEngine.expandIPv6(address) : address;
+    }
+
+    /**
+     * Lowercases a host name and strips the trailing dot
+     * @param {string} name - Host name
+     * @returns {string} - Normalized name
+     */
+    normalizeName(name) {
+        return String(name).trim().toLowerCase().replace(/\.$/, '');
+    }
+
+    /**
+     * Creates a finding object
+     * @param {string} severity - critical, warning or info
+     * @param {string} message - Short summary
+     * @param {string} description - Details
+     * @param {string} recommendation - Suggested fix
+     * @returns {Object} - Finding
+     */
+    createFinding(severity, message, description, recommendation) {
+        return { severity, message, description, recommendation };
+    }
+}
+
+// Export for use in other modules
+window.DelegationAnalyzer = DelegationAnalyzer;
@@ -0,0 +1,811 @@
+/**
+ * DNS Message Codec - RFC 1035 / RFC 8484 wire format support
+ * Encodes DNS queries and decodes binary application/dns-message responses
+ * into the same shape as the application/dns-json API
+ */
+
+class DNSMessageCodec {
+    /**
+     * @param {Object} recordTypes - Record type name to number map, used for type mnemonics in RDATA
+     */
+    constructor(recordTypes = {}) {
+        this.recordTypes = recordTypes;
+
+        // Header flag bits (second 16-bit word of the header)
+        this.flags = {
+            QR: 0x8000,
+            AA: 0x0400,
+            TC: 0x0200,
+            RD: 0x0100,
+            RA: 0x0080,
+            AD: 0x0020,
+            CD: 0x0010
+        };
+
+        // EDNS(0) configuration
+        this.ednsPayloadSize = 4096;
+        this.ednsOptionNames = {
+            3: 'NSID',
+            8: 'CLIENT_SUBNET',
+            10: 'COOKIE',
+            11: 'TCP_KEEPALIVE',
+            12: 'PADDING',
+            15: 'EXTENDED_ERROR'
+        };
+
+        // RDATA decoders to presentation format, keyed by numeric record type
+        this.rdataDecoders = {
+            1: (reader, start, length) => this.formatIPv4(reader.bytes.subarray(start, start + length)),
+            2: (reader, start) => reader.readName(start).name,
+            5: (reader, start) => reader.readName(start).name,
+            6: (reader, start) => this.decodeSOA(reader, start),
+            12: (reader, start) => reader.readName(start).name,
+            15: (reader, start) => `${reader.readUint16(start)} ${reader.readName(start + 2).name}`,
+            16: (reader, start, length) => this.decodeCharacterStrings(reader.bytes.subarray(start, start + length)).join(' '),
+            28: (reader, start, length) => this.formatIPv6(reader.bytes.subarray(start, start + length)),
+            33: (reader, start) => this.decodeSRV(reader, start),
+            35: (reader, start) => this.decodeNAPTR(reader, start),
+            43: (reader, start, length) => this.decodeDS(reader, start, length),
+            44: (reader, start, length) => `${reader.bytes[start]} ${reader.bytes[start + 1]} ${this.toHex(reader.bytes.subarray(start + 2, start + length))}`,
+            46: (reader, start, length) => this.decodeRRSIG(reader, start, length),
+            47: (reader, start, length) => this.decodeNSEC(reader, start, length),
+            48: (reader, start, length) => this.decodeDNSKEY(reader, start, length),
+            50: (reader, start, length) => this.decodeNSEC3(reader, start, length),
+            52: (reader, start, length) => `${reader.bytes[start]} ${reader.bytes[start + 1]} ${reader.bytes[start + 2]} ${this.toHex(reader.bytes.subarray(start + 3, start + length))}`,
+            59: (reader, start, length) => this.decodeDS(reader, start, length),
+            60: (reader, start, length) => this.decodeDNSKEY(reader, start, length),
+            64: (reader, start, length) => this.decodeSVCB(reader, start, length),
+            65: (reader, start, length) => this.decodeSVCB(reader, start, length),
+            257: (reader, start, length) => this.decodeCAA(reader, start, length)
+        };
+
+        // SVCB/HTTPS SvcParamKeys (RFC 9460)
+        this.svcParamKeys = {
+            0: 'mandatory',
+            1: 'alpn',
+            2: 'no-default-alpn',
+            3: 'port',
+            4: 'ipv4hint',
+            5: 'ech',
+            6: 'ipv6hint',
+            7: 'dohpath'
+        };
+    }
+
+    /**
+     * Gets a record type mnemonic from its number
+     * @param {number} typeNumber - Numeric record type
+     * @returns {string} - Type name or RFC 3597 TYPEnnn form
+     */
+    getTypeName(typeNumber) {
+        for (const [name, number] of Object.entries(this.recordTypes)) {
+            if (number === typeNumber) {
+                return name;
+            }
+        }
+        return `TYPE${typeNumber}`;
+    }
+
+    /**
+     * Encodes a DNS query message
+     * @param {string} domain - Domain name to query
+     * @param {number} type - Numeric record type
+     * @param {Object} options - Query options
+     * @param {boolean} options.dnssec - Set the EDNS DO bit (request DNSSEC records)
+     * @param {boolean} options.checkingDisabled - Set the CD bit (disable resolver validation)
+     * @returns {Uint8Array} - Encoded query message
+     */
+    encodeQuery(domain, type, options = {}) {
+        const nameBytes = this.encodeName(domain);
+        const message = new Uint8Array(12 + nameBytes.length + 4 + 11);
+        const view = new DataView(message.buffer);
+
+        // Header: ID 0 per RFC 8484 section 4.1 for HTTP cache friendliness
+        let flags = this.flags.RD;
+        if (options.checkingDisabled) {
+            flags |= this.flags.CD;
+        }
+        view.setUint16(0, 0);
+        view.setUint16(2, flags);
+        view.setUint16(4, 1); // QDCOUNT
+        view.setUint16(6, 0); // ANCOUNT
+        view.setUint16(8, 0); // NSCOUNT
+        view.setUint16(10, 1); // ARCOUNT (OPT)
+
+        // Question section
+        let offset = 12;
+        message.set(nameBytes, offset);
+        offset += nameBytes.length;
+        view.setUint16(offset, type);
+        view.setUint16(offset + 2, 1); // IN class
+        offset += 4;
+
+        // EDNS(0) OPT pseudo-record: root name, type 41, payload size, ext-rcode/version/flags, no options
+        message[offset] = 0;
+        view.setUint16(offset + 1, 41);
+        view.setUint16(offset + 3, this.ednsPayloadSize);
+        view.setUint32(offset + 5, options.dnssec ? 0x8000 : 0);
+        view.setUint16(offset + 9, 0);
+
+        return message;
+    }
+
+    /**
+     * Encodes a domain name into uncompressed wire format labels
+     * @param {string} domain - Domain name
+     * @returns {Uint8Array} - Encoded name
+     */
+    encodeName(domain) {
+        const labels = domain.replace(/\.$/, '').split('.').filter(label => label.length > 0);
+        const encoder = new TextEncoder();
+        const parts = [];
+
+        for (const label of labels) {
+            const bytes = encoder.encode(label);
+            if (bytes.length > 63) {
+                throw new Error(`Invalid domain name: label "${label}" exceeds 63 bytes`);
+            }
+            parts.push(bytes.length, ...bytes);
+        }
+        parts.push(0);
+
+        return new Uint8Array(parts);
+    }
+
+    /**
+     * Encodes a query message as base64url for the RFC 8484 GET "dns" parameter
+     * @param {Uint8Array} message - Encoded DNS message
+     * @returns {string} - Unpadded base64url string
+     */
+    toBase64Url(message) {
+        return this.toBase64(message).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decodes a DNS response message
+     * @param {Uint8Array} bytes - Raw response bytes
+     * @returns {Object} - Response in application/dns-json shape plus flags, EDNS and raw RDATA
+     */
+    decodeResponse(bytes) {
+        if (!bytes || bytes.length < 12) {
+            throw new Error('Malformed DNS message: response shorter than header');
+        }
+
+        const reader = this.createReader(bytes);
+        const flagWord = reader.readUint16(2);
+        const counts = {
+            question: reader.readUint16(4),
+            answer: reader.readUint16(6),
+            authority: reader.readUint16(8),
+            additional: reader.readUint16(10)
+        };
+
+        const response = {
+            Status: flagWord & 0x000f,
+            TC: Boolean(flagWord & this.flags.TC),
+            RD: Boolean(flagWord & this.flags.RD),
+            RA: Boolean(flagWord & this.flags.RA),
+            AD: Boolean(flagWord & this.flags.AD),
+            CD: Boolean(flagWord & this.flags.CD),
+            Question: [],
+            id: reader.readUint16(0),
+            flags: {
+                QR: Boolean(flagWord & this.flags.QR),
+                opcode: (flagWord >> 11) & 0x0f,
+                AA: Boolean(flagWord & this.flags.AA),
+                TC: Boolean(flagWord & this.flags.TC),
+                RD: Boolean(flagWord & this.flags.RD),
+                RA: Boolean(flagWord & this.flags.RA),
+                AD: Boolean(flagWord & this.flags.AD),
+                CD: Boolean(flagWord & this.flags.CD)
+            }
+        };
+
+        let offset = 12;
+        for (let i = 0; i < counts.question; i++) {
+            const { name, nextOffset } = reader.readName(offset);
+            response.Question.push({ name, type: reader.readUint16(nextOffset) });
+            offset = nextOffset + 4;
+        }
+
+        const sections = [['Answer', counts.answer], ['Authority', counts.authority], ['Additional', counts.additional]];
+        for (const [section, count] of sections) {
+            const records = [];
+            for (let i = 0; i < count; i++) {
+                const { record, nextOffset } = this.decodeResourceRecord(reader, offset);
+                offset = nextOffset;
+
+                if (record.type === 41) {
+                    response.edns = this.decodeOPT(record);
+                    // Extended RCODE: upper 8 bits live in the OPT TTL field
+                    response.Status |= response.edns.extendedRcode << 4;
+                    continue;
+                }
+                records.push(record);
+            }
+            if (records.length > 0) {
+                response[section] = records;
+            }
+        }
+
+        return response;
+    }
+
+    /**
+     * Decodes a single resource record
+     * @param {Object} reader - Message reader
+     * @param {number} offset - Offset of the record owner name
+     * @returns {Object} - Decoded record and offset of the next record
+     */
+    decodeResourceRecord(reader, offset) {
+        const { name, nextOffset } = reader.readName(offset);
+        const type = reader.readUint16(nextOffset);
+        const recordClass = reader.readUint16(nextOffset + 2);
+        const ttl = reader.readUint32(nextOffset + 4);
+        const rdLength = reader.readUint16(nextOffset + 8);
+        const rdStart = nextOffset + 10;
+
+        if (rdStart + rdLength > reader.bytes.length) {
+            throw new Error('Malformed DNS message: record data exceeds message length');
+        }
+
+        const rdata = reader.bytes.subarray(rdStart, rdStart + rdLength);
+        const record = {
+            name,
+            type,
+            class: recordClass,
+            TTL: ttl,
+            data: this.decodeRdata(reader, type, rdStart, rdLength),
+            rdata: this.toHex(rdata)
+        };
+
+        return { record, nextOffset: rdStart + rdLength };
+    }
+
+    /**
+     * Decodes RDATA into presentation format
+     * Unknown types use the RFC 3597 generic "\# length hex" form
+     * @param {Object} reader - Message reader
+     * @param {number} type - Numeric record type
+     * @param {number} start - RDATA offset
+     * @param {number} length - RDATA length
+     * @returns {string} - Presentation format data
+     */
+    decodeRdata(reader, type, start, length) {
+        const decoder = this.rdataDecoders[type];
+        if (decoder) {
+            try {
+                return decoder(reader, start, length);
+            } catch (error) {
+                // Fall through to the generic form for malformed RDATA
+            }
+        }
+
+        const hex = this.toHex(reader.bytes.subarray(start, start + length));
+        return length > 0 ? `\\# ${length} ${hex}` : '\\# 0';
+    }
+
+    /**
+     * Decodes an EDNS(0) OPT pseudo-record
+     * @param {Object} record - Decoded OPT resource record
+     * @returns {Object} - EDNS details (payload size, version, DO flag, options)
+     */
+    decodeOPT(record) {
+        const rdata = this.fromHex(record.rdata);
+        const view = new DataView(rdata.buffer, rdata.byteOffset, rdata.byteLength);
+        const options = [];
+
+        let offset = 0;
+        while (offset + 4 <= rdata.length) {
+            const code = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+            const data = rdata.subarray(offset + 4, offset + 4 + length);
+            const option = {
+                code,
+                name: this.ednsOptionNames[code] || `OPTION${code}`,
+                data: this.toHex(data)
+            };
+
+            // Extended DNS Errors (RFC 8914): INFO-CODE followed by UTF-8 text
+            if (code === 15 && data.length >= 2) {
+                option.infoCode = (data[0] << 8) | data[1];
+                option.extraText = new TextDecoder().decode(data.subarray(2));
+            }
+
+            options.push(option);
+            offset += 4 + length;
+        }
+
+        return {
+            udpPayloadSize: record.class,
+            extendedRcode: (record.TTL >>> 24) & 0xff,
+            version: (record.TTL >>> 16) & 0xff,
+            DO: Boolean(record.TTL & 0x8000),
+            options
+        };
+    }
+
+    /**
+     * Decodes SOA RDATA
+     * @param {Object} reader - Message reader
+     * @param {number} start - RDATA offset
+     * @returns {string} - "mname rname serial refresh retry expire minimum"
+     */
+    decodeSOA(reader, start) {
+        const mname = reader.readName(start);
+        const rname = reader.readName(mname.nextOffset);
+        const values = [];
+        for (let i = 0; i < 5; i++) {
+            values.push(reader.readUint32(rname.nextOffset + i * 4));
+        }
+        return `${mname.name} ${rname.name} ${values.join(' ')}`;
+    }
+
+    /**
+     * Decodes SRV RDATA
+     * @param {Object} reader - Message reader
+     * @param {number} start - RDATA offset
+     * @returns {string} - "priority weight port target"
+     */
+    decodeSRV(reader, start) {
+        const priority = reader.readUint16(start);
+        const weight = reader.readUint16(start + 2);
+        const port = reader.readUint16(start + 4);
+        return `${priority} ${weight} ${port} ${reader.readName(start + 6).name}`;
+    }
+
+    /**
+     * Decodes NAPTR RDATA
+     * @param {Object} reader - Message reader
+     * @param {number} start - RDATA offset
+     * @returns {string} - "order preference flags services regexp replacement"
+     */
+    decodeNAPTR(reader, start) {
+        const order = reader.readUint16(start);
+        const preference = reader.readUint16(start + 2);
+        const strings = [];
+        let offset = start + 4;
+
+        for (let i = 0; i < 3; i++) {
+            const length = reader.bytes[offset];
+            strings.push(this.decodeCharacterStrings(reader.bytes.subarray(offset, offset + 1 + length))[0]);
+            offset += 1 + length;
+        }
+
+        return `${order} ${preference} ${strings.join(' ')} ${reader.readName(offset).name}`;
+    }
+
+    /**
+     * Decodes DS and CDS RDATA
+     * @param {Object} reader - Message reader
+     * @param {number} start - RDATA offset
+     * @param {number} length - RDATA length
+     * @returns {string} - "keytag algorithm digesttype digest"
+     */
+    decodeDS(reader, start, length) {
+        const keyTag = reader.readUint16(start);
+        const digest = this.toHex(reader.bytes.subarray(start + 4, start + length));
+        return `${keyTag} ${reader.bytes[start + 2]} ${reader.bytes[start + 3]} ${digest}`;
+    }
+
+    /**
+     * Decodes DNSKEY and CDNSKEY RDATA
+     * @param {Object} reader - Message reader
+     * @param {number} start - RDATA offset
+     * @param {number} length - RDATA length
+     * @returns {string} - "flags protocol algorithm publickey"
+     */
+    decodeDNSKEY(reader, start, length) {
+        const flags = reader.readUint16(start);
+        const key = this.toBase64(reader.bytes.subarray(start + 4, start + length));
+        return `${flags} ${reader.bytes[start + 2]} ${reader.bytes[start + 3]} ${key}`;
+    }
+
+    /**
+     * Decodes RRSIG RDATA
+     * @param {Object} reader - Message reader
+     * @param {number} start - RDATA offset
+     * @param {number} length - RDATA length
+     * @returns {string} - "covered algorithm labels ttl expiration inception keytag signer signature"
+     */
+    decodeRRSIG(reader, start, length) {
+        const typeCovered = this.getTypeName(reader.readUint16(start));
+        const algorithm = reader.bytes[start + 2];
+        const labels = reader.bytes[start + 3];
+        const originalTTL = reader.readUint32(start + 4);
+        const expiration = this.formatTimestamp(reader.readUint32(start + 8));
+        const inception = this.formatTimestamp(reader.readUint32(start + 12));
+        const keyTag = reader.readUint16(start + 16);
+        const signer = reader.readName(start + 18);
+        const signature = this.toBase64(reader.bytes.subarray(signer.nextOffset, start + length));
+
+        return `${typeCovered} ${algorithm} ${labels} ${originalTTL} ${expiration} ${inception} ${keyTag} ${signer.name} ${signature}`;
+    }
+
+    /**
+     * Decodes NSEC RDATA
+     * @param {Object} reader - Message reader
+     * @param {number} start - RDATA offset
+     * @param {number} length - RDATA length
+     * @returns {string} - "next-domain type-list"
+     */
+    decodeNSEC(reader, start, length) {
+        const next = reader.readName(start);
+        const types = this.decodeTypeBitmap(reader.bytes.subarray(next.nextOffset, start + length));
+        return [next.name, ...types].join(' ');
+    }
+
+    /**
+     * Decodes NSEC3 RDATA
+     * @param {Object} reader - Message reader
+     * @param {number} start - RDATA offset
+     * @param {number} length - RDATA length
+     * @returns {string} - "algorithm flags iterations salt next-hashed-owner type-list"
+     */
+    decodeNSEC3(reader, start, length) {
+        const bytes = reader.bytes;
+        const algorithm = bytes[start];
+        const flags = bytes[start + 1];
+        const iterations = reader.readUint16(start + 2);
+        const saltLength = bytes[start + 4];
+        const salt = saltLength > 0 ? this.toHex(bytes.subarray(start + 5, start + 5 + saltLength)) : '-';
+        let offset = start + 5 + saltLength;
+        const hashLength = bytes[offset];
+        const nextHashed = this.toBase32Hex(bytes.subarray(offset + 1, offset + 1 + hashLength));
+        offset += 1 + hashLength;
+        const types = this.decodeTypeBitmap(bytes.subarray(offset, start + length));
+
+        return [algorithm, flags, iterations, salt, nextHashed, ...types].join(' ');
+    }
+
+    /**
+     * Decodes an NSEC/NSEC3 type bitmap (RFC 4034 section 4.1.2)
+     * @param {Uint8Array} bytes - Bitmap bytes
+     * @returns {string[]} - Type mnemonics present in the bitmap
+     */
+    decodeTypeBitmap(bytes) {
+        const types = [];
+        let offset = 0;
+
+        while (offset + 2 <= bytes.length) {
+            const windowNumber = bytes[offset];
+            const length = bytes[offset + 1];
+            for (let i = 0; i < length; i++) {
+                const octet = bytes[offset + 2 + i];
+                for (let bit = 0; bit < 8; bit++) {
+                    if (octet & (0x80 >> bit)) {
+                        types.push(this.getTypeName(windowNumber * 256 + i * 8 + bit));
+                    }
+                }
+            }
+            offset += 2 + length;
+        }
+
+        return types;
+    }
+
+    /**
+     * Decodes SVCB and HTTPS RDATA
+     * @param {Object} reader - Message reader
+     * @param {number} start - RDATA offset
+     * @param {number} length - RDATA length
+     * @returns {string} - "priority target key=value ..."
+     */
+    decodeSVCB(reader, start, length) {
+        const priority = reader.readUint16(start);
+        const target = reader.readName(start + 2);
+        const params = [];
+        let offset = target.nextOffset;
+        const end = start + length;
+
+        while (offset + 4 <= end) {
+            const key = reader.readUint16(offset);
+            const valueLength = reader.readUint16(offset + 2);
+            const value = reader.bytes.subarray(offset + 4, offset + 4 + valueLength);
+            params.push(this.formatSvcParam(key, value));
+            offset += 4 + valueLength;
+        }
+
+        return [priority, target.name, ...params].join(' ');
+    }
+
+    /**
+     * Formats a single SvcParam in presentation format
+     * @param {number} key - SvcParamKey
+     * @param {Uint8Array} value - SvcParamValue bytes
+     * @returns {string} - "key=value" presentation
+     */
+    formatSvcParam(key, value) {
+        const name = this.svcParamKeys[key] || `key${key}`;
+        const view = new DataView(value.buffer, value.byteOffset, value.byteLength);
+
+        switch (key) {
+            case 0: {
+                const keys = [];
+                for (let i = 0; i + 2 <= value.length; i += 2) {
+                    const mandatoryKey = view.getUint16(i);
+                    keys.push(this.svcParamKeys[mandatoryKey] || `key${mandatoryKey}`);
+                }
+                return `${name}=${keys.join(',')}`;
+            }
+            case 1: {
+                const protocols = [];
+                let offset = 0;
+                while (offset < value.length) {
+                    const length = value[offset];
+                    protocols.push(new TextDecoder().decode(value.subarray(offset + 1, offset + 1 + length)));
+                    offset += 1 + length;
+                }
+                return `${name}=${protocols.join(',')}`;
+            }
+            case 2:
+                return name;
+            case 3:
+                return `${name}=${view.getUint16(0)}`;
+            case 4: {
+                const addresses = [];
+                for (let i = 0; i + 4 <= value.length; i += 4) {
+                    addresses.push(this.formatIPv4(value.subarray(i, i + 4)));
+                }
+                return `${name}=${addresses.join(',')}`;
+            }
+            case 5:
+                return `${name}=${this.toBase64(value)}`;
+            case 6: {
+                const addresses = [];
+                for (let i = 0; i + 16 <= value.length; i += 16) {
+                    addresses.push(this.formatIPv6(value.subarray(i, i + 16)));
+                }
+                return `${name}=${addresses.join(',')}`;
+            }
+            case 7:
+                return `${name}=${new TextDecoder().decode(value)}`;
+            default:
+                return `${name}=${this.toHex(value)}`;
+        }
+    }
+
+    /**
+     * Decodes CAA RDATA
+     * @param {Object} reader - Message reader
+     * @param {number} start - RDATA offset
+     * @param {number} length - RDATA length
+     * @returns {string} - 'flags tag "value"'
+     */
+    decodeCAA(reader, start, length) {
+        const flags = reader.bytes[start];
+        const tagLength = reader.bytes[start + 1];
+        const decoder = new TextDecoder();
+        const tag = decoder.decode(reader.bytes.subarray(start + 2, start + 2 + tagLength));
+        const value = decoder.decode(reader.bytes.subarray(start + 2 + tagLength, start + length));
+        return `${flags} ${tag} "${value.replace(/["\\]/g, '\\$&')}"`;
+    }
+
+    /**
+     * Formats a 32-bit serial timestamp as YYYYMMDDHHmmSS (RFC 4034 section 3.2)
+     * @param {number} seconds - Seconds since the epoch
+     * @returns {string} - Timestamp in presentation format
+     */
+    formatTimestamp(seconds) {
+        return new Date(seconds * 1000).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    }
+
+    /**
+     * Converts bytes to base64
+     * @param {Uint8Array} bytes - Bytes to convert
+     * @returns {string} - Base64 string
+     */
+    toBase64(bytes) {
+        let binary = '';
+        for (const byte of bytes) {
+            binary += String.fromCharCode(byte);
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Converts bytes to unpadded base32hex (RFC 4648), as used by NSEC3 owner hashes
+     * @param {Uint8Array} bytes - Bytes to convert
+     * @returns {string} - Base32hex string
+     */
+    toBase32Hex(bytes) {
+        const alphabet = '0123456789ABCDEFGHIJKLMNOPQRSTUV';
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of bytes) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += alphabet[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += alphabet[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    /**
+     * Decodes a sequence of <character-string>s into quoted presentation strings
+     * @param {Uint8Array} bytes - RDATA bytes
+     * @returns {string[]} - Quoted strings
+     */
+    decodeCharacterStrings(bytes) {
+        const strings = [];
+        let offset = 0;
+
+        while (offset < bytes.length) {
+            const length = bytes[offset];
+            if (offset + 1 + length > bytes.length) {
+                throw new Error('Malformed DNS message: character-string exceeds RDATA');
+            }
+            const text = new TextDecoder().decode(bytes.subarray(offset + 1, offset + 1 + length));
+            strings.push(`"${text.replace(/["\\]/g, '\\$&')}"`);
+            offset += 1 + length;
+        }
+
+        return strings;
+    }
+
+    /**
+     * Formats an IPv4 address
+     * @param {Uint8Array} bytes - 4 address bytes
+     * @returns {string} - Dotted-quad address
+     */
+    formatIPv4(bytes) {
+        if (bytes.length !== 4) {
+            throw new Error('Malformed DNS message: A record must be 4 bytes');
+        }
+        return Array.from(bytes).join('.');
+    }
+
+    /**
+     * Formats an IPv6 address using RFC 5952 canonical text form
+     * @param {Uint8Array} bytes - 16 address bytes
+     * @returns {string} - Compressed IPv6 address
+     */
+    formatIPv6(bytes) {
+        if (bytes.length !== 16) {
+            throw new Error('Malformed DNS message: AAAA record must be 16 bytes');
+        }
+
+        const groups = [];
+        for (let i = 0; i < 16; i += 2) {
+            groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+        }
+
+        // Find the longest run (length > 1) of zero groups to compress
+        let bestStart = -1;
+        let bestLength = 0;
+        for (let i = 0; i < groups.length;) {
+            if (groups[i] !== '0') {
+                i++;
+                continue;
+            }
+            let j = i;
+            while (j < groups.length && groups[j] === '0') {
+                j++;
+            }
+            if (j - i > bestLength && j - i > 1) {
+                bestStart = i;
+                bestLength = j - i;
+            }
+            i = j;
+        }
+
+        if (bestStart === -1) {
+            return groups.join(':');
+        }
+
+        const head = groups.slice(0, bestStart).join(':');
+        const tail = groups.slice(bestStart + bestLength).join(':');
+        return `${head}::${tail}`;
+    }
+
+    /**
+     * Converts bytes to an uppercase hex string
+     * @param {Uint8Array} bytes - Bytes to convert
+     * @returns {string} - Hex string
+     */
+    toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    /**
+     * Converts a hex string to bytes (whitespace is ignored)
+     * @param {string} hex - Hex string
+     * @returns {Uint8Array} - Decoded bytes
+     */
+    fromHex(hex) {
+        const clean = String(hex || '').replace(/\s+/g, '');
+        if (clean.length % 2 !== 0 || /[^0-9a-fA-F]/.test(clean)) {
+            throw new Error('Invalid hex data');
+        }
+        const bytes = new Uint8Array(clean.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Creates a bounds-checked reader over a DNS message
+     * @param {Uint8Array} bytes - Message bytes
+     * @returns {Object} - Reader with integer and name helpers
+     */
+    createReader(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        const check = (offset, size) => {
+            if (offset < 0 || offset + size > bytes.length) {
+                throw new Error('Malformed DNS message: read past end of message');
+            }
+        };
+
+        return {
+            bytes,
+            readUint16(offset) {
+                check(offset, 2);
+                return view.getUint16(offset);
+            },
+            readUint32(offset) {
+                check(offset, 4);
+                return view.getUint32(offset);
+            },
+            readName(offset) {
+                const labels = [];
+                let position = offset;
+                let nextOffset = null;
+                let jumps = 0;
+
+                for (;;) {
+                    check(position, 1);
+                    const length = bytes[position];
+
+                    if ((length & 0xc0) === 0xc0) {
+                        // Compression pointer (RFC 1035 section 4.1.4)
+                        check(position, 2);
+                        if (nextOffset === null) {
+                            nextOffset = position + 2;
+                        }
+                        if (++jumps > 64) {
+                            throw new Error('Malformed DNS message: compression pointer loop');
+                        }
+                        position = ((length & 0x3f) << 8) | bytes[position + 1];
+                        continue;
+                    }
+
+                    if (length === 0) {
+                        if (nextOffset === null) {
+                            nextOffset = position + 1;
+                        }
+                        break;
+                    }
+
+                    check(position + 1, length);
+                    let label = '';
+                    for (const byte of bytes.subarray(position + 1, position + 1 + length)) {
+                        if (byte === 0x2e || byte === 0x5c) {
+                            label += '\\' + String.fromCharCode(byte);
+                        } else if (byte < 0x21 || byte > 0x7e) {
+                            label += '\\' + String(byte).padStart(3, '0');
+                        } else {
+                            label += String.fromCharCode(byte);
+                        }
+                    }
+                    labels.push(label);
+                    position += 1 + length;
+                }
+
+                return { name: labels.length > 0 ? labels.join('.') + '.' : '.', nextOffset };
+            }
+        };
+    }
+}
+
+// Export for use in other modules
+window.DNSMessageCodec = DNSMessageCodec;
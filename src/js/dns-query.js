@@ -1,6 +1,7 @@
 /**
  * DNS Query Engine with DNS-over-HTTPS (DoH) API Integration
- * Supports Cloudflare, Google, and Quad9 DoH providers
+ * Supports Cloudflare, Google, and Quad9 DoH providers over the
+ * application/dns-json API or RFC 8484 application/dns-message wire format
  */
 
 class DNSQueryEngine {
@@ -15,6 +16,13 @@ class DNSQueryEngine {
         // Fallback provider order
         this.fallbackOrder = ['cloudflare', 'google', 'quad9'];
 
+        // Transport per provider: 'json' (application/dns-json) or 'wire' (RFC 8484 application/dns-message)
+        this.providerFormats = {
+            cloudflare: 'json',
+            google: 'wire',
+            quad9: 'wire'
+        };
+
         // DNS record type mappings to numeric values
         this.recordTypes = {
             A: 1,
@@ -25,9 +33,74 @@ class DNSQueryEngine {
             MX: 15,
             TXT: 16,
             AAAA: 28,
-            SRV: 33
+            SRV: 33,
+            NAPTR: 35,
+            DS: 43,
+            SSHFP: 44,
+            RRSIG: 46,
+            NSEC: 47,
+            DNSKEY: 48,
+            NSEC3: 50,
+            TLSA: 52,
+            CDS: 59,
+            CDNSKEY: 60,
+            SVCB: 64,
+            HTTPS: 65,
+            CAA: 257
+        };
+
+        // Owner name prefixes for record types that live below the queried name
+        this.recordTypePrefixes = {
+            TLSA: '_443._tcp'
+        };
+
+        // Common DKIM selectors probed under _domainkey (provider conventions)
+        this.dkimSelectors = [
+            'default', 'dkim', 'mail', 'email', 'smtp', 'key1', 'key2',
+            'google',                               // Google Workspace
+            'selector1', 'selector2',               // Microsoft 365
+            'k1', 'k2', 'k3',                       // Mailchimp, Mailjet
+            's1', 's2', 'smtpapi',                  // SendGrid
+            'mandrill', 'mte1',                     // Mandrill
+            'fm1', 'fm2', 'fm3',                    // Fastmail
+            'protonmail', 'protonmail2', 'protonmail3',
+            'zendesk1', 'zendesk2',
+            'mxvault', 'everlytickey1', 'everlytickey2',
+            'sig1', 'dkim1', 'mx', 'krs', 'pm', 'zoho', 'hs1', 'hs2'
+        ];
+
+        // Well-known service labels swept for SRV records (RFC 2782 _service._proto names)
+        this.srvServices = {
+            '_sip._tcp': 'SIP',
+            '_sip._udp': 'SIP',
+            '_sips._tcp': 'SIP over TLS',
+            '_xmpp-client._tcp': 'XMPP client',
+            '_xmpp-server._tcp': 'XMPP server',
+            '_autodiscover._tcp': 'Exchange Autodiscover',
+            '_caldav._tcp': 'CalDAV',
+            '_caldavs._tcp': 'CalDAV over TLS',
+            '_carddav._tcp': 'CardDAV',
+            '_carddavs._tcp': 'CardDAV over TLS',
+            '_imap._tcp': 'IMAP',
+            '_imaps._tcp': 'IMAP over TLS',
+            '_pop3._tcp': 'POP3',
+            '_pop3s._tcp': 'POP3 over TLS',
+            '_submission._tcp': 'Mail submission',
+            '_submissions._tcp': 'Mail submission over TLS',
+            '_ldap._tcp': 'LDAP',
+            '_kerberos._udp': 'Kerberos',
+            '_kerberos._tcp': 'Kerberos',
+            '_kpasswd._udp': 'Kerberos password change',
+            '_stun._udp': 'STUN',
+            '_turn._udp': 'TURN',
+            '_matrix._tcp': 'Matrix federation',
+            '_minecraft._tcp': 'Minecraft'
         };
 
+        // Wire format encoder/decoder and structured record parser
+        this.codec = new DNSMessageCodec(this.recordTypes);
+        this.parser = new DNSRecordParser(this.codec);
+
         // Domain validation regex pattern (allows underscores like _dmarc)
         this.domainRegex = /^(?:[a-zA-Z0-9_](?:[a-zA-Z0-9-_]{0,61}[a-zA-Z0-9_])?\.)*[a-zA-Z0-9_](?:[a-zA-Z0-9-_]{0,61}[a-zA-Z0-9_])?$/;
 
@@ -35,6 +108,12 @@ class DNSQueryEngine {
         this.timeout = 10000; // 10 seconds timeout
         this.maxRetries = 3;
         this.retryDelay = 1000; // 1 second initial delay
+        this.maxCNAMEChainDepth = 10; // CNAME hops followed before giving up
+        this.maxConcurrentQueries = 6; // DoH requests in flight at once; further queries wait for a free slot
+
+        // Queries waiting for a slot (resolve callbacks in arrival order)
+        this.activeQueries = 0;
+        this.queryQueue = [];
 
         // Performance optimizations - DNS result caching
         this.cache = new Map();
@@ -56,6 +135,11 @@ class DNSQueryEngine {
             return false;
         }
 
+        // The root zone is queried directly when walking the DNSSEC chain of trust
+        if (domain.trim() === '.') {
+            return true;
+        }
+
         // Normalize domain: trim spaces and remove trailing dot
         const cleanDomain = domain.trim().replace(/\.$/, '');
 
@@ -78,15 +162,90 @@ class DNSQueryEngine {
         return domainRegex.test(cleanDomain);
     }
 
+    /**
+     * Detects whether a string is an IPv4 or IPv6 address literal
+     * @param {string} value - Value to check
+     * @returns {number} - 4 or 6 for address literals, 0 otherwise
+     */
+    getIPVersion(value) {
+        const text = String(value || '').trim();
+
+        const octets = text.split('.');
+        if (octets.length === 4 && octets.every(octet => /^\d{1,3}$/.test(octet) && parseInt(octet, 10) <= 255)) {
+            return 4;
+        }
+
+        return this.expandIPv6(text) ? 6 : 0;
+    }
+
+    /**
+     * Expands an IPv6 address to 32 hex digits (handles "::" and embedded IPv4)
+     * @param {string} address - IPv6 address
+     * @returns {string|null} - 32 lowercase hex digits, or null if the address is invalid
+     */
+    expandIPv6(address) {
+        let text = String(address || '').trim().toLowerCase();
+        if (!text.includes(':') || (text.match(/::/g) || []).length > 1) {
+            return null;
+        }
+
+        // Embedded IPv4 (::ffff:192.0.2.1) becomes two hex groups
+        const ipv4Match = text.match(/(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+        if (ipv4Match) {
+            const octets = ipv4Match.slice(1).map(octet => parseInt(octet, 10));
+            if (octets.some(octet => octet > 255)) {
+                return null;
+            }
+            const hex = octets.map(octet => octet.toString(16).padStart(2, '0'));
+            text = text.slice(0, ipv4Match.index) + `${hex[0]}${hex[1]}:${hex[2]}${hex[3]}`;
+        }
+
+        const [head, tail] = text.includes('::') ? text.split('::') : [text, null];
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        const missing = 8 - headGroups.length - tailGroups.length;
+
+        if ((tail === null && missing !== 0) || (tail !== null && missing < 1)) {
+            return null;
+        }
+
+        const groups = [...headGroups, ...new Array(tail === null ? 0 : missing).fill('0'), ...tailGroups];
+        if (!groups.every(group => /^[0-9a-f]{1,4}$/.test(group))) {
+            return null;
+        }
+
+        return groups.map(group => group.padStart(4, '0')).join('');
+    }
+
+    /**
+     * Builds the reverse DNS name for an IP address (in-addr.arpa or ip6.arpa nibble format)
+     * @param {string} ip - IPv4 or IPv6 address
+     * @returns {string|null} - Reverse lookup name, or null if the value is not an IP address
+     */
+    getReverseName(ip) {
+        const version = this.getIPVersion(ip);
+
+        if (version === 4) {
+            return `${String(ip).trim().split('.').map(octet => parseInt(octet, 10)).reverse().join('.')}.in-addr.arpa`;
+        }
+        if (version === 6) {
+            return `${this.expandIPv6(ip).split('').reverse().join('.')}.ip6.arpa`;
+        }
+        return null;
+    }
+
 
     /**
      * Performs DNS query for a specific record type using DoH API with fallback
      * @param {string} domain - Domain name to query
      * @param {string} recordType - DNS record type (A, AAAA, CNAME, etc.)
      * @param {string} preferredProvider - Preferred DoH provider (default: 'cloudflare')
+     * @param {Object} options - Query options
+     * @param {boolean} options.dnssec - Request DNSSEC records (EDNS DO bit)
+     * @param {boolean} options.checkingDisabled - Ask the resolver not to validate (CD bit)
      * @returns {Promise<Object>} - DNS query result
      */
-    async queryDNS(domain, recordType = 'A', preferredProvider = 'cloudflare') {
+    async queryDNS(domain, recordType = 'A', preferredProvider = 'cloudflare', options = {}) {
         // Validate domain
         if (!this.validateDomain(domain)) {
             throw new Error(`Invalid domain name: ${domain}`);
@@ -109,7 +268,7 @@ class DNSQueryEngine {
             }
 
             try {
-                const result = await this.queryWithRetry(domain, recordType, provider);
+                const result = await this.queryWithRetry(domain, recordType, provider, options);
                 return result;
             } catch (error) {
                 lastError = error;
@@ -127,14 +286,15 @@ class DNSQueryEngine {
      * @param {string} domain - Domain name to query
      * @param {string} recordType - DNS record type
      * @param {string} provider - DoH provider to use
+     * @param {Object} options - Query options (dnssec, checkingDisabled)
      * @returns {Promise<Object>} - DNS query result
      */
-    async queryWithRetry(domain, recordType, provider) {
+    async queryWithRetry(domain, recordType, provider, options = {}) {
         let lastError = null;
 
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
             try {
-                return await this.performQuery(domain, recordType, provider);
+                return await this.performQuery(domain, recordType, provider, options);
             } catch (error) {
                 lastError = error;
                 
@@ -160,16 +320,73 @@ class DNSQueryEngine {
     }
 
     /**
-     * Performs the actual DNS query with timeout
+     * Performs the actual DNS query, limited to maxConcurrentQueries requests in flight
+     * @param {string} domain - Domain name to query
+     * @param {string} recordType - DNS record type
+     * @param {string} provider - DoH provider to use
+     * @param {Object} options - Query options (dnssec, checkingDisabled)
+     * @returns {Promise<Object>} - DNS query result
+     */
+    async performQuery(domain, recordType, provider, options = {}) {
+        await this.acquireQuerySlot();
+        try {
+            return await this.sendQuery(domain, recordType, provider, options);
+        } finally {
+            this.releaseQuerySlot();
+        }
+    }
+
+    /**
+     * Waits until fewer than maxConcurrentQueries DoH requests are in flight
+     * @returns {Promise<void>}
+     */
+    acquireQuerySlot() {
+        if (this.activeQueries < this.maxConcurrentQueries) {
+            this.activeQueries++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.queryQueue.push(resolve));
+    }
+
+    /**
+     * Hands a finished query's slot to the next waiting query
+     */
+    releaseQuerySlot() {
+        const next = this.queryQueue.shift();
+        if (next) {
+            next();
+        } else {
+            this.activeQueries--;
+        }
+    }
+
+    /**
+     * Sends one DoH request with timeout using the provider's transport
      * @param {string} domain - Domain name to query
      * @param {string} recordType - DNS record type
      * @param {string} provider - DoH provider to use
+     * @param {Object} options - Query options (dnssec, checkingDisabled)
      * @returns {Promise<Object>} - DNS query result
      */
-    async performQuery(domain, recordType, provider) {
+    async sendQuery(domain, recordType, provider, options = {}) {
         const url = new URL(this.dohProviders[provider]);
-        url.searchParams.set('name', domain);
-        url.searchParams.set('type', this.recordTypes[recordType]);
+        const format = this.getProviderFormat(provider);
+        let accept = 'application/dns-json';
+
+        if (format === 'wire') {
+            const query = this.codec.encodeQuery(domain, this.recordTypes[recordType], options);
+            url.searchParams.set('dns', this.codec.toBase64Url(query));
+            accept = 'application/dns-message';
+        } else {
+            url.searchParams.set('name', domain);
+            url.searchParams.set('type', this.recordTypes[recordType]);
+            if (options.dnssec) {
+                url.searchParams.set('do', '1');
+            }
+            if (options.checkingDisabled) {
+                url.searchParams.set('cd', '1');
+            }
+        }
 
         // Create abort controller for timeout
         const controller = new AbortController();
@@ -179,19 +396,28 @@ class DNSQueryEngine {
             const response = await fetch(url.toString(), {
                 method: 'GET',
                 headers: {
-                    'Accept': 'application/dns-json'
+                    'Accept': accept
                 },
                 signal: controller.signal
             });
 
-            clearTimeout(timeoutId);
-
             if (!response.ok) {
+                clearTimeout(timeoutId);
                 throw new Error(`DoH API request failed: ${response.status} ${response.statusText}`);
             }
 
-            const data = await response.json();
-            return this.parseDoHResponse(data, domain, recordType, provider);
+            let data;
+            if (format === 'wire') {
+                const buffer = await response.arrayBuffer();
+                data = this.codec.decodeResponse(new Uint8Array(buffer));
+            } else {
+                data = await response.json();
+            }
+
+            clearTimeout(timeoutId);
+            const result = this.parseDoHResponse(data, domain, recordType, provider);
+            result.transport = format;
+            return result;
 
         } catch (error) {
             clearTimeout(timeoutId);
@@ -208,6 +434,30 @@ class DNSQueryEngine {
         }
     }
 
+    /**
+     * Gets the transport format used for a provider
+     * @param {string} provider - DoH provider name
+     * @returns {string} - 'json' or 'wire'
+     */
+    getProviderFormat(provider) {
+        return this.providerFormats[provider] || 'wire';
+    }
+
+    /**
+     * Sets the transport format for a provider
+     * @param {string} provider - DoH provider name
+     * @param {string} format - 'json' (application/dns-json) or 'wire' (application/dns-message)
+     */
+    setProviderFormat(provider, format) {
+        if (!this.dohProviders[provider]) {
+            throw new Error(`Unknown DoH provider: ${provider}`);
+        }
+        if (format !== 'json' && format !== 'wire') {
+            throw new Error('Provider format must be "json" or "wire"');
+        }
+        this.providerFormats[provider] = format;
+    }
+
     /**
      * Sleep utility for retry delays
      * @param {number} ms - Milliseconds to sleep
@@ -221,15 +471,20 @@ class DNSQueryEngine {
      * Queries all supported DNS record types for a domain with fallback support and caching
      * @param {string} domain - Domain name to query
      * @param {string} preferredProvider - Preferred DoH provider (default: 'cloudflare')
+     * @param {string[]} selectedTypes - Record types to query (default: all supported types)
      * @returns {Promise<Object>} - Object containing all DNS records by type
      */
-    async queryAllRecords(domain, preferredProvider = 'cloudflare') {
+    async queryAllRecords(domain, preferredProvider = 'cloudflare', selectedTypes = []) {
         if (!this.validateDomain(domain)) {
             throw new Error(`Invalid domain name: ${domain}`);
         }
 
+        const recordTypes = selectedTypes.length > 0
+            ? selectedTypes.filter(recordType => this.recordTypes[recordType] !== undefined)
+            : Object.keys(this.recordTypes);
+
         // Check cache first
-        const cacheKey = `${domain.toLowerCase()}:ALL`;
+        const cacheKey = `${domain.toLowerCase()}:${preferredProvider}:${selectedTypes.length > 0 ? recordTypes.join(',') : 'ALL'}`;
         const cached = this.getFromCache(cacheKey);
         if (cached) {
             this.cacheStats.hits++;
@@ -238,7 +493,6 @@ class DNSQueryEngine {
         this.cacheStats.misses++;
 
         const results = {};
-        const recordTypes = Object.keys(this.recordTypes);
         let hasAnySuccess = false;
         let totalFailures = 0;
 
@@ -253,7 +507,7 @@ class DNSQueryEngine {
         for (const batch of batches) {
             const promises = batch.map(async (recordType) => {
                 try {
-                    const result = await this.queryDNS(domain, recordType, preferredProvider);
+                    const result = await this.queryDNS(this.getQueryName(domain, recordType), recordType, preferredProvider);
                     hasAnySuccess = true;
                     return { recordType, result, success: true };
                 } catch (error) {
@@ -298,6 +552,306 @@ class DNSQueryEngine {
         return results;
     }
 
+    /**
+     * Discovers DKIM keys by probing common and user-supplied selectors under _domainkey
+     * @param {string} domain - Domain to probe
+     * @param {string[]} customSelectors - Additional selectors to probe (default: none)
+     * @param {string} preferredProvider - Preferred DoH provider (default: 'cloudflare')
+     * @returns {Promise<Object>} - DKIM pseudo record set with one TXT record per selector found
+     */
+    async discoverDKIMSelectors(domain, customSelectors = [], preferredProvider = 'cloudflare') {
+        const selectors = [...new Set([
+            ...customSelectors.map(selector => String(selector).trim().toLowerCase()).filter(Boolean),
+            ...this.dkimSelectors
+        ])].filter(selector => this.validateDomain(`${selector}._domainkey.${domain}`));
+
+        const result = {
+            domain,
+            recordType: 'DKIM',
+            records: [],
+            probedSelectors: selectors,
+            failedSelectors: [],
+            timestamp: new Date().toISOString(),
+            source: preferredProvider
+        };
+
+        // Probe in small batches to avoid overwhelming the DoH APIs
+        const batchSize = 5;
+        for (let i = 0; i < selectors.length; i += batchSize) {
+            const batch = selectors.slice(i, i + batchSize);
+            const responses = await Promise.all(batch.map(async (selector) => {
+                try {
+                    const response = await this.queryDNS(`${selector}._domainkey.${domain}`, 'TXT', preferredProvider);
+                    return { selector, response };
+                } catch (error) {
+                    return { selector, error: error.message };
+                }
+            }));
+
+            for (const { selector, response, error } of responses) {
+                if (error) {
+                    result.failedSelectors.push(selector);
+                    continue;
+                }
+
+                // Ignore wildcard or unrelated TXT data that does not look like a DKIM key
+                const keys = response.records.filter(record =>
+                    /(^|;)\s*(v=dkim1|p=)/i.test(this.normalizeRecordData('TXT', record.data))
+                );
+                for (const record of keys) {
+                    result.records.push({ ...record, selector });
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Sweeps well-known and user-supplied service labels for SRV records and resolves each target
+     * @param {string} domain - Domain to sweep
+     * @param {string[]} customLabels - Additional "_service._proto" labels (default: none)
+     * @param {string} preferredProvider - Preferred DoH provider (default: 'cloudflare')
+     * @returns {Promise<Object>} - SRV pseudo record set with records tagged by service label and
+     *   services: [{ label, name, records, targets: [{ target, cname, addresses, error }] }]
+     */
+    async discoverSRVServices(domain, customLabels = [], preferredProvider = 'cloudflare') {
+        const zone = domain.toLowerCase().replace(/\.$/, '');
+        const labels = [...new Set([
+            ...customLabels
+                .map(label => String(label).trim().toLowerCase().replace(/\.$/, ''))
+                .map(label => label.endsWith(`.${zone}`) ? label.slice(0, -(zone.length + 1)) : label)
+                .filter(Boolean),
+            ...Object.keys(this.srvServices)
+        ])].filter(label => this.validateDomain(`${label}.${zone}`));
+
+        const result = {
+            domain,
+            recordType: 'SRV',
+            records: [],
+            services: [],
+            probedLabels: labels,
+            failedLabels: [],
+            timestamp: new Date().toISOString(),
+            source: preferredProvider
+        };
+
+        // Probe in small batches to avoid overwhelming the DoH APIs
+        const batchSize = 5;
+        for (let i = 0; i < labels.length; i += batchSize) {
+            const batch = labels.slice(i, i + batchSize);
+            const responses = await Promise.all(batch.map(async (label) => {
+                try {
+                    const response = await this.queryDNS(`${label}.${zone}`, 'SRV', preferredProvider);
+                    return { label, response };
+                } catch (error) {
+                    return { label, error: error.message };
+                }
+            }));
+
+            for (const { label, response, error } of responses) {
+                if (error) {
+                    result.failedLabels.push(label);
+                    continue;
+                }
+                if (response.records.length === 0) {
+                    continue;
+                }
+
+                const records = response.records.map(record => ({ ...record, service: label }));
+                result.records.push(...records);
+                result.services.push({ label, name: this.srvServices[label] || label, records, targets: [] });
+            }
+        }
+
+        // Resolve every distinct target once; "." means the service is explicitly not offered
+        const targets = new Map();
+        for (const service of result.services) {
+            for (const record of service.records) {
+                const target = record.parsed && !record.parsed.error ? record.parsed.target : null;
+                if (!target || target === '.' || service.targets.some(entry => entry.target === target)) {
+                    continue;
+                }
+                if (!targets.has(target)) {
+                    targets.set(target, this.resolveServiceTarget(target, preferredProvider));
+                }
+                service.targets.push(await targets.get(target));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Resolves an SRV target to its addresses and notes whether it is an alias
+     * @param {string} target - Target host name
+     * @param {string} preferredProvider - Preferred DoH provider
+     * @returns {Promise<Object>} - { target, cname, addresses: [{ type, data, ttl }], error }
+     */
+    async resolveServiceTarget(target, preferredProvider = 'cloudflare') {
+        const entry = { target, cname: null, addresses: [], error: null };
+
+        try {
+            const cname = await this.queryDNS(target, 'CNAME', preferredProvider);
+            if (cname.records.length > 0) {
+                entry.cname = cname.records[0].data.toLowerCase().replace(/\.$/, '');
+            }
+
+            for (const type of ['A', 'AAAA']) {
+                const response = await this.queryDNS(target, type, preferredProvider);
+                if (response.error) {
+                    entry.error = response.error;
+                }
+                entry.addresses.push(...response.records.map(record => ({ type, data: record.data, ttl: record.ttl })));
+            }
+        } catch (error) {
+            entry.error = error.message;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Follows a CNAME chain hop by hop with a separate query per name, then checks that the
+     * final name has address records
+     * @param {string} domain - Name to start from
+     * @param {number} maxDepth - Maximum number of CNAME hops to follow (default: maxCNAMEChainDepth)
+     * @param {string} preferredProvider - Preferred DoH provider (default: 'cloudflare')
+     * @returns {Promise<Object>} - { domain, status, hops, terminal, maxDepth, timestamp }
+     *   status: 'no-cname' | 'resolved' | 'dead-end' | 'loop' | 'depth-exceeded' | 'error'
+     *   hops: [{ name, target, ttl, provider }]
+     *   terminal: { name, addresses, error } for the last name in the chain
+     */
+    async resolveCNAMEChain(domain, maxDepth = this.maxCNAMEChainDepth, preferredProvider = 'cloudflare') {
+        const chain = {
+            domain,
+            status: 'resolved',
+            hops: [],
+            terminal: null,
+            maxDepth,
+            timestamp: new Date().toISOString()
+        };
+
+        const visited = new Set();
+        let current = domain.toLowerCase().replace(/\.$/, '');
+
+        while (true) {
+            visited.add(current);
+
+            let response;
+            try {
+                response = await this.queryDNS(current, 'CNAME', preferredProvider);
+            } catch (error) {
+                chain.status = 'error';
+                chain.terminal = { name: current, addresses: [], error: error.message };
+                return chain;
+            }
+
+            const cname = response.records[0];
+            if (!cname) {
+                break;
+            }
+
+            if (chain.hops.length >= maxDepth) {
+                chain.status = 'depth-exceeded';
+                chain.terminal = { name: current, addresses: [], error: null };
+                return chain;
+            }
+
+            const target = cname.data.toLowerCase().replace(/\.$/, '');
+            chain.hops.push({ name: current, target, ttl: cname.ttl, provider: response.source });
+
+            if (visited.has(target)) {
+                chain.status = 'loop';
+                chain.terminal = { name: target, addresses: [], error: null };
+                return chain;
+            }
+
+            current = target;
+        }
+
+        // The last name must have address records, otherwise the chain ends in nothing
+        const terminal = { name: current, addresses: [], error: null };
+        for (const type of ['A', 'AAAA']) {
+            try {
+                const response = await this.queryDNS(current, type, preferredProvider);
+                terminal.addresses.push(...response.records.map(record => ({ type, data: record.data, ttl: record.ttl, provider: response.source })));
+                if (response.error) {
+                    terminal.error = response.error;
+                }
+            } catch (error) {
+                terminal.error = error.message;
+            }
+        }
+
+        chain.terminal = terminal;
+        if (chain.hops.length === 0) {
+            chain.status = 'no-cname';
+        } else if (terminal.addresses.length === 0) {
+            chain.status = 'dead-end';
+        }
+
+        return chain;
+    }
+
+    /**
+     * Looks up the PTR records of an IP address and checks forward-confirmed reverse DNS
+     * (a PTR host name whose A/AAAA records include the same address)
+     * @param {string} ip - IPv4 or IPv6 address
+     * @param {string} preferredProvider - Preferred DoH provider (default: 'cloudflare')
+     * @returns {Promise<Object>} - { ip, reverseName, hostnames: [{ name, ttl, addresses, confirmed }], forwardConfirmed, error }
+     */
+    async lookupReverseDNS(ip, preferredProvider = 'cloudflare') {
+        const reverseName = this.getReverseName(ip);
+        const result = { ip, reverseName, hostnames: [], forwardConfirmed: false, error: null };
+
+        if (!reverseName) {
+            result.error = `Not an IP address: ${ip}`;
+            return result;
+        }
+
+        try {
+            const response = await this.queryDNS(reverseName, 'PTR', preferredProvider);
+            result.error = response.error || null;
+
+            const addressType = this.getIPVersion(ip) === 4 ? 'A' : 'AAAA';
+            const normalizedIP = addressType === 'A' ? ip : this.expandIPv6(ip);
+
+            for (const record of response.records) {
+                const name = record.data.toLowerCase().replace(/\.$/, '');
+                const hostname = { name, ttl: record.ttl, addresses: [], confirmed: false };
+
+                try {
+                    const forward = await this.queryDNS(name, addressType, preferredProvider);
+                    hostname.addresses = forward.records.map(address => address.data);
+                    hostname.confirmed = hostname.addresses.some(address =>
+                        (addressType === 'A' ? address : this.expandIPv6(address)) === normalizedIP
+                    );
+                } catch (error) {
+                    hostname.error = error.message;
+                }
+
+                result.hostnames.push(hostname);
+            }
+        } catch (error) {
+            result.error = error.message;
+        }
+
+        result.forwardConfirmed = result.hostnames.some(hostname => hostname.confirmed);
+        return result;
+    }
+
+    /**
+     * Gets the owner name to query for a record type (e.g. _443._tcp.example.com for TLSA)
+     * @param {string} domain - Domain being analyzed
+     * @param {string} recordType - DNS record type
+     * @returns {string} - Name to query
+     */
+    getQueryName(domain, recordType) {
+        const prefix = this.recordTypePrefixes[recordType];
+        return prefix ? `${prefix}.${domain}` : domain;
+    }
+
     /**
      * Categorizes error messages for better user understanding
      * @param {string} errorMessage - Original error message
@@ -376,7 +930,7 @@ class DNSQueryEngine {
         // Query specified record types concurrently
         const promises = recordTypes.map(async (recordType) => {
             try {
-                const result = await this.queryDNS(domain, recordType, preferredProvider);
+                const result = await this.queryDNS(this.getQueryName(domain, recordType), recordType, preferredProvider);
                 return { recordType, result, success: true };
             } catch (error) {
                 return { 
@@ -420,7 +974,15 @@ class DNSQueryEngine {
             recordType,
             records: [],
             timestamp: new Date().toISOString(),
-            source: provider
+            source: provider,
+            // AD: resolver validated the answer with DNSSEC; CD: validation was disabled for this query
+            flags: {
+                AD: Boolean(response.AD),
+                CD: Boolean(response.CD),
+                TC: Boolean(response.TC),
+                RD: Boolean(response.RD),
+                RA: Boolean(response.RA)
+            }
         };
 
         // Check for DNS response status
@@ -441,12 +1003,35 @@ class DNSQueryEngine {
         if (response.Answer && Array.isArray(response.Answer)) {
             result.records = response.Answer
                 .filter(record => record.type === this.recordTypes[recordType])
-                .map(record => ({
+                .map(record => this.parser.attachParsedData({
                     name: record.name,
                     type: recordType,
                     ttl: record.TTL,
-                    data: record.data
+                    data: record.data,
+                    ...(record.rdata !== undefined && { rdata: record.rdata })
                 }));
+
+            // RRSIGs covering the answer are returned when DNSSEC records were requested
+            if (recordType !== 'RRSIG') {
+                const signatures = response.Answer
+                    .filter(record => record.type === this.recordTypes.RRSIG)
+                    .map(record => this.parser.attachParsedData({
+                        name: record.name,
+                        type: 'RRSIG',
+                        ttl: record.TTL,
+                        data: record.data
+                    }))
+                    .filter(record => record.parsed && record.parsed.typeCovered === recordType);
+
+                if (signatures.length > 0) {
+                    result.signatures = signatures;
+                }
+            }
+        }
+
+        // Wire format responses also expose EDNS(0) details (NSID, extended errors, etc.)
+        if (response.edns) {
+            result.edns = response.edns;
         }
 
         // Add additional sections if present
@@ -471,6 +1056,26 @@ class DNSQueryEngine {
         return result;
     }
 
+    /**
+     * Normalizes record data so answers from different providers can be compared
+     * (case, trailing dots and TXT string quoting vary between resolvers)
+     * TXT escapes (\" and \\) are decoded because the wire-format decoder adds them and JSON providers may not
+     * @param {string} recordType - DNS record type
+     * @param {string} data - Record data as returned by the provider
+     * @returns {string} - Normalized record data
+     */
+    normalizeRecordData(recordType, data) {
+        const value = String(data || '').trim();
+
+        if (recordType === 'TXT') {
+            // Join quoted character-strings: "v=spf1 " "-all" -> v=spf1 -all
+            const strings = value.match(/"((?:[^"\\]|\\.)*)"/g);
+            return strings ? strings.map(s => s.slice(1, -1).replace(/\\(.)/g, '$1')).join('') : value;
+        }
+
+        return value.toLowerCase().replace(/\s+/g, ' ').replace(/\.$/, '').replace(/\.(\s)/g, '$1');
+    }
+
     /**
      * Gets record type name from numeric value
      * @param {number} typeNumber - Numeric DNS record type
@@ -557,6 +1162,17 @@ class DNSQueryEngine {
         this.maxRetries = maxRetries;
     }
 
+    /**
+     * Sets how many CNAME hops resolveCNAMEChain() follows
+     * @param {number} depth - Maximum chain depth
+     */
+    setMaxCNAMEChainDepth(depth) {
+        if (!Number.isInteger(depth) || depth < 1 || depth > 32) {
+            throw new Error('CNAME chain depth must be between 1 and 32');
+        }
+        this.maxCNAMEChainDepth = depth;
+    }
+
     /**
      * Gets supported DNS record types
      * @returns {string[]} - Array of supported record type names
@@ -0,0 +1,774 @@
+/**
+ * DNSSEC Validator - Walks the chain of trust from the root to a queried name
+ * Checks DS -> DNSKEY -> RRSIG at every zone cut, verifies the RRSIGs over the DNSKEY and
+ * answer RRsets with WebCrypto, and compares the result with the resolver's own validation
+ * (AD flag / SERVFAIL with and without CD)
+ */
+
+class DNSSECValidator {
+    /**
+     * @param {DNSQueryEngine} dnsEngine - Query engine used for all lookups
+     * @param {string} provider - DoH provider to query (default: 'cloudflare')
+     */
+    constructor(dnsEngine, provider = 'cloudflare') {
+        this.dnsEngine = dnsEngine;
+        this.provider = provider;
+
+        // IANA root zone trust anchors (KSK-2017 and KSK-2024)
+        this.rootTrustAnchors = [
+            { keyTag: 20326, algorithm: 8, digestType: 2, digest: 'E06D44B80B8F1D39A95C0B0D7C65D08458E880409BBC683457104237C7F8EC8D' },
+            { keyTag: 38696, algorithm: 8, digestType: 2, digest: '683D2D0ACB8C9B712A1948B27F741219298D0A450D612C483AF444A4C0FB2B16' }
+        ];
+
+        // Algorithms that must not or should not be used for signing (RFC 8624)
+        this.deprecatedAlgorithms = [1, 3, 5, 6, 7, 12];
+
+        // DS digest types that can be verified with WebCrypto
+        this.digestAlgorithms = {
+            1: 'SHA-1',
+            2: 'SHA-256',
+            4: 'SHA-384'
+        };
+
+        // WebCrypto parameters for verifying RRSIGs, by DNSSEC algorithm number
+        this.signatureAlgorithms = {
+            5: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-1' },
+            7: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-1' },
+            8: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+            10: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' },
+            13: { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' },
+            14: { name: 'ECDSA', namedCurve: 'P-384', hash: 'SHA-384' },
+            15: { name: 'Ed25519' }
+        };
+
+        // Warn when a signature expires within this many days
+        this.signatureExpiryWarningDays = 3;
+    }
+
+    /**
+     * Validates the DNSSEC chain of trust for a name
+     * @param {string} domain - Name to validate
+     * @returns {Promise<Object>} - Chain report with zones, final answer, findings and overall status
+     */
+    async validateChain(domain) {
+        const name = this.toFQDN(domain);
+        const report = {
+            domain,
+            status: 'indeterminate',
+            zones: [],
+            answer: null,
+            findings: [],
+            timestamp: new Date().toISOString()
+        };
+
+        // Walk from the root towards the queried name, keeping only real zone cuts
+        let parentZone = null;
+        for (const candidate of this.getAncestors(name)) {
+            const zone = await this.inspectZone(candidate, parentZone);
+            if (!zone) {
+                continue;
+            }
+            report.zones.push(zone);
+            report.findings.push(...zone.findings);
+            parentZone = zone;
+        }
+
+        if (parentZone) {
+            report.answer = await this.inspectAnswer(name, parentZone);
+            report.findings.push(...report.answer.findings);
+        }
+
+        report.status = this.deriveStatus(report);
+        return report;
+    }
+
+    /**
+     * Inspects a candidate zone cut: DS at the parent, DNSKEY set and its signatures
+     * @param {string} name - Fully qualified candidate zone name
+     * @param {Object|null} parentZone - Parent zone report (null for the root)
+     * @returns {Promise<Object|null>} - Zone report, or null if the name is not a zone apex
+     */
+    async inspectZone(name, parentZone) {
+        const zone = {
+            name,
+            parent: parentZone ? parentZone.name : null,
+            status: 'indeterminate',
+            signed: false,
+            ds: [],
+            dnskeys: [],
+            signatures: [],
+            findings: []
+        };
+
+        // Fetch raw data with checking disabled so a broken chain can still be inspected
+        let dnskeyResult;
+        try {
+            dnskeyResult = await this.query(name, 'DNSKEY', { dnssec: true, checkingDisabled: true });
+        } catch (error) {
+            if (name !== '.' && !parentZone) {
+                return null;
+            }
+            zone.findings.push(this.createFinding('warning', name, `Could not retrieve DNSKEY records for ${name}`, error.message,
+                'Re-run the DNSSEC check; the resolver may be temporarily unavailable'));
+            return zone;
+        }
+
+        const dnskeyRecords = dnskeyResult.records.filter(record => record.parsed && !record.parsed.error);
+        zone.signed = dnskeyRecords.length > 0;
+
+        if (!zone.signed && name !== '.' && !(await this.isZoneApex(name))) {
+            return null;
+        }
+
+        zone.dnskeys = dnskeyRecords.map(record => ({
+            keyTag: record.parsed.keyTag,
+            role: record.parsed.role,
+            algorithm: record.parsed.algorithm,
+            algorithmName: record.parsed.algorithmName,
+            keySize: record.parsed.keySize,
+            revoked: record.parsed.revoked,
+            flags: record.parsed.flags,
+            protocol: record.parsed.protocol,
+            publicKey: record.parsed.publicKey
+        }));
+        zone.signatures = (dnskeyResult.signatures || []).map(record => this.describeSignature(record.parsed, 'DNSKEY'));
+        await this.verifySignatures(zone.signatures, dnskeyResult.signatures || [], name, 'DNSKEY', dnskeyRecords, zone.dnskeys);
+
+        // Delegation signer records come from the parent (trust anchors for the root)
+        if (name === '.') {
+            zone.ds = this.rootTrustAnchors.map(anchor => ({ ...anchor, trustAnchor: true }));
+        } else {
+            try {
+                const dsResult = await this.query(name, 'DS', { dnssec: true, checkingDisabled: true });
+                zone.ds = dsResult.records
+                    .filter(record => record.parsed && !record.parsed.error)
+                    .map(record => ({ ...record.parsed }));
+            } catch (error) {
+                zone.findings.push(this.createFinding('warning', name, `Could not retrieve DS records for ${name}`, error.message,
+                    'Re-run the DNSSEC check; the parent zone servers may be temporarily unavailable'));
+            }
+        }
+
+        await this.verifyDelegationSigners(zone);
+        this.checkZone(zone, parentZone);
+
+        return zone;
+    }
+
+    /**
+     * Matches DS records against the zone's DNSKEYs and verifies their digests
+     * @param {Object} zone - Zone report (ds entries are annotated in place)
+     */
+    async verifyDelegationSigners(zone) {
+        for (const ds of zone.ds) {
+            const candidates = zone.dnskeys.filter(key => key.keyTag === ds.keyTag && key.algorithm === ds.algorithm);
+            ds.matchedKey = candidates.length > 0;
+            ds.verified = null;
+
+            const digestAlgorithm = this.digestAlgorithms[ds.digestType];
+            if (!digestAlgorithm || candidates.length === 0 || !this.hasDigestSupport()) {
+                continue;
+            }
+
+            ds.verified = false;
+            for (const key of candidates) {
+                const digest = await this.computeDSDigest(zone.name, key, digestAlgorithm);
+                if (digest === ds.digest.toUpperCase()) {
+                    ds.verified = true;
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Applies chain-of-trust rules to an inspected zone and sets its status
+     * @param {Object} zone - Zone report
+     * @param {Object|null} parentZone - Parent zone report
+     */
+    checkZone(zone, parentZone) {
+        const name = zone.name;
+        const parentSecure = !parentZone || parentZone.status === 'secure';
+        const hasDS = zone.ds.length > 0;
+
+        if (parentZone && parentZone.status !== 'secure' && parentZone.status !== 'insecure') {
+            // A bogus or unverifiable parent already explains why this zone cannot be trusted
+            zone.status = 'indeterminate';
+            return;
+        }
+
+        if (!parentSecure) {
+            zone.status = 'insecure';
+            if (zone.signed) {
+                zone.findings.push(this.createFinding('info', name, `${name} is signed below an insecure delegation`,
+                    'The zone publishes DNSKEY records but no chain of trust reaches it from the root',
+                    'Fix the chain of trust at the parent zones first'));
+            }
+            return;
+        }
+
+        if (!hasDS) {
+            zone.status = 'insecure';
+            if (zone.signed) {
+                zone.findings.push(this.createFinding('warning', name, `Missing DS record at the parent for ${name}`,
+                    `${name} is signed (DNSKEY ${zone.dnskeys.map(key => key.keyTag).join(', ')}) but ${zone.parent} has no DS record, so validators treat it as unsigned`,
+                    'Publish the DS record for the zone\'s KSK through your registrar to complete the chain of trust'));
+            } else {
+                zone.findings.push(this.createFinding('info', name, `${name} is not DNSSEC signed`,
+                    'The parent zone has no DS record and the zone publishes no DNSKEY records',
+                    'Consider enabling DNSSEC at your DNS provider and publishing the DS record at your registrar'));
+            }
+            return;
+        }
+
+        if (!zone.signed) {
+            zone.status = 'bogus';
+            zone.findings.push(this.createFinding('critical', name, `DS record exists but ${name} publishes no DNSKEY`,
+                `${zone.parent || 'The parent zone'} has DS ${zone.ds.map(ds => ds.keyTag).join(', ')} for ${name}, but the zone returns no DNSKEY records. Validating resolvers will fail every lookup`,
+                'Remove the DS record at the registrar or re-enable DNSSEC signing for the zone'));
+            return;
+        }
+
+        const findingsBefore = zone.findings.length;
+        const keyAlgorithms = new Set(zone.dnskeys.map(key => key.algorithm));
+
+        // DS -> DNSKEY
+        const dsAlgorithmMatches = zone.ds.some(ds => keyAlgorithms.has(ds.algorithm));
+        if (!dsAlgorithmMatches) {
+            zone.findings.push(this.createFinding('critical', name, `DNSSEC algorithm mismatch for ${name}`,
+                `DS records use algorithm ${[...new Set(zone.ds.map(ds => ds.algorithmName || ds.algorithm))].join(', ')} but the zone's DNSKEYs use ${[...new Set(zone.dnskeys.map(key => key.algorithmName))].join(', ')}`,
+                'Update the DS record at the parent to match the current KSK, or finish the algorithm rollover'));
+        } else if (!zone.ds.some(ds => ds.matchedKey)) {
+            zone.findings.push(this.createFinding('critical', name, `No DNSKEY matches the DS records for ${name}`,
+                `DS key tags ${zone.ds.map(ds => ds.keyTag).join(', ')} do not match any DNSKEY (${zone.dnskeys.map(key => key.keyTag).join(', ')})`,
+                'Publish the DS for the zone\'s current KSK at the registrar'));
+        } else if (zone.ds.every(ds => ds.verified === false || !ds.matchedKey) && zone.ds.some(ds => ds.verified === false)) {
+            zone.findings.push(this.createFinding('critical', name, `DS digest does not match DNSKEY for ${name}`,
+                'The DS key tag matches a DNSKEY, but the digest is different, so the key cannot be authenticated',
+                'Regenerate the DS record from the zone\'s KSK and update it at the registrar'));
+        } else {
+            const stale = zone.ds.filter(ds => !ds.matchedKey || ds.verified === false);
+            if (stale.length > 0 && !zone.ds.every(ds => ds.trustAnchor)) {
+                zone.findings.push(this.createFinding('warning', name, `Stale DS record(s) for ${name}`,
+                    `DS key tag(s) ${stale.map(ds => ds.keyTag).join(', ')} do not match a published DNSKEY`,
+                    'Remove DS records for retired keys at the registrar once the key rollover is complete'));
+            }
+        }
+
+        if (zone.ds.every(ds => ds.digestType === 1)) {
+            zone.findings.push(this.createFinding('warning', name, `Only SHA-1 DS digests for ${name}`,
+                'RFC 8624 deprecates SHA-1 DS digests; some validators no longer accept them',
+                'Publish a SHA-256 (digest type 2) DS record'));
+        }
+
+        // DNSKEY RRset signatures
+        const keyTags = new Set(zone.dnskeys.map(key => key.keyTag));
+        const dsKeyTags = new Set(zone.ds.filter(ds => ds.matchedKey).map(ds => ds.keyTag));
+
+        if (zone.signatures.length === 0) {
+            zone.findings.push(this.createFinding('critical', name, `DNSKEY set of ${name} is not signed`,
+                'No RRSIG covers the DNSKEY RRset, so the zone keys cannot be authenticated',
+                'Check the signer configuration at your DNS provider'));
+        } else {
+            if (!zone.signatures.some(signature => dsKeyTags.has(signature.keyTag))) {
+                zone.findings.push(this.createFinding('critical', name, `DNSKEY set of ${name} is not signed by a DS-referenced key`,
+                    `RRSIG key tags ${zone.signatures.map(signature => signature.keyTag).join(', ')} do not include the key referenced by the DS record`,
+                    'Sign the DNSKEY RRset with the KSK published at the parent, or update the DS record'));
+            }
+            if (!zone.signatures.some(signature => keyAlgorithms.has(signature.algorithm))) {
+                zone.findings.push(this.createFinding('critical', name, `RRSIG algorithm mismatch for ${name}`,
+                    'No DNSKEY signature uses an algorithm of the published keys',
+                    'Complete or roll back the algorithm rollover so keys and signatures use the same algorithm'));
+            }
+            for (const signature of zone.signatures) {
+                if (!keyTags.has(signature.keyTag)) {
+                    signature.status = signature.status === 'valid' ? 'unknown-key' : signature.status;
+                }
+                this.addSignatureTimingFinding(zone.findings, name, signature);
+            }
+            this.addSignatureVerificationFindings(zone.findings, name, 'DNSKEY set', zone.signatures.filter(signature => dsKeyTags.has(signature.keyTag)));
+        }
+
+        for (const algorithm of keyAlgorithms) {
+            if (this.deprecatedAlgorithms.includes(algorithm)) {
+                const key = zone.dnskeys.find(k => k.algorithm === algorithm);
+                zone.findings.push(this.createFinding('warning', name, `Deprecated DNSSEC algorithm ${key.algorithmName} used by ${name}`,
+                    'RFC 8624 recommends against signing with this algorithm; validators may treat the zone as insecure',
+                    'Roll the zone to ECDSAP256SHA256 (13) or RSASHA256 (8)'));
+            }
+        }
+
+        const hasCritical = zone.findings.slice(findingsBefore).some(finding => finding.severity === 'critical');
+        zone.status = hasCritical ? 'bogus' : 'secure';
+    }
+
+    /**
+     * Inspects the final answer for the queried name and compares with resolver validation
+     * @param {string} name - Fully qualified queried name
+     * @param {Object} zone - Closest enclosing zone report
+     * @returns {Promise<Object>} - Answer report
+     */
+    async inspectAnswer(name, zone) {
+        const recordType = name === zone.name ? 'SOA' : 'A';
+        const answer = {
+            name,
+            recordType,
+            authenticated: false,
+            recordCount: 0,
+            signatures: [],
+            verified: false,
+            bogus: false,
+            findings: []
+        };
+
+        try {
+            const validated = await this.query(name, recordType, { dnssec: true });
+            answer.authenticated = Boolean(validated.flags && validated.flags.AD);
+            answer.recordCount = validated.records.length;
+            const signatureRecords = (validated.signatures || []).filter(record => record.parsed && record.parsed.typeCovered === recordType && this.toFQDN(record.name) === name);
+            answer.signatures = signatureRecords.map(record => this.describeSignature(record.parsed, recordType));
+            const records = validated.records.filter(record => record.type === recordType && this.toFQDN(record.name) === name);
+            await this.verifySignatures(answer.signatures, signatureRecords, name, recordType, records, zone.dnskeys);
+
+            if (validated.error === 'Server Failure') {
+                // SERVFAIL that disappears with CD set means the resolver rejected the data as bogus
+                const unchecked = await this.query(name, recordType, { dnssec: true, checkingDisabled: true });
+                if (!unchecked.error) {
+                    answer.bogus = true;
+                    answer.recordCount = unchecked.records.length;
+                    answer.findings.push(this.createFinding('critical', name, `Validating resolvers reject ${name} as bogus`,
+                        `The ${recordType} lookup fails with SERVFAIL when DNSSEC validation is on, but succeeds with checking disabled`,
+                        'Fix the DNSSEC chain of trust (DS, DNSKEY and signatures) — validating resolvers cannot resolve this name'));
+                }
+            }
+        } catch (error) {
+            answer.findings.push(this.createFinding('warning', name, `Could not verify the ${recordType} answer for ${name}`, error.message,
+                'Re-run the DNSSEC check'));
+            return answer;
+        }
+
+        for (const signature of answer.signatures) {
+            this.addSignatureTimingFinding(answer.findings, name, signature);
+        }
+        this.addSignatureVerificationFindings(answer.findings, name, `${recordType} answer`, answer.signatures);
+        answer.verified = answer.signatures.some(signature => signature.verified === true);
+
+        if (zone.status === 'secure' && !answer.bogus) {
+            if (answer.recordCount > 0 && answer.signatures.length === 0) {
+                answer.findings.push(this.createFinding('critical', name, `${recordType} answer for ${name} is not signed`,
+                    `${zone.name} is a signed zone, but the ${recordType} RRset has no RRSIG`,
+                    'Check the signer configuration at your DNS provider'));
+            } else if (!answer.authenticated) {
+                answer.findings.push(this.createFinding('info', name, 'Resolver did not set the AD (authenticated data) flag',
+                    'The chain of trust checks passed, but the resolver did not report the answer as validated',
+                    'No action needed unless validating resolvers report errors'));
+            }
+        }
+
+        return answer;
+    }
+
+    /**
+     * Derives the overall chain status from the zone and answer reports
+     * @param {Object} report - Chain report
+     * @returns {string} - secure, insecure, bogus or indeterminate
+     */
+    deriveStatus(report) {
+        if (report.findings.some(finding => finding.severity === 'critical') ||
+            report.zones.some(zone => zone.status === 'bogus')) {
+            return 'bogus';
+        }
+        if (report.zones.some(zone => zone.status === 'insecure')) {
+            return 'insecure';
+        }
+        if (report.zones.length > 0 && report.zones.every(zone => zone.status === 'secure')) {
+            return 'secure';
+        }
+        return 'indeterminate';
+    }
+
+    /**
+     * Summarizes an RRSIG and classifies its validity window
+     * @param {Object} parsed - Parsed RRSIG fields
+     * @param {string} covers - Record type the signature covers
+     * @returns {Object} - Signature summary with status
+     */
+    describeSignature(parsed, covers) {
+        const now = Date.now();
+        const inception = Date.parse(parsed.inception);
+        const expiration = Date.parse(parsed.expiration);
+        let status = 'valid';
+
+        if (now > expiration) {
+            status = 'expired';
+        } else if (now < inception) {
+            status = 'not-yet-valid';
+        } else if (expiration - now < this.signatureExpiryWarningDays * 86400000) {
+            status = 'expiring';
+        }
+
+        return {
+            covers,
+            keyTag: parsed.keyTag,
+            algorithm: parsed.algorithm,
+            algorithmName: parsed.algorithmName,
+            signerName: parsed.signerName,
+            inception: parsed.inception,
+            expiration: parsed.expiration,
+            status,
+            // Set by verifySignatures(): true or false once checked, null if this browser cannot verify it
+            verified: null
+        };
+    }
+
+    /**
+     * Adds a finding for expired, not-yet-valid or soon-expiring signatures
+     * @param {Array} findings - Findings list to extend
+     * @param {string} name - Owner name
+     * @param {Object} signature - Signature summary
+     */
+    addSignatureTimingFinding(findings, name, signature) {
+        if (signature.status === 'expired') {
+            findings.push(this.createFinding('critical', name, `Expired RRSIG on ${signature.covers} for ${name}`,
+                `Signature by key ${signature.keyTag} expired at ${signature.expiration}`,
+                'Re-sign the zone; check that the signer is running and its clock is correct'));
+        } else if (signature.status === 'not-yet-valid') {
+            findings.push(this.createFinding('critical', name, `RRSIG on ${signature.covers} for ${name} is not yet valid`,
+                `Signature by key ${signature.keyTag} becomes valid at ${signature.inception}`,
+                'Check the signer\'s clock; signatures with a future inception time are rejected'));
+        } else if (signature.status === 'expiring') {
+            findings.push(this.createFinding('warning', name, `RRSIG on ${signature.covers} for ${name} expires soon`,
+                `Signature by key ${signature.keyTag} expires at ${signature.expiration}`,
+                'Verify that automatic re-signing is working'));
+        }
+    }
+
+    /**
+     * Adds findings for RRSIGs whose signature does not verify, or that this browser cannot verify
+     * @param {Array} findings - Findings list to extend
+     * @param {string} name - Owner name
+     * @param {string} label - What the signatures cover (e.g. "DNSKEY set", "A answer")
+     * @param {Object[]} signatures - Signature summaries after verifySignatures()
+     */
+    addSignatureVerificationFindings(findings, name, label, signatures) {
+        const failed = signatures.filter(signature => signature.verified === false);
+
+        if (signatures.some(signature => signature.verified === true)) {
+            for (const signature of failed) {
+                findings.push(this.createFinding('warning', name, `RRSIG by key ${signature.keyTag} on the ${label} of ${name} does not verify`,
+                    'Another signature over the same records verifies, so validators still accept them',
+                    'Check the signer configuration at your DNS provider; a key may have been replaced without re-signing'));
+            }
+        } else if (failed.length > 0) {
+            findings.push(this.createFinding('critical', name, `Invalid signature on the ${label} of ${name}`,
+                `The RRSIG(s) by key ${failed.map(signature => signature.keyTag).join(', ')} do not verify against the published DNSKEY, so validators reject the records`,
+                'Re-sign the zone; check that the records were not changed after signing and that the signing key is published'));
+        } else if (signatures.length > 0) {
+            findings.push(this.createFinding('info', name, `Signatures on the ${label} of ${name} were not verified locally`,
+                `This browser cannot verify ${[...new Set(signatures.map(signature => signature.algorithmName))].join(', ')} signatures, or the signing key is missing; only their key tags and validity windows were checked`,
+                'Rely on the resolver\'s AD flag for these records or re-run the check in a browser with WebCrypto support for the algorithm'));
+        }
+    }
+
+    /**
+     * Verifies RRSIGs over one RRset with WebCrypto and stores the result on the signature summaries
+     * @param {Object[]} summaries - Signature summaries from describeSignature() (verified is set in place)
+     * @param {Object[]} signatureRecords - RRSIG records in the same order as summaries
+     * @param {string} ownerName - Fully qualified owner name of the RRset
+     * @param {string} recordType - Type of the RRset
+     * @param {Object[]} records - Records of the RRset
+     * @param {Object[]} keys - DNSKEY summaries of the signing zone
+     */
+    async verifySignatures(summaries, signatureRecords, ownerName, recordType, records, keys) {
+        for (let i = 0; i < summaries.length; i++) {
+            summaries[i].verified = await this.verifySignature(signatureRecords[i].parsed, ownerName, recordType, records, keys);
+        }
+    }
+
+    /**
+     * Verifies one RRSIG over an RRset (RFC 4034 section 3.1.8.1)
+     * @param {Object} rrsig - Parsed RRSIG fields
+     * @param {string} ownerName - Fully qualified owner name of the RRset
+     * @param {string} recordType - Type of the RRset
+     * @param {Object[]} records - Records of the RRset
+     * @param {Object[]} keys - DNSKEY summaries of the signing zone
+     * @returns {Promise<boolean|null>} - Whether the signature verifies, or null if it cannot be checked
+     *   (unsupported algorithm or record type, missing key, no WebCrypto)
+     */
+    async verifySignature(rrsig, ownerName, recordType, records, keys) {
+        const params = this.signatureAlgorithms[rrsig.algorithm];
+        const candidates = keys.filter(key => key.keyTag === rrsig.keyTag && key.algorithm === rrsig.algorithm);
+        if (!params || candidates.length === 0 || records.length === 0 || !this.hasDigestSupport()) {
+            return null;
+        }
+
+        let data;
+        try {
+            data = this.buildSignedData(rrsig, ownerName, recordType, records.map(record => this.encodeRdata(recordType, record)));
+        } catch (error) {
+            return null;
+        }
+        const signature = this.dnsEngine.parser.base64ToBytes(rrsig.signature);
+
+        for (const key of candidates) {
+            try {
+                const publicKey = await this.importPublicKey(key, params);
+                if (await crypto.subtle.verify(params, publicKey, signature, data)) {
+                    return true;
+                }
+            } catch (error) {
+                // The browser does not support the algorithm (e.g. Ed25519) or rejects the key
+                return null;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Builds the data an RRSIG signs: its RDATA without the signature followed by the RRset in
+     * canonical form (RFC 4034 sections 3.1.8.1 and 6)
+     * @param {Object} rrsig - Parsed RRSIG fields
+     * @param {string} ownerName - Fully qualified owner name of the RRset
+     * @param {string} recordType - Type of the RRset
+     * @param {Uint8Array[]} rdatas - Wire-format RDATA of every record
+     * @returns {Uint8Array} - Signed data
+     */
+    buildSignedData(rrsig, ownerName, recordType, rdatas) {
+        const codec = this.dnsEngine.codec;
+        const type = this.dnsEngine.recordTypes[recordType];
+
+        // Records matched through a wildcard are signed with the wildcard as owner
+        const labels = ownerName === '.' ? [] : ownerName.replace(/\.$/, '').split('.');
+        const owner = codec.encodeName(labels.length > rrsig.labels ? ['*', ...labels.slice(labels.length - rrsig.labels)].join('.') : ownerName);
+
+        const signer = codec.encodeName(rrsig.signerName.toLowerCase());
+        const header = new Uint8Array(18 + signer.length);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint16(0, type);
+        header[2] = rrsig.algorithm;
+        header[3] = rrsig.labels;
+        headerView.setUint32(4, rrsig.originalTTL);
+        headerView.setUint32(8, Date.parse(rrsig.expiration) / 1000);
+        headerView.setUint32(12, Date.parse(rrsig.inception) / 1000);
+        headerView.setUint16(16, rrsig.keyTag);
+        header.set(signer, 18);
+
+        // Canonical RR order is by RDATA as left-justified unsigned octet sequences, without duplicates
+        const compare = (a, b) => {
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                if (a[i] !== b[i]) {
+                    return a[i] - b[i];
+                }
+            }
+            return a.length - b.length;
+        };
+        const sorted = [...rdatas].sort(compare).filter((rdata, index, list) => index === 0 || compare(rdata, list[index - 1]) !== 0);
+
+        const parts = [header];
+        for (const rdata of sorted) {
+            const fixed = new Uint8Array(10);
+            const fixedView = new DataView(fixed.buffer);
+            fixedView.setUint16(0, type);
+            fixedView.setUint16(2, 1); // class IN
+            fixedView.setUint32(4, rrsig.originalTTL);
+            fixedView.setUint16(8, rdata.length);
+            parts.push(owner, fixed, rdata);
+        }
+
+        const data = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            data.set(part, offset);
+            offset += part.length;
+        }
+        return data;
+    }
+
+    /**
+     * Encodes the RDATA of a record in canonical wire format (domain names lowercased)
+     * @param {string} recordType - DNSKEY, A, AAAA or SOA (the RRsets the chain walk verifies)
+     * @param {Object} record - Record with data (and parsed fields for DNSKEY)
+     * @returns {Uint8Array} - RDATA
+     */
+    encodeRdata(recordType, record) {
+        const codec = this.dnsEngine.codec;
+        const parser = this.dnsEngine.parser;
+
+        switch (recordType) {
+            case 'DNSKEY': {
+                const key = record.parsed;
+                const keyBytes = parser.base64ToBytes(key.publicKey);
+                const rdata = new Uint8Array(4 + keyBytes.length);
+                rdata[0] = key.flags >> 8;
+                rdata[1] = key.flags & 0xff;
+                rdata[2] = key.protocol;
+                rdata[3] = key.algorithm;
+                rdata.set(keyBytes, 4);
+                return rdata;
+            }
+            case 'A':
+                return new Uint8Array(record.data.trim().split('.').map(octet => parseInt(octet, 10)));
+            case 'AAAA':
+                return codec.fromHex(this.dnsEngine.expandIPv6(record.data.trim()));
+            case 'SOA': {
+                // The parser drops escapes, so a mailbox such as first\.last would be re-encoded as two labels
+                if (record.data.includes('\\')) {
+                    throw new Error('SOA names with escapes are not encoded');
+                }
+                const soa = parser.parse('SOA', record.data);
+                if (soa.error) {
+                    throw new Error(soa.error);
+                }
+                const mname = codec.encodeName(soa.mname);
+                const rname = codec.encodeName(soa.rname);
+                const rdata = new Uint8Array(mname.length + rname.length + 20);
+                const view = new DataView(rdata.buffer);
+                rdata.set(mname, 0);
+                rdata.set(rname, mname.length);
+                ['serial', 'refresh', 'retry', 'expire', 'minimum'].forEach((field, index) => {
+                    view.setUint32(mname.length + rname.length + index * 4, soa[field]);
+                });
+                return rdata;
+            }
+            default:
+                throw new Error(`Cannot encode ${recordType} RDATA`);
+        }
+    }
+
+    /**
+     * Imports a DNSKEY public key for WebCrypto verification
+     * @param {Object} key - DNSKEY summary (algorithm, publicKey)
+     * @param {Object} params - WebCrypto algorithm parameters from signatureAlgorithms
+     * @returns {Promise<CryptoKey>} - Public key
+     */
+    importPublicKey(key, params) {
+        const keyBytes = this.dnsEngine.parser.base64ToBytes(key.publicKey);
+        const base64url = bytes => this.dnsEngine.codec.toBase64Url(bytes);
+
+        if (params.name === 'RSASSA-PKCS1-v1_5') {
+            // RFC 3110: exponent length (1 octet, or 0 followed by 2 octets), exponent, modulus
+            const lengthSize = keyBytes[0] === 0 ? 3 : 1;
+            const exponentLength = keyBytes[0] === 0 ? (keyBytes[1] << 8) | keyBytes[2] : keyBytes[0];
+            const exponent = keyBytes.slice(lengthSize, lengthSize + exponentLength);
+            let modulus = keyBytes.slice(lengthSize + exponentLength);
+            while (modulus.length > 1 && modulus[0] === 0) {
+                modulus = modulus.slice(1);
+            }
+            return crypto.subtle.importKey('jwk', { kty: 'RSA', n: base64url(modulus), e: base64url(exponent) },
+                { name: params.name, hash: params.hash }, false, ['verify']);
+        }
+
+        if (params.name === 'ECDSA') {
+            // RFC 6605: the uncompressed point without its 0x04 prefix
+            const half = keyBytes.length / 2;
+            return crypto.subtle.importKey('jwk', { kty: 'EC', crv: params.namedCurve, x: base64url(keyBytes.slice(0, half)), y: base64url(keyBytes.slice(half)) },
+                { name: params.name, namedCurve: params.namedCurve }, false, ['verify']);
+        }
+
+        return crypto.subtle.importKey('raw', keyBytes, { name: params.name }, false, ['verify']);
+    }
+
+    /**
+     * Computes the DS digest for a DNSKEY (RFC 4034 section 5.1.4)
+     * @param {string} ownerName - Fully qualified zone name
+     * @param {Object} key - DNSKEY summary (flags, protocol, algorithm, publicKey)
+     * @param {string} digestAlgorithm - WebCrypto digest name
+     * @returns {Promise<string>} - Uppercase hex digest
+     */
+    async computeDSDigest(ownerName, key, digestAlgorithm) {
+        const codec = this.dnsEngine.codec;
+        const owner = codec.encodeName(ownerName.toLowerCase());
+        const keyBytes = this.dnsEngine.parser.base64ToBytes(key.publicKey);
+        const data = new Uint8Array(owner.length + 4 + keyBytes.length);
+
+        data.set(owner, 0);
+        data[owner.length] = key.flags >> 8;
+        data[owner.length + 1] = key.flags & 0xff;
+        data[owner.length + 2] = key.protocol;
+        data[owner.length + 3] = key.algorithm;
+        data.set(keyBytes, owner.length + 4);
+
+        const digest = await crypto.subtle.digest(digestAlgorithm, data);
+        return codec.toHex(new Uint8Array(digest));
+    }
+
+    /**
+     * Checks whether WebCrypto digests are available (requires a secure context)
+     * @returns {boolean} - True if DS digests can be verified
+     */
+    hasDigestSupport() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+    }
+
+    /**
+     * Determines whether an unsigned name is a zone apex (has its own SOA)
+     * @param {string} name - Fully qualified name
+     * @returns {Promise<boolean>} - True if the name owns an SOA record
+     */
+    async isZoneApex(name) {
+        try {
+            const result = await this.query(name, 'SOA', { checkingDisabled: true });
+            return result.records.some(record => this.toFQDN(record.name) === name);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Queries a name through the engine
+     * @param {string} name - Fully qualified name
+     * @param {string} recordType - DNS record type
+     * @param {Object} options - Query options (dnssec, checkingDisabled)
+     * @returns {Promise<Object>} - Parsed query result
+     */
+    query(name, recordType, options) {
+        const queryName = name === '.' ? '.' : name.replace(/\.$/, '');
+        return this.dnsEngine.queryDNS(queryName, recordType, this.provider, options);
+    }
+
+    /**
+     * Lists a name and all its ancestors from the root down
+     * @param {string} name - Fully qualified name
+     * @returns {string[]} - e.g. ['.', 'com.', 'example.com.', 'www.example.com.']
+     */
+    getAncestors(name) {
+        if (name === '.') {
+            return ['.'];
+        }
+        const labels = name.replace(/\.$/, '').split('.');
+        const ancestors = ['.'];
+        for (let i = labels.length - 1; i >= 0; i--) {
+            ancestors.push(labels.slice(i).join('.') + '.');
+        }
+        return ancestors;
+    }
+
+    /**
+     * Normalizes a name to lowercase fully qualified form
+     * @param {string} name - Domain name
+     * @returns {string} - Name with a trailing dot
+     */
+    toFQDN(name) {
+        const clean = String(name || '').trim().toLowerCase();
+        if (clean === '' || clean === '.') {
+            return '.';
+        }
+        return clean.endsWith('.') ? clean : `${clean}.`;
+    }
+
+    /**
+     * Creates a finding entry
+     * @param {string} severity - critical, warning or info
+     * @param {string} zone - Zone or name the finding applies to
+     * @param {string} message - Short message
+     * @param {string} description - Detailed description
+     * @param {string} recommendation - Suggested fix
+     * @returns {Object} - Finding
+     */
+    createFinding(severity, zone, message, description, recommendation) {
+        return { severity, zone, message, description, recommendation };
+    }
+}
+
+// Export for use in other modules
+window.DNSSECValidator = DNSSECValidator;
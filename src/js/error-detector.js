@@ -4,7 +4,12 @@
  */
 
 class DNSErrorDetector {
-    constructor() {
+    /**
+     * @param {DNSQueryEngine} dnsEngine - Query engine used by checks that need live lookups (optional)
+     */
+    constructor(dnsEngine = null) {
+        this.dnsEngine = dnsEngine;
+
         // Common DNS error types and their severity levels
         this.errorTypes = {
             MISSING_RECORD: 'missing_record',
@@ -13,7 +18,11 @@ class DNSErrorDetector {
             INVALID_MX: 'invalid_mx',
             MISSING_SECURITY: 'missing_security',
             PROPAGATION_ISSUE: 'propagation_issue',
-            CONFIGURATION_ERROR: 'configuration_error'
+            CONFIGURATION_ERROR: 'configuration_error',
+            DNSSEC_ERROR: 'dnssec_error',
+            SUBDOMAIN_TAKEOVER: 'subdomain_takeover',
+            DELEGATION_ERROR: 'delegation_error',
+            ZONE_DRIFT: 'zone_drift'
         };
 
         this.severityLevels = {
@@ -22,7 +31,8 @@ class DNSErrorDetector {
             INFO: 'info'
         };
 
-        // TTL validation thresholds (disabled)
+        // TTL limits; the recommended range is the "*" entry of the default profile and
+        // TTLs beyond VERY_LOW/VERY_HIGH are warnings under every profile
         this.ttlThresholds = {
             MIN_RECOMMENDED: 300,     // 5 minutes
             MAX_RECOMMENDED: 86400,   // 24 hours
@@ -30,6 +40,113 @@ class DNSErrorDetector {
             VERY_HIGH: 604800        // 7 days
         };
 
+        // TTL policy profiles: per record type { min, max } ranges ("*" applies to all other types)
+        // plus the tradeoff explained when a TTL is below or above the range
+        this.ttlProfiles = {
+            default: {
+                name: 'Default',
+                description: 'Balanced TTLs for zones that change occasionally',
+                thresholds: {
+                    '*': { min: this.ttlThresholds.MIN_RECOMMENDED, max: this.ttlThresholds.MAX_RECOMMENDED },
+                    NS: { min: 3600, max: 172800 },
+                    SOA: { min: 3600, max: 172800 }
+                },
+                lowTradeoff: 'Resolvers have to ask your nameservers again after this short time, which adds lookup latency for users and load on the nameservers, and a nameserver outage is felt almost immediately',
+                highTradeoff: 'Changes take this long to reach every resolver, so a mistake cannot be rolled back quickly',
+                highSeverity: this.severityLevels.INFO
+            },
+            'pre-migration': {
+                name: 'Pre-migration (low TTL)',
+                description: 'Short TTLs ahead of a planned cutover so the change reaches every resolver quickly',
+                thresholds: {
+                    '*': { min: 30, max: 3600 },
+                    A: { min: 30, max: 300 },
+                    AAAA: { min: 30, max: 300 },
+                    CNAME: { min: 30, max: 300 },
+                    MX: { min: 30, max: 300 },
+                    HTTPS: { min: 30, max: 300 },
+                    SVCB: { min: 30, max: 300 },
+                    NS: { min: 300, max: 86400 },
+                    SOA: { min: 300, max: 86400 }
+                },
+                lowTradeoff: 'Very short TTLs barely speed up the cutover further but multiply the queries your nameservers have to answer',
+                highTradeoff: 'Resolvers keep serving the old value for up to this long after the cutover; lower the TTL at least one full old TTL before the change so every cache has expired by then',
+                highSeverity: this.severityLevels.WARNING
+            },
+            'stable-production': {
+                name: 'Stable production',
+                description: 'Long TTLs for records that rarely change, favouring cache hits and resilience',
+                thresholds: {
+                    '*': { min: 3600, max: 86400 },
+                    NS: { min: 86400, max: 172800 },
+                    SOA: { min: 86400, max: 172800 },
+                    DS: { min: 3600, max: 86400 },
+                    DNSKEY: { min: 3600, max: 86400 }
+                },
+                lowTradeoff: 'Short TTLs give up the caching a stable zone can afford: more lookups wait on your nameservers and cached answers run out quickly when the nameservers are unreachable',
+                highTradeoff: 'Even a stable zone occasionally needs an emergency change; TTLs above a day delay it for every user',
+                highSeverity: this.severityLevels.INFO
+            }
+        };
+
+        // SOA timer recommendations (RFC 1912 section 2.2, RFC 2308 section 5 for minimum)
+        this.soaThresholds = {
+            REFRESH_MIN: 1200,        // 20 minutes
+            REFRESH_MAX: 43200,       // 12 hours
+            RETRY_MIN: 120,           // 2 minutes
+            EXPIRE_MIN: 1209600,      // 2 weeks
+            EXPIRE_MAX: 2419200,      // 4 weeks
+            MINIMUM_RECOMMENDED: 10800, // 3 hours
+            MINIMUM_MAX: 86400        // 1 day
+        };
+
+        // Multi-label public suffixes used to find the organizational domain (RFC 7489 section 3.2)
+        // without shipping the full Public Suffix List
+        this.multiLabelSuffixes = [
+            'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'ltd.uk', 'plc.uk', 'me.uk',
+            'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+            'co.nz', 'org.nz', 'co.za', 'co.jp', 'ne.jp', 'or.jp', 'co.kr', 'co.in',
+            'com.br', 'com.cn', 'com.mx', 'com.tr', 'com.sg', 'com.hk', 'com.tw', 'com.ar'
+        ];
+
+        // TXT tokens published by third-party services (domain verification) and email policies
+        this.txtServicePatterns = [
+            { service: 'Google', pattern: /^google-site-verification=/i, category: 'verification' },
+            { service: 'Microsoft 365', pattern: /^MS=ms\d+/i, category: 'verification' },
+            { service: 'Meta (Facebook)', pattern: /^facebook-domain-verification=/i, category: 'verification' },
+            { service: 'Atlassian', pattern: /^atlassian-domain-verification=/i, category: 'verification' },
+            { service: 'Atlassian Statuspage', pattern: /^status-page-domain-verification=/i, category: 'verification' },
+            { service: 'DocuSign', pattern: /^docusign=/i, category: 'verification' },
+            { service: 'Apple', pattern: /^apple-domain-verification=/i, category: 'verification' },
+            { service: 'Stripe', pattern: /^stripe-verification=/i, category: 'verification' },
+            { service: 'Adobe', pattern: /^adobe-(idp-site|sign)-verification=/i, category: 'verification' },
+            { service: 'Zoom', pattern: /^(zoom-domain-verification=|ZOOM_verify_)/i, category: 'verification' },
+            { service: 'Slack', pattern: /^slack-domain-verification=/i, category: 'verification' },
+            { service: 'Dropbox', pattern: /^dropbox-domain-verification=/i, category: 'verification' },
+            { service: 'Cisco Webex', pattern: /^(cisco-ci-domain-verification=|webexdomainverification\.)/i, category: 'verification' },
+            { service: 'HubSpot', pattern: /^hubspot-(developer|site)-verification=/i, category: 'verification' },
+            { service: 'OneTrust', pattern: /^onetrust-domain-verification=/i, category: 'verification' },
+            { service: 'GlobalSign', pattern: /^_?globalsign-domain-verification=/i, category: 'verification' },
+            { service: 'Amazon SES', pattern: /^amazonses:/i, category: 'verification' },
+            { service: 'Brevo', pattern: /^(brevo|sendinblue)-code:/i, category: 'verification' },
+            { service: 'Twilio', pattern: /^twilio-domain-verification=/i, category: 'verification' },
+            { service: 'OpenAI', pattern: /^openai-domain-verification=/i, category: 'verification' },
+            { service: 'Yandex', pattern: /^yandex-verification:/i, category: 'verification' },
+            { service: 'Pinterest', pattern: /^pinterest-site-verification=/i, category: 'verification' },
+            { service: 'Ahrefs', pattern: /^ahrefs-site-verification_/i, category: 'verification' },
+            { service: 'Keybase', pattern: /^keybase-site-verification=/i, category: 'verification' },
+            { service: 'MongoDB', pattern: /^mongodb-site-verification=/i, category: 'verification' },
+            { service: 'Miro', pattern: /^miro-verification=/i, category: 'verification' },
+            { service: 'Postman', pattern: /^postman-domain-verification=/i, category: 'verification' },
+            { service: 'TeamViewer', pattern: /^teamviewer-sso-verification=/i, category: 'verification' },
+            { service: 'Citrix', pattern: /^citrix-verification-code=/i, category: 'verification' },
+            { service: 'GitLab Pages', pattern: /^gitlab-pages-verification-code=/i, category: 'verification' },
+            { service: 'SPF', pattern: /^v=spf1(\s|$)/i, category: 'policy' },
+            // Only valid at _dmarc and selector._domainkey, never at the domain itself
+            { service: 'DMARC', pattern: /^v=DMARC1/i, category: 'policy', misplaced: true },
+            { service: 'DKIM', pattern: /^v=DKIM1/i, category: 'policy', misplaced: true }
+        ];
+
         // Common security record patterns
         this.securityRecordPatterns = {
             SPF: /^v=spf1\s/i,
@@ -111,13 +228,118 @@ class DNSErrorDetector {
     }
 
     /**
-     * Validates TTL values across all DNS records
+     * Validates TTL values of every record set against a TTL policy profile
+     * DoH resolvers report the remaining cache time, so the highest TTL seen in a set is used
+     * as the closest value to the zone's configured TTL
      * @param {Object} dnsRecords - DNS records organized by type
-     * @returns {Array} - Array of TTL-related warnings and errors (disabled)
+     * @param {Object} options - TTL policy options
+     * @param {string} options.ttlProfile - Profile name from ttlProfiles (default: "default")
+     * @param {Object} options.ttlThresholds - Custom { TYPE: { min, max } } ranges overriding the profile
+     * @returns {Array} - Array of TTL-related warnings and info items
+     */
+    analyzeTTL(dnsRecords, options = {}) {
+        const issues = [];
+        const policy = this.getTTLPolicy(options.ttlProfile, options.ttlThresholds);
+
+        for (const [recordType, recordData] of Object.entries(dnsRecords)) {
+            // Pseudo record sets (DMARC, DKIM, ...) hold TXT records and are checked as TXT by their own validators
+            const records = recordData && Array.isArray(recordData.records)
+                ? recordData.records.filter(record => record.type === recordType && Number.isFinite(record.ttl))
+                : [];
+            if (records.length === 0) {
+                continue;
+            }
+
+            const range = policy.thresholds[recordType] || policy.thresholds['*'];
+            if (!range) {
+                continue;
+            }
+
+            const ttl = Math.max(...records.map(record => record.ttl));
+            const recordName = records[0].name;
+            const profileNote = `${policy.name} profile: ${this.formatRange(range)} for ${recordType}`;
+
+            if (range.max !== undefined && ttl > range.max) {
+                issues.push({
+                    type: this.errorTypes.INVALID_TTL,
+                    severity: ttl > this.ttlThresholds.VERY_HIGH ? this.severityLevels.WARNING : policy.highSeverity,
+                    message: `${recordType} TTL of ${this.formatDuration(ttl)} is above the ${policy.name} TTL policy`,
+                    description: `${policy.highTradeoff} (${profileNote})`,
+                    recommendation: `Lower the ${recordType} TTL to ${range.max} seconds (${this.formatDuration(range.max)}) or less`,
+                    affectedRecords: [recordType],
+                    recordName,
+                    currentValue: ttl,
+                    profile: policy.id
+                });
+            } else if (range.min !== undefined && ttl < range.min) {
+                issues.push({
+                    type: this.errorTypes.INVALID_TTL,
+                    severity: ttl < this.ttlThresholds.VERY_LOW ? this.severityLevels.WARNING : this.severityLevels.INFO,
+                    message: `${recordType} TTL of ${this.formatDuration(ttl)} is below the ${policy.name} TTL policy`,
+                    description: `${policy.lowTradeoff} (${profileNote}). Resolvers report the time left in their cache, so the configured TTL may be higher than shown`,
+                    recommendation: `Raise the ${recordType} TTL to at least ${range.min} seconds (${this.formatDuration(range.min)}) unless a change is planned`,
+                    affectedRecords: [recordType],
+                    recordName,
+                    currentValue: ttl,
+                    profile: policy.id
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Builds the TTL policy from a profile and custom per-type thresholds
+     * @param {string} profileName - Key of ttlProfiles (unknown names fall back to "default")
+     * @param {Object} customThresholds - { TYPE: { min, max } } ranges; a missing bound keeps the profile's value
+     * @returns {Object} - { id, name, thresholds, lowTradeoff, highTradeoff, highSeverity }
+     */
+    getTTLPolicy(profileName = 'default', customThresholds = {}) {
+        const id = this.ttlProfiles[profileName] ? profileName : 'default';
+        const profile = this.ttlProfiles[id];
+        const thresholds = { ...profile.thresholds };
+
+        for (const [recordType, range] of Object.entries(customThresholds || {})) {
+            const key = recordType === '*' ? '*' : recordType.toUpperCase();
+            const base = thresholds[key] || thresholds['*'];
+            thresholds[key] = {
+                min: Number.isFinite(range.min) ? range.min : base.min,
+                max: Number.isFinite(range.max) ? range.max : base.max
+            };
+        }
+
+        const customized = Object.keys(customThresholds || {}).length > 0;
+        return {
+            ...profile,
+            id,
+            name: customized ? `${profile.name} (custom)` : profile.name,
+            thresholds
+        };
+    }
+
+    /**
+     * Formats a TTL range for issue descriptions
+     * @param {Object} range - { min, max } in seconds
+     * @returns {string} - e.g. "5m-1d"
+     */
+    formatRange(range) {
+        return `${this.formatDuration(range.min)}-${this.formatDuration(range.max)}`;
+    }
+
+    /**
+     * Formats seconds as a short duration (30s, 5m, 1h, 2d, 1w)
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} - Formatted duration
      */
-    analyzeTTL(dnsRecords) {
-        // TTL validation disabled - return empty array
-        return [];
+    formatDuration(seconds) {
+        const units = [['w', 604800], ['d', 86400], ['h', 3600], ['m', 60]];
+        for (const [unit, size] of units) {
+            if (seconds >= size && seconds % size === 0) {
+                return `${seconds / size}${unit}`;
+            }
+        }
+        return `${seconds}s`;
     }
 
     /**
@@ -133,6 +355,11 @@ class DNSErrorDetector {
             return errors;
         }
 
+        // A chain resolved hop by hop sees loops and dead ends that span several names
+        if (dnsRecords.CNAME.chain) {
+            return this.getCNAMEChainIssues(dnsRecords.CNAME.chain);
+        }
+
         const cnameChain = new Set();
         const visited = new Set();
 
@@ -197,6 +424,132 @@ class DNSErrorDetector {
         return errors;
     }
 
+    /**
+     * Follows the domain's CNAME chain across names and stores it on the CNAME record set
+     * @param {Object} dnsRecords - DNS records organized by type (CNAME entry replaced with a copy carrying the chain)
+     * @param {string} domain - Domain being analyzed
+     * @param {Object} options - Analysis options (cnameDepth)
+     * @returns {Promise<Object|null>} - Chain from DNSQueryEngine.resolveCNAMEChain(), or null without a CNAME
+     */
+    async collectCNAMEChain(dnsRecords, domain, options = {}) {
+        if (!dnsRecords.CNAME || !dnsRecords.CNAME.records || dnsRecords.CNAME.records.length === 0) {
+            return null;
+        }
+
+        const depth = options.cnameDepth || this.dnsEngine.maxCNAMEChainDepth;
+        const chain = await this.dnsEngine.resolveCNAMEChain(domain, depth);
+
+        // Copy the record set so cached query results are not modified
+        dnsRecords.CNAME = { ...dnsRecords.CNAME, chain };
+        return chain;
+    }
+
+    /**
+     * Converts a resolved CNAME chain into issues (loops, dead ends, depth limit, long chains)
+     * @param {Object} chain - Result from DNSQueryEngine.resolveCNAMEChain()
+     * @returns {Array} - Array of CNAME chain issues
+     */
+    getCNAMEChainIssues(chain) {
+        const issues = [];
+        const path = [...chain.hops.map(hop => hop.name), chain.terminal ? chain.terminal.name : ''].filter(Boolean).join(' → ');
+        const baseIssue = {
+            affectedRecords: ['CNAME'],
+            recordName: chain.domain,
+            chainLength: chain.hops.length,
+            chain: path
+        };
+
+        switch (chain.status) {
+            case 'loop':
+                issues.push({
+                    ...baseIssue,
+                    type: this.errorTypes.CIRCULAR_CNAME,
+                    severity: this.severityLevels.CRITICAL,
+                    message: `Circular CNAME reference detected in chain starting from ${chain.domain}`,
+                    description: `CNAME chain creates a loop: ${path}`,
+                    recommendation: 'Break the circular reference by updating one of the CNAME records'
+                });
+                break;
+            case 'dead-end':
+                issues.push({
+                    ...baseIssue,
+                    type: this.errorTypes.CONFIGURATION_ERROR,
+                    severity: this.severityLevels.CRITICAL,
+                    message: `CNAME chain for ${chain.domain} ends without an address`,
+                    description: `The chain ${path} ends at ${chain.terminal.name}, which has no A or AAAA records${chain.terminal.error ? ` (${chain.terminal.error})` : ''}`,
+                    recommendation: `Point the CNAME at a name that resolves, or remove the record if ${chain.terminal.name} was decommissioned`
+                });
+                break;
+            case 'depth-exceeded':
+                issues.push({
+                    ...baseIssue,
+                    type: this.errorTypes.CONFIGURATION_ERROR,
+                    severity: this.severityLevels.WARNING,
+                    message: `CNAME chain for ${chain.domain} is longer than ${chain.maxDepth} hops`,
+                    description: `Resolution stopped after ${chain.maxDepth} hops at ${chain.terminal.name}; many resolvers give up on chains this long`,
+                    recommendation: 'Shorten the chain by pointing the CNAME closer to the final target'
+                });
+                break;
+            case 'resolved':
+                if (chain.hops.length > 3) {
+                    issues.push({
+                        ...baseIssue,
+                        type: this.errorTypes.CONFIGURATION_ERROR,
+                        severity: this.severityLevels.INFO,
+                        message: `Long CNAME chain (${chain.hops.length} hops)`,
+                        description: `Each hop adds a lookup on a cold cache: ${path}`,
+                        recommendation: 'Point the CNAME directly at the final target where the provider allows it'
+                    });
+                }
+                break;
+        }
+
+        return issues;
+    }
+
+    /**
+     * Checks the resolved CNAME chain for targets on takeover-prone providers that are unclaimed
+     * @param {Object} dnsRecords - DNS records with the CNAME chain from collectCNAMEChain()
+     * @returns {Promise<Array>} - Array of subdomain takeover issues
+     */
+    async detectSubdomainTakeover(dnsRecords) {
+        const chain = dnsRecords.CNAME && dnsRecords.CNAME.chain;
+        if (!chain || typeof TakeoverChecker === 'undefined') {
+            return [];
+        }
+
+        const checker = new TakeoverChecker(this.dnsEngine);
+        const findings = checker.inspectChain(chain);
+
+        return findings.map(finding => {
+            const baseIssue = {
+                type: this.errorTypes.SUBDOMAIN_TAKEOVER,
+                affectedRecords: ['CNAME'],
+                recordName: chain.domain,
+                target: finding.target,
+                provider: finding.provider
+            };
+
+            if (finding.status === 'vulnerable') {
+                return {
+                    ...baseIssue,
+                    severity: this.severityLevels.CRITICAL,
+                    message: `Possible subdomain takeover: ${chain.domain} points at an unclaimed ${finding.provider} resource`,
+                    description: `${chain.domain} is a CNAME for ${finding.target}, and ${finding.evidence}. Anyone who claims that name on ${finding.provider} can serve content and obtain certificates for ${chain.domain}.`,
+                    recommendation: finding.guidance
+                };
+            }
+
+            return {
+                ...baseIssue,
+                severity: this.severityLevels.INFO,
+                message: `${chain.domain} points at ${finding.provider}`,
+                description: `${finding.target} is on a provider where deleted resources can be claimed by others. The target resolves, but the page content could not be checked from the browser, so whether the resource is still claimed is unknown.${finding.signature ? ` Open https://${chain.domain}/ and look for "${finding.signature}", which ${finding.provider} shows for unclaimed names.` : ''}`,
+                recommendation: `Delete the CNAME before deprovisioning the ${finding.provider} resource`
+            };
+        });
+    }
+
     /**
      * Validates MX record configurations
      * @param {Object} dnsRecords - DNS records organized by type
@@ -261,148 +614,189 @@ class DNSErrorDetector {
             priorities.add(priority);
 
             // Trailing dots on MX records are completely valid and normal - no check needed
+
+            // MX targets must be host names; MTAs look up an IP literal as a name and fail
+            if (this.dnsEngine && this.dnsEngine.getIPVersion(mailServer.replace(/\.$/, '')) !== 0) {
+                errors.push({
+                    type: this.errorTypes.INVALID_MX,
+                    severity: this.severityLevels.CRITICAL,
+                    message: `MX record points to an IP address: ${mailServer}`,
+                    description: 'An MX target must be a host name with A/AAAA records (RFC 5321 section 5.1); sending servers treat the address as a name and cannot deliver',
+                    recommendation: `Create a host name such as mail.example.com with an A record for ${mailServer.replace(/\.$/, '')} and use it as the MX target`,
+                    affectedRecords: ['MX'],
+                    recordName: mxRecord.name,
+                    mailServer
+                });
+            }
         }
 
-        return errors;
-    }
+        // Null MX ("0 .") declares that the domain accepts no mail and must be the only MX (RFC 7505)
+        const nullMX = mxRecords.filter(record => /^\d+\s+\.$/.test(String(record.data).trim()));
+        if (nullMX.length > 0 && nullMX.length < mxRecords.length) {
+            errors.push({
+                type: this.errorTypes.INVALID_MX,
+                severity: this.severityLevels.CRITICAL,
+                message: 'Null MX record mixed with other MX records',
+                description: 'A null MX ("0 .") says the domain accepts no mail, which contradicts the other MX records; senders may bounce mail or ignore either',
+                recommendation: 'Remove the "0 ." record if the domain receives mail, otherwise remove all other MX records',
+                affectedRecords: ['MX'],
+                recordName: nullMX[0].name
+            });
+        } else if (nullMX.length > 0) {
+            errors.push({
+                type: this.errorTypes.INVALID_MX,
+                severity: this.severityLevels.INFO,
+                message: 'Domain publishes a null MX and accepts no mail',
+                description: 'Senders reject mail for this domain immediately instead of retrying (RFC 7505)',
+                recommendation: 'No action needed if this domain is not meant to receive mail',
+                affectedRecords: ['MX'],
+                recordName: nullMX[0].name
+            });
+        }
 
+        if (dnsRecords.MX.health) {
+            errors.push(...this.getMXHealthIssues(dnsRecords.MX.health));
+        }
 
+        return errors;
+    }
 
     /**
-     * Validates security-related DNS records (SPF, DKIM, DMARC)
-     * @param {Object} dnsRecords - DNS records organized by type
-     * @param {string} domain - Domain being analyzed
-     * @returns {Array} - Array of security-related issues
+     * Resolves every MX target (CNAME, A/AAAA) and checks reverse DNS of the resulting addresses,
+     * storing the results on the MX record set
+     * @param {Object} dnsRecords - DNS records organized by type (MX entry replaced with a copy carrying health)
+     * @returns {Promise<Object[]|null>} - Per-host health entries, or null without MX records
      */
-    validateSecurityRecords(dnsRecords, domain) {
-        const issues = [];
-
-        if (!dnsRecords.TXT || !dnsRecords.TXT.records || dnsRecords.TXT.records.length === 0) {
-            issues.push({
-                type: this.errorTypes.MISSING_SECURITY,
-                severity: this.severityLevels.WARNING,
-                message: 'No TXT records found',
-                description: 'Domain has no TXT records, which are required for email security (SPF, DMARC)',
-                recommendation: 'Add TXT records for SPF and DMARC to improve email security',
-                affectedRecords: ['TXT']
-            });
-            return issues;
+    async collectMXHealth(dnsRecords) {
+        const hosts = this.getMXHosts(dnsRecords);
+        if (hosts.length === 0) {
+            return null;
         }
 
-        const txtRecords = dnsRecords.TXT.records;
-        let hasSPF = false;
-        let hasDMARC = false;
-        let hasDKIM = false;
+        const reverseLookups = new Map();
+        const health = [];
 
-        // Check for SPF records - look for v=spf1 anywhere in the TXT record
-        const spfRecords = txtRecords.filter(record =>
-            record.data.toLowerCase().includes('v=spf1')
-        );
+        for (const host of [...new Set(hosts)]) {
+            const entry = { host, isIP: this.dnsEngine.getIPVersion(host) !== 0, cname: null, addresses: [], resolves: false, error: null };
+            health.push(entry);
 
-        if (spfRecords.length === 0) {
-            issues.push({
-                type: this.errorTypes.MISSING_SECURITY,
-                severity: this.severityLevels.WARNING,
-                message: 'No SPF record found',
-                description: 'SPF (Sender Policy Framework) records help prevent email spoofing',
-                recommendation: 'Add an SPF record like "v=spf1 include:_spf.google.com ~all" or appropriate for your email provider',
-                affectedRecords: ['TXT'],
-                securityType: 'SPF'
-            });
-        } else {
-            hasSPF = true;
+            if (entry.isIP) {
+                continue;
+            }
 
-            // Validate SPF record syntax
-            for (const spfRecord of spfRecords) {
-                const spfIssues = this.validateSPFRecord(spfRecord);
-                issues.push(...spfIssues);
+            try {
+                const cname = await this.dnsEngine.queryDNS(host, 'CNAME');
+                if (cname.records.length > 0) {
+                    entry.cname = cname.records[0].data.toLowerCase().replace(/\.$/, '');
+                }
+
+                for (const type of ['A', 'AAAA']) {
+                    const response = await this.dnsEngine.queryDNS(host, type);
+                    if (response.error) {
+                        entry.error = response.error;
+                    }
+                    entry.addresses.push(...response.records.map(record => ({ type, ip: record.data, ttl: record.ttl })));
+                }
+            } catch (error) {
+                entry.error = error.message;
             }
 
-            // Check for multiple SPF records (RFC violation)
-            if (spfRecords.length > 1) {
-                issues.push({
-                    type: this.errorTypes.CONFIGURATION_ERROR,
-                    severity: this.severityLevels.CRITICAL,
-                    message: `Multiple SPF records found (${spfRecords.length})`,
-                    description: 'Having multiple SPF records violates RFC 7208 and can cause email delivery issues',
-                    recommendation: 'Combine all SPF mechanisms into a single TXT record',
-                    affectedRecords: ['TXT'],
-                    securityType: 'SPF',
-                    recordCount: spfRecords.length
-                });
+            entry.resolves = entry.addresses.length > 0;
+
+            for (const address of entry.addresses) {
+                if (!reverseLookups.has(address.ip)) {
+                    reverseLookups.set(address.ip, this.dnsEngine.lookupReverseDNS(address.ip));
+                }
+                address.reverse = await reverseLookups.get(address.ip);
             }
         }
 
-        // Check for DMARC records - they should be at _dmarc.domain.com (not visible in main domain query)
-        const dmarcRecords = txtRecords.filter(record =>
-            /v=dmarc1/i.test(record.data)
-        );
+        // Copy the record set so cached query results are not modified
+        dnsRecords.MX = { ...dnsRecords.MX, health };
+        return health;
+    }
 
-        if (dmarcRecords.length === 0) {
-            // Don't report as missing since DMARC records are at _dmarc subdomain
-            issues.push({
-                type: this.errorTypes.MISSING_SECURITY,
-                severity: this.severityLevels.INFO,
-                message: 'DMARC record location note',
-                description: `DMARC records are located at _dmarc.${domain} and won't appear in this main domain query`,
-                recommendation: `DMARC records should be configured at _dmarc.${domain} with content like "v=DMARC1; p=quarantine; rua=mailto:dmarc@${domain}". This tool cannot detect DMARC records as they exist on a subdomain.`,
-                affectedRecords: ['TXT'],
-                securityType: 'DMARC',
-                expectedLocation: `_dmarc.${domain}`
-            });
-        } else {
-            hasDMARC = true;
+    /**
+     * Converts MX host health into issues (CNAME targets, unresolvable hosts, reverse DNS)
+     * @param {Object[]} health - Result from collectMXHealth()
+     * @returns {Array} - Array of MX health issues
+     */
+    getMXHealthIssues(health) {
+        const issues = [];
 
-            // If we found DMARC records in the main domain (unusual but possible), validate them
-            for (const dmarcRecord of dmarcRecords) {
-                const dmarcIssues = this.validateDMARCRecord(dmarcRecord);
-                issues.push(...dmarcIssues);
+        for (const entry of health) {
+            if (entry.isIP) {
+                continue;
             }
-        }
 
-        // Check for DKIM records - only look for records that contain _domainkey in the name or v=DKIM1 in data
-        const dkimRecords = txtRecords.filter(record =>
-            record.name.toLowerCase().includes('_domainkey') ||
-            record.data.toLowerCase().includes('v=dkim1')
-        );
+            const baseIssue = {
+                type: this.errorTypes.INVALID_MX,
+                affectedRecords: ['MX'],
+                recordName: entry.host,
+                mailServer: entry.host
+            };
 
-        if (dkimRecords.length > 0) {
-            hasDKIM = true;
+            if (entry.cname) {
+                issues.push({
+                    ...baseIssue,
+                    affectedRecords: ['MX', 'CNAME'],
+                    severity: this.severityLevels.WARNING,
+                    message: `MX host ${entry.host} is a CNAME`,
+                    description: `${entry.host} is an alias for ${entry.cname}; RFC 2181 section 10.3 forbids MX targets that are aliases and some MTAs refuse to deliver`,
+                    recommendation: `Point the MX record directly at ${entry.cname}`
+                });
+            }
 
-            // Validate DKIM record syntax
-            for (const dkimRecord of dkimRecords) {
-                const dkimIssues = this.validateDKIMRecord(dkimRecord);
-                issues.push(...dkimIssues);
+            if (!entry.resolves) {
+                issues.push({
+                    ...baseIssue,
+                    severity: this.severityLevels.CRITICAL,
+                    message: `MX host ${entry.host} does not resolve`,
+                    description: `${entry.host} has no A or AAAA records${entry.error ? ` (${entry.error})` : ''}, so mail cannot be delivered to it`,
+                    recommendation: `Add A/AAAA records for ${entry.host} or remove the MX record`
+                });
+                continue;
             }
-        } else {
-            // Only report missing DKIM if we don't see any _domainkey records
-            const domainKeyRecords = txtRecords.filter(record =>
-                record.name.toLowerCase().includes('_domainkey')
+
+            const withoutPTR = entry.addresses.filter(address => address.reverse && address.reverse.hostnames.length === 0);
+            const unconfirmed = entry.addresses.filter(address =>
+                address.reverse && address.reverse.hostnames.length > 0 && !address.reverse.forwardConfirmed
             );
 
-            if (domainKeyRecords.length === 0) {
+            if (withoutPTR.length > 0) {
                 issues.push({
-                    type: this.errorTypes.MISSING_SECURITY,
-                    severity: this.severityLevels.INFO,
-                    message: 'No DKIM records found in current query',
-                    description: 'DKIM records are typically found at selector._domainkey.domain.com and may not appear in the main domain query. This is normal if DKIM is configured at subdomains.',
-                    recommendation: 'DKIM records are usually at selector._domainkey.domain.com (e.g., default._domainkey.domain.com). Check with your email provider for the correct selector. This may already be configured but not visible in this query.',
-                    affectedRecords: ['TXT'],
-                    securityType: 'DKIM'
+                    ...baseIssue,
+                    affectedRecords: ['MX', 'PTR'],
+                    severity: this.severityLevels.WARNING,
+                    message: `No reverse DNS for MX host ${entry.host}`,
+                    description: `${withoutPTR.map(address => address.ip).join(', ')} has no PTR record; receivers often reject mail from servers without reverse DNS when this host also sends mail`,
+                    recommendation: 'Ask the owner of the IP range (hosting provider or ISP) to publish a PTR record pointing to the host name'
+                });
+            }
+
+            if (unconfirmed.length > 0) {
+                issues.push({
+                    ...baseIssue,
+                    affectedRecords: ['MX', 'PTR'],
+                    severity: this.severityLevels.WARNING,
+                    message: `Reverse DNS of MX host ${entry.host} is not forward-confirmed`,
+                    description: unconfirmed.map(address =>
+                        `${address.ip} → ${address.reverse.hostnames.map(hostname => hostname.name).join(', ')}, which does not resolve back to ${address.ip}`
+                    ).join('; '),
+                    recommendation: 'Make the PTR host name resolve to the same address (forward-confirmed reverse DNS)'
                 });
             }
         }
 
-        // Overall email security assessment
-        if (hasSPF && hasDMARC && hasDKIM) {
+        const delivery = this.getMXDeliveryStatus(health);
+        if (!delivery.deliverable) {
             issues.push({
-                type: this.errorTypes.MISSING_SECURITY,
-                severity: this.severityLevels.INFO,
-                message: 'Complete email security configuration detected',
-                description: 'Domain has SPF, DMARC, and DKIM records configured',
-                recommendation: 'Regularly monitor DMARC reports to ensure proper email authentication',
-                affectedRecords: ['TXT'],
-                securityType: 'COMPLETE'
+                type: this.errorTypes.INVALID_MX,
+                severity: this.severityLevels.CRITICAL,
+                message: 'No MX host can receive mail',
+                description: delivery.reason,
+                recommendation: 'Give at least one MX record a host name with working A/AAAA records',
+                affectedRecords: ['MX']
             });
         }
 
@@ -410,134 +804,1945 @@ class DNSErrorDetector {
     }
 
     /**
-     * Validates SPF record syntax and configuration
-     * @param {Object} spfRecord - SPF TXT record
-     * @returns {Array} - Array of SPF-specific issues
+     * Summarizes whether mail delivery would work with the current MX hosts
+     * @param {Object[]} health - Result from collectMXHealth()
+     * @returns {Object} - { deliverable, reachableHosts, reason }
+     */
+    getMXDeliveryStatus(health) {
+        const reachableHosts = health.filter(entry => !entry.isIP && entry.resolves).map(entry => entry.host);
+
+        return {
+            deliverable: reachableHosts.length > 0,
+            reachableHosts,
+            reason: reachableHosts.length > 0
+                ? `${reachableHosts.length} of ${health.length} MX host(s) resolve to an address`
+                : `None of the ${health.length} MX host(s) resolve to an address, so sending servers cannot deliver mail`
+        };
+    }
+
+
+
+    /**
+     * Validates the SOA record against RFC 1912 timer recommendations, the serial format,
+     * the NS set and serials cached by the different DoH resolvers (not the zone's own nameservers)
+     * @param {Object} dnsRecords - DNS records organized by type
+     * @returns {Array} - Array of SOA issues
      */
-    validateSPFRecord(spfRecord) {
+    validateSOARecord(dnsRecords) {
         const issues = [];
-        const spfData = spfRecord.data;
 
-        // Check for common SPF syntax issues - be more lenient, just check if v=spf1 exists anywhere
-        const normalizedSPF = spfData.toLowerCase().trim();
-        if (!normalizedSPF.includes('v=spf1')) {
+        if (!dnsRecords.SOA || !dnsRecords.SOA.records || dnsRecords.SOA.records.length === 0) {
+            return issues;
+        }
+
+        const record = dnsRecords.SOA.records[0];
+        const soa = record.parsed || (this.dnsEngine ? this.dnsEngine.parser.parse('SOA', record.data) : null);
+        const baseIssue = {
+            type: this.errorTypes.CONFIGURATION_ERROR,
+            affectedRecords: ['SOA'],
+            recordName: record.name
+        };
+
+        if (!soa || soa.error) {
             issues.push({
-                type: this.errorTypes.CONFIGURATION_ERROR,
+                ...baseIssue,
                 severity: this.severityLevels.CRITICAL,
-                message: 'Invalid SPF record format',
-                description: 'SPF record must contain "v=spf1"',
-                recommendation: 'Ensure SPF record contains "v=spf1" followed by mechanisms',
-                affectedRecords: ['TXT'],
-                recordName: spfRecord.name,
-                currentValue: spfData
+                message: 'SOA record could not be parsed',
+                description: soa && soa.error ? soa.error : `Unexpected SOA data: ${record.data}`,
+                recommendation: 'The SOA needs mname, rname, serial, refresh, retry, expire and minimum fields'
             });
+            return issues;
         }
 
-        // Check for proper termination (all, ~all, -all, ?all)
-        const terminators = ['all', '~all', '-all', '?all'];
-        const hasTerminator = terminators.some(term => spfData.includes(term));
+        const t = this.soaThresholds;
+
+        if (soa.refresh < t.REFRESH_MIN || soa.refresh > t.REFRESH_MAX) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.INFO,
+                message: `SOA refresh of ${soa.refresh}s is outside the recommended range`,
+                description: `RFC 1912 recommends ${t.REFRESH_MIN}-${t.REFRESH_MAX} seconds; secondaries check for zone changes at this interval`,
+                recommendation: 'Use a refresh between 20 minutes and 12 hours (NOTIFY makes short intervals unnecessary)',
+                currentValue: soa.refresh
+            });
+        }
+
+        if (soa.retry >= soa.refresh) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.WARNING,
+                message: `SOA retry (${soa.retry}s) is not shorter than refresh (${soa.refresh}s)`,
+                description: 'Secondaries use retry after a failed refresh, so it must be shorter than refresh',
+                recommendation: 'Set retry to a fraction of refresh, for example refresh / 4',
+                currentValue: soa.retry
+            });
+        } else if (soa.retry < t.RETRY_MIN) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.INFO,
+                message: `SOA retry of ${soa.retry}s is very short`,
+                description: 'Secondaries hammer an unreachable primary with zone transfer attempts',
+                recommendation: `Use a retry of at least ${t.RETRY_MIN} seconds`,
+                currentValue: soa.retry
+            });
+        }
+
+        if (soa.expire <= soa.refresh + soa.retry) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.CRITICAL,
+                message: `SOA expire (${soa.expire}s) is shorter than refresh plus retry`,
+                description: 'Secondaries stop answering for the zone before they even retry a failed transfer',
+                recommendation: `Set expire to ${t.EXPIRE_MIN}-${t.EXPIRE_MAX} seconds (2-4 weeks)`,
+                currentValue: soa.expire
+            });
+        } else if (soa.expire < t.EXPIRE_MIN || soa.expire > t.EXPIRE_MAX) {
+            issues.push({
+                ...baseIssue,
+                severity: soa.expire < t.EXPIRE_MIN ? this.severityLevels.WARNING : this.severityLevels.INFO,
+                message: `SOA expire of ${soa.expire}s is outside the recommended range`,
+                description: soa.expire < t.EXPIRE_MIN
+                    ? 'If the primary is down longer than this, secondaries stop serving the zone and the domain goes offline'
+                    : 'Secondaries keep serving stale data for a long time after losing contact with the primary',
+                recommendation: `RFC 1912 recommends ${t.EXPIRE_MIN}-${t.EXPIRE_MAX} seconds (2-4 weeks)`,
+                currentValue: soa.expire
+            });
+        }
+
+        if (soa.minimum > t.MINIMUM_MAX) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.WARNING,
+                message: `Negative caching TTL of ${soa.minimum}s is too high`,
+                description: 'Resolvers cache "name does not exist" answers for the SOA minimum (RFC 2308), so newly added records stay invisible this long',
+                recommendation: `Lower the SOA minimum to ${t.MINIMUM_RECOMMENDED} seconds (3 hours) or less`,
+                currentValue: soa.minimum
+            });
+        } else if (soa.minimum > t.MINIMUM_RECOMMENDED) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.INFO,
+                message: `Negative caching TTL of ${soa.minimum}s is above the recommended 3 hours`,
+                description: 'Resolvers cache "name does not exist" answers for the SOA minimum (RFC 2308)',
+                recommendation: `RFC 2308 suggests 1-3 hours (3600-${t.MINIMUM_RECOMMENDED} seconds)`,
+                currentValue: soa.minimum
+            });
+        }
+
+        const serialFormat = this.getSOASerialFormat(soa.serial);
+        if (serialFormat.issue) {
+            issues.push({
+                ...baseIssue,
+                severity: serialFormat.future ? this.severityLevels.WARNING : this.severityLevels.INFO,
+                message: `SOA serial ${soa.serial} ${serialFormat.issue}`,
+                description: serialFormat.future
+                    ? 'A date-based serial in the future leaves no room for further edits on the correct date without jumping even further ahead'
+                    : 'RFC 1912 recommends the YYYYMMDDnn format so the serial shows when the zone last changed',
+                recommendation: 'Use YYYYMMDDnn (for example 2025010100) and increase it on every change',
+                currentValue: soa.serial
+            });
+        }
+
+        if (soa.rname.includes('@')) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.WARNING,
+                message: `SOA rname contains "@": ${soa.rname}`,
+                description: 'The responsible mailbox is written with a dot instead of "@" (hostmaster.example.com means hostmaster@example.com)',
+                recommendation: 'Replace "@" with "." in the rname field'
+            });
+        }
+
+        const nsHosts = dnsRecords.NS && dnsRecords.NS.records
+            ? dnsRecords.NS.records.map(ns => String(ns.data).toLowerCase().replace(/\.$/, ''))
+            : [];
+        if (nsHosts.length > 0 && !nsHosts.includes(soa.mname)) {
+            issues.push({
+                ...baseIssue,
+                affectedRecords: ['SOA', 'NS'],
+                severity: this.severityLevels.INFO,
+                message: `SOA primary ${soa.mname} is not listed in NS`,
+                description: 'The mname should name the primary nameserver; this is expected for hidden-primary setups but otherwise points to an outdated SOA',
+                recommendation: 'Set mname to the primary nameserver, or ignore this if the primary is intentionally hidden'
+            });
+        }
+
+        if (dnsRecords.SOA.serials) {
+            const distinct = [...new Set(dnsRecords.SOA.serials.filter(entry => entry.serial !== null).map(entry => entry.serial))];
+            if (distinct.length > 1) {
+                issues.push({
+                    ...baseIssue,
+                    type: this.errorTypes.PROPAGATION_ISSUE,
+                    affectedRecords: ['SOA', 'NS'],
+                    severity: this.severityLevels.INFO,
+                    message: `Resolvers report different SOA serials: ${distinct.join(', ')}`,
+                    description: dnsRecords.SOA.serials.map(entry => `${entry.provider}: ${entry.serial === null ? entry.error : entry.serial}`).join(', ') +
+                        '. These are the DoH resolvers\' cached copies, not answers from the zone\'s nameservers; after a recent change this is normal until the SOA TTL expires',
+                    recommendation: 'If the serials still differ after the SOA TTL, query each nameserver directly (dig @nameserver SOA) to check that the secondaries picked up the latest zone',
+                    serials: dnsRecords.SOA.serials
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Classifies an SOA serial (YYYYMMDDnn date, Unix time or plain counter)
+     * @param {number} serial - SOA serial
+     * @returns {Object} - { format, issue, future } where issue is null for acceptable serials
+     */
+    getSOASerialFormat(serial) {
+        const text = String(serial);
+        const now = new Date();
+
+        if (/^\d{10}$/.test(text)) {
+            const year = parseInt(text.slice(0, 4), 10);
+            const month = parseInt(text.slice(4, 6), 10);
+            const day = parseInt(text.slice(6, 8), 10);
+            const date = new Date(Date.UTC(year, month - 1, day));
+            const validDate = year >= 1990 && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+
+            if (validDate) {
+                const future = date.getTime() > now.getTime() + 86400000;
+                return { format: 'date', issue: future ? 'is a date in the future' : null, future };
+            }
+
+            // Unix timestamps between 2001 and now are a common automated format
+            if (serial >= 1000000000 && serial <= Math.floor(now.getTime() / 1000) + 86400) {
+                return { format: 'unixtime', issue: null, future: false };
+            }
+
+            return { format: 'date', issue: 'is not a valid YYYYMMDDnn date', future: false };
+        }
+
+        if (serial === 0) {
+            return { format: 'counter', issue: 'has never been incremented', future: false };
+        }
+
+        return { format: 'counter', issue: 'does not follow the YYYYMMDDnn format', future: false };
+    }
+
+    /**
+     * Queries the SOA through every DoH provider and stores the serials on the SOA record set
+     * (DoH cannot query each nameserver directly; each resolver reports the copy it fetched from one of them)
+     * @param {Object} dnsRecords - DNS records organized by type (SOA entry replaced with a copy carrying serials)
+     * @param {string} domain - Domain being analyzed
+     * @returns {Promise<Object[]|null>} - [{ provider, serial, error }], or null without an SOA record
+     */
+    async collectSOASerials(dnsRecords, domain) {
+        if (!dnsRecords.SOA || !dnsRecords.SOA.records || dnsRecords.SOA.records.length === 0) {
+            return null;
+        }
+
+        const serials = await Promise.all(this.dnsEngine.getAvailableProviders().map(async (provider) => {
+            try {
+                const result = await this.dnsEngine.queryWithRetry(domain, 'SOA', provider);
+                const soa = result.records[0] ? this.dnsEngine.parser.parse('SOA', result.records[0].data) : null;
+                return { provider, serial: soa && !soa.error ? soa.serial : null, error: result.error || (soa ? null : 'no SOA') };
+            } catch (error) {
+                return { provider, serial: null, error: error.message };
+            }
+        }));
+
+        // Copy the record set so cached query results are not modified
+        dnsRecords.SOA = { ...dnsRecords.SOA, serials };
+        return serials;
+    }
+
+    /**
+     * Replaces the SRV record set (queried at the bare domain) with a sweep over service labels
+     * @param {Object} dnsRecords - DNS records organized by type (SRV entry replaced)
+     * @param {string} domain - Domain being analyzed
+     * @param {Object} options - Analysis options (srvLabels)
+     * @returns {Promise<Object>} - SRV pseudo record set from DNSQueryEngine.discoverSRVServices()
+     */
+    async collectSRVServices(dnsRecords, domain, options = {}) {
+        if (dnsRecords.SRV && dnsRecords.SRV.services) {
+            return dnsRecords.SRV;
+        }
+
+        dnsRecords.SRV = await this.dnsEngine.discoverSRVServices(domain, options.srvLabels || []);
+        return dnsRecords.SRV;
+    }
+
+    /**
+     * Validates swept SRV records: unusable targets, alias targets and "." mixed with real targets
+     * @param {Object} dnsRecords - DNS records organized by type
+     * @returns {Array} - Array of SRV issues
+     */
+    validateSRVRecords(dnsRecords) {
+        const issues = [];
+
+        if (!dnsRecords.SRV || !dnsRecords.SRV.services) {
+            return issues;
+        }
+
+        for (const service of dnsRecords.SRV.services) {
+            const baseIssue = {
+                type: this.errorTypes.CONFIGURATION_ERROR,
+                affectedRecords: ['SRV'],
+                recordName: service.records[0].name,
+                service: service.label
+            };
+            const parsed = service.records.map(record => record.parsed).filter(fields => fields && !fields.error);
+
+            if (parsed.some(fields => !fields.available) && parsed.some(fields => fields.available)) {
+                issues.push({
+                    ...baseIssue,
+                    severity: this.severityLevels.WARNING,
+                    message: `${service.name} SRV mixes "." with real targets`,
+                    description: `A target of "." at ${service.records[0].name} declares the service unavailable (RFC 2782), which contradicts the other records`,
+                    recommendation: 'Remove the "." record, or remove the other records if the service is really not offered'
+                });
+            }
+
+            for (const target of service.targets) {
+                if (target.cname) {
+                    issues.push({
+                        ...baseIssue,
+                        affectedRecords: ['SRV', 'CNAME'],
+                        severity: this.severityLevels.WARNING,
+                        message: `${service.name} SRV target ${target.target} is a CNAME`,
+                        description: `${target.target} is an alias for ${target.cname}; RFC 2782 requires SRV targets to have A/AAAA records of their own and some clients will not follow the alias`,
+                        recommendation: `Point the SRV record at ${target.cname} or another host name with address records`
+                    });
+                }
+
+                if (target.addresses.length === 0) {
+                    issues.push({
+                        ...baseIssue,
+                        severity: this.severityLevels.WARNING,
+                        message: `${service.name} SRV target ${target.target} does not resolve`,
+                        description: `${target.target} has no A or AAAA record${target.error ? ` (${target.error})` : ''}, so clients discovering ${service.label} cannot connect`,
+                        recommendation: 'Add address records for the target or update the SRV record to a working host'
+                    });
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Labels a TXT record with the third-party service or policy it belongs to
+     * @param {Object} record - TXT record
+     * @returns {Object|null} - { service, category, misplaced, token } or null for unrecognized records
+     */
+    classifyTXTRecord(record) {
+        const data = this.getTXTData(record).trim();
+        const match = this.txtServicePatterns.find(entry => entry.pattern.test(data));
+        if (!match) {
+            return null;
+        }
+
+        return {
+            service: match.service,
+            category: match.category,
+            misplaced: Boolean(match.misplaced),
+            token: data
+        };
+    }
+
+    /**
+     * Groups the domain's TXT records by recognized service
+     * @param {Object} dnsRecords - DNS records organized by type (TXT may carry acmeChallenges)
+     * @returns {Object[]} - [{ service, category, records, tokens, duplicate, stale, misplaced }] sorted by service;
+     *   duplicate marks several tokens for one service, stale marks leftover ACME challenges and
+     *   misplaced marks policies that only work at another name
+     */
+    getTXTServiceInventory(dnsRecords) {
+        const txt = dnsRecords.TXT || {};
+        const services = new Map();
+
+        for (const record of txt.records || []) {
+            const classification = this.classifyTXTRecord(record);
+            if (!classification) {
+                continue;
+            }
+            if (!services.has(classification.service)) {
+                services.set(classification.service, {
+                    service: classification.service,
+                    category: classification.category,
+                    records: [],
+                    tokens: [],
+                    duplicate: false,
+                    stale: false,
+                    misplaced: classification.misplaced
+                });
+            }
+            const entry = services.get(classification.service);
+            entry.records.push(record);
+            entry.tokens.push(classification.token);
+        }
+
+        for (const entry of services.values()) {
+            entry.duplicate = entry.category === 'verification' && entry.tokens.length > 1;
+        }
+
+        // DNS-01 challenges are only needed while a certificate is being issued
+        const challenges = txt.acmeChallenges || [];
+        if (challenges.length > 0) {
+            services.set('ACME challenge', {
+                service: 'ACME challenge',
+                category: 'verification',
+                records: challenges,
+                tokens: challenges.map(record => this.getTXTData(record).trim()),
+                duplicate: false,
+                stale: true,
+                misplaced: false
+            });
+        }
+
+        return [...services.values()].sort((a, b) => a.service.localeCompare(b.service));
+    }
+
+    /**
+     * Looks up TXT records at _acme-challenge and stores them on the TXT record set
+     * @param {Object} dnsRecords - DNS records organized by type (TXT entry replaced with a copy carrying acmeChallenges)
+     * @param {string} domain - Domain being analyzed
+     * @returns {Promise<Object[]>} - ACME challenge TXT records
+     */
+    async collectACMEChallenges(dnsRecords, domain) {
+        let challenges = [];
+        try {
+            const response = await this.dnsEngine.queryDNS(`_acme-challenge.${domain}`, 'TXT');
+            challenges = response.records;
+        } catch (error) {
+            challenges = [];
+        }
+
+        // Copy the record set so cached query results are not modified
+        dnsRecords.TXT = { ...(dnsRecords.TXT || { records: [] }), acmeChallenges: challenges };
+        return challenges;
+    }
+
+    /**
+     * Flags duplicate and stale verification TXT records and email policies published at the wrong name
+     * @param {Object} dnsRecords - DNS records organized by type
+     * @returns {Array} - Array of TXT inventory issues
+     */
+    validateTXTVerifications(dnsRecords) {
+        const issues = [];
+
+        for (const entry of this.getTXTServiceInventory(dnsRecords)) {
+            const baseIssue = {
+                type: this.errorTypes.CONFIGURATION_ERROR,
+                affectedRecords: ['TXT'],
+                recordName: entry.records[0].name,
+                service: entry.service
+            };
+
+            if (entry.stale) {
+                issues.push({
+                    ...baseIssue,
+                    severity: this.severityLevels.INFO,
+                    message: `${entry.records.length} leftover ACME challenge record(s)`,
+                    description: `${entry.records[0].name} still holds DNS-01 challenge tokens; they are only needed while a certificate is being validated and usually mean a cleanup step failed`,
+                    recommendation: 'Delete the _acme-challenge TXT records once certificates are issued (or let your ACME client remove them)'
+                });
+            } else if (entry.duplicate) {
+                const distinct = new Set(entry.tokens).size;
+                issues.push({
+                    ...baseIssue,
+                    severity: this.severityLevels.INFO,
+                    message: distinct < entry.tokens.length
+                        ? `${entry.service} verification record is published more than once`
+                        : `${entry.tokens.length} ${entry.service} verification tokens`,
+                    description: distinct < entry.tokens.length
+                        ? 'Identical TXT strings add nothing and make the TXT record set larger'
+                        : 'Each token keeps the domain claimed by the account that created it; extra tokens often belong to former employees, agencies or abandoned accounts',
+                    recommendation: `Check which ${entry.service} account each token belongs to and remove the ones no longer in use`
+                });
+            }
+
+            if (entry.misplaced) {
+                const label = entry.service === 'DMARC' ? '_dmarc' : 'selector._domainkey';
+                issues.push({
+                    ...baseIssue,
+                    severity: this.severityLevels.WARNING,
+                    message: `${entry.service} record published at the domain itself`,
+                    description: `Receivers only look for this record at ${label}.${entry.records[0].name.replace(/\.$/, '')}, so the copy at the domain has no effect`,
+                    recommendation: `Move the record to ${label} and remove it from the domain's TXT records`
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Validates security-related DNS records (SPF, DKIM, DMARC)
+     * @param {Object} dnsRecords - DNS records organized by type
+     * @param {string} domain - Domain being analyzed
+     * @returns {Array} - Array of security-related issues
+     */
+    validateSecurityRecords(dnsRecords, domain) {
+        const issues = [];
+        const txtRecords = dnsRecords.TXT && Array.isArray(dnsRecords.TXT.records) ? dnsRecords.TXT.records : [];
+        let hasSPF = false;
+        let hasDMARC = false;
+        let hasDKIM = false;
+
+        // Check for SPF records - look for v=spf1 anywhere in the TXT record
+        const spfRecords = txtRecords.filter(record =>
+            record.data.toLowerCase().includes('v=spf1')
+        );
+
+        // DMARC and DKIM live at their own names, so they are still validated without apex TXT records
+        if (txtRecords.length === 0) {
+            issues.push({
+                type: this.errorTypes.MISSING_SECURITY,
+                severity: this.severityLevels.WARNING,
+                message: 'No TXT records found',
+                description: 'Domain has no TXT records, so no SPF record is published',
+                recommendation: 'Add an SPF record for the servers that send mail for this domain, or "v=spf1 -all" if it sends none',
+                affectedRecords: ['TXT'],
+                securityType: 'SPF'
+            });
+        } else if (spfRecords.length === 0) {
+            issues.push({
+                type: this.errorTypes.MISSING_SECURITY,
+                severity: this.severityLevels.WARNING,
+                message: 'No SPF record found',
+                description: 'SPF (Sender Policy Framework) records help prevent email spoofing',
+                recommendation: 'Add an SPF record like "v=spf1 include:_spf.google.com ~all" or appropriate for your email provider',
+                affectedRecords: ['TXT'],
+                securityType: 'SPF'
+            });
+        } else {
+            hasSPF = true;
+
+            // Validate SPF record syntax
+            const spfEvaluation = dnsRecords.SPF && dnsRecords.SPF.tree ? dnsRecords.SPF : null;
+            for (const spfRecord of spfRecords) {
+                const spfIssues = this.validateSPFRecord(spfRecord, spfEvaluation);
+                issues.push(...spfIssues);
+            }
+
+            // Nested includes, lookup limits and loops from the recursive evaluation
+            if (spfEvaluation) {
+                issues.push(...this.getSPFEvaluationIssues(spfEvaluation));
+            }
+
+            // Check for multiple SPF records (RFC violation)
+            if (spfRecords.length > 1) {
+                issues.push({
+                    type: this.errorTypes.CONFIGURATION_ERROR,
+                    severity: this.severityLevels.CRITICAL,
+                    message: `Multiple SPF records found (${spfRecords.length})`,
+                    description: 'Having multiple SPF records violates RFC 7208 and can cause email delivery issues',
+                    recommendation: 'Combine all SPF mechanisms into a single TXT record',
+                    affectedRecords: ['TXT'],
+                    securityType: 'SPF',
+                    recordCount: spfRecords.length
+                });
+            }
+        }
+
+        // DMARC comes from the _dmarc lookup when it ran; otherwise look in the queried TXT set
+        const lookedUpDMARC = dnsRecords.DMARC && Array.isArray(dnsRecords.DMARC.records) ? dnsRecords.DMARC : null;
+        const dmarcRecords = lookedUpDMARC ? lookedUpDMARC.records : txtRecords.filter(record =>
+            /v=dmarc1/i.test(record.data)
+        );
+
+        if (dmarcRecords.length > 0) {
+            hasDMARC = true;
+
+            for (const dmarcRecord of dmarcRecords) {
+                const dmarcIssues = this.validateDMARCRecord(dmarcRecord, {
+                    inherited: Boolean(lookedUpDMARC && lookedUpDMARC.inherited),
+                    reportAuthorizations: lookedUpDMARC ? lookedUpDMARC.reportAuthorizations : []
+                });
+                issues.push(...dmarcIssues);
+            }
+
+            if (dmarcRecords.length > 1) {
+                issues.push({
+                    type: this.errorTypes.CONFIGURATION_ERROR,
+                    severity: this.severityLevels.CRITICAL,
+                    message: `Multiple DMARC records found (${dmarcRecords.length})`,
+                    description: 'RFC 7489 requires receivers to ignore DMARC when more than one record is published, so no policy applies',
+                    recommendation: `Keep a single TXT record at ${lookedUpDMARC ? lookedUpDMARC.policyDomain : `_dmarc.${domain}`}`,
+                    affectedRecords: ['TXT'],
+                    securityType: 'DMARC',
+                    recordCount: dmarcRecords.length
+                });
+            }
+
+            if (lookedUpDMARC && lookedUpDMARC.inherited) {
+                issues.push({
+                    type: this.errorTypes.MISSING_SECURITY,
+                    severity: this.severityLevels.INFO,
+                    message: `DMARC policy inherited from ${lookedUpDMARC.organizationalDomain}`,
+                    description: `${domain} has no DMARC record of its own, so receivers apply the organizational domain's policy (the sp= tag if present, otherwise p=)`,
+                    recommendation: `Publish a record at _dmarc.${domain} only if this subdomain needs a different policy`,
+                    affectedRecords: ['TXT'],
+                    securityType: 'DMARC',
+                    policyDomain: lookedUpDMARC.policyDomain
+                });
+            }
+        } else if (lookedUpDMARC) {
+            issues.push({
+                type: this.errorTypes.MISSING_SECURITY,
+                severity: this.severityLevels.WARNING,
+                message: 'No DMARC record found',
+                description: lookedUpDMARC.organizationalDomain !== domain
+                    ? `Neither _dmarc.${domain} nor _dmarc.${lookedUpDMARC.organizationalDomain} publishes a DMARC record`
+                    : `_dmarc.${domain} does not publish a DMARC record`,
+                recommendation: `Add a TXT record at _dmarc.${lookedUpDMARC.organizationalDomain} like "v=DMARC1; p=none; rua=mailto:dmarc@${lookedUpDMARC.organizationalDomain}" and tighten the policy once reports look clean`,
+                affectedRecords: ['TXT'],
+                securityType: 'DMARC',
+                expectedLocation: `_dmarc.${lookedUpDMARC.organizationalDomain}`
+            });
+        } else {
+            // Without a query engine the _dmarc name cannot be checked
+            issues.push({
+                type: this.errorTypes.MISSING_SECURITY,
+                severity: this.severityLevels.INFO,
+                message: 'DMARC record location note',
+                description: `DMARC records are located at _dmarc.${domain} and won't appear in this main domain query`,
+                recommendation: `DMARC records should be configured at _dmarc.${domain} with content like "v=DMARC1; p=quarantine; rua=mailto:dmarc@${domain}".`,
+                affectedRecords: ['TXT'],
+                securityType: 'DMARC',
+                expectedLocation: `_dmarc.${domain}`
+            });
+        }
+
+        // DKIM keys come from selector discovery when it ran; otherwise look in the queried TXT set
+        const discoveredDKIM = dnsRecords.DKIM && Array.isArray(dnsRecords.DKIM.records) ? dnsRecords.DKIM : null;
+        const dkimRecords = discoveredDKIM ? discoveredDKIM.records : txtRecords.filter(record =>
+            record.name.toLowerCase().includes('_domainkey') ||
+            record.data.toLowerCase().includes('v=dkim1')
+        );
+
+        if (dkimRecords.length > 0) {
+            hasDKIM = true;
+
+            // Validate DKIM record syntax
+            for (const dkimRecord of dkimRecords) {
+                const dkimIssues = this.validateDKIMRecord(dkimRecord);
+                issues.push(...dkimIssues);
+            }
+
+            if (discoveredDKIM) {
+                issues.push({
+                    type: this.errorTypes.MISSING_SECURITY,
+                    severity: this.severityLevels.INFO,
+                    message: `DKIM keys found for ${dkimRecords.length} selector(s)`,
+                    description: `Found DKIM keys at ${dkimRecords.map(record => this.describeDKIMKey(record)).join(', ')}`,
+                    recommendation: 'Remove keys for selectors your mail providers no longer use',
+                    affectedRecords: ['TXT'],
+                    securityType: 'DKIM',
+                    selectors: dkimRecords.map(record => record.selector)
+                });
+            }
+        } else if (discoveredDKIM) {
+            issues.push({
+                type: this.errorTypes.MISSING_SECURITY,
+                severity: this.severityLevels.WARNING,
+                message: 'No DKIM keys found at common selectors',
+                description: `Probed ${discoveredDKIM.probedSelectors.length} selectors under _domainkey.${domain} without finding a DKIM key`,
+                recommendation: 'If you sign mail with DKIM, enter your provider\'s selector in the advanced options and re-run the analysis; otherwise enable DKIM signing with your email provider',
+                affectedRecords: ['TXT'],
+                securityType: 'DKIM',
+                probedSelectors: discoveredDKIM.probedSelectors
+            });
+        } else {
+            issues.push({
+                type: this.errorTypes.MISSING_SECURITY,
+                severity: this.severityLevels.INFO,
+                message: 'No DKIM records found in current query',
+                description: 'DKIM records are typically found at selector._domainkey.domain.com and may not appear in the main domain query. This is normal if DKIM is configured at subdomains.',
+                recommendation: 'DKIM records are usually at selector._domainkey.domain.com (e.g., default._domainkey.domain.com). Check with your email provider for the correct selector. This may already be configured but not visible in this query.',
+                affectedRecords: ['TXT'],
+                securityType: 'DKIM'
+            });
+        }
+
+        // Overall email security assessment
+        if (hasSPF && hasDMARC && hasDKIM) {
+            issues.push({
+                type: this.errorTypes.MISSING_SECURITY,
+                severity: this.severityLevels.INFO,
+                message: 'Complete email security configuration detected',
+                description: 'Domain has SPF, DMARC, and DKIM records configured',
+                recommendation: 'Regularly monitor DMARC reports to ensure proper email authentication',
+                affectedRecords: ['TXT'],
+                securityType: 'COMPLETE'
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Validates BIMI assertion records: syntax, logo and certificate URLs, and the DMARC prerequisite
+     * @param {Object} dnsRecords - DNS records with the BIMI pseudo record set and DMARC lookup result
+     * @param {string} domain - Domain being analyzed
+     * @returns {Array} - Array of BIMI issues
+     */
+    validateBIMIRecords(dnsRecords, domain) {
+        const issues = [];
+        const bimi = dnsRecords.BIMI;
+
+        if (!bimi) {
+            return issues;
+        }
+
+        const baseIssue = {
+            type: this.errorTypes.CONFIGURATION_ERROR,
+            affectedRecords: ['TXT'],
+            securityType: 'BIMI'
+        };
+
+        if (bimi.records.length === 0) {
+            issues.push({
+                ...baseIssue,
+                type: this.errorTypes.MISSING_SECURITY,
+                severity: this.severityLevels.INFO,
+                message: 'No BIMI record found',
+                description: `No BIMI assertion record was found at ${bimi.probedSelectors.map(selector => `${selector}._bimi.${domain}`).join(', ')}`,
+                recommendation: `To show your logo in supporting mail clients, add a TXT record at default._bimi.${domain} like "v=BIMI1; l=https://${domain}/logo.svg; a=https://${domain}/vmc.pem"`
+            });
+            return issues;
+        }
+
+        const byName = new Map();
+        for (const record of bimi.records) {
+            if (!byName.has(record.assertionName)) {
+                byName.set(record.assertionName, []);
+            }
+            byName.get(record.assertionName).push(record);
+        }
+
+        for (const [assertionName, records] of byName) {
+            const recordIssue = { ...baseIssue, recordName: assertionName, selector: records[0].selector };
+
+            if (records.length > 1) {
+                issues.push({
+                    ...recordIssue,
+                    severity: this.severityLevels.CRITICAL,
+                    message: `Multiple BIMI records at ${assertionName}`,
+                    description: 'Mail clients ignore BIMI when more than one assertion record is published for a selector',
+                    recommendation: 'Keep a single "v=BIMI1; l=...; a=..." record per selector'
+                });
+                continue;
+            }
+
+            const data = this.getTXTData(records[0]).trim();
+            const tags = this.parseBIMITags(data);
+
+            if (!/^v\s*=\s*BIMI1\s*(;|$)/.test(data)) {
+                issues.push({
+                    ...recordIssue,
+                    severity: this.severityLevels.CRITICAL,
+                    message: 'Invalid BIMI version tag',
+                    description: 'A BIMI record must start with exactly "v=BIMI1"',
+                    recommendation: 'Start the record with "v=BIMI1;"'
+                });
+            }
+
+            // An empty l= with no a= is a declination record: the domain opts out of BIMI
+            if (!tags.l && !tags.a) {
+                issues.push({
+                    ...recordIssue,
+                    severity: this.severityLevels.INFO,
+                    message: `BIMI declined at ${assertionName}`,
+                    description: 'The record has no logo or certificate, which tells mail clients not to show a logo',
+                    recommendation: 'Add l= with the HTTPS URL of your SVG logo if you want a logo displayed'
+                });
+                continue;
+            }
+
+            if (!tags.l) {
+                issues.push({
+                    ...recordIssue,
+                    severity: this.severityLevels.WARNING,
+                    message: 'BIMI record has no logo URL (l=)',
+                    description: 'Without l= mail clients must take the logo from the certificate, which not all of them support',
+                    recommendation: `Add l=https://${domain}/logo.svg pointing at an SVG Tiny PS logo`
+                });
+            } else if (!this.isHTTPSURLWithExtension(tags.l, 'svg')) {
+                issues.push({
+                    ...recordIssue,
+                    severity: this.severityLevels.CRITICAL,
+                    message: `BIMI logo URL is not an HTTPS SVG: ${tags.l}`,
+                    description: 'The l= tag must be a single https:// URL to an SVG Tiny PS file',
+                    recommendation: 'Host the logo as an .svg file over HTTPS and use that URL in l='
+                });
+            }
+
+            if (!tags.a) {
+                issues.push({
+                    ...recordIssue,
+                    severity: this.severityLevels.INFO,
+                    message: 'BIMI record has no mark certificate (a=)',
+                    description: 'Gmail and Apple Mail only display BIMI logos backed by a Verified Mark Certificate (VMC) or Common Mark Certificate (CMC)',
+                    recommendation: 'Obtain a VMC or CMC and publish its PEM file URL in a='
+                });
+            } else if (!this.isHTTPSURLWithExtension(tags.a, 'pem')) {
+                issues.push({
+                    ...recordIssue,
+                    severity: this.severityLevels.WARNING,
+                    message: `BIMI certificate URL is not an HTTPS PEM file: ${tags.a}`,
+                    description: 'The a= tag must be an https:// URL to the PEM encoded mark certificate',
+                    recommendation: 'Publish the certificate as a .pem file over HTTPS and use that URL in a='
+                });
+            }
+        }
+
+        const dmarcStatus = this.getBIMIDMARCStatus(dnsRecords.DMARC);
+        if (dnsRecords.DMARC && !dmarcStatus.eligible) {
+            issues.push({
+                ...baseIssue,
+                recordName: dnsRecords.DMARC.policyDomain || `_dmarc.${domain}`,
+                severity: this.severityLevels.WARNING,
+                message: 'DMARC policy does not meet BIMI requirements',
+                description: `BIMI logos are only shown when DMARC is enforced, but ${dmarcStatus.reason}`,
+                recommendation: 'Set p=quarantine or p=reject with pct=100 (and no sp=none) in your DMARC record'
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Checks that a URL uses HTTPS and its path ends in the given file extension
+     * @param {string} value - URL to check
+     * @param {string} extension - Expected extension without the dot
+     * @returns {boolean} - True if the URL is acceptable
+     */
+    isHTTPSURLWithExtension(value, extension) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'https:' && url.pathname.toLowerCase().endsWith(`.${extension}`);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Gets the mail exchanger host names from the MX record set
+     * @param {Object} dnsRecords - DNS records organized by type
+     * @returns {string[]} - Lowercase host names without trailing dots (null MX "." excluded)
+     */
+    getMXHosts(dnsRecords) {
+        if (!dnsRecords.MX || !dnsRecords.MX.records) {
+            return [];
+        }
+
+        return dnsRecords.MX.records
+            .map(record => String(record.data).trim().split(/\s+/)[1])
+            .filter(host => host && host !== '.')
+            .map(host => host.toLowerCase().replace(/\.$/, ''));
+    }
+
+    /**
+     * Validates MTA-STS (RFC 8461) and TLS-RPT (RFC 8460) records
+     * @param {Object} dnsRecords - DNS records with MTA-STS and TLS-RPT pseudo record sets
+     * @param {string} domain - Domain being analyzed
+     * @returns {Array} - Array of mail transport security issues
+     */
+    validateMailTransportSecurity(dnsRecords, domain) {
+        const issues = [];
+        const mtaSts = dnsRecords['MTA-STS'];
+        const tlsRpt = dnsRecords['TLS-RPT'];
+
+        if (mtaSts) {
+            issues.push(...this.validateMTASTS(mtaSts, domain));
+        }
+
+        if (tlsRpt) {
+            const baseIssue = {
+                type: this.errorTypes.CONFIGURATION_ERROR,
+                affectedRecords: ['TXT'],
+                recordName: tlsRpt.source,
+                securityType: 'TLS-RPT'
+            };
+
+            if (tlsRpt.records.length === 0) {
+                issues.push({
+                    ...baseIssue,
+                    type: this.errorTypes.MISSING_SECURITY,
+                    severity: this.severityLevels.INFO,
+                    message: 'No TLS-RPT record found',
+                    description: `Without a TXT record at _smtp._tls.${domain}, sending servers cannot report TLS delivery failures to you`,
+                    recommendation: `Add a TXT record at _smtp._tls.${domain} like "v=TLSRPTv1; rua=mailto:tls-reports@${domain}"`
+                });
+            } else if (tlsRpt.records.length > 1) {
+                issues.push({
+                    ...baseIssue,
+                    severity: this.severityLevels.WARNING,
+                    message: `Multiple TLS-RPT records found (${tlsRpt.records.length})`,
+                    description: 'RFC 8460 requires senders to ignore TLS-RPT when more than one record is published',
+                    recommendation: 'Combine the reporting addresses into a single record'
+                });
+            } else {
+                const destinations = (tlsRpt.record.rua || '').split(',').map(uri => uri.trim()).filter(Boolean);
+                const invalid = destinations.filter(uri => !/^(mailto:[^@\s]+@[^@\s]+|https:\/\/\S+)$/i.test(uri));
+
+                if (destinations.length === 0) {
+                    issues.push({
+                        ...baseIssue,
+                        severity: this.severityLevels.WARNING,
+                        message: 'TLS-RPT record has no rua= destination',
+                        description: 'The rua= tag lists where TLS reports are sent and is required',
+                        recommendation: `Add rua=mailto:tls-reports@${domain} to the record`
+                    });
+                } else if (invalid.length > 0) {
+                    issues.push({
+                        ...baseIssue,
+                        severity: this.severityLevels.WARNING,
+                        message: `Invalid TLS-RPT destination(s): ${invalid.join(', ')}`,
+                        description: 'TLS-RPT destinations must be mailto: or https: URIs',
+                        recommendation: 'Fix the rua= value, for example "rua=mailto:tls-reports@example.com"'
+                    });
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Validates the MTA-STS TXT record and id
+     * @param {Object} mtaSts - Result from MailTransportChecker.lookupMTASTS()
+     * @param {string} domain - Domain being analyzed
+     * @returns {Array} - Array of MTA-STS issues
+     */
+    validateMTASTS(mtaSts, domain) {
+        const issues = [];
+        const baseIssue = {
+            type: this.errorTypes.CONFIGURATION_ERROR,
+            affectedRecords: ['TXT'],
+            recordName: mtaSts.source,
+            securityType: 'MTA-STS'
+        };
+
+        if (mtaSts.records.length === 0) {
+            issues.push({
+                ...baseIssue,
+                type: this.errorTypes.MISSING_SECURITY,
+                severity: this.severityLevels.INFO,
+                message: 'No MTA-STS policy found',
+                description: `Without MTA-STS (_mta-sts.${domain}), sending servers fall back to opportunistic TLS that an attacker can downgrade`,
+                recommendation: `Publish a policy at https://mta-sts.${domain}/.well-known/mta-sts.txt and a TXT record at _mta-sts.${domain} like "v=STSv1; id=20250101000000"`
+            });
+            return issues;
+        }
+
+        if (mtaSts.records.length > 1) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.CRITICAL,
+                message: `Multiple MTA-STS records found (${mtaSts.records.length})`,
+                description: 'RFC 8461 requires senders to treat the domain as having no MTA-STS policy when more than one record is published',
+                recommendation: 'Keep a single "v=STSv1; id=..." TXT record'
+            });
+        }
+
+        const id = mtaSts.record.id;
+        if (!id || !/^[a-zA-Z0-9]{1,32}$/.test(id)) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.CRITICAL,
+                message: id ? `Invalid MTA-STS id "${id}"` : 'MTA-STS record has no id',
+                description: 'The id= tag must be 1-32 letters and digits; senders use it to detect policy updates',
+                recommendation: 'Use a timestamp such as id=20250101000000 and change it whenever the policy changes'
+            });
+        }
+
+        // The static connect-src cannot list every mta-sts.<domain> host, so the policy file is never fetched
+        issues.push({
+            ...baseIssue,
+            severity: this.severityLevels.INFO,
+            message: 'MTA-STS policy file not checked',
+            description: `Browsers only fetch hosts the page's Content-Security-Policy lists, so only the TXT record was checked; the policy mode, max_age and MX patterns in ${mtaSts.policyURL} were not verified`,
+            recommendation: `Open ${mtaSts.policyURL} to review the policy manually and check that its mx: lines cover every MX host`
+        });
+
+        return issues;
+    }
+
+    /**
+     * Validates SPF record syntax and configuration
+     * @param {Object} spfRecord - SPF TXT record
+     * @param {Object} evaluation - Recursive evaluation from evaluateSPF() (optional)
+     * @returns {Array} - Array of SPF-specific issues
+     */
+    validateSPFRecord(spfRecord, evaluation = null) {
+        const issues = [];
+        const spfData = spfRecord.data;
+
+        // Check for common SPF syntax issues - be more lenient, just check if v=spf1 exists anywhere
+        const normalizedSPF = spfData.toLowerCase().trim();
+        if (!normalizedSPF.includes('v=spf1')) {
+            issues.push({
+                type: this.errorTypes.CONFIGURATION_ERROR,
+                severity: this.severityLevels.CRITICAL,
+                message: 'Invalid SPF record format',
+                description: 'SPF record must contain "v=spf1"',
+                recommendation: 'Ensure SPF record contains "v=spf1" followed by mechanisms',
+                affectedRecords: ['TXT'],
+                recordName: spfRecord.name,
+                currentValue: spfData
+            });
+        }
+
+        // Check for proper termination (all, ~all, -all, ?all)
+        const terminators = ['all', '~all', '-all', '?all'];
+        const hasTerminator = terminators.some(term => spfData.includes(term));
 
         if (!hasTerminator) {
             issues.push({
                 type: this.errorTypes.CONFIGURATION_ERROR,
                 severity: this.severityLevels.WARNING,
-                message: 'SPF record lacks proper termination',
-                description: 'SPF record should end with an "all" mechanism',
-                recommendation: 'Add "~all" (soft fail) or "-all" (hard fail) at the end of your SPF record',
+                message: 'SPF record lacks proper termination',
+                description: 'SPF record should end with an "all" mechanism',
+                recommendation: 'Add "~all" (soft fail) or "-all" (hard fail) at the end of your SPF record',
+                affectedRecords: ['TXT'],
+                recordName: spfRecord.name
+            });
+        }
+
+        // The recursive evaluation reports the real lookup count; without one, count the top-level terms
+        if (!evaluation) {
+            const lookupMechanisms = this.getTXTData(spfRecord).toLowerCase().trim().split(/\s+/)
+                .filter(term => /^[+?~-]?(include:|a(?=[:/]|$)|mx(?=[:/]|$)|ptr(?=[:/]|$)|exists:|redirect=)/.test(term))
+                .length;
+            if (lookupMechanisms > 10) {
+                issues.push({
+                    type: this.errorTypes.CONFIGURATION_ERROR,
+                    severity: this.severityLevels.CRITICAL,
+                    message: `SPF record exceeds DNS lookup limit (${lookupMechanisms}/10)`,
+                    description: 'SPF records are limited to 10 DNS lookups to prevent abuse',
+                    recommendation: 'Reduce the number of include:, a, mx, ptr, exists:, and redirect= terms',
+                    affectedRecords: ['TXT'],
+                    recordName: spfRecord.name,
+                    lookupCount: lookupMechanisms
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Expands the SPF policy of a domain through its include/redirect tree
+     * @param {string} domain - Domain to evaluate
+     * @returns {Promise<Object|null>} - SPFEvaluator result (null without a query engine)
+     */
+    async evaluateSPF(domain) {
+        if (!this.dnsEngine || typeof SPFEvaluator === 'undefined') {
+            return null;
+        }
+        return new SPFEvaluator(this.dnsEngine).evaluate(domain);
+    }
+
+    /**
+     * Converts a recursive SPF evaluation into issues
+     * @param {Object} evaluation - Result from evaluateSPF()
+     * @returns {Array} - Array of SPF evaluation issues
+     */
+    getSPFEvaluationIssues(evaluation) {
+        const issues = [];
+        const recommendations = {
+            'lookup-limit': 'Flatten nested includes into ip4:/ip6: ranges or remove providers you no longer use; receivers return permerror above 10 lookups',
+            'void-limit': 'Remove include:, a or mx terms that point at names without records',
+            'loop': 'Remove the include that points back to a record already in the chain',
+            'missing-record': 'Remove the include or ask the provider for the correct include domain',
+            'multiple-records': 'Combine the SPF records of this domain into a single TXT record',
+            'syntax': 'Fix the term; unknown mechanisms make the whole policy fail with permerror',
+            'mx-limit': 'Use ip4:/ip6: ranges instead of mx for domains with more than 10 mail exchangers',
+            'lookup-failed': 'Re-run the analysis; the resolver may be temporarily unavailable'
+        };
+
+        for (const error of evaluation.errors) {
+            // Multiple records at the queried domain are already reported by validateSecurityRecords
+            if (error.type === 'multiple-records' && error.domain === evaluation.tree.domain) {
+                continue;
+            }
+
+            const lookupFailure = error.type === 'lookup-failed';
+            issues.push({
+                type: this.errorTypes.CONFIGURATION_ERROR,
+                severity: lookupFailure ? this.severityLevels.WARNING : this.severityLevels.CRITICAL,
+                message: error.message,
+                description: lookupFailure
+                    ? 'Part of the SPF policy could not be evaluated'
+                    : 'Receivers evaluating this SPF policy will return a permanent error (permerror), which usually fails SPF for all mail',
+                recommendation: recommendations[error.type],
+                affectedRecords: ['TXT'],
+                securityType: 'SPF',
+                recordName: error.domain,
+                lookupCount: evaluation.lookupCount,
+                voidLookupCount: evaluation.voidLookupCount
+            });
+        }
+
+        for (const warning of evaluation.warnings) {
+            issues.push({
+                type: this.errorTypes.CONFIGURATION_ERROR,
+                severity: warning.type === 'macro' ? this.severityLevels.INFO : this.severityLevels.WARNING,
+                message: warning.message,
+                description: {
+                    'ptr': 'RFC 7208 deprecates "ptr": it is slow, unreliable and some receivers ignore it',
+                    'pass-all': 'Any server can send mail that passes SPF for this domain',
+                    'macro': 'Macro expansion depends on the message being checked, so this term was not expanded'
+                }[warning.type],
+                recommendation: {
+                    'ptr': 'Replace "ptr" with ip4:/ip6: ranges or a/mx mechanisms',
+                    'pass-all': 'End the record with "~all" or "-all"',
+                    'macro': 'No action needed if the macro is intentional'
+                }[warning.type],
+                affectedRecords: ['TXT'],
+                securityType: 'SPF',
+                recordName: warning.domain
+            });
+        }
+
+        if (evaluation.record && evaluation.lookupCount >= 8 && evaluation.lookupCount <= 10) {
+            issues.push({
+                type: this.errorTypes.CONFIGURATION_ERROR,
+                severity: this.severityLevels.WARNING,
+                message: `SPF policy is close to the DNS lookup limit (${evaluation.lookupCount}/10)`,
+                description: 'A provider adding one more include to its own record can push the policy over the limit',
+                recommendation: 'Flatten or remove includes to leave headroom below 10 lookups',
                 affectedRecords: ['TXT'],
-                recordName: spfRecord.name
+                securityType: 'SPF',
+                lookupCount: evaluation.lookupCount
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Validates DMARC record syntax and every tag defined by RFC 7489
+     * @param {Object} dmarcRecord - DMARC TXT record
+     * @param {Object} context - Lookup context: inherited (record came from the organizational domain)
+     *                           and reportAuthorizations (from checkDMARCReportAuthorization())
+     * @returns {Array} - Array of DMARC-specific issues
+     */
+    validateDMARCRecord(dmarcRecord, context = {}) {
+        const issues = [];
+        const dmarcData = this.getTXTData(dmarcRecord);
+        const dmarcPairs = this.parseDMARCTags(dmarcData);
+        const baseIssue = {
+            type: this.errorTypes.CONFIGURATION_ERROR,
+            affectedRecords: ['TXT'],
+            recordName: dmarcRecord.name,
+            securityType: 'DMARC'
+        };
+        const validPolicies = ['none', 'quarantine', 'reject'];
+
+        // Check required version tag - must be the first tag
+        if (!dmarcPairs.v || dmarcPairs.v.toLowerCase() !== 'dmarc1' || !/^\s*v\s*=/i.test(dmarcData)) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.CRITICAL,
+                message: 'Invalid DMARC version',
+                description: 'DMARC record must start with "v=DMARC1"',
+                recommendation: 'Ensure DMARC record begins with "v=DMARC1;"'
+            });
+        }
+
+        // Check policy tag
+        const policy = (dmarcPairs.p || '').toLowerCase();
+        if (!validPolicies.includes(policy)) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.CRITICAL,
+                message: 'Invalid or missing DMARC policy',
+                description: 'DMARC record must have a valid policy (p=none, p=quarantine, or p=reject)',
+                recommendation: 'Add a policy tag like "p=quarantine" to your DMARC record',
+                currentPolicy: dmarcPairs.p
+            });
+        }
+
+        // Recommend stronger policy if using 'none'
+        if (policy === 'none') {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.INFO,
+                message: 'DMARC policy set to "none"',
+                description: 'Policy "none" provides monitoring but no protection against email spoofing',
+                recommendation: 'Consider upgrading to "p=quarantine" or "p=reject" for better protection'
+            });
+        }
+
+        // Subdomain policy
+        if (dmarcPairs.sp !== undefined) {
+            const subdomainPolicy = dmarcPairs.sp.toLowerCase();
+            if (!validPolicies.includes(subdomainPolicy)) {
+                issues.push({
+                    ...baseIssue,
+                    severity: this.severityLevels.WARNING,
+                    message: `Invalid DMARC subdomain policy "sp=${dmarcPairs.sp}"`,
+                    description: 'sp= must be none, quarantine or reject; receivers fall back to p= for subdomains',
+                    recommendation: 'Set sp= to none, quarantine or reject, or remove it'
+                });
+            } else if (validPolicies.indexOf(subdomainPolicy) < validPolicies.indexOf(policy)) {
+                issues.push({
+                    ...baseIssue,
+                    severity: context.inherited ? this.severityLevels.WARNING : this.severityLevels.INFO,
+                    message: `DMARC subdomain policy (sp=${subdomainPolicy}) is weaker than p=${policy}`,
+                    description: 'Subdomains that do not publish their own DMARC record get the weaker policy, which attackers can use to spoof them',
+                    recommendation: 'Remove sp= or set it to the same policy as p= unless subdomains deliberately need monitoring only'
+                });
+            }
+        }
+
+        // Percentage of mail the policy applies to
+        if (dmarcPairs.pct !== undefined) {
+            const pct = /^\d+$/.test(dmarcPairs.pct) ? parseInt(dmarcPairs.pct, 10) : NaN;
+            if (isNaN(pct) || pct > 100) {
+                issues.push({
+                    ...baseIssue,
+                    severity: this.severityLevels.WARNING,
+                    message: `Invalid DMARC percentage "pct=${dmarcPairs.pct}"`,
+                    description: 'pct= must be an integer from 0 to 100',
+                    recommendation: 'Set pct=100 or remove the tag'
+                });
+            } else if (pct < 100 && policy !== 'none') {
+                issues.push({
+                    ...baseIssue,
+                    severity: this.severityLevels.INFO,
+                    message: `DMARC policy applies to ${pct}% of failing mail`,
+                    description: `pct=${pct} applies p=${policy} to only part of the mail that fails DMARC; the rest is treated one level less strictly`,
+                    recommendation: 'Raise pct to 100 once the rollout is complete'
+                });
+            }
+        }
+
+        // Alignment modes
+        for (const tag of ['adkim', 'aspf']) {
+            if (dmarcPairs[tag] !== undefined && !['r', 's'].includes(dmarcPairs[tag].toLowerCase())) {
+                issues.push({
+                    ...baseIssue,
+                    severity: this.severityLevels.WARNING,
+                    message: `Invalid DMARC alignment mode "${tag}=${dmarcPairs[tag]}"`,
+                    description: `${tag}= must be "r" (relaxed) or "s" (strict); receivers fall back to relaxed`,
+                    recommendation: `Set ${tag}=r or ${tag}=s, or remove the tag`
+                });
+            }
+        }
+
+        // Failure reporting options
+        if (dmarcPairs.fo !== undefined) {
+            const options = dmarcPairs.fo.split(':').map(option => option.trim().toLowerCase());
+            if (options.some(option => !['0', '1', 'd', 's'].includes(option))) {
+                issues.push({
+                    ...baseIssue,
+                    severity: this.severityLevels.WARNING,
+                    message: `Invalid DMARC failure reporting options "fo=${dmarcPairs.fo}"`,
+                    description: 'fo= must be a colon-separated list of 0, 1, d and s',
+                    recommendation: 'Use fo=0 (default), fo=1, fo=d, fo=s or a combination such as fo=1:d'
+                });
+            }
+            if (!dmarcPairs.ruf) {
+                issues.push({
+                    ...baseIssue,
+                    severity: this.severityLevels.INFO,
+                    message: 'DMARC fo= has no effect without ruf=',
+                    description: 'Failure reporting options only apply when a ruf= address receives failure reports',
+                    recommendation: 'Add a ruf= address or remove fo='
+                });
+            }
+        }
+
+        // Aggregate report interval
+        if (dmarcPairs.ri !== undefined && !/^\d+$/.test(dmarcPairs.ri)) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.WARNING,
+                message: `Invalid DMARC report interval "ri=${dmarcPairs.ri}"`,
+                description: 'ri= must be a number of seconds (default 86400)',
+                recommendation: 'Set ri=86400 or remove the tag'
+            });
+        }
+
+        // Report destinations
+        for (const tag of ['rua', 'ruf']) {
+            if (dmarcPairs[tag] === undefined) {
+                continue;
+            }
+            const invalid = this.parseDMARCReportURIs(dmarcPairs[tag]).filter(uri => !uri.valid);
+            if (invalid.length > 0) {
+                issues.push({
+                    ...baseIssue,
+                    severity: this.severityLevels.WARNING,
+                    message: `Invalid DMARC ${tag} destination(s): ${invalid.map(uri => uri.raw).join(', ')}`,
+                    description: `${tag}= must be a comma-separated list of mailto: URIs (optionally with a size limit such as !10m)`,
+                    recommendation: `Use ${tag}=mailto:dmarc-reports@example.com`
+                });
+            }
+        }
+
+        // External destinations must publish an authorization record or they will discard the reports
+        for (const authorization of context.reportAuthorizations || []) {
+            if (authorization.authorized === false) {
+                issues.push({
+                    ...baseIssue,
+                    severity: this.severityLevels.WARNING,
+                    message: `DMARC ${authorization.tag} destination ${authorization.destination} has not authorized reports`,
+                    description: `${authorization.uri} is on another domain, but ${authorization.authorizationName} has no "v=DMARC1" TXT record, so receivers will not send ${authorization.tag === 'rua' ? 'aggregate' : 'failure'} reports there`,
+                    recommendation: `Ask the operator of ${authorization.destination} to publish a TXT record "v=DMARC1" at ${authorization.authorizationName}, or use a reporting address on your own domain`,
+                    reportDestination: authorization.destination,
+                    authorizationName: authorization.authorizationName
+                });
+            }
+        }
+
+        // Check for reporting addresses
+        if (!dmarcPairs.rua && !dmarcPairs.ruf) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.WARNING,
+                message: 'No DMARC reporting addresses configured',
+                description: 'DMARC reports help monitor email authentication',
+                recommendation: 'Add "rua=mailto:dmarc@yourdomain.com" for aggregate reports'
+            });
+        }
+
+        const knownTags = ['v', 'p', 'sp', 'pct', 'adkim', 'aspf', 'fo', 'ri', 'rua', 'ruf', 'rf'];
+        const unknownTags = Object.keys(dmarcPairs).filter(tag => !knownTags.includes(tag));
+        if (unknownTags.length > 0) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.INFO,
+                message: `Unknown DMARC tag(s): ${unknownTags.join(', ')}`,
+                description: 'Receivers ignore tags they do not recognize; this is often a typo',
+                recommendation: 'Check the spelling of the listed tags'
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Parses DMARC tag=value pairs
+     * @param {string} data - DMARC record text
+     * @returns {Object} - Tags keyed by lowercase tag name
+     */
+    parseDMARCTags(data) {
+        const tags = {};
+
+        for (const pair of data.split(';')) {
+            const separator = pair.indexOf('=');
+            if (separator === -1) {
+                continue;
+            }
+            const key = pair.slice(0, separator).trim().toLowerCase();
+            if (key) {
+                tags[key] = pair.slice(separator + 1).trim();
+            }
+        }
+
+        return tags;
+    }
+
+    /**
+     * Splits a DMARC rua/ruf value into report URIs
+     * @param {string} value - Tag value (comma-separated URIs)
+     * @returns {Object[]} - { raw, scheme, address, domain, sizeLimit, valid }
+     */
+    parseDMARCReportURIs(value) {
+        return value.split(',').map(raw => raw.trim()).filter(Boolean).map(raw => {
+            const match = raw.match(/^([a-z][a-z0-9+.-]*):([^!]+)(?:!(\d+[kmgt]?))?$/i);
+            if (!match) {
+                return { raw, valid: false };
+            }
+
+            const scheme = match[1].toLowerCase();
+            const address = match[2];
+            const domain = scheme === 'mailto' && address.includes('@')
+                ? address.split('@').pop().toLowerCase()
+                : null;
+
+            return {
+                raw,
+                scheme,
+                address,
+                domain,
+                sizeLimit: match[3] || null,
+                valid: scheme === 'mailto' ? Boolean(domain) : scheme === 'https'
+            };
+        });
+    }
+
+    /**
+     * Looks up the DMARC record for a domain, falling back to the organizational domain (RFC 7489 section 6.6.3)
+     * @param {string} domain - Domain being analyzed
+     * @returns {Promise<Object>} - DMARC pseudo record set ({ records, policyDomain, organizationalDomain, inherited })
+     */
+    async lookupDMARC(domain) {
+        const organizationalDomain = this.getOrganizationalDomain(domain);
+        const candidates = organizationalDomain !== domain.toLowerCase() ? [domain, organizationalDomain] : [domain];
+        const result = {
+            domain,
+            recordType: 'DMARC',
+            records: [],
+            policyDomain: null,
+            organizationalDomain,
+            inherited: false,
+            timestamp: new Date().toISOString(),
+            source: 'not found'
+        };
+
+        for (const candidate of candidates) {
+            const policyDomain = `_dmarc.${candidate}`;
+            try {
+                const response = await this.dnsEngine.queryDNS(policyDomain, 'TXT');
+                const records = (response.records || []).filter(record =>
+                    /^v\s*=\s*dmarc1/i.test(this.getTXTData(record).trim())
+                );
+                if (records.length > 0) {
+                    return {
+                        ...result,
+                        records,
+                        policyDomain,
+                        inherited: candidate !== domain,
+                        source: policyDomain
+                    };
+                }
+            } catch (error) {
+                result.error = error.message;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Looks up BIMI assertion records at <selector>._bimi.<domain>, falling back to the
+     * organizational domain when the domain itself has no record for a selector
+     * @param {string} domain - Domain to check
+     * @param {string[]} customSelectors - Additional selectors to query besides "default"
+     * @returns {Promise<Object>} - BIMI pseudo record set; each record carries its selector and assertionName
+     */
+    async lookupBIMI(domain, customSelectors = []) {
+        const selectors = [...new Set(['default', ...customSelectors.map(selector => selector.toLowerCase())])];
+        const organizationalDomain = this.getOrganizationalDomain(domain);
+        const candidates = organizationalDomain !== domain.toLowerCase() ? [domain, organizationalDomain] : [domain];
+        const result = {
+            domain,
+            recordType: 'BIMI',
+            records: [],
+            probedSelectors: selectors,
+            failedSelectors: [],
+            timestamp: new Date().toISOString(),
+            source: `${selectors.join(', ')} selector(s)`
+        };
+
+        for (const selector of selectors) {
+            for (const candidate of candidates) {
+                const assertionName = `${selector}._bimi.${candidate}`;
+                try {
+                    const response = await this.dnsEngine.queryDNS(assertionName, 'TXT');
+                    const records = (response.records || []).filter(record =>
+                        /^v\s*=\s*bimi1/i.test(this.getTXTData(record).trim())
+                    );
+                    if (records.length > 0) {
+                        result.records.push(...records.map(record => ({
+                            ...record,
+                            selector,
+                            assertionName,
+                            inherited: candidate !== domain
+                        })));
+                        break;
+                    }
+                } catch (error) {
+                    result.failedSelectors.push(selector);
+                    break;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Parses BIMI assertion record tags (v, l, a)
+     * @param {string} bimiRecord - BIMI record content
+     * @returns {Object} - Tags keyed by lowercase name
+     */
+    parseBIMITags(bimiRecord) {
+        const tags = {};
+
+        for (const pair of bimiRecord.split(';')) {
+            const separator = pair.indexOf('=');
+            if (separator === -1) {
+                continue;
+            }
+            const key = pair.slice(0, separator).trim().toLowerCase();
+            if (key) {
+                tags[key] = pair.slice(separator + 1).trim();
+            }
+        }
+
+        return tags;
+    }
+
+    /**
+     * Checks whether the DMARC policy that applies to the domain is strict enough for BIMI
+     * (quarantine or reject at pct=100, also for subdomains)
+     * @param {Object} dmarcResult - Result from lookupDMARC()
+     * @returns {Object} - { eligible, policy, pct, reason }
+     */
+    getBIMIDMARCStatus(dmarcResult) {
+        if (!dmarcResult || !Array.isArray(dmarcResult.records) || dmarcResult.records.length !== 1) {
+            return {
+                eligible: false,
+                policy: null,
+                pct: null,
+                reason: dmarcResult && dmarcResult.records && dmarcResult.records.length > 1
+                    ? 'multiple DMARC records are published, so receivers ignore DMARC'
+                    : 'no DMARC record is published'
+            };
+        }
+
+        const tags = this.parseDMARCTags(this.getTXTData(dmarcResult.records[0]));
+        const policy = ((dmarcResult.inherited && tags.sp) || tags.p || '').toLowerCase();
+        const subdomainPolicy = (tags.sp || tags.p || '').toLowerCase();
+        const pct = tags.pct !== undefined && /^\d+$/.test(tags.pct) ? parseInt(tags.pct, 10) : 100;
+        const enforcing = value => value === 'quarantine' || value === 'reject';
+
+        let reason = null;
+        if (!enforcing(policy)) {
+            reason = `the DMARC policy is p=${policy || 'missing'}`;
+        } else if (pct !== 100) {
+            reason = `the DMARC policy only applies to pct=${pct}`;
+        } else if (!enforcing(subdomainPolicy)) {
+            reason = `the subdomain policy is sp=${subdomainPolicy}`;
+        }
+
+        return { eligible: reason === null, policy, pct, reason };
+    }
+
+    /**
+     * Checks that external rua/ruf destinations accept reports for the domain (RFC 7489 section 7.1)
+     * @param {Object} dmarcResult - Result from lookupDMARC()
+     * @returns {Promise<Object[]>} - { tag, uri, destination, authorizationName, authorized } per external destination
+     *                                (authorized is null when the lookup failed)
+     */
+    async checkDMARCReportAuthorization(dmarcResult) {
+        const authorizations = [];
+
+        if (!dmarcResult.policyDomain || dmarcResult.records.length !== 1) {
+            return authorizations;
+        }
+
+        const ownerDomain = dmarcResult.policyDomain.replace(/^_dmarc\./i, '').toLowerCase();
+        const ownerOrganization = this.getOrganizationalDomain(ownerDomain);
+        const dmarcPairs = this.parseDMARCTags(this.getTXTData(dmarcResult.records[0]));
+        const lookups = new Map();
+
+        for (const tag of ['rua', 'ruf']) {
+            if (!dmarcPairs[tag]) {
+                continue;
+            }
+
+            for (const uri of this.parseDMARCReportURIs(dmarcPairs[tag])) {
+                if (!uri.valid || !uri.domain || this.getOrganizationalDomain(uri.domain) === ownerOrganization) {
+                    continue;
+                }
+
+                // Destinations authorize reports with a v=DMARC1 TXT record (a wildcard *._report._dmarc also works)
+                const authorizationName = `${ownerDomain}._report._dmarc.${uri.domain}`;
+                if (!lookups.has(authorizationName)) {
+                    lookups.set(authorizationName, this.dnsEngine.queryDNS(authorizationName, 'TXT')
+                        .then(response => (response.records || []).some(record =>
+                            /^v\s*=\s*dmarc1/i.test(this.getTXTData(record).trim())
+                        ))
+                        .catch(() => null));
+                }
+
+                authorizations.push({
+                    tag,
+                    uri: uri.raw,
+                    destination: uri.domain,
+                    authorizationName,
+                    authorized: await lookups.get(authorizationName)
+                });
+            }
+        }
+
+        return authorizations;
+    }
+
+    /**
+     * Finds the organizational domain (registrable domain) of a name
+     * @param {string} domain - Domain name
+     * @returns {string} - Organizational domain, e.g. example.co.uk for mail.example.co.uk
+     */
+    getOrganizationalDomain(domain) {
+        const labels = domain.toLowerCase().replace(/\.$/, '').split('.');
+        const lastTwo = labels.slice(-2).join('.');
+        const size = this.multiLabelSuffixes.includes(lastTwo) ? 3 : 2;
+        return labels.slice(-size).join('.');
+    }
+
+    /**
+     * Validates DKIM record syntax, key type and key strength
+     * @param {Object} dkimRecord - DKIM TXT record (may carry the selector it was found under)
+     * @returns {Array} - Array of DKIM-specific issues
+     */
+    validateDKIMRecord(dkimRecord) {
+        const issues = [];
+        const dkimPairs = this.parseDKIMTags(this.getTXTData(dkimRecord));
+        const selector = dkimRecord.selector;
+        const label = selector ? ` for selector "${selector}"` : '';
+        const baseIssue = {
+            type: this.errorTypes.CONFIGURATION_ERROR,
+            affectedRecords: ['TXT'],
+            recordName: dkimRecord.name,
+            securityType: 'DKIM',
+            selector
+        };
+
+        // Version tag is optional, but if present it must be DKIM1 (RFC 6376 section 3.6.1)
+        if (dkimPairs.v !== undefined && dkimPairs.v.toLowerCase() !== 'dkim1') {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.CRITICAL,
+                message: `Invalid DKIM version${label}`,
+                description: 'DKIM record must start with "v=DKIM1"',
+                recommendation: 'Ensure DKIM record begins with "v=DKIM1;"'
+            });
+        }
+
+        // Check for public key
+        if (dkimPairs.p === undefined) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.CRITICAL,
+                message: `Missing DKIM public key${label}`,
+                description: 'DKIM record must contain a public key (p= tag)',
+                recommendation: 'Add the public key provided by your email service provider'
+            });
+            return issues;
+        }
+
+        if (dkimPairs.p === '') {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.INFO,
+                message: `DKIM key revoked${label}`,
+                description: 'The record has an empty p= tag, so signatures made with this selector fail verification',
+                recommendation: 'Remove the record once no mail is signed with this selector any more'
+            });
+            return issues;
+        }
+
+        const keyInfo = this.getDKIMKeyInfo(dkimPairs);
+
+        if (keyInfo.keyType !== 'rsa' && keyInfo.keyType !== 'ed25519') {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.CRITICAL,
+                message: `Unsupported DKIM key type "${keyInfo.keyType}"${label}`,
+                description: 'DKIM verifiers only support k=rsa and k=ed25519 keys',
+                recommendation: 'Publish an RSA (2048-bit) or Ed25519 key',
+                keyType: keyInfo.keyType
+            });
+        } else if (keyInfo.keySize === null) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.WARNING,
+                message: `DKIM public key could not be decoded${label}`,
+                description: 'The p= tag is not a valid base64-encoded public key; it may be truncated or split incorrectly',
+                recommendation: 'Verify the public key is complete and correctly copied',
+                keyType: keyInfo.keyType
+            });
+        } else if (keyInfo.keyType === 'rsa' && keyInfo.keySize < 1024) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.CRITICAL,
+                message: `DKIM RSA key is too short (${keyInfo.keySize} bits)${label}`,
+                description: 'RFC 8301 requires verifiers to reject RSA keys shorter than 1024 bits',
+                recommendation: 'Rotate to a 2048-bit RSA key',
+                keyType: keyInfo.keyType,
+                keySize: keyInfo.keySize
+            });
+        } else if (keyInfo.keyType === 'rsa' && keyInfo.keySize < 2048) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.WARNING,
+                message: `DKIM RSA key is weak (${keyInfo.keySize} bits)${label}`,
+                description: 'RFC 8301 recommends RSA keys of at least 2048 bits',
+                recommendation: 'Rotate to a 2048-bit RSA key with your email provider',
+                keyType: keyInfo.keyType,
+                keySize: keyInfo.keySize
+            });
+        }
+
+        if (dkimPairs.h && !dkimPairs.h.toLowerCase().split(':').map(h => h.trim()).includes('sha256')) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.WARNING,
+                message: `DKIM key only allows SHA-1 signatures${label}`,
+                description: 'RFC 8301 forbids rsa-sha1 signatures; verifiers will treat them as invalid',
+                recommendation: 'Remove the h= tag or set it to h=sha256'
+            });
+        }
+
+        if (dkimPairs.t && dkimPairs.t.toLowerCase().split(':').map(t => t.trim()).includes('y')) {
+            issues.push({
+                ...baseIssue,
+                severity: this.severityLevels.INFO,
+                message: `DKIM key is in testing mode${label}`,
+                description: 'The t=y flag tells verifiers to treat failures as if the message were unsigned',
+                recommendation: 'Remove t=y once DKIM signing has been verified'
             });
         }
 
-        // Check for too many DNS lookups (SPF has a 10 lookup limit)
-        const lookupMechanisms = (spfData.match(/\b(include:|a:|mx:|exists:|redirect=)/g) || []).length;
-        if (lookupMechanisms > 10) {
-            issues.push({
-                type: this.errorTypes.CONFIGURATION_ERROR,
-                severity: this.severityLevels.CRITICAL,
-                message: `SPF record exceeds DNS lookup limit (${lookupMechanisms}/10)`,
-                description: 'SPF records are limited to 10 DNS lookups to prevent abuse',
-                recommendation: 'Reduce the number of include:, a:, mx:, exists:, and redirect= mechanisms',
-                affectedRecords: ['TXT'],
-                recordName: spfRecord.name,
-                lookupCount: lookupMechanisms
-            });
+        return issues;
+    }
+
+    /**
+     * Parses DKIM tag=value pairs
+     * @param {string} data - DKIM record text
+     * @returns {Object} - Tags keyed by lowercase tag name (whitespace removed from values)
+     */
+    parseDKIMTags(data) {
+        const tags = {};
+
+        for (const pair of data.split(';')) {
+            const separator = pair.indexOf('=');
+            if (separator === -1) {
+                continue;
+            }
+            const key = pair.slice(0, separator).trim().toLowerCase();
+            if (key) {
+                tags[key] = pair.slice(separator + 1).replace(/\s+/g, '');
+            }
+        }
+
+        return tags;
+    }
+
+    /**
+     * Decodes the DKIM key type and key size from its tags
+     * @param {Object} dkimPairs - Parsed DKIM tags
+     * @returns {Object} - { keyType, keySize } (keySize is null if the key cannot be decoded)
+     */
+    getDKIMKeyInfo(dkimPairs) {
+        const keyType = (dkimPairs.k || 'rsa').toLowerCase();
+        let bytes;
+
+        try {
+            bytes = Uint8Array.from(atob(dkimPairs.p || ''), c => c.charCodeAt(0));
+        } catch (error) {
+            return { keyType, keySize: null };
         }
 
-        return issues;
+        if (keyType === 'ed25519') {
+            return { keyType, keySize: bytes.length === 32 ? 256 : null };
+        }
+
+        if (keyType === 'rsa') {
+            return { keyType, keySize: this.getRSAModulusBits(bytes) };
+        }
+
+        return { keyType, keySize: null };
     }
 
     /**
-     * Validates DMARC record syntax and configuration
-     * @param {Object} dmarcRecord - DMARC TXT record
-     * @returns {Array} - Array of DMARC-specific issues
+     * Reads the RSA modulus length from a DER SubjectPublicKeyInfo or PKCS#1 RSAPublicKey
+     * @param {Uint8Array} bytes - DER-encoded public key
+     * @returns {number|null} - Modulus size in bits, or null if the structure is invalid
      */
-    validateDMARCRecord(dmarcRecord) {
-        const issues = [];
-        const dmarcData = dmarcRecord.data;
+    getRSAModulusBits(bytes) {
+        // Minimal DER reader: returns { tag, start, end } of the element at offset
+        const readElement = (offset) => {
+            if (offset + 2 > bytes.length) {
+                return null;
+            }
+            const tag = bytes[offset];
+            let length = bytes[offset + 1];
+            let start = offset + 2;
+            if (length & 0x80) {
+                const lengthBytes = length & 0x7f;
+                if (lengthBytes === 0 || lengthBytes > 4 || start + lengthBytes > bytes.length) {
+                    return null;
+                }
+                length = 0;
+                for (let i = 0; i < lengthBytes; i++) {
+                    length = length * 256 + bytes[start + i];
+                }
+                start += lengthBytes;
+            }
+            return start + length > bytes.length ? null : { tag, start, end: start + length };
+        };
 
-        // Parse DMARC record into key-value pairs
-        const dmarcPairs = {};
-        const pairs = dmarcData.split(';').map(pair => pair.trim());
+        let sequence = readElement(0);
+        if (!sequence || sequence.tag !== 0x30) {
+            return null;
+        }
 
-        for (const pair of pairs) {
-            const [key, value] = pair.split('=').map(s => s.trim());
-            if (key && value) {
-                dmarcPairs[key] = value;
+        let element = readElement(sequence.start);
+        if (element && element.tag === 0x30) {
+            // SubjectPublicKeyInfo: skip AlgorithmIdentifier, unwrap BIT STRING (first byte = unused bits)
+            const bitString = readElement(element.end);
+            if (!bitString || bitString.tag !== 0x03) {
+                return null;
             }
+            sequence = readElement(bitString.start + 1);
+            if (!sequence || sequence.tag !== 0x30) {
+                return null;
+            }
+            element = readElement(sequence.start);
         }
 
-        // Check required version tag - be case insensitive
-        if (!dmarcPairs.v || dmarcPairs.v.toLowerCase() !== 'dmarc1') {
-            issues.push({
-                type: this.errorTypes.CONFIGURATION_ERROR,
-                severity: this.severityLevels.CRITICAL,
-                message: 'Invalid DMARC version',
-                description: 'DMARC record must start with "v=DMARC1"',
-                recommendation: 'Ensure DMARC record begins with "v=DMARC1;"',
-                affectedRecords: ['TXT'],
-                recordName: dmarcRecord.name
-            });
+        if (!element || element.tag !== 0x02) {
+            return null;
         }
 
-        // Check policy tag
-        const validPolicies = ['none', 'quarantine', 'reject'];
-        if (!dmarcPairs.p || !validPolicies.includes(dmarcPairs.p)) {
-            issues.push({
-                type: this.errorTypes.CONFIGURATION_ERROR,
-                severity: this.severityLevels.CRITICAL,
-                message: 'Invalid or missing DMARC policy',
-                description: 'DMARC record must have a valid policy (p=none, p=quarantine, or p=reject)',
-                recommendation: 'Add a policy tag like "p=quarantine" to your DMARC record',
-                affectedRecords: ['TXT'],
-                recordName: dmarcRecord.name,
-                currentPolicy: dmarcPairs.p
-            });
+        // Modulus INTEGER: skip leading zero bytes, then count significant bits
+        let start = element.start;
+        while (start < element.end && bytes[start] === 0) {
+            start++;
+        }
+        if (start === element.end) {
+            return null;
         }
+        return (element.end - start - 1) * 8 + Math.floor(Math.log2(bytes[start])) + 1;
+    }
 
-        // Recommend stronger policy if using 'none'
-        if (dmarcPairs.p === 'none') {
+    /**
+     * Describes a discovered DKIM key, e.g. "google (RSA 2048-bit)"
+     * @param {Object} dkimRecord - DKIM TXT record with selector
+     * @returns {string} - Short description
+     */
+    describeDKIMKey(dkimRecord) {
+        const dkimPairs = this.parseDKIMTags(this.getTXTData(dkimRecord));
+        const name = dkimRecord.selector || dkimRecord.name;
+
+        if (!dkimPairs.p) {
+            return `${name} (revoked)`;
+        }
+
+        const keyInfo = this.getDKIMKeyInfo(dkimPairs);
+        const size = keyInfo.keySize ? ` ${keyInfo.keySize}-bit` : '';
+        return `${name} (${keyInfo.keyType.toUpperCase()}${size})`;
+    }
+
+    /**
+     * Gets the text of a TXT record with quoted character-strings joined
+     * @param {Object} record - TXT record
+     * @returns {string} - Record text
+     */
+    getTXTData(record) {
+        if (this.dnsEngine) {
+            return this.dnsEngine.normalizeRecordData('TXT', record.data);
+        }
+        return String(record.data || '');
+    }
+
+    /**
+     * Checks DNS propagation consistency across multiple servers
+     * @param {string} domain - Domain to check
+     * @param {Array} recordTypes - Record types to check for consistency
+     * @returns {Promise<Array>} - Array of propagation issues
+     */
+    async checkPropagationConsistency(domain, recordTypes = ['A', 'AAAA', 'MX', 'NS']) {
+        const issues = [];
+
+        if (!this.dnsEngine) {
             issues.push({
-                type: this.errorTypes.CONFIGURATION_ERROR,
+                type: this.errorTypes.PROPAGATION_ISSUE,
                 severity: this.severityLevels.INFO,
-                message: 'DMARC policy set to "none"',
-                description: 'Policy "none" provides monitoring but no protection against email spoofing',
-                recommendation: 'Consider upgrading to "p=quarantine" or "p=reject" for better protection',
-                affectedRecords: ['TXT'],
-                recordName: dmarcRecord.name
+                message: 'DNS propagation check unavailable',
+                description: 'Propagation consistency checking requires a DNS query engine',
+                recommendation: 'Create the error detector with a DNSQueryEngine instance to enable propagation checks',
+                affectedRecords: recordTypes
             });
+            return issues;
         }
 
-        // Check for reporting addresses
-        if (!dmarcPairs.rua && !dmarcPairs.ruf) {
+        const providers = this.dnsEngine.getAvailableProviders();
+        const consistentTypes = [];
+
+        for (const recordType of recordTypes) {
+            // Query every provider directly (no fallback) so each answer is attributable
+            const responses = await Promise.all(providers.map(async (provider) => {
+                try {
+                    const result = await this.dnsEngine.queryWithRetry(domain, recordType, provider);
+                    return { provider, answers: this.getNormalizedAnswers(result), error: null };
+                } catch (error) {
+                    return { provider, answers: null, error: error.message };
+                }
+            }));
+
+            const unreachable = responses.filter(response => response.error);
+            for (const response of unreachable) {
+                issues.push({
+                    type: this.errorTypes.PROPAGATION_ISSUE,
+                    severity: this.severityLevels.INFO,
+                    message: `${response.provider} resolver did not answer ${recordType} query`,
+                    description: `Could not compare ${recordType} records from ${response.provider}: ${response.error}`,
+                    recommendation: 'Re-run the check later; a single unreachable resolver does not indicate a DNS problem',
+                    affectedRecords: [recordType],
+                    provider: response.provider
+                });
+            }
+
+            // Group resolvers by identical answer sets
+            const groups = new Map();
+            for (const response of responses.filter(r => !r.error)) {
+                const key = response.answers.join('\n');
+                if (!groups.has(key)) {
+                    groups.set(key, []);
+                }
+                groups.get(key).push(response);
+            }
+
+            if (groups.size <= 1) {
+                if (groups.size === 1) {
+                    consistentTypes.push(recordType);
+                }
+                continue;
+            }
+
+            // Resolvers outside the largest group are the ones that disagree
+            const sortedGroups = [...groups.values()].sort((a, b) => b.length - a.length);
+            const hasMajority = sortedGroups[0].length > sortedGroups[1].length;
+            const disagreeing = (hasMajority ? sortedGroups.slice(1) : sortedGroups)
+                .flat()
+                .map(response => response.provider);
+
+            const resolverAnswers = {};
+            for (const response of responses.filter(r => !r.error)) {
+                resolverAnswers[response.provider] = response.answers;
+            }
+
+            const answerSummary = Object.entries(resolverAnswers)
+                .map(([provider, answers]) => `${provider}: ${answers.length > 0 ? answers.join(', ') : '(no records)'}`)
+                .join('; ');
+
             issues.push({
-                type: this.errorTypes.CONFIGURATION_ERROR,
+                type: this.errorTypes.PROPAGATION_ISSUE,
                 severity: this.severityLevels.WARNING,
-                message: 'No DMARC reporting addresses configured',
-                description: 'DMARC reports help monitor email authentication',
-                recommendation: 'Add "rua=mailto:dmarc@yourdomain.com" for aggregate reports',
-                affectedRecords: ['TXT'],
-                recordName: dmarcRecord.name
+                message: `${recordType} records differ between resolvers (${disagreeing.join(', ')})`,
+                description: `Resolvers returned different ${recordType} answers for ${domain} — ${answerSummary}`,
+                recommendation: 'Recent changes may still be propagating; wait for the previous TTL to expire and re-check. If answers stay different, verify all authoritative name servers serve the same zone data',
+                affectedRecords: [recordType],
+                recordType: recordType,
+                disagreeingResolvers: disagreeing,
+                resolverAnswers: resolverAnswers
+            });
+        }
+
+        if (consistentTypes.length > 0) {
+            issues.push({
+                type: this.errorTypes.PROPAGATION_ISSUE,
+                severity: this.severityLevels.INFO,
+                message: `Consistent answers across resolvers for ${consistentTypes.join(', ')}`,
+                description: `${providers.join(', ')} returned identical ${consistentTypes.join(', ')} records for ${domain}`,
+                recommendation: 'No action needed',
+                affectedRecords: consistentTypes
             });
         }
 
@@ -545,96 +2750,195 @@ class DNSErrorDetector {
     }
 
     /**
-     * Validates DKIM record syntax and configuration
-     * @param {Object} dkimRecord - DKIM TXT record
-     * @returns {Array} - Array of DKIM-specific issues
+     * Analyzes the nameserver delegation of a zone apex and stores the report on the NS record set
+     * @param {Object} dnsRecords - DNS records organized by type (NS entry replaced with a copy carrying the report)
+     * @param {string} domain - Domain being analyzed
+     * @returns {Promise<Array>} - Array of delegation issues
      */
-    validateDKIMRecord(dkimRecord) {
-        const issues = [];
-        const dkimData = dkimRecord.data;
+    async checkDelegation(dnsRecords, domain) {
+        // Only zone apexes have their own NS records to compare with the delegation
+        if (!dnsRecords.NS || !dnsRecords.NS.records || dnsRecords.NS.records.length === 0 || typeof DelegationAnalyzer === 'undefined') {
+            return [];
+        }
+
+        const analyzer = new DelegationAnalyzer(this.dnsEngine);
+        const delegation = await analyzer.analyze(domain, {
+            registered: this.getOrganizationalDomain(domain) === domain.toLowerCase().replace(/\.$/, '')
+        });
 
-        // Parse DKIM record into key-value pairs
-        const dkimPairs = {};
-        const pairs = dkimData.split(';').map(pair => pair.trim());
+        // Copy the record set so cached query results are not modified
+        dnsRecords.NS = { ...dnsRecords.NS, delegation };
+
+        return delegation.findings.map(finding => ({
+            type: this.errorTypes.DELEGATION_ERROR,
+            severity: finding.severity,
+            message: finding.message,
+            description: finding.description,
+            recommendation: finding.recommendation,
+            affectedRecords: ['NS'],
+            recordName: domain
+        }));
+    }
 
-        for (const pair of pairs) {
-            const [key, value] = pair.split('=').map(s => s.trim());
-            if (key && value) {
-                dkimPairs[key] = value;
-            }
+    /**
+     * Checks the records mail clients use for automatic account setup against the MX set
+     * @param {Object} dnsRecords - DNS records organized by type
+     * @param {string} domain - Domain being analyzed
+     * @returns {Promise<Object>} - { discovery, issues } where discovery is the MailClientDiscovery report
+     *   (null when the domain receives no mail or the module is unavailable)
+     */
+    async checkMailClientDiscovery(dnsRecords, domain) {
+        const mxHosts = this.getMXHosts(dnsRecords);
+        if (mxHosts.length === 0 || typeof MailClientDiscovery === 'undefined') {
+            return { discovery: null, issues: [] };
         }
 
-        // Check required version tag - be case insensitive
-        if (!dkimPairs.v || dkimPairs.v.toLowerCase() !== 'dkim1') {
-            issues.push({
-                type: this.errorTypes.CONFIGURATION_ERROR,
-                severity: this.severityLevels.CRITICAL,
-                message: 'Invalid DKIM version',
-                description: 'DKIM record must start with "v=DKIM1"',
-                recommendation: 'Ensure DKIM record begins with "v=DKIM1;"',
-                affectedRecords: ['TXT'],
-                recordName: dkimRecord.name
-            });
+        const discovery = await new MailClientDiscovery(this.dnsEngine).analyze(domain, {
+            mxHosts,
+            organizationOf: name => this.getOrganizationalDomain(name)
+        });
+
+        const issues = discovery.findings.map(finding => ({
+            type: this.errorTypes.CONFIGURATION_ERROR,
+            severity: finding.severity,
+            message: finding.message,
+            description: finding.description,
+            recommendation: finding.recommendation,
+            affectedRecords: finding.recordType ? [finding.recordType] : ['CNAME', 'SRV'],
+            recordName: finding.queryName || domain,
+            securityType: 'MAIL-CLIENT'
+        }));
+
+        return { discovery, issues };
+    }
+
+    /**
+     * Converts the syntax findings of an imported zone file into issues
+     * @param {Object} zone - Result from ZoneFile.parse()
+     * @returns {Array} - Array of zone file issues
+     */
+    checkZoneFile(zone) {
+        return zone.findings.map(finding => ({
+            type: this.errorTypes.CONFIGURATION_ERROR,
+            severity: finding.severity,
+            message: finding.message,
+            description: finding.description,
+            recommendation: finding.recommendation,
+            affectedRecords: finding.recordType ? [finding.recordType] : [],
+            recordName: zone.origin,
+            line: finding.line
+        }));
+    }
+
+    /**
+     * Compares live DNS with the expected zone record by record
+     * @param {Object} dnsRecords - DNS records organized by type (apex RRsets missing from the expected zone count as extra)
+     * @param {string} domain - Domain being analyzed
+     * @param {Object} expectedZone - Result from ZoneFile.parseInput()
+     * @returns {Promise<Object>} - { comparison, issues } where comparison is the ZoneComparator report
+     *   (null if the module is unavailable); syntax findings of the expected zone are included in issues
+     */
+    async checkExpectedZone(dnsRecords, domain, expectedZone) {
+        if (typeof ZoneComparator === 'undefined') {
+            return { comparison: null, issues: [] };
         }
 
-        // Check for public key
-        if (!dkimPairs.p) {
-            issues.push({
-                type: this.errorTypes.CONFIGURATION_ERROR,
-                severity: this.severityLevels.CRITICAL,
-                message: 'Missing DKIM public key',
-                description: 'DKIM record must contain a public key (p= tag)',
-                recommendation: 'Add the public key provided by your email service provider',
-                affectedRecords: ['TXT'],
-                recordName: dkimRecord.name
-            });
-        } else if (dkimPairs.p.length < 100) {
+        const comparison = await new ZoneComparator(this.dnsEngine).compare(domain, expectedZone.entries, { liveRecords: dnsRecords });
+
+        const issues = comparison.findings.map(finding => ({
+            type: this.errorTypes.ZONE_DRIFT,
+            severity: finding.severity,
+            message: finding.message,
+            description: finding.description,
+            recommendation: finding.recommendation,
+            affectedRecords: [finding.recordType],
+            recordName: finding.recordName
+        }));
+
+        return { comparison, issues: [...this.checkZoneFile(expectedZone), ...issues] };
+    }
+
+    /**
+     * Validates the DNSSEC chain of trust from the root down to the domain
+     * @param {string} domain - Domain to validate
+     * @param {string} provider - DoH provider to query (default: 'cloudflare')
+     * @returns {Promise<Object>} - { chain, issues } where chain is the DNSSECValidator report (null if unavailable)
+     */
+    async checkDNSSEC(domain, provider = 'cloudflare') {
+        if (!this.dnsEngine || typeof DNSSECValidator === 'undefined') {
+            return {
+                chain: null,
+                issues: [{
+                    type: this.errorTypes.DNSSEC_ERROR,
+                    severity: this.severityLevels.INFO,
+                    message: 'DNSSEC validation unavailable',
+                    description: 'DNSSEC chain-of-trust validation requires a DNS query engine and the DNSSEC validator module',
+                    recommendation: 'Create the error detector with a DNSQueryEngine instance to enable DNSSEC checks',
+                    affectedRecords: ['DS', 'DNSKEY', 'RRSIG']
+                }]
+            };
+        }
+
+        const validator = new DNSSECValidator(this.dnsEngine, provider);
+        const chain = await validator.validateChain(domain);
+
+        const issues = chain.findings.map(finding => ({
+            type: this.errorTypes.DNSSEC_ERROR,
+            severity: finding.severity,
+            message: finding.message,
+            description: finding.description,
+            recommendation: finding.recommendation,
+            affectedRecords: ['DS', 'DNSKEY', 'RRSIG'],
+            zone: finding.zone
+        }));
+
+        if (chain.status === 'secure') {
             issues.push({
-                type: this.errorTypes.CONFIGURATION_ERROR,
-                severity: this.severityLevels.WARNING,
-                message: 'DKIM public key appears too short',
-                description: 'DKIM public keys are typically much longer',
-                recommendation: 'Verify the public key is complete and correctly copied',
-                affectedRecords: ['TXT'],
-                recordName: dkimRecord.name,
-                keyLength: dkimPairs.p.length
+                type: this.errorTypes.DNSSEC_ERROR,
+                severity: this.severityLevels.INFO,
+                message: 'DNSSEC chain of trust is valid',
+                description: `Every zone from the root to ${domain} is signed and linked by a matching DS record`,
+                recommendation: 'No action needed',
+                affectedRecords: ['DS', 'DNSKEY', 'RRSIG']
             });
         }
 
-        return issues;
+        return { chain, issues };
     }
 
     /**
-     * Checks DNS propagation consistency across multiple servers
-     * @param {string} domain - Domain to check
-     * @param {Array} recordTypes - Record types to check for consistency
-     * @returns {Promise<Array>} - Array of propagation issues
+     * Builds a sorted, normalized answer set from a query result
+     * @param {Object} result - Parsed DNS query result
+     * @returns {Array} - Normalized answers (DNS errors such as NXDOMAIN are kept as a single entry)
      */
-    async checkPropagationConsistency(domain, recordTypes = ['A', 'AAAA', 'MX', 'NS']) {
-        const issues = [];
-
-        // This would require querying multiple DNS servers
-        // For now, we'll create a placeholder that could be implemented with multiple DoH providers
-
-        issues.push({
-            type: this.errorTypes.PROPAGATION_ISSUE,
-            severity: this.severityLevels.INFO,
-            message: 'DNS propagation check not implemented',
-            description: 'Propagation consistency checking requires querying multiple DNS servers',
-            recommendation: 'Use external tools like whatsmydns.net to check DNS propagation',
-            affectedRecords: recordTypes
-        });
+    getNormalizedAnswers(result) {
+        if (result.error) {
+            return [`[${result.error}]`];
+        }
 
-        return issues;
+        return (result.records || [])
+            .map(record => this.dnsEngine.normalizeRecordData(record.type, record.data))
+            .sort();
     }
 
     /**
      * Performs comprehensive DNS configuration error detection
      * @param {Object} dnsRecords - DNS records organized by type
      * @param {string} domain - Domain being analyzed
-     * @returns {Object} - Complete error analysis report
+     * @param {Object} options - Analysis options
+     * @param {boolean} options.offline - Skip checks that need live DNS lookups (default: false)
+     * @param {string[]} options.dkimSelectors - Additional DKIM selectors to probe
+     * @param {string[]} options.bimiSelectors - Additional BIMI selectors to query besides "default"
+     * @param {number} options.cnameDepth - Maximum CNAME hops to follow (default: engine setting)
+     * @param {string[]} options.srvLabels - Additional "_service._proto" labels to sweep for SRV records
+     * @param {string} options.ttlProfile - TTL policy profile (see ttlProfiles)
+     * @param {Object} options.ttlThresholds - Custom per-type TTL ranges overriding the profile
+     * @param {Object} options.expectedZone - Expected records (ZoneFile.parseInput() result) to diff live DNS against
+     * @param {boolean} options.takeoverOnly - Only follow the CNAME chain and check for subdomain takeover (for names below a zone apex)
+     * @param {string} options.provider - DoH provider for the DNSSEC chain walk (default: 'cloudflare')
+     * @returns {Promise<Object>} - Complete error analysis report; security holds the analyzeSecurityConfiguration() score
      */
-    analyzeConfiguration(dnsRecords, domain) {
+    async analyzeConfiguration(dnsRecords, domain, options = {}) {
         const analysis = {
             domain: domain,
             timestamp: new Date().toISOString(),
@@ -649,17 +2953,155 @@ class DNSErrorDetector {
             }
         };
 
+        const online = Boolean(this.dnsEngine) && !options.offline;
+
+        // Subdomains only get the takeover check: the email, SRV and delegation sweeps apply to zone apexes
+        if (options.takeoverOnly) {
+            if (online) {
+                await this.collectCNAMEChain(dnsRecords, domain, options);
+                this.mergeIssues(analysis, await this.detectSubdomainTakeover(dnsRecords));
+            }
+            return analysis;
+        }
+
+        // Each stage writes its own record sets, so they run side by side; the query engine
+        // caps the DoH requests in flight (maxConcurrentQueries)
+        if (online) {
+            await Promise.all([
+                // Email authentication records live at other names (_dmarc, _domainkey, include targets)
+                this.collectEmailSecurityRecords(dnsRecords, domain, options),
+
+                // Follow CNAMEs across names; detectCircularCNAME() then reports on the full chain
+                this.collectCNAMEChain(dnsRecords, domain, options),
+
+                // Resolve MX targets and their reverse DNS; validateMXRecords() then reports on their health
+                this.collectMXHealth(dnsRecords),
+
+                // SOA serials as seen by each resolver; validateSOARecord() compares them
+                this.collectSOASerials(dnsRecords, domain),
+
+                // SRV records live under _service._proto labels, not at the domain itself
+                this.collectSRVServices(dnsRecords, domain, options),
+
+                // Leftover DNS-01 tokens; validateTXTVerifications() flags them as stale
+                this.collectACMEChallenges(dnsRecords, domain)
+            ]);
+        }
+
         // Collect all error detection results
         const allIssues = [
             ...this.detectMissingRecords(dnsRecords, domain),
-            ...this.analyzeTTL(dnsRecords),
+            ...this.analyzeTTL(dnsRecords, options),
             ...this.detectCircularCNAME(dnsRecords, domain),
             ...this.validateMXRecords(dnsRecords),
-            ...this.validateSecurityRecords(dnsRecords, domain)
+            ...this.validateSOARecord(dnsRecords),
+            ...this.validateSRVRecords(dnsRecords),
+            ...this.validateTXTVerifications(dnsRecords),
+            ...this.validateSecurityRecords(dnsRecords, domain),
+            ...this.validateMailTransportSecurity(dnsRecords, domain),
+            ...this.validateBIMIRecords(dnsRecords, domain)
         ];
 
-        // Categorize issues by severity
-        for (const issue of allIssues) {
+        let mailClients = null;
+        if (online) {
+            const [propagation, takeover, delegation, clientDiscovery, expected, dnssec] = await Promise.all([
+                // Compare answers across all DoH providers
+                this.checkPropagationConsistency(domain),
+
+                // Dangling CNAMEs to deprovisioned cloud resources
+                this.detectSubdomainTakeover(dnsRecords),
+
+                // Parent vs. zone NS sets, glue, lameness and network diversity
+                this.checkDelegation(dnsRecords, domain),
+
+                // Autodiscover, autoconfig and RFC 6186 records used by mail clients
+                this.checkMailClientDiscovery(dnsRecords, domain),
+
+                // Diff live DNS against the records the zone is expected to serve
+                options.expectedZone ? this.checkExpectedZone(dnsRecords, domain, options.expectedZone) : null,
+
+                // Walk the DNSSEC chain of trust from the root
+                this.checkDNSSEC(domain, options.provider)
+            ]);
+
+            mailClients = clientDiscovery;
+            allIssues.push(...propagation, ...takeover, ...delegation, ...mailClients.issues);
+            analysis.mailClientDiscovery = mailClients.discovery;
+            if (expected) {
+                analysis.zoneComparison = expected.comparison;
+                allIssues.push(...expected.issues);
+            }
+            analysis.dnssec = dnssec.chain;
+            allIssues.push(...dnssec.issues);
+        }
+
+        this.mergeIssues(analysis, allIssues);
+
+        // Score the email security sections from the records collected above (no further lookups)
+        analysis.security = await this.analyzeSecurityConfiguration(dnsRecords, domain, { ...options, offline: true, mailClients });
+
+        return analysis;
+    }
+
+    /**
+     * Fetches the email authentication records that are not part of the domain's own record sets
+     * (DMARC policy, DKIM keys, expanded SPF) and stores them as pseudo record types on dnsRecords
+     * @param {Object} dnsRecords - DNS records organized by type (extended in place)
+     * @param {string} domain - Domain being analyzed
+     * @param {Object} options - Analysis options (dkimSelectors)
+     * @returns {Promise<Object>} - The extended dnsRecords
+     */
+    async collectEmailSecurityRecords(dnsRecords, domain, options = {}) {
+        if (!dnsRecords.DMARC) {
+            dnsRecords.DMARC = await this.lookupDMARC(domain);
+            dnsRecords.DMARC.reportAuthorizations = await this.checkDMARCReportAuthorization(dnsRecords.DMARC);
+        }
+
+        if (!dnsRecords.DKIM) {
+            dnsRecords.DKIM = await this.dnsEngine.discoverDKIMSelectors(domain, options.dkimSelectors || []);
+        }
+
+        if (!dnsRecords.SPF) {
+            const spfEvaluation = await this.evaluateSPF(domain);
+            if (spfEvaluation) {
+                dnsRecords.SPF = spfEvaluation;
+            }
+        }
+
+        // MTA-STS and TLS-RPT only matter for domains that receive mail
+        if (this.getMXHosts(dnsRecords).length > 0 && typeof MailTransportChecker !== 'undefined') {
+            const checker = new MailTransportChecker(this.dnsEngine);
+            if (!dnsRecords['MTA-STS']) {
+                try {
+                    dnsRecords['MTA-STS'] = await checker.lookupMTASTS(domain);
+                } catch (error) {
+                    // Leave MTA-STS unchecked if the TXT lookup fails on every provider
+                }
+            }
+            if (!dnsRecords['TLS-RPT']) {
+                try {
+                    dnsRecords['TLS-RPT'] = await checker.lookupTLSRPT(domain);
+                } catch (error) {
+                    // Leave TLS-RPT unchecked if the TXT lookup fails on every provider
+                }
+            }
+        }
+
+        if (!dnsRecords.BIMI) {
+            dnsRecords.BIMI = await this.lookupBIMI(domain, options.bimiSelectors || []);
+        }
+
+        return dnsRecords;
+    }
+
+    /**
+     * Adds issues to an analysis report, categorized by severity
+     * @param {Object} analysis - Result from analyzeConfiguration()
+     * @param {Array} issues - Issues to add
+     * @returns {Object} - The updated analysis report
+     */
+    mergeIssues(analysis, issues) {
+        for (const issue of issues) {
             switch (issue.severity) {
                 case this.severityLevels.CRITICAL:
                     analysis.errors.push(issue);
@@ -676,7 +3118,7 @@ class DNSErrorDetector {
             }
         }
 
-        analysis.summary.totalIssues = allIssues.length;
+        analysis.summary.totalIssues += issues.length;
 
         return analysis;
     }
@@ -685,9 +3127,11 @@ class DNSErrorDetector {
      * Performs comprehensive security analysis of DNS records
      * @param {Object} dnsRecords - DNS records organized by type
      * @param {string} domain - Domain being analyzed
-     * @returns {Object} - Security analysis report
+     * @param {Object} options - Analysis options (offline, dkimSelectors)
+     * @param {Object} options.mailClients - checkMailClientDiscovery() result to reuse instead of querying again
+     * @returns {Promise<Object>} - Security analysis report
      */
-    analyzeSecurityConfiguration(dnsRecords, domain) {
+    async analyzeSecurityConfiguration(dnsRecords, domain, options = {}) {
         const securityAnalysis = {
             domain: domain,
             timestamp: new Date().toISOString(),
@@ -696,12 +3140,28 @@ class DNSErrorDetector {
                 dmarc: { configured: false, issues: [] },
                 dkim: { configured: false, issues: [] }
             },
+            brandIndicators: {
+                bimi: { configured: false, selectors: [], dmarcEligible: false, issues: [] }
+            },
+            transportSecurity: {
+                mtaSts: { configured: false, policyURL: null, issues: [] },
+                tlsRpt: { configured: false, issues: [] }
+            },
+            mailClientDiscovery: { configured: false, methods: [], consistentWithMX: null, issues: [] },
             recommendations: [],
             overallScore: 0,
             maxScore: 100
         };
 
-        const securityIssues = this.validateSecurityRecords(dnsRecords, domain);
+        if (this.dnsEngine && !options.offline) {
+            await this.collectEmailSecurityRecords(dnsRecords, domain, options);
+        }
+
+        const securityIssues = [
+            ...this.validateSecurityRecords(dnsRecords, domain),
+            ...this.validateMailTransportSecurity(dnsRecords, domain),
+            ...this.validateBIMIRecords(dnsRecords, domain)
+        ];
 
         // Analyze security issues and populate the report
         for (const issue of securityIssues) {
@@ -725,15 +3185,103 @@ class DNSErrorDetector {
                         }
                         securityAnalysis.emailSecurity.dkim.issues.push(issue);
                         break;
+                    case 'MTA-STS':
+                        securityAnalysis.transportSecurity.mtaSts.issues.push(issue);
+                        break;
+                    case 'TLS-RPT':
+                        securityAnalysis.transportSecurity.tlsRpt.issues.push(issue);
+                        break;
+                    case 'BIMI':
+                        securityAnalysis.brandIndicators.bimi.issues.push(issue);
+                        break;
                 }
             }
         }
 
+        // SPF counts as configured whenever a v=spf1 record is published, even if it has no issues
+        const txtRecords = dnsRecords.TXT && dnsRecords.TXT.records ? dnsRecords.TXT.records : [];
+        if (txtRecords.some(record => /^v=spf1(\s|$)/i.test(this.getTXTData(record).trim()))) {
+            securityAnalysis.emailSecurity.spf.configured = true;
+        }
+
+        // Selector discovery tells us directly whether usable DKIM keys are published
+        if (dnsRecords.DKIM && Array.isArray(dnsRecords.DKIM.records)) {
+            const activeKeys = dnsRecords.DKIM.records.filter(record =>
+                this.parseDKIMTags(this.getTXTData(record)).p
+            );
+            securityAnalysis.emailSecurity.dkim.configured = activeKeys.length > 0;
+            securityAnalysis.emailSecurity.dkim.selectors = activeKeys.map(record => record.selector);
+        }
+
+        // The _dmarc lookup tells us which policy receivers actually apply
+        const dmarc = securityAnalysis.emailSecurity.dmarc;
+        let dmarcScore = 30;
+        if (dnsRecords.DMARC && Array.isArray(dnsRecords.DMARC.records)) {
+            // More than one record means receivers ignore DMARC entirely
+            const records = dnsRecords.DMARC.records;
+            const tags = records.length === 1 ? this.parseDMARCTags(this.getTXTData(records[0])) : {};
+            const inherited = Boolean(dnsRecords.DMARC.inherited);
+            const policy = ((inherited && tags.sp) || tags.p || '').toLowerCase();
+            const pct = tags.pct !== undefined && /^\d+$/.test(tags.pct) ? parseInt(tags.pct, 10) : 100;
+
+            dmarc.configured = ['none', 'quarantine', 'reject'].includes(policy);
+            dmarc.policy = dmarc.configured ? policy : null;
+            dmarc.pct = pct;
+            dmarc.policyDomain = dnsRecords.DMARC.policyDomain;
+            dmarc.inherited = inherited;
+
+            // Monitoring-only or partial policies protect less than full enforcement
+            if (policy === 'none') {
+                dmarcScore = 15;
+            } else if (pct < 100) {
+                dmarcScore = 20;
+            }
+        }
+
+        // MTA-STS counts once a single valid TXT record is published; the policy file (and its mode) is not fetched
+        const transport = securityAnalysis.transportSecurity;
+        const mtaStsScore = 10;
+        const mtaSts = dnsRecords['MTA-STS'];
+        if (mtaSts && mtaSts.records.length === 1 && mtaSts.record.id) {
+            transport.mtaSts.configured = true;
+            transport.mtaSts.policyURL = mtaSts.policyURL;
+        }
+
+        const tlsRpt = dnsRecords['TLS-RPT'];
+        transport.tlsRpt.configured = Boolean(tlsRpt && tlsRpt.records.length === 1 && tlsRpt.record.rua);
+
+        // Mail client discovery does not add to the score; it helps users set up accounts correctly
+        const mailClients = options.mailClients ||
+            (this.dnsEngine && !options.offline ? await this.checkMailClientDiscovery(dnsRecords, domain) : null);
+        if (mailClients && mailClients.discovery) {
+            const section = securityAnalysis.mailClientDiscovery;
+            const configured = mailClients.discovery.methods.filter(method => method.status === 'configured');
+            section.configured = configured.length > 0;
+            section.methods = mailClients.discovery.methods;
+            section.consistentWithMX = configured.some(method => method.consistentWithMX !== null)
+                ? configured.every(method => method.consistentWithMX !== false)
+                : null;
+            section.issues = mailClients.issues;
+        }
+
+        // BIMI does not add to the score; it is reported alongside its DMARC prerequisite
+        if (dnsRecords.BIMI) {
+            const bimi = securityAnalysis.brandIndicators.bimi;
+            const logoRecords = dnsRecords.BIMI.records.filter(record =>
+                this.parseBIMITags(this.getTXTData(record)).l
+            );
+            bimi.configured = logoRecords.length > 0;
+            bimi.selectors = logoRecords.map(record => record.selector);
+            bimi.dmarcEligible = this.getBIMIDMARCStatus(dnsRecords.DMARC).eligible;
+        }
+
         // Calculate security score
         let score = 0;
-        if (securityAnalysis.emailSecurity.spf.configured) score += 40;
-        if (securityAnalysis.emailSecurity.dmarc.configured) score += 40;
+        if (securityAnalysis.emailSecurity.spf.configured) score += 30;
+        if (dmarc.configured) score += dmarcScore;
         if (securityAnalysis.emailSecurity.dkim.configured) score += 20;
+        if (transport.mtaSts.configured) score += mtaStsScore;
+        if (transport.tlsRpt.configured) score += 10;
 
         securityAnalysis.overallScore = score;
 
@@ -768,6 +3316,26 @@ class DNSErrorDetector {
             });
         }
 
+        if (mtaSts && !transport.mtaSts.configured) {
+            securityAnalysis.recommendations.push({
+                priority: 'medium',
+                category: 'email_security',
+                title: 'Configure MTA-STS',
+                description: 'Publish an MTA-STS policy so sending servers require authenticated TLS when delivering to your MX hosts',
+                implementation: `Serve https://mta-sts.${domain}/.well-known/mta-sts.txt and add TXT record at _mta-sts.${domain}: "v=STSv1; id=20250101000000"`
+            });
+        }
+
+        if (tlsRpt && !transport.tlsRpt.configured) {
+            securityAnalysis.recommendations.push({
+                priority: transport.mtaSts.configured ? 'medium' : 'low',
+                category: 'email_security',
+                title: 'Configure TLS-RPT',
+                description: 'Receive daily reports about TLS delivery failures, which is essential before switching MTA-STS to enforce mode',
+                implementation: `Add TXT record at _smtp._tls.${domain}: "v=TLSRPTv1; rua=mailto:tls-reports@${domain}"`
+            });
+        }
+
         return securityAnalysis;
     }
 
@@ -865,11 +3433,16 @@ class DNSErrorDetector {
     getRecommendationTitle(issueType) {
         const titles = {
             [this.errorTypes.MISSING_RECORD]: 'Add Missing DNS Records',
+            [this.errorTypes.INVALID_TTL]: 'Adjust TTL Values',
             [this.errorTypes.CIRCULAR_CNAME]: 'Fix CNAME Configuration',
             [this.errorTypes.INVALID_MX]: 'Fix Mail Exchange Records',
             [this.errorTypes.MISSING_SECURITY]: 'Improve Email Security',
             [this.errorTypes.PROPAGATION_ISSUE]: 'Check DNS Propagation',
-            [this.errorTypes.CONFIGURATION_ERROR]: 'Fix Configuration Errors'
+            [this.errorTypes.CONFIGURATION_ERROR]: 'Fix Configuration Errors',
+            [this.errorTypes.DNSSEC_ERROR]: 'Repair DNSSEC Chain of Trust',
+            [this.errorTypes.SUBDOMAIN_TAKEOVER]: 'Remove Dangling CNAME Records',
+            [this.errorTypes.DELEGATION_ERROR]: 'Fix Nameserver Delegation',
+            [this.errorTypes.ZONE_DRIFT]: 'Apply the Expected Zone'
         };
 
         return titles[issueType] || 'Address DNS Issues';
@@ -884,11 +3457,16 @@ class DNSErrorDetector {
     getRecommendationDescription(issueType, issues) {
         const descriptions = {
             [this.errorTypes.MISSING_RECORD]: `${issues.length} critical DNS record(s) are missing, which may affect domain functionality`,
+            [this.errorTypes.INVALID_TTL]: `${issues.length} record set(s) have TTLs outside the selected TTL policy`,
             [this.errorTypes.CIRCULAR_CNAME]: `${issues.length} CNAME record(s) create circular references that prevent resolution`,
             [this.errorTypes.INVALID_MX]: `${issues.length} mail exchange record(s) have configuration issues`,
             [this.errorTypes.MISSING_SECURITY]: `${issues.length} email security feature(s) are not configured, leaving the domain vulnerable`,
             [this.errorTypes.PROPAGATION_ISSUE]: `${issues.length} DNS propagation issue(s) detected across different servers`,
-            [this.errorTypes.CONFIGURATION_ERROR]: `${issues.length} DNS configuration error(s) need to be corrected`
+            [this.errorTypes.CONFIGURATION_ERROR]: `${issues.length} DNS configuration error(s) need to be corrected`,
+            [this.errorTypes.DNSSEC_ERROR]: `${issues.length} DNSSEC problem(s) may cause validating resolvers to reject the domain`,
+            [this.errorTypes.SUBDOMAIN_TAKEOVER]: `${issues.length} CNAME record(s) point at cloud resources that may be claimed by someone else`,
+            [this.errorTypes.DELEGATION_ERROR]: `${issues.length} nameserver delegation problem(s) can make the domain unreachable`,
+            [this.errorTypes.ZONE_DRIFT]: `${issues.length} record set(s) in live DNS do not match the expected zone`
         };
 
         return descriptions[issueType] || `${issues.length} DNS issue(s) require attention`;
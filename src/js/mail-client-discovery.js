@@ -0,0 +1,222 @@
+/**
+ * Mail Client Discovery - Checks the records mail clients use to configure themselves:
+ * Microsoft Autodiscover (autodiscover host and _autodiscover._tcp SRV), Thunderbird autoconfig
+ * hosts and RFC 6186 IMAP/POP3/submission SRV records, compared against the MX set
+ */
+
+class MailClientDiscovery {
+    /**
+     * @param {DNSQueryEngine} dnsEngine - Query engine used for all lookups
+     */
+    constructor(dnsEngine) {
+        this.dnsEngine = dnsEngine;
+
+        // Host names clients try directly under the mail domain
+        this.hostMethods = [
+            { id: 'autodiscover', prefix: 'autodiscover', name: 'Autodiscover host', clients: 'Outlook' },
+            { id: 'autoconfig', prefix: 'autoconfig', name: 'Autoconfig host', clients: 'Thunderbird' }
+        ];
+
+        // SRV labels clients query (RFC 6186 and the Exchange Autodiscover SRV fallback)
+        this.srvMethods = [
+            { id: 'autodiscover-srv', label: '_autodiscover._tcp', name: 'Autodiscover SRV', clients: 'Outlook' },
+            { id: 'imaps', label: '_imaps._tcp', name: 'IMAP over TLS SRV', clients: 'RFC 6186 clients' },
+            { id: 'imap', label: '_imap._tcp', name: 'IMAP SRV', clients: 'RFC 6186 clients' },
+            { id: 'pop3s', label: '_pop3s._tcp', name: 'POP3 over TLS SRV', clients: 'RFC 6186 clients' },
+            { id: 'submission', label: '_submission._tcp', name: 'Submission SRV', clients: 'RFC 6186 clients' }
+        ];
+
+        // Mail providers whose MX, client and Autodiscover hosts live under different registered domains
+        this.providerFamilies = {
+            'google.com': 'Google',
+            'gmail.com': 'Google',
+            'googlemail.com': 'Google',
+            'outlook.com': 'Microsoft 365',
+            'office365.com': 'Microsoft 365',
+            'office.com': 'Microsoft 365',
+            'messagingengine.com': 'Fastmail',
+            'fastmail.com': 'Fastmail',
+            'zoho.com': 'Zoho',
+            'zoho.eu': 'Zoho',
+            'zohomail.com': 'Zoho',
+            'protonmail.ch': 'Proton',
+            'proton.me': 'Proton'
+        };
+    }
+
+    /**
+     * Looks up every discovery method and compares the hosts they point at with the MX hosts
+     * @param {string} domain - Mail domain
+     * @param {Object} options - Analysis options
+     * @param {string[]} options.mxHosts - MX host names of the domain
+     * @param {Function} options.organizationOf - Maps a host name to its organizational domain (default: last two labels)
+     * @returns {Promise<Object>} - { domain, methods, configured, mxProviders, findings, timestamp }
+     */
+    async analyze(domain, options = {}) {
+        const zone = domain.toLowerCase().replace(/\.$/, '');
+        const organizationOf = options.organizationOf || (name => name.split('.').slice(-2).join('.'));
+        const providerOf = name => {
+            const organization = organizationOf(name);
+            return this.providerFamilies[organization] || organization;
+        };
+
+        const report = {
+            domain: zone,
+            methods: [],
+            configured: [],
+            mxProviders: [...new Set((options.mxHosts || []).map(providerOf))],
+            findings: [],
+            timestamp: new Date().toISOString()
+        };
+
+        for (const method of this.hostMethods) {
+            report.methods.push(await this.lookupHostMethod(method, zone));
+        }
+        for (const method of this.srvMethods) {
+            report.methods.push(await this.lookupSRVMethod(method, zone));
+        }
+
+        for (const method of report.methods) {
+            if (method.status !== 'configured' || report.mxProviders.length === 0) {
+                continue;
+            }
+            const providers = method.hosts.map(host => providerOf(host.name));
+            method.consistentWithMX = providers.every(provider => report.mxProviders.includes(provider));
+        }
+
+        report.configured = report.methods.filter(method => method.status === 'configured').map(method => method.id);
+        this.checkDiscovery(report);
+        return report;
+    }
+
+    /**
+     * Looks up a discovery host (autodiscover.domain, autoconfig.domain) and what it points at
+     * @param {Object} method - Entry from hostMethods
+     * @param {string} zone - Mail domain
+     * @returns {Promise<Object>} - { id, name, clients, queryName, recordType, status, hosts, consistentWithMX, error }
+     */
+    async lookupHostMethod(method, zone) {
+        const queryName = `${method.prefix}.${zone}`;
+        const result = { id: method.id, name: method.name, clients: method.clients, queryName, recordType: 'CNAME', status: 'missing', hosts: [], consistentWithMX: null, error: null };
+
+        const resolved = await this.dnsEngine.resolveServiceTarget(queryName);
+        if (resolved.cname || resolved.addresses.length > 0) {
+            result.status = 'configured';
+            result.hosts.push({ name: resolved.cname || queryName, addresses: resolved.addresses, error: resolved.error });
+        } else if (resolved.error && !/NXDOMAIN/i.test(resolved.error)) {
+            result.error = resolved.error;
+        }
+
+        return result;
+    }
+
+    /**
+     * Looks up a discovery SRV record and resolves its targets
+     * @param {Object} method - Entry from srvMethods
+     * @param {string} zone - Mail domain
+     * @returns {Promise<Object>} - { id, name, clients, queryName, recordType, status, hosts, consistentWithMX, error };
+     *   status is 'disabled' when the only target is "." (service explicitly not offered)
+     */
+    async lookupSRVMethod(method, zone) {
+        const queryName = `${method.label}.${zone}`;
+        const result = { id: method.id, name: method.name, clients: method.clients, queryName, recordType: 'SRV', status: 'missing', hosts: [], consistentWithMX: null, error: null };
+
+        try {
+            const response = await this.dnsEngine.queryDNS(queryName, 'SRV');
+            const fields = response.records
+                .map(record => record.parsed)
+                .filter(parsed => parsed && !parsed.error)
+                .sort((a, b) => a.priority - b.priority);
+
+            if (fields.length === 0) {
+                return result;
+            }
+
+            const available = fields.filter(parsed => parsed.available);
+            if (available.length === 0) {
+                result.status = 'disabled';
+                return result;
+            }
+
+            result.status = 'configured';
+            for (const parsed of available) {
+                if (result.hosts.some(host => host.name === parsed.target)) {
+                    continue;
+                }
+                const resolved = await this.dnsEngine.resolveServiceTarget(parsed.target);
+                result.hosts.push({ name: parsed.target, port: parsed.port, addresses: resolved.addresses, error: resolved.error });
+            }
+        } catch (error) {
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    /**
+     * Adds findings for the discovery report (unresolvable hosts, hosts at another provider than MX, no discovery)
+     * @param {Object} report - Discovery report (findings are appended)
+     */
+    checkDiscovery(report) {
+        const findings = report.findings;
+
+        if (report.configured.length === 0) {
+            findings.push(this.createFinding('info', 'No mail client discovery records',
+                `None of autodiscover.${report.domain}, autoconfig.${report.domain} or the RFC 6186 SRV records exist, so users have to enter server names and ports by hand`,
+                'Publish the Autodiscover CNAME and the _imaps._tcp/_submission._tcp SRV records your mail provider documents', null));
+            return;
+        }
+
+        for (const method of report.methods) {
+            if (method.status !== 'configured') {
+                continue;
+            }
+
+            for (const host of method.hosts) {
+                if (host.addresses.length === 0) {
+                    findings.push(this.createFinding('warning', `${method.name} points at ${host.name}, which does not resolve`,
+                        `${method.queryName} leads to ${host.name}${host.error ? ` (${host.error})` : ''}; ${method.clients} will fail or time out during account setup`,
+                        `Update ${method.queryName} to the host your mail provider documents, or remove it`, method));
+                }
+            }
+
+            if (method.consistentWithMX === false) {
+                findings.push(this.createFinding('warning', `${method.name} points at a different provider than MX`,
+                    `${method.queryName} leads to ${method.hosts.map(host => host.name).join(', ')}, but mail is delivered to ${report.mxProviders.join(', ')}; this is typical of records left behind after a mail migration`,
+                    `Point ${method.queryName} at your current mail provider, or remove it if that provider does not use it`, method));
+            }
+        }
+
+        const plaintext = report.methods.find(method => method.id === 'imap');
+        const implicitTLS = report.methods.find(method => method.id === 'imaps');
+        if (plaintext && plaintext.status === 'configured' && implicitTLS && implicitTLS.status !== 'configured') {
+            findings.push(this.createFinding('info', 'IMAP is discovered without an implicit TLS alternative',
+                `${plaintext.queryName} exists but ${implicitTLS.queryName} does not; RFC 8314 recommends offering IMAP over implicit TLS (port 993)`,
+                `Add ${implicitTLS.queryName} pointing at your IMAP server on port 993`, plaintext));
+        }
+    }
+
+    /**
+     * Creates a finding object
+     * @param {string} severity - critical, warning or info
+     * @param {string} message - Short summary
+     * @param {string} description - Details
+     * @param {string} recommendation - Suggested fix
+     * @param {Object|null} method - Discovery method the finding is about
+     * @returns {Object} - Finding
+     */
+    createFinding(severity, message, description, recommendation, method) {
+        return {
+            severity,
+            message,
+            description,
+            recommendation,
+            method: method ? method.id : null,
+            queryName: method ? method.queryName : null,
+            recordType: method ? method.recordType : null
+        };
+    }
+}
+
+// Export for use in other modules
+window.MailClientDiscovery = MailClientDiscovery;
@@ -0,0 +1,91 @@
+/**
+ * Mail Transport Checker - Looks up SMTP MTA Strict Transport Security (RFC 8461)
+ * and SMTP TLS Reporting (RFC 8460) records
+ * The MTA-STS policy file lives on mta-sts.<domain>, which the page's static connect-src cannot
+ * list, so only its URL is reported for a manual review
+ */
+
+class MailTransportChecker {
+    /**
+     * @param {DNSQueryEngine} dnsEngine - Query engine used for TXT lookups
+     */
+    constructor(dnsEngine) {
+        this.dnsEngine = dnsEngine;
+    }
+
+    /**
+     * Looks up the _mta-sts TXT record
+     * @param {string} domain - Mail domain
+     * @returns {Promise<Object>} - MTA-STS pseudo record set with the parsed record and the policy URL
+     */
+    async lookupMTASTS(domain) {
+        const name = `_mta-sts.${domain}`;
+        const result = {
+            domain,
+            recordType: 'MTA-STS',
+            records: [],
+            record: null,
+            policyURL: `https://mta-sts.${domain}/.well-known/mta-sts.txt`,
+            timestamp: new Date().toISOString(),
+            source: name
+        };
+
+        const response = await this.dnsEngine.queryDNS(name, 'TXT');
+        result.records = (response.records || []).filter(record =>
+            /^v\s*=\s*STSv1/i.test(this.dnsEngine.normalizeRecordData('TXT', record.data).trim())
+        );
+
+        if (result.records.length > 0) {
+            result.record = this.parseTags(this.dnsEngine.normalizeRecordData('TXT', result.records[0].data));
+        }
+
+        return result;
+    }
+
+    /**
+     * Looks up the _smtp._tls TLS reporting record
+     * @param {string} domain - Mail domain
+     * @returns {Promise<Object>} - TLS-RPT pseudo record set with parsed record
+     */
+    async lookupTLSRPT(domain) {
+        const name = `_smtp._tls.${domain}`;
+        const response = await this.dnsEngine.queryDNS(name, 'TXT');
+        const records = (response.records || []).filter(record =>
+            /^v\s*=\s*TLSRPTv1/i.test(this.dnsEngine.normalizeRecordData('TXT', record.data).trim())
+        );
+
+        return {
+            domain,
+            recordType: 'TLS-RPT',
+            records,
+            record: records.length > 0 ? this.parseTags(this.dnsEngine.normalizeRecordData('TXT', records[0].data)) : null,
+            timestamp: new Date().toISOString(),
+            source: name
+        };
+    }
+
+    /**
+     * Parses "key=value; key=value" TXT records
+     * @param {string} data - Record text
+     * @returns {Object} - Tags keyed by lowercase name
+     */
+    parseTags(data) {
+        const tags = {};
+
+        for (const pair of data.split(';')) {
+            const separator = pair.indexOf('=');
+            if (separator === -1) {
+                continue;
+            }
+            const key = pair.slice(0, separator).trim().toLowerCase();
+            if (key) {
+                tags[key] = pair.slice(separator + 1).trim();
+            }
+        }
+
+        return tags;
+    }
+}
+
+// Export for use in other modules
+window.MailTransportChecker = MailTransportChecker;
@@ -0,0 +1,490 @@
+/**
+ * DNS Record Parser - Converts record data into structured fields
+ * Handles presentation format and RFC 3597 generic ("\# length hex") data
+ */
+
+class DNSRecordParser {
+    /**
+     * @param {DNSMessageCodec} codec - Wire format codec used to decode generic RDATA
+     */
+    constructor(codec) {
+        this.codec = codec;
+
+        // Structured parsers keyed by record type, each receiving presentation tokens
+        this.parsers = {
+            CAA: tokens => this.parseCAA(tokens),
+            DS: tokens => this.parseDS(tokens),
+            CDS: tokens => this.parseDS(tokens),
+            DNSKEY: tokens => this.parseDNSKEY(tokens),
+            CDNSKEY: tokens => this.parseDNSKEY(tokens),
+            RRSIG: tokens => this.parseRRSIG(tokens),
+            NSEC: tokens => this.parseNSEC(tokens),
+            NSEC3: tokens => this.parseNSEC3(tokens),
+            TLSA: tokens => this.parseTLSA(tokens),
+            SSHFP: tokens => this.parseSSHFP(tokens),
+            SVCB: tokens => this.parseSVCB(tokens),
+            HTTPS: tokens => this.parseSVCB(tokens),
+            NAPTR: tokens => this.parseNAPTR(tokens),
+            SOA: tokens => this.parseSOA(tokens),
+            SRV: tokens => this.parseSRV(tokens)
+        };
+
+        // DNSSEC algorithm numbers (IANA registry)
+        this.dnssecAlgorithms = {
+            1: 'RSAMD5',
+            3: 'DSA',
+            5: 'RSASHA1',
+            6: 'DSA-NSEC3-SHA1',
+            7: 'RSASHA1-NSEC3-SHA1',
+            8: 'RSASHA256',
+            10: 'RSASHA512',
+            12: 'ECC-GOST',
+            13: 'ECDSAP256SHA256',
+            14: 'ECDSAP384SHA384',
+            15: 'ED25519',
+            16: 'ED448'
+        };
+
+        // DS digest types
+        this.digestTypes = {
+            1: 'SHA-1',
+            2: 'SHA-256',
+            3: 'GOST R 34.11-94',
+            4: 'SHA-384'
+        };
+
+        // TLSA field names (RFC 7218 mnemonics)
+        this.tlsaUsages = { 0: 'PKIX-TA', 1: 'PKIX-EE', 2: 'DANE-TA', 3: 'DANE-EE' };
+        this.tlsaSelectors = { 0: 'Cert', 1: 'SPKI' };
+        this.tlsaMatchingTypes = { 0: 'Full', 1: 'SHA2-256', 2: 'SHA2-512' };
+
+        // SSHFP field names
+        this.sshfpAlgorithms = { 1: 'RSA', 2: 'DSA', 3: 'ECDSA', 4: 'Ed25519', 6: 'Ed448' };
+        this.sshfpFingerprintTypes = { 1: 'SHA-1', 2: 'SHA-256' };
+    }
+
+    /**
+     * Adds a "parsed" field to a record when its type has a structured parser
+     * @param {Object} record - Record with type and data
+     * @returns {Object} - The same record
+     */
+    attachParsedData(record) {
+        const parsed = this.parse(record.type, record.data);
+        if (parsed) {
+            record.parsed = parsed;
+        }
+        return record;
+    }
+
+    /**
+     * Parses record data into structured fields
+     * @param {string} recordType - DNS record type
+     * @param {string} data - Record data in presentation or RFC 3597 generic format
+     * @returns {Object|null} - Structured fields, or null if the type has no parser
+     */
+    parse(recordType, data) {
+        const parser = this.parsers[recordType];
+        if (!parser) {
+            return null;
+        }
+
+        try {
+            let presentation = String(data || '').trim();
+            if (presentation.startsWith('\\#')) {
+                presentation = this.decodeGenericData(recordType, presentation);
+            }
+            return parser(this.tokenize(presentation));
+        } catch (error) {
+            return { error: `Unable to parse ${recordType} data: ${error.message}` };
+        }
+    }
+
+    /**
+     * Converts RFC 3597 generic data into presentation format via the wire codec
+     * @param {string} recordType - DNS record type
+     * @param {string} data - "\# length hex" data
+     * @returns {string} - Presentation format data
+     */
+    decodeGenericData(recordType, data) {
+        const [, length, ...hexParts] = data.split(/\s+/);
+        const bytes = this.codec.fromHex(hexParts.join(''));
+
+        if (bytes.length !== parseInt(length, 10)) {
+            throw new Error('generic RDATA length mismatch');
+        }
+
+        const presentation = this.codec.decodeRdata(this.codec.createReader(bytes), this.codec.recordTypes[recordType], 0, bytes.length);
+        if (presentation.startsWith('\\#')) {
+            throw new Error('malformed RDATA');
+        }
+        return presentation;
+    }
+
+    /**
+     * Splits presentation data into tokens, honoring quoted strings and backslash escapes
+     * @param {string} data - Presentation format data
+     * @returns {string[]} - Unquoted tokens
+     */
+    tokenize(data) {
+        const tokens = [];
+        let current = '';
+        let inToken = false;
+        let inQuotes = false;
+
+        for (let i = 0; i < data.length; i++) {
+            const char = data[i];
+
+            if (char === '\\' && i + 1 < data.length) {
+                current += data[++i];
+                inToken = true;
+            } else if (char === '"') {
+                inQuotes = !inQuotes;
+                inToken = true;
+            } else if (/\s/.test(char) && !inQuotes) {
+                if (inToken) {
+                    tokens.push(current);
+                    current = '';
+                    inToken = false;
+                }
+            } else {
+                current += char;
+                inToken = true;
+            }
+        }
+
+        if (inToken) {
+            tokens.push(current);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parses CAA data: flags tag value
+     * @param {string[]} tokens - Presentation tokens
+     * @returns {Object} - CAA fields
+     */
+    parseCAA(tokens) {
+        const flags = this.toInteger(tokens[0], 'flags');
+        return {
+            flags,
+            critical: (flags & 128) !== 0,
+            tag: (tokens[1] || '').toLowerCase(),
+            value: tokens.slice(2).join(' ')
+        };
+    }
+
+    /**
+     * Parses DS/CDS data: key tag, algorithm, digest type, digest
+     * @param {string[]} tokens - Presentation tokens
+     * @returns {Object} - DS fields
+     */
+    parseDS(tokens) {
+        const algorithm = this.toInteger(tokens[1], 'algorithm');
+        const digestType = this.toInteger(tokens[2], 'digest type');
+        return {
+            keyTag: this.toInteger(tokens[0], 'key tag'),
+            algorithm,
+            algorithmName: this.dnssecAlgorithms[algorithm] || `ALG${algorithm}`,
+            digestType,
+            digestTypeName: this.digestTypes[digestType] || `DIGEST${digestType}`,
+            digest: tokens.slice(3).join('').toUpperCase()
+        };
+    }
+
+    /**
+     * Parses DNSKEY/CDNSKEY data: flags, protocol, algorithm, public key
+     * @param {string[]} tokens - Presentation tokens
+     * @returns {Object} - DNSKEY fields including computed key tag and size
+     */
+    parseDNSKEY(tokens) {
+        const flags = this.toInteger(tokens[0], 'flags');
+        const protocol = this.toInteger(tokens[1], 'protocol');
+        const algorithm = this.toInteger(tokens[2], 'algorithm');
+        const publicKey = tokens.slice(3).join('');
+        const keyBytes = this.base64ToBytes(publicKey);
+
+        return {
+            flags,
+            zoneKey: (flags & 0x0100) !== 0,
+            secureEntryPoint: (flags & 0x0001) !== 0,
+            revoked: (flags & 0x0080) !== 0,
+            role: (flags & 0x0001) ? 'KSK' : 'ZSK',
+            protocol,
+            algorithm,
+            algorithmName: this.dnssecAlgorithms[algorithm] || `ALG${algorithm}`,
+            keyTag: this.computeKeyTag(flags, protocol, algorithm, keyBytes),
+            keySize: this.getDNSKEYSize(algorithm, keyBytes),
+            publicKey
+        };
+    }
+
+    /**
+     * Parses RRSIG data
+     * @param {string[]} tokens - Presentation tokens
+     * @returns {Object} - RRSIG fields with ISO timestamps
+     */
+    parseRRSIG(tokens) {
+        const algorithm = this.toInteger(tokens[1], 'algorithm');
+        return {
+            typeCovered: (tokens[0] || '').toUpperCase(),
+            algorithm,
+            algorithmName: this.dnssecAlgorithms[algorithm] || `ALG${algorithm}`,
+            labels: this.toInteger(tokens[2], 'labels'),
+            originalTTL: this.toInteger(tokens[3], 'original TTL'),
+            expiration: this.parseSignatureTime(tokens[4]),
+            inception: this.parseSignatureTime(tokens[5]),
+            keyTag: this.toInteger(tokens[6], 'key tag'),
+            signerName: (tokens[7] || '').toLowerCase(),
+            signature: tokens.slice(8).join('')
+        };
+    }
+
+    /**
+     * Parses NSEC data: next domain and type list
+     * @param {string[]} tokens - Presentation tokens
+     * @returns {Object} - NSEC fields
+     */
+    parseNSEC(tokens) {
+        return {
+            nextDomain: (tokens[0] || '').toLowerCase(),
+            types: tokens.slice(1).map(type => type.toUpperCase())
+        };
+    }
+
+    /**
+     * Parses NSEC3 data
+     * @param {string[]} tokens - Presentation tokens
+     * @returns {Object} - NSEC3 fields
+     */
+    parseNSEC3(tokens) {
+        const flags = this.toInteger(tokens[1], 'flags');
+        return {
+            hashAlgorithm: this.toInteger(tokens[0], 'hash algorithm'),
+            flags,
+            optOut: (flags & 1) !== 0,
+            iterations: this.toInteger(tokens[2], 'iterations'),
+            salt: tokens[3] === '-' ? '' : (tokens[3] || '').toUpperCase(),
+            nextHashedOwner: (tokens[4] || '').toUpperCase(),
+            types: tokens.slice(5).map(type => type.toUpperCase())
+        };
+    }
+
+    /**
+     * Parses TLSA data: usage, selector, matching type, association data
+     * @param {string[]} tokens - Presentation tokens
+     * @returns {Object} - TLSA fields
+     */
+    parseTLSA(tokens) {
+        const usage = this.toInteger(tokens[0], 'usage');
+        const selector = this.toInteger(tokens[1], 'selector');
+        const matchingType = this.toInteger(tokens[2], 'matching type');
+        return {
+            usage,
+            usageName: this.tlsaUsages[usage] || `USAGE${usage}`,
+            selector,
+            selectorName: this.tlsaSelectors[selector] || `SELECTOR${selector}`,
+            matchingType,
+            matchingTypeName: this.tlsaMatchingTypes[matchingType] || `MATCHING${matchingType}`,
+            certificateData: tokens.slice(3).join('').toUpperCase()
+        };
+    }
+
+    /**
+     * Parses SSHFP data: algorithm, fingerprint type, fingerprint
+     * @param {string[]} tokens - Presentation tokens
+     * @returns {Object} - SSHFP fields
+     */
+    parseSSHFP(tokens) {
+        const algorithm = this.toInteger(tokens[0], 'algorithm');
+        const fingerprintType = this.toInteger(tokens[1], 'fingerprint type');
+        return {
+            algorithm,
+            algorithmName: this.sshfpAlgorithms[algorithm] || `ALG${algorithm}`,
+            fingerprintType,
+            fingerprintTypeName: this.sshfpFingerprintTypes[fingerprintType] || `TYPE${fingerprintType}`,
+            fingerprint: tokens.slice(2).join('').toUpperCase()
+        };
+    }
+
+    /**
+     * Parses SVCB/HTTPS data: priority, target and SvcParams
+     * @param {string[]} tokens - Presentation tokens
+     * @returns {Object} - SVCB fields
+     */
+    parseSVCB(tokens) {
+        const priority = this.toInteger(tokens[0], 'priority');
+        const params = {};
+        const listParams = ['mandatory', 'alpn', 'ipv4hint', 'ipv6hint'];
+
+        for (const token of tokens.slice(2)) {
+            const separator = token.indexOf('=');
+            const key = (separator === -1 ? token : token.slice(0, separator)).toLowerCase();
+            const value = separator === -1 ? true : token.slice(separator + 1);
+
+            if (listParams.includes(key) && typeof value === 'string') {
+                params[key] = value.split(',').filter(item => item.length > 0);
+            } else if (key === 'port' && typeof value === 'string') {
+                params[key] = this.toInteger(value, 'port');
+            } else {
+                params[key] = value;
+            }
+        }
+
+        return {
+            priority,
+            mode: priority === 0 ? 'alias' : 'service',
+            target: (tokens[1] || '').toLowerCase(),
+            params
+        };
+    }
+
+    /**
+     * Parses NAPTR data
+     * @param {string[]} tokens - Presentation tokens
+     * @returns {Object} - NAPTR fields
+     */
+    parseNAPTR(tokens) {
+        return {
+            order: this.toInteger(tokens[0], 'order'),
+            preference: this.toInteger(tokens[1], 'preference'),
+            flags: tokens[2] || '',
+            services: tokens[3] || '',
+            regexp: tokens[4] || '',
+            replacement: (tokens[5] || '').toLowerCase()
+        };
+    }
+
+    /**
+     * Parses SRV data: priority weight port target (RFC 2782)
+     * @param {string[]} tokens - Presentation tokens
+     * @returns {Object} - SRV fields; a target of "." means the service is not available
+     */
+    parseSRV(tokens) {
+        const target = (tokens[3] || '').toLowerCase();
+        return {
+            priority: this.toInteger(tokens[0], 'priority'),
+            weight: this.toInteger(tokens[1], 'weight'),
+            port: this.toInteger(tokens[2], 'port'),
+            target: target === '.' ? '.' : target.replace(/\.$/, ''),
+            available: target !== '.'
+        };
+    }
+
+    /**
+     * Parses SOA data: mname rname serial refresh retry expire minimum
+     * @param {string[]} tokens - Presentation tokens
+     * @returns {Object} - SOA fields (rname also converted to a mailbox address)
+     */
+    parseSOA(tokens) {
+        const rname = (tokens[1] || '').toLowerCase().replace(/\.$/, '');
+        return {
+            mname: (tokens[0] || '').toLowerCase().replace(/\.$/, ''),
+            rname,
+            email: rname.replace('.', '@'),
+            serial: this.toInteger(tokens[2], 'serial'),
+            refresh: this.toInteger(tokens[3], 'refresh'),
+            retry: this.toInteger(tokens[4], 'retry'),
+            expire: this.toInteger(tokens[5], 'expire'),
+            minimum: this.toInteger(tokens[6], 'minimum')
+        };
+    }
+
+    /**
+     * Computes a DNSKEY key tag (RFC 4034 appendix B)
+     * @param {number} flags - DNSKEY flags
+     * @param {number} protocol - DNSKEY protocol
+     * @param {number} algorithm - DNSKEY algorithm
+     * @param {Uint8Array} keyBytes - Public key bytes
+     * @returns {number} - Key tag
+     */
+    computeKeyTag(flags, protocol, algorithm, keyBytes) {
+        const rdata = new Uint8Array(4 + keyBytes.length);
+        rdata[0] = flags >> 8;
+        rdata[1] = flags & 0xff;
+        rdata[2] = protocol;
+        rdata[3] = algorithm;
+        rdata.set(keyBytes, 4);
+
+        let accumulator = 0;
+        for (let i = 0; i < rdata.length; i++) {
+            accumulator += (i & 1) ? rdata[i] : rdata[i] << 8;
+        }
+        accumulator += (accumulator >> 16) & 0xffff;
+        return accumulator & 0xffff;
+    }
+
+    /**
+     * Determines the key size in bits for a DNSKEY public key
+     * @param {number} algorithm - DNSSEC algorithm number
+     * @param {Uint8Array} keyBytes - Public key bytes
+     * @returns {number|null} - Key size in bits, or null if unknown
+     */
+    getDNSKEYSize(algorithm, keyBytes) {
+        const fixedSizes = { 13: 256, 14: 384, 15: 256, 16: 456 };
+        if (fixedSizes[algorithm]) {
+            return fixedSizes[algorithm];
+        }
+
+        // RSA keys (RFC 3110): exponent length, exponent, modulus
+        if ([5, 7, 8, 10].includes(algorithm) && keyBytes.length > 3) {
+            let exponentLength = keyBytes[0];
+            let offset = 1;
+            if (exponentLength === 0) {
+                exponentLength = (keyBytes[1] << 8) | keyBytes[2];
+                offset = 3;
+            }
+            const modulus = keyBytes.subarray(offset + exponentLength);
+            let leadingZeros = 0;
+            while (leadingZeros < modulus.length && modulus[leadingZeros] === 0) {
+                leadingZeros++;
+            }
+            return (modulus.length - leadingZeros) * 8;
+        }
+
+        return null;
+    }
+
+    /**
+     * Parses an RRSIG timestamp (YYYYMMDDHHmmSS or seconds since the epoch)
+     * @param {string} value - Timestamp token
+     * @returns {string} - ISO 8601 timestamp
+     */
+    parseSignatureTime(value) {
+        const text = String(value || '');
+        if (/^\d{14}$/.test(text)) {
+            return `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}T${text.slice(8, 10)}:${text.slice(10, 12)}:${text.slice(12, 14)}Z`;
+        }
+        return new Date(this.toInteger(text, 'timestamp') * 1000).toISOString().replace('.000Z', 'Z');
+    }
+
+    /**
+     * Decodes base64 into bytes
+     * @param {string} value - Base64 string
+     * @returns {Uint8Array} - Decoded bytes
+     */
+    base64ToBytes(value) {
+        const binary = atob(value);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Parses an unsigned integer field
+     * @param {string} value - Token to parse
+     * @param {string} field - Field name for error messages
+     * @returns {number} - Parsed integer
+     */
+    toInteger(value, field) {
+        if (!/^\d+$/.test(String(value))) {
+            throw new Error(`invalid ${field} "${value}"`);
+        }
+        return parseInt(value, 10);
+    }
+}
+
+// Export for use in other modules
+window.DNSRecordParser = DNSRecordParser;
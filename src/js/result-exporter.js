@@ -0,0 +1,298 @@
+/**
+ * Result Exporter - Serializes DNS data and the configuration analysis for change-approval evidence
+ * as versioned JSON, per-record CSV, a Markdown ticket report and a print-optimized HTML page
+ */
+
+class ResultExporter {
+    constructor() {
+        // Bump when the JSON layout changes incompatibly
+        this.formatName = 'dns-checker-report';
+        this.formatVersion = 1;
+
+        // Severity groups of analyzeConfiguration() in report order
+        this.severityGroups = [
+            { key: 'errors', label: 'Critical' },
+            { key: 'warnings', label: 'Warning' },
+            { key: 'info', label: 'Info' }
+        ];
+    }
+
+    /**
+     * Builds the versioned report object shared by all export formats
+     * @param {Object} dnsData - DNS records organized by type (UIController.lastDNSData)
+     * @param {Object|null} analysis - Result from DNSErrorDetector.analyzeConfiguration()
+     * @param {Object} context - { domain, permalink, options }
+     * @returns {Object} - { format, version, generatedAt, domain, permalink, options, records, analysis }
+     */
+    buildReport(dnsData, analysis, context = {}) {
+        return {
+            format: this.formatName,
+            version: this.formatVersion,
+            generatedAt: new Date().toISOString(),
+            domain: context.domain || (analysis ? analysis.domain : null),
+            permalink: context.permalink || null,
+            options: context.options || {},
+            records: dnsData || {},
+            analysis: analysis || null
+        };
+    }
+
+    /**
+     * Serializes a report as JSON (circular references, e.g. in nested lookup data, are dropped)
+     * @param {Object} report - Report from buildReport()
+     * @returns {string} - Pretty-printed JSON
+     */
+    toJSON(report) {
+        // Objects on the path from the root to the current value; shared (non-circular) references are kept
+        const ancestors = [];
+        return JSON.stringify(report, function (key, value) {
+            if (!value || typeof value !== 'object') {
+                return value;
+            }
+            while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+                ancestors.pop();
+            }
+            if (ancestors.includes(value)) {
+                return undefined;
+            }
+            ancestors.push(value);
+            return value;
+        }, 2);
+    }
+
+    /**
+     * Serializes every record as one CSV row
+     * @param {Object} report - Report from buildReport()
+     * @returns {string} - CSV with a header row (RFC 4180 quoting, CRLF line endings)
+     */
+    toCSV(report) {
+        const rows = [['record_set', 'name', 'type', 'ttl', 'data', 'source', 'queried_at']];
+
+        for (const [recordSet, recordData] of Object.entries(report.records)) {
+            for (const record of this.getRecords(recordData)) {
+                rows.push([recordSet, record.name, record.type, record.ttl, record.data, recordData.source, recordData.timestamp]);
+            }
+        }
+
+        return rows.map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Renders a Markdown report suitable for pasting into a ticket
+     * @param {Object} report - Report from buildReport()
+     * @returns {string} - Markdown text
+     */
+    toMarkdown(report) {
+        const lines = [
+            `# DNS report for ${report.domain}`,
+            '',
+            `Generated ${report.generatedAt}${report.permalink ? ` · [Reproduce this analysis](${report.permalink})` : ''}`,
+            ''
+        ];
+
+        if (report.analysis) {
+            const summary = report.analysis.summary;
+            lines.push('## Summary', '', '| Critical | Warnings | Info |', '| --- | --- | --- |',
+                `| ${summary.criticalErrors} | ${summary.warnings} | ${summary.infoItems} |`, '');
+
+            for (const group of this.severityGroups) {
+                const issues = report.analysis[group.key] || [];
+                if (issues.length === 0) {
+                    continue;
+                }
+                lines.push(`## ${group.label} issues`, '');
+                for (const issue of issues) {
+                    lines.push(`- **${this.escapeMarkdown(issue.message)}**`);
+                    if (issue.description) {
+                        lines.push(`  ${this.escapeMarkdown(issue.description)}`);
+                    }
+                    if (issue.recommendation) {
+                        lines.push(`  *Recommendation:* ${this.escapeMarkdown(issue.recommendation)}`);
+                    }
+                }
+                lines.push('');
+            }
+        }
+
+        lines.push('## Records', '');
+        for (const [recordSet, recordData] of Object.entries(report.records)) {
+            const records = this.getRecords(recordData);
+            if (records.length === 0 && !recordData.error) {
+                continue;
+            }
+
+            lines.push(`### ${recordSet}`, '');
+            if (recordData.error) {
+                lines.push(`Error: ${this.escapeMarkdown(recordData.error)}`, '');
+            }
+            if (records.length > 0) {
+                lines.push('| Name | TTL | Data |', '| --- | --- | --- |');
+                for (const record of records) {
+                    lines.push(`| ${this.escapeMarkdown(record.name)} | ${record.ttl} | ${this.markdownCode(record.data)} |`);
+                }
+                lines.push('');
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Renders a standalone, print-optimized HTML page of the report
+     * @param {Object} report - Report from buildReport()
+     * @returns {string} - HTML document
+     */
+    toPrintHTML(report) {
+        const escape = value => this.escapeHTML(value);
+        let issuesHTML = '';
+
+        if (report.analysis) {
+            const summary = report.analysis.summary;
+            issuesHTML += `
+                <h2>Summary</h2>
+                <p>${summary.criticalErrors} critical · ${summary.warnings} warning(s) · ${summary.infoItems} info</p>
+            `;
+            for (const group of this.severityGroups) {
+                const issues = report.analysis[group.key] || [];
+                if (issues.length === 0) {
+                    continue;
+                }
+                issuesHTML += `
+                    <h2>${group.label} issues</h2>
+                    <ul class="issues severity-${group.key}">
+                        ${issues.map(issue => `
+                            <li>
+                                <strong>${escape(issue.message)}</strong>
+                                ${issue.description ? `<br>${escape(issue.description)}` : ''}
+                                ${issue.recommendation ? `<br><em>Recommendation:</em> ${escape(issue.recommendation)}` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                `;
+            }
+        }
+
+        const recordsHTML = Object.entries(report.records).map(([recordSet, recordData]) => {
+            const records = this.getRecords(recordData);
+            if (records.length === 0 && !recordData.error) {
+                return '';
+            }
+            return `
+                <section class="record-set">
+                    <h3>${escape(recordSet)}</h3>
+                    ${recordData.error ? `<p class="error">Error: ${escape(recordData.error)}</p>` : ''}
+                    ${records.length > 0 ? `
+                        <table>
+                            <thead><tr><th>Name</th><th>TTL</th><th>Data</th></tr></thead>
+                            <tbody>
+                                ${records.map(record => `<tr><td>${escape(record.name)}</td><td>${escape(record.ttl)}</td><td>${escape(record.data)}</td></tr>`).join('')}
+                            </tbody>
+                        </table>
+                    ` : ''}
+                    <p class="meta">Source: ${escape(recordData.source || 'N/A')} · Queried: ${escape(recordData.timestamp || '')}</p>
+                </section>
+            `;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>DNS report for ${escape(report.domain)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; font-size: 11pt; color: #111; margin: 2rem; }
+    h1 { font-size: 18pt; margin-bottom: 0.25rem; }
+    h2 { font-size: 14pt; border-bottom: 1px solid #999; padding-bottom: 0.2rem; margin-top: 1.5rem; }
+    h3 { font-size: 12pt; margin-bottom: 0.25rem; }
+    table { width: 100%; border-collapse: collapse; font-family: Menlo, Consolas, monospace; font-size: 9pt; }
+    th, td { border: 1px solid #bbb; padding: 0.25rem 0.4rem; text-align: left; vertical-align: top; word-break: break-all; }
+    th { background: #eee; }
+    .meta, .generated { color: #555; font-size: 9pt; }
+    .issues li { margin-bottom: 0.4rem; }
+    .severity-errors strong, .error { color: #b91c1c; }
+    .severity-warnings strong { color: #b45309; }
+    .record-set { page-break-inside: avoid; }
+    @media print {
+        body { margin: 0; }
+        a { color: inherit; text-decoration: none; }
+    }
+</style>
+</head>
+<body>
+<h1>DNS report for ${escape(report.domain)}</h1>
+<p class="generated">Generated ${escape(report.generatedAt)}${report.permalink ? ` · ${escape(report.permalink)}` : ''} · Format ${this.formatName} v${this.formatVersion}</p>
+${issuesHTML}
+<h2>Records</h2>
+${recordsHTML}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Gets the records of a record set (pseudo sets such as TXT also carry ACME challenge records)
+     * @param {Object} recordData - Record set
+     * @returns {Object[]} - Records
+     */
+    getRecords(recordData) {
+        if (!recordData || !Array.isArray(recordData.records)) {
+            return [];
+        }
+        return [...recordData.records, ...(recordData.acmeChallenges || [])];
+    }
+
+    /**
+     * Quotes a CSV field and neutralizes values spreadsheets would run as formulas
+     * @param {*} value - Field value
+     * @returns {string} - CSV field
+     */
+    escapeCSV(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Escapes characters with a meaning in Markdown text and tables
+     * @param {*} value - Text
+     * @returns {string} - Escaped text
+     */
+    escapeMarkdown(value) {
+        return String(value === undefined || value === null ? '' : value).replace(/([\\`*_[\]|<>])/g, '\\$1');
+    }
+
+    /**
+     * Wraps text in a Markdown code span for a table cell
+     * Backslash escapes do not work inside code spans, so the fence is one backtick longer than the
+     * longest backtick run in the text; pipes keep their escape, which GFM tables apply first
+     * @param {*} value - Text
+     * @returns {string} - Code span
+     */
+    markdownCode(value) {
+        const text = String(value === undefined || value === null ? '' : value).replace(/\r?\n/g, ' ').replace(/\|/g, '\\|');
+        const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        // A space keeps a leading or trailing backtick from joining the fence (CommonMark strips one on each side)
+        const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+        return `${fence}${padding}${text}${padding}${fence}`;
+    }
+
+    /**
+     * Escapes text for HTML output
+     * @param {*} value - Text
+     * @returns {string} - Escaped text
+     */
+    escapeHTML(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+window.ResultExporter = ResultExporter;
@@ -0,0 +1,326 @@
+/**
+ * Snapshot Store - Keeps every analysis as a timestamped snapshot in IndexedDB, keyed by domain,
+ * diffs two snapshots (records added, removed or changed; issues new or resolved) and exports or
+ * imports the history as JSON so it can be shared without a server
+ */
+
+class SnapshotStore {
+    /**
+     * @param {DNSQueryEngine} dnsEngine - Query engine used to normalize record data for diffs
+     */
+    constructor(dnsEngine) {
+        this.dnsEngine = dnsEngine;
+
+        this.databaseName = 'dns-checker';
+        this.databaseVersion = 1;
+        this.storeName = 'snapshots';
+
+        // Oldest snapshots of a domain are pruned beyond this count
+        this.maxSnapshotsPerDomain = 50;
+
+        // Bump when the export layout changes incompatibly
+        this.formatName = 'dns-checker-snapshots';
+        this.formatVersion = 1;
+
+        this.database = null;
+    }
+
+    /**
+     * Checks whether the browser offers IndexedDB (it is missing in some private modes and embedded views)
+     * @returns {boolean} - True if snapshots can be stored
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Opens the database, creating the snapshot store and its domain index on first use
+     * @returns {Promise<IDBDatabase>} - Open database
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                if (!this.isAvailable()) {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+                const request = indexedDB.open(this.databaseName, this.databaseVersion);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('domain', 'domain', { unique: false });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // Allow a later retry
+                this.database = null;
+                throw error;
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * Runs one request in a transaction on the snapshot store
+     * @param {string} mode - readonly or readwrite
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} - Request result
+     */
+    async run(mode, operation) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(database.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Stores an analysis and prunes the domain's oldest snapshots
+     * @param {Object} report - Report from ResultExporter.buildReport() (must be JSON-safe)
+     * @returns {Promise<Object>} - Stored snapshot { id, domain, timestamp, summary, report }
+     */
+    async save(report) {
+        const snapshot = {
+            domain: this.normalizeName(report.domain),
+            timestamp: report.generatedAt,
+            summary: report.analysis ? report.analysis.summary : null,
+            report
+        };
+        snapshot.id = await this.run('readwrite', store => store.add(snapshot));
+
+        const snapshots = await this.list(snapshot.domain);
+        for (const old of snapshots.slice(this.maxSnapshotsPerDomain)) {
+            await this.delete(old.id);
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Lists the snapshots of a domain, newest first
+     * @param {string} domain - Domain
+     * @returns {Promise<Object[]>} - Snapshots
+     */
+    async list(domain) {
+        const snapshots = await this.run('readonly', store => store.index('domain').getAll(this.normalizeName(domain)));
+        return snapshots.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    /**
+     * Reads one snapshot
+     * @param {number} id - Snapshot id
+     * @returns {Promise<Object|undefined>} - Snapshot
+     */
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    /**
+     * Deletes one snapshot
+     * @param {number} id - Snapshot id
+     * @returns {Promise<void>}
+     */
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Serializes snapshots for sharing
+     * @param {string|null} domain - Domain to export, or null for every stored domain
+     * @returns {Promise<string>} - JSON text
+     */
+    async exportSnapshots(domain = null) {
+        const snapshots = domain
+            ? await this.list(domain)
+            : await this.run('readonly', store => store.getAll());
+
+        return JSON.stringify({
+            format: this.formatName,
+            version: this.formatVersion,
+            exportedAt: new Date().toISOString(),
+            snapshots: snapshots.map(({ domain: name, timestamp, summary, report }) => ({ domain: name, timestamp, summary, report }))
+        }, null, 2);
+    }
+
+    /**
+     * Imports shared snapshots; snapshots already stored (same domain and timestamp) are skipped
+     * @param {string} text - JSON from exportSnapshots()
+     * @returns {Promise<Object>} - { imported, skipped, domains }
+     */
+    async importSnapshots(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a snapshot export: ${error.message}`);
+        }
+        if (!data || data.format !== this.formatName || !Array.isArray(data.snapshots)) {
+            throw new Error('Not a snapshot export: the file has no dns-checker-snapshots data');
+        }
+        if (data.version > this.formatVersion) {
+            throw new Error(`Snapshot export version ${data.version} is newer than this tool supports (${this.formatVersion})`);
+        }
+
+        const result = { imported: 0, skipped: 0, domains: [] };
+        const existing = new Map();
+
+        for (const snapshot of data.snapshots) {
+            if (!snapshot || typeof snapshot.domain !== 'string' || typeof snapshot.timestamp !== 'string' || !snapshot.report) {
+                result.skipped++;
+                continue;
+            }
+
+            const domain = this.normalizeName(snapshot.domain);
+            if (!existing.has(domain)) {
+                existing.set(domain, new Set((await this.list(domain)).map(stored => stored.timestamp)));
+            }
+            if (existing.get(domain).has(snapshot.timestamp)) {
+                result.skipped++;
+                continue;
+            }
+
+            await this.run('readwrite', store => store.add({
+                domain,
+                timestamp: snapshot.timestamp,
+                summary: snapshot.summary || (snapshot.report.analysis ? snapshot.report.analysis.summary : null),
+                report: snapshot.report
+            }));
+            existing.get(domain).add(snapshot.timestamp);
+            result.imported++;
+            if (!result.domains.includes(domain)) {
+                result.domains.push(domain);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Diffs two snapshots of a domain
+     * @param {Object} older - Earlier snapshot
+     * @param {Object} newer - Later snapshot
+     * @returns {Object} - { records: [{ name, type, change: 'added'|'removed'|'changed', before, after, added, removed }],
+     *   newIssues, resolvedIssues, changedIssues: [{ before, after }] }; live TTLs count down in resolver caches,
+     *   so TTL differences are ignored
+     */
+    diffSnapshots(older, newer) {
+        const comparator = new ZoneComparator(this.dnsEngine);
+        const before = this.groupRecords(older.report.records);
+        const after = this.groupRecords(newer.report.records);
+        const changes = { missing: 'removed', extra: 'added', changed: 'changed' };
+        const records = [];
+
+        for (const key of [...new Set([...before.keys(), ...after.keys()])].sort()) {
+            const group = before.get(key) || { ...after.get(key), records: [] };
+            const diff = comparator.diffRRset(group, after.has(key) ? after.get(key).records : []);
+            if (changes[diff.status]) {
+                records.push({
+                    name: diff.name,
+                    type: diff.type,
+                    change: changes[diff.status],
+                    before: diff.expected,
+                    after: diff.live,
+                    removed: diff.missing,
+                    added: diff.extra
+                });
+            }
+        }
+
+        const olderIssues = this.groupIssues(this.getIssues(older.report.analysis));
+        const newerIssues = this.groupIssues(this.getIssues(newer.report.analysis));
+        const result = { records, newIssues: [], resolvedIssues: [], changedIssues: [] };
+
+        // Issues with the same key are paired in report order; a paired issue whose wording differs changed
+        for (const key of new Set([...olderIssues.keys(), ...newerIssues.keys()])) {
+            const before = olderIssues.get(key) || [];
+            const after = newerIssues.get(key) || [];
+            for (let i = 0; i < Math.max(before.length, after.length); i++) {
+                if (!after[i]) {
+                    result.resolvedIssues.push(before[i]);
+                } else if (!before[i]) {
+                    result.newIssues.push(after[i]);
+                } else if (before[i].message !== after[i].message || before[i].severity !== after[i].severity) {
+                    result.changedIssues.push({ before: before[i], after: after[i] });
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Groups issues by a key that stays the same while the values in their messages change
+     * (TTLs, counts, days until expiry): type, owner name, affected records and the message with numbers masked
+     * @param {Object[]} issues - Issues of one analysis
+     * @returns {Map<string, Object[]>} - Key to issues in report order
+     */
+    groupIssues(issues) {
+        const groups = new Map();
+        for (const issue of issues) {
+            const key = [
+                issue.type,
+                this.normalizeName(issue.recordName),
+                (issue.affectedRecords || []).join(','),
+                String(issue.message || '').replace(/\d+(\.\d+)?/g, '#')
+            ].join('|');
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(issue);
+        }
+        return groups;
+    }
+
+    /**
+     * Groups the records of every record set (including pseudo sets such as DMARC and DKIM) into RRsets
+     * @param {Object} recordSets - DNS records organized by type
+     * @returns {Map<string, Object>} - "name type" to { name, type, records }
+     */
+    groupRecords(recordSets) {
+        const groups = new Map();
+        const seen = new Set();
+
+        for (const recordSet of Object.values(recordSets || {})) {
+            for (const record of (recordSet && Array.isArray(recordSet.records)) ? recordSet.records : []) {
+                const name = this.normalizeName(record.name);
+                const key = `${name} ${record.type}`;
+                // Pseudo record sets repeat records of the real ones
+                if (seen.has(`${key} ${record.data}`)) {
+                    continue;
+                }
+                seen.add(`${key} ${record.data}`);
+                if (!groups.has(key)) {
+                    groups.set(key, { name, type: record.type, records: [] });
+                }
+                groups.get(key).records.push(record);
+            }
+        }
+
+        return groups;
+    }
+
+    /**
+     * Gets the issues of an analysis with their severity
+     * @param {Object|null} analysis - Result from DNSErrorDetector.analyzeConfiguration()
+     * @returns {Object[]} - Issues
+     */
+    getIssues(analysis) {
+        if (!analysis) {
+            return [];
+        }
+        return [...(analysis.errors || []), ...(analysis.warnings || []), ...(analysis.info || [])];
+    }
+
+    /**
+     * Lowercases a domain name and strips the trailing dot
+     * @param {string} name - Domain name
+     * @returns {string} - Normalized name
+     */
+    normalizeName(name) {
+        return String(name || '').trim().toLowerCase().replace(/\.$/, '');
+    }
+}
+
+// Export for use in other modules
+window.SnapshotStore = SnapshotStore;
@@ -0,0 +1,387 @@
+/**
+ * SPF Evaluator - Expands an SPF policy through its include/redirect tree
+ * Counts DNS-querying terms and void lookups per RFC 7208 section 4.6.4,
+ * detects include loops and collects the authorized IP ranges
+ */
+
+class SPFEvaluator {
+    /**
+     * @param {DNSQueryEngine} dnsEngine - Query engine used for all lookups
+     */
+    constructor(dnsEngine) {
+        this.dnsEngine = dnsEngine;
+
+        // RFC 7208 processing limits
+        this.maxLookups = 10;
+        this.maxVoidLookups = 2;
+        this.maxMXHosts = 10;
+
+        // Stop expanding well past the limit so a runaway policy cannot flood the resolvers
+        this.maxExpansionLookups = 30;
+
+        // Mechanisms and modifiers that cost a DNS lookup
+        this.lookupMechanisms = ['include', 'a', 'mx', 'ptr', 'exists'];
+        this.knownMechanisms = ['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'];
+    }
+
+    /**
+     * Evaluates the SPF policy of a domain
+     * @param {string} domain - Domain whose SPF record should be expanded
+     * @param {string} preferredProvider - Preferred DoH provider (default: 'cloudflare')
+     * @returns {Promise<Object>} - Evaluation with tree, lookup counts, flattened IPs and errors
+     */
+    async evaluate(domain, preferredProvider = 'cloudflare') {
+        const state = {
+            provider: preferredProvider,
+            lookupCount: 0,
+            voidLookupCount: 0,
+            ips: [],
+            errors: [],
+            warnings: [],
+            cache: new Map()
+        };
+
+        const tree = await this.evaluateDomain(domain.toLowerCase(), 'root', state, []);
+
+        if (state.lookupCount > this.maxLookups) {
+            this.addError(state, tree, 'lookup-limit',
+                `SPF evaluation needs ${state.lookupCount} DNS lookups (limit ${this.maxLookups})`);
+        }
+        if (state.voidLookupCount > this.maxVoidLookups) {
+            this.addError(state, tree, 'void-limit',
+                `SPF evaluation causes ${state.voidLookupCount} void lookups (limit ${this.maxVoidLookups})`);
+        }
+
+        return {
+            domain,
+            recordType: 'SPF',
+            records: tree.sourceRecords,
+            record: tree.record,
+            tree,
+            lookupCount: state.lookupCount,
+            voidLookupCount: state.voidLookupCount,
+            ips: this.uniqueIPs(state.ips),
+            errors: state.errors,
+            warnings: state.warnings,
+            result: state.errors.length > 0 ? 'permerror' : tree.record ? 'ok' : 'none',
+            timestamp: new Date().toISOString(),
+            source: preferredProvider
+        };
+    }
+
+    /**
+     * Fetches and expands the SPF record of one domain in the tree
+     * @param {string} domain - Domain to evaluate
+     * @param {string} via - Term that led here ('root', 'include' or 'redirect')
+     * @param {Object} state - Shared evaluation state
+     * @param {string[]} ancestry - Domains on the path from the root (loop detection)
+     * @returns {Promise<Object>} - Tree node
+     */
+    async evaluateDomain(domain, via, state, ancestry) {
+        const node = {
+            domain,
+            via,
+            record: null,
+            sourceRecords: [],
+            terms: [],
+            lookups: 0,
+            totalLookups: 0,
+            voidLookups: 0,
+            ips: [],
+            children: [],
+            errors: []
+        };
+
+        if (ancestry.includes(domain)) {
+            this.addError(state, node, 'loop', `SPF include loop: ${[...ancestry, domain].join(' → ')}`);
+            return node;
+        }
+
+        let spfRecords;
+        try {
+            const result = await this.lookup(domain, 'TXT', state);
+            if (this.isVoid(result)) {
+                state.voidLookupCount++;
+                node.voidLookups++;
+            }
+            spfRecords = (result.records || []).filter(record =>
+                /^v=spf1(\s|$)/i.test(this.dnsEngine.normalizeRecordData('TXT', record.data))
+            );
+        } catch (error) {
+            this.addError(state, node, 'lookup-failed', `Could not retrieve the SPF record of ${domain}: ${error.message}`);
+            return node;
+        }
+
+        node.sourceRecords = spfRecords;
+
+        if (spfRecords.length === 0) {
+            if (via !== 'root') {
+                this.addError(state, node, 'missing-record', `${via}:${domain} has no SPF record`);
+            }
+            return node;
+        }
+        if (spfRecords.length > 1) {
+            this.addError(state, node, 'multiple-records', `${domain} publishes ${spfRecords.length} SPF records`);
+        }
+
+        node.record = this.dnsEngine.normalizeRecordData('TXT', spfRecords[0].data);
+        node.terms = this.parseTerms(node.record);
+
+        const hasAll = node.terms.some(term => term.name === 'all');
+        const path = [...ancestry, domain];
+
+        for (const term of node.terms) {
+            if (term.error) {
+                this.addError(state, node, 'syntax', `Invalid SPF term "${term.raw}" in ${domain}`);
+                continue;
+            }
+
+            if (term.modifier && term.name !== 'redirect') {
+                continue;
+            }
+            if (term.name === 'redirect' && hasAll) {
+                // RFC 7208 section 6.1: redirect is ignored when the record has an "all" mechanism
+                term.ignored = true;
+                continue;
+            }
+
+            const costsLookup = term.name === 'redirect' || this.lookupMechanisms.includes(term.name);
+            if (costsLookup) {
+                state.lookupCount++;
+                node.lookups++;
+                term.lookups = 1;
+            }
+
+            if (term.name === 'ip4' || term.name === 'ip6') {
+                node.ips.push(term.value);
+                state.ips.push({ value: term.value, source: domain });
+                continue;
+            }
+
+            if (term.name === 'ptr') {
+                state.warnings.push({ type: 'ptr', domain, message: `${domain} uses the deprecated "ptr" mechanism` });
+                continue;
+            }
+
+            if (term.name === 'all') {
+                if (term.qualifier === '+' && via === 'root') {
+                    state.warnings.push({ type: 'pass-all', domain, message: `${domain} ends with "+all", authorizing every host on the internet` });
+                }
+                continue;
+            }
+
+            if (!costsLookup) {
+                continue;
+            }
+
+            const target = (term.value || domain).toLowerCase();
+            if (target.includes('%')) {
+                state.warnings.push({ type: 'macro', domain, message: `${term.raw} in ${domain} uses macros and cannot be expanded without a sender` });
+                continue;
+            }
+            if (term.name === 'exists') {
+                continue;
+            }
+            if (state.lookupCount > this.maxExpansionLookups) {
+                term.skipped = true;
+                continue;
+            }
+
+            if (term.name === 'include' || term.name === 'redirect') {
+                node.children.push(await this.evaluateDomain(target, term.name, state, path));
+            } else if (term.name === 'a') {
+                await this.resolveAddressTerm(target, term, node, state);
+            } else if (term.name === 'mx') {
+                await this.resolveMXTerm(target, term, node, state);
+            }
+        }
+
+        node.totalLookups = node.lookups + node.children.reduce((sum, child) => sum + child.totalLookups, 0);
+        return node;
+    }
+
+    /**
+     * Resolves an "a" mechanism to its addresses
+     * @param {string} target - Domain the mechanism refers to
+     * @param {Object} term - Parsed term (cidr lengths applied to results)
+     * @param {Object} node - Tree node collecting the addresses
+     * @param {Object} state - Shared evaluation state
+     */
+    async resolveAddressTerm(target, term, node, state) {
+        const addresses = await this.resolveAddresses(target, term, state);
+        if (addresses === null) {
+            this.addError(state, node, 'lookup-failed', `Could not resolve ${term.raw} in ${node.domain}`);
+            return;
+        }
+        if (addresses.length === 0) {
+            state.voidLookupCount++;
+            node.voidLookups++;
+        }
+        for (const address of addresses) {
+            node.ips.push(address);
+            state.ips.push({ value: address, source: `${node.domain} (${term.raw})` });
+        }
+    }
+
+    /**
+     * Resolves an "mx" mechanism to the addresses of its mail exchangers
+     * @param {string} target - Domain the mechanism refers to
+     * @param {Object} term - Parsed term (cidr lengths applied to results)
+     * @param {Object} node - Tree node collecting the addresses
+     * @param {Object} state - Shared evaluation state
+     */
+    async resolveMXTerm(target, term, node, state) {
+        let result;
+        try {
+            result = await this.lookup(target, 'MX', state);
+        } catch (error) {
+            this.addError(state, node, 'lookup-failed', `Could not resolve ${term.raw} in ${node.domain}: ${error.message}`);
+            return;
+        }
+
+        if (this.isVoid(result)) {
+            state.voidLookupCount++;
+            node.voidLookups++;
+            return;
+        }
+
+        const hosts = result.records
+            .map(record => this.dnsEngine.normalizeRecordData('MX', record.data).split(' ').pop())
+            .filter(host => host && host !== '.');
+
+        if (hosts.length > this.maxMXHosts) {
+            this.addError(state, node, 'mx-limit', `${term.raw} in ${node.domain} returns ${hosts.length} MX hosts (limit ${this.maxMXHosts})`);
+        }
+
+        for (const host of hosts.slice(0, this.maxMXHosts)) {
+            const addresses = await this.resolveAddresses(host, term, state);
+            for (const address of addresses || []) {
+                node.ips.push(address);
+                state.ips.push({ value: address, source: `${node.domain} (${term.raw} → ${host})` });
+            }
+        }
+    }
+
+    /**
+     * Resolves A and AAAA records for a host (these do not count as extra SPF lookups)
+     * @param {string} host - Host name
+     * @param {Object} term - Parsed term with optional cidr4/cidr6
+     * @param {Object} state - Shared evaluation state
+     * @returns {Promise<string[]|null>} - Addresses with CIDR suffixes, or null on failure
+     */
+    async resolveAddresses(host, term, state) {
+        try {
+            const [a, aaaa] = await Promise.all([
+                this.lookup(host, 'A', state),
+                this.lookup(host, 'AAAA', state)
+            ]);
+            return [
+                ...(a.records || []).map(record => record.data + (term.cidr4 !== undefined ? `/${term.cidr4}` : '')),
+                ...(aaaa.records || []).map(record => record.data + (term.cidr6 !== undefined ? `/${term.cidr6}` : ''))
+            ];
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Splits an SPF record into parsed terms
+     * @param {string} record - SPF record text
+     * @returns {Object[]} - Terms with qualifier, name, value, cidr4/cidr6 or error
+     */
+    parseTerms(record) {
+        return record.trim().split(/\s+/).slice(1).map(raw => {
+            const modifier = raw.match(/^([a-z][a-z0-9_.-]*)=(.*)$/i);
+            if (modifier) {
+                return { raw, modifier: true, name: modifier[1].toLowerCase(), value: modifier[2] };
+            }
+
+            const address = raw.match(/^([+?~-]?)(ip[46]):(.+)$/i);
+            if (address) {
+                return { raw, qualifier: address[1] || '+', name: address[2].toLowerCase(), value: address[3] };
+            }
+
+            const mechanism = raw.match(/^([+?~-]?)([a-z0-9]+)(?::([^/]+))?((?:\/\d+)?(?:\/\/\d+)?)$/i);
+            if (!mechanism) {
+                return { raw, error: true };
+            }
+
+            const name = mechanism[2].toLowerCase();
+            if (!this.knownMechanisms.includes(name)) {
+                return { raw, error: true };
+            }
+
+            const term = { raw, qualifier: mechanism[1] || '+', name, value: mechanism[3] || null };
+
+            if (mechanism[4]) {
+                const cidr = mechanism[4].match(/^(?:\/(\d+))?(?:\/\/(\d+))?$/);
+                if (cidr[1] !== undefined) term.cidr4 = parseInt(cidr[1], 10);
+                if (cidr[2] !== undefined) term.cidr6 = parseInt(cidr[2], 10);
+            }
+
+            if (['include', 'exists'].includes(name) && !term.value) {
+                return { raw, error: true };
+            }
+
+            return term;
+        });
+    }
+
+    /**
+     * Queries a name once per evaluation (repeated terms still count as lookups)
+     * @param {string} name - Name to query
+     * @param {string} recordType - DNS record type
+     * @param {Object} state - Shared evaluation state holding the query cache
+     * @returns {Promise<Object>} - Query result
+     */
+    lookup(name, recordType, state) {
+        const key = `${name}:${recordType}`;
+        if (!state.cache.has(key)) {
+            state.cache.set(key, this.dnsEngine.queryDNS(name, recordType, state.provider));
+        }
+        return state.cache.get(key);
+    }
+
+    /**
+     * Checks whether a query result is a void lookup (NXDOMAIN or no answers)
+     * @param {Object} result - Query result
+     * @returns {boolean} - True for void lookups
+     */
+    isVoid(result) {
+        return (result.error && result.error.includes('NXDOMAIN')) ||
+            (!result.error && (!result.records || result.records.length === 0));
+    }
+
+    /**
+     * Removes duplicate IP ranges, keeping the first source
+     * @param {Object[]} ips - { value, source } entries
+     * @returns {Object[]} - Unique entries
+     */
+    uniqueIPs(ips) {
+        const seen = new Set();
+        return ips.filter(ip => {
+            const key = ip.value.toLowerCase();
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Records an evaluation error on a node and in the shared state
+     * @param {Object} state - Shared evaluation state
+     * @param {Object} node - Tree node the error belongs to
+     * @param {string} type - Error type
+     * @param {string} message - Error message
+     */
+    addError(state, node, type, message) {
+        const error = { type, domain: node.domain, message };
+        node.errors.push(error);
+        state.errors.push(error);
+    }
+}
+
+// Export for use in other modules
+window.SPFEvaluator = SPFEvaluator;
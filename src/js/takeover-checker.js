@@ -0,0 +1,163 @@
+/**
+ * Takeover Checker - Detects dangling CNAMEs that point at deprovisioned cloud resources
+ * which anyone could claim (subdomain takeover)
+ * Only DNS is available from the browser, so a target is reported as vulnerable when it returns
+ * NXDOMAIN. Providers that answer for every name (S3, GitHub Pages and others) cannot be checked
+ * this way; their targets are reported as unverified with the unclaimed-name text to look for
+ */
+
+class TakeoverChecker {
+    /**
+     * @param {DNSQueryEngine} dnsEngine - Query engine used for all lookups
+     */
+    constructor(dnsEngine) {
+        this.dnsEngine = dnsEngine;
+
+        // Takeover-prone providers; signature is the text the provider serves for unclaimed names.
+        // The Content-Security-Policy only allows DNS and registry endpoints, so the page itself is
+        // never fetched and the signature is shown for a manual check
+        this.fingerprints = [
+            {
+                provider: 'AWS S3',
+                pattern: /(^|\.)s3([.-][a-z0-9-]+)*\.amazonaws\.com$/,
+                signature: 'NoSuchBucket',
+                guidance: 'Create an S3 bucket with exactly the name of this host in your own AWS account, or delete the CNAME. Bucket names are global, so anyone can claim an unused one.'
+            },
+            {
+                provider: 'AWS Elastic Beanstalk',
+                pattern: /\.elasticbeanstalk\.com$/,
+                signature: null,
+                guidance: 'Recreate the Elastic Beanstalk environment with the same CNAME prefix in your account, or delete the CNAME.'
+            },
+            {
+                provider: 'Microsoft Azure',
+                pattern: /\.(azurewebsites\.net|cloudapp\.net|cloudapp\.azure\.com|trafficmanager\.net|blob\.core\.windows\.net|azureedge\.net|azure-api\.net|azurefd\.net|azurecontainer\.io|azurestaticapps\.net|azurehdinsight\.net|search\.windows\.net|servicebus\.windows\.net|redis\.cache\.windows\.net|database\.windows\.net)$/,
+                signature: null,
+                guidance: 'Recreate the Azure resource with the same name in your subscription (Azure resource names are first come, first served), or delete the CNAME.'
+            },
+            {
+                provider: 'GitHub Pages',
+                pattern: /\.github\.io$/,
+                signature: 'There isn\'t a GitHub Pages site here',
+                guidance: 'Add this host name as the custom domain of a repository you own (and verify the domain in your GitHub organization settings), or delete the CNAME.'
+            },
+            {
+                provider: 'Heroku',
+                pattern: /\.(herokuapp\.com|herokudns\.com|herokussl\.com)$/,
+                signature: 'No such app',
+                guidance: 'Add this host name to a Heroku app you own with "heroku domains:add", then update the CNAME to the DNS target Heroku shows, or delete the CNAME.'
+            },
+            {
+                provider: 'Shopify',
+                pattern: /\.myshopify\.com$/,
+                signature: 'Sorry, this shop is currently unavailable',
+                guidance: 'Connect this host name to your Shopify store under Settings > Domains, or delete the CNAME.'
+            },
+            {
+                provider: 'Fastly',
+                pattern: /\.fastly\.net$/,
+                signature: 'Fastly error: unknown domain',
+                guidance: 'Add this host name to a Fastly service you own, or delete the CNAME.'
+            },
+            {
+                provider: 'Netlify',
+                pattern: /\.(netlify\.app|netlify\.com)$/,
+                signature: 'Not Found - Request ID',
+                guidance: 'Add this host name as a custom domain of your Netlify site, or delete the CNAME.'
+            },
+            {
+                provider: 'Pantheon',
+                pattern: /\.pantheonsite\.io$/,
+                signature: 'The gods are wise',
+                guidance: 'Add this host name to your Pantheon site environment, or delete the CNAME.'
+            },
+            {
+                provider: 'Zendesk',
+                pattern: /\.zendesk\.com$/,
+                signature: 'Help Center Closed',
+                guidance: 'Set this host name as the host mapping of your Zendesk Help Center, or delete the CNAME.'
+            },
+            {
+                provider: 'Bitbucket',
+                pattern: /\.bitbucket\.io$/,
+                signature: 'Repository not found',
+                guidance: 'Create the matching <workspace>.bitbucket.io repository in your workspace, or delete the CNAME.'
+            },
+            {
+                provider: 'Surge.sh',
+                pattern: /\.surge\.sh$/,
+                signature: 'project not found',
+                guidance: 'Publish a Surge project to this host name from your account, or delete the CNAME.'
+            },
+            {
+                provider: 'Ghost',
+                pattern: /\.ghost\.io$/,
+                signature: 'Domain error',
+                guidance: 'Add this host name as the custom domain of your Ghost(Pro) site, or delete the CNAME.'
+            },
+            {
+                provider: 'ReadMe',
+                pattern: /\.readme\.io$/,
+                signature: 'Project doesnt exist... yet!',
+                guidance: 'Add this host name as the custom domain of your ReadMe project, or delete the CNAME.'
+            },
+            {
+                provider: 'Fly.io',
+                pattern: /\.fly\.dev$/,
+                signature: null,
+                guidance: 'Recreate the Fly.io app with the same name and add a certificate for this host name, or delete the CNAME.'
+            }
+        ];
+    }
+
+    /**
+     * Finds the fingerprint of a takeover-prone provider for a host name
+     * @param {string} hostname - Host name (CNAME target)
+     * @returns {Object|null} - Fingerprint or null if the host is not on a known provider
+     */
+    findFingerprint(hostname) {
+        const host = String(hostname).toLowerCase().replace(/\.$/, '');
+        return this.fingerprints.find(fingerprint => fingerprint.pattern.test(host)) || null;
+    }
+
+    /**
+     * Checks a resolved CNAME chain for targets on takeover-prone providers that are unclaimed
+     * @param {Object} chain - Result from DNSQueryEngine.resolveCNAMEChain()
+     * @returns {Object[]} - { provider, target, status, evidence, signature, guidance } per provider target;
+     *   status is 'vulnerable' (the CNAME target returns NXDOMAIN) or 'unverified' (resolves; page content not checked)
+     */
+    inspectChain(chain) {
+        const findings = [];
+        const seenProviders = new Set();
+
+        for (const hop of chain.hops) {
+            const fingerprint = this.findFingerprint(hop.target);
+            if (!fingerprint || seenProviders.has(fingerprint.provider)) {
+                continue;
+            }
+            seenProviders.add(fingerprint.provider);
+
+            const finding = {
+                provider: fingerprint.provider,
+                target: hop.target,
+                status: 'unverified',
+                evidence: null,
+                signature: fingerprint.signature,
+                guidance: fingerprint.guidance
+            };
+
+            const terminalError = chain.terminal && chain.terminal.error ? chain.terminal.error : '';
+            if (chain.status === 'dead-end' && /NXDOMAIN/i.test(terminalError)) {
+                finding.status = 'vulnerable';
+                finding.evidence = `${chain.terminal.name} returns NXDOMAIN`;
+            }
+
+            findings.push(finding);
+        }
+
+        return findings;
+    }
+}
+
+// Export for use in other modules
+window.TakeoverChecker = TakeoverChecker;
@@ -8,6 +8,9 @@ class UIController {
         this.dnsEngine = null;
         this.errorDetector = null;
         this.themeAdapter = null;
+        this.resultExporter = null;
+        this.zoneFile = null;
+        this.snapshotStore = null;
         
         // DOM element references
         this.elements = {};
@@ -15,6 +18,14 @@ class UIController {
         // State management
         this.currentDomain = null;
         this.isAnalyzing = false;
+        this.permalinkPending = false; // Back/forward happened while an analysis was running
+        this.lastDNSSECReport = null;
+        this.lastMailClientDiscovery = null;
+        this.lastSecurityAnalysis = null;
+        this.lastErrorAnalysis = null;
+        this.lastResultsFromZoneFile = false;
+        this.lastZoneComparison = null;
+        this.historySnapshots = [];
         
         // Domain validation regex (allows subdomains and underscores for _dmarc, _domainkey, etc.)
         this.domainRegex = /^(?:[a-zA-Z0-9_](?:[a-zA-Z0-9_-]{0,61}[a-zA-Z0-9_])?\.)*[a-zA-Z0-9_](?:[a-zA-Z0-9_-]{0,61}[a-zA-Z0-9_])?$/;
@@ -23,6 +34,13 @@ class UIController {
         this.debounceTimers = new Map();
         this.validationDelay = 300; // 300ms delay for validation
         this.loadedSections = new Set();
+
+        // Order of record type sections in the results
+        this.recordDisplayOrder = [
+            'A', 'AAAA', 'CNAME', 'MX', 'TXT', 'SPF', 'DKIM', 'MTA-STS', 'TLS-RPT', 'BIMI', 'NS', 'SOA', 'PTR', 'SRV',
+            'CAA', 'HTTPS', 'SVCB', 'TLSA', 'SSHFP', 'NAPTR',
+            'DS', 'DNSKEY', 'RRSIG', 'NSEC', 'NSEC3', 'CDS', 'CDNSKEY'
+        ];
     }
 
     /**
@@ -35,21 +53,49 @@ class UIController {
             domainInput: document.getElementById('domain-input'),
             analyzeBtn: document.getElementById('analyze-btn'),
             clearBtn: document.getElementById('clear-results'),
+            exportMenu: document.getElementById('export-menu'),
             resultsSection: document.getElementById('results-section'),
             loadingSection: document.getElementById('loading-section'),
             errorSummary: document.getElementById('error-summary'),
             dnsRecords: document.getElementById('dns-records'),
             domainValidation: document.getElementById('domain-validation'),
             resultsTitle: document.getElementById('results-title'),
-            errorList: document.getElementById('error-list')
+            errorList: document.getElementById('error-list'),
+            providerInput: document.getElementById('provider-input'),
+            transportInput: document.getElementById('transport-input'),
+            recordTypesInput: document.getElementById('record-types-input'),
+            dkimSelectorsInput: document.getElementById('dkim-selectors-input'),
+            bimiSelectorsInput: document.getElementById('bimi-selectors-input'),
+            cnameDepthInput: document.getElementById('cname-depth-input'),
+            srvLabelsInput: document.getElementById('srv-labels-input'),
+            ttlProfileInput: document.getElementById('ttl-profile-input'),
+            ttlThresholdsInput: document.getElementById('ttl-thresholds-input'),
+            zoneOriginInput: document.getElementById('zone-origin-input'),
+            zoneFileInput: document.getElementById('zone-file-input'),
+            zoneFileUpload: document.getElementById('zone-file-upload'),
+            zoneFileValidation: document.getElementById('zone-file-validation'),
+            lintZoneBtn: document.getElementById('lint-zone-btn'),
+            compareZoneBtn: document.getElementById('compare-zone-btn'),
+            historyPanel: document.getElementById('history-panel'),
+            historyContent: document.getElementById('history-content'),
+            historyDiff: document.getElementById('history-diff')
         };
 
         // Initialize DNS engine and error detector
         this.dnsEngine = new DNSQueryEngine();
-        this.errorDetector = new DNSErrorDetector();
+        this.errorDetector = new DNSErrorDetector(this.dnsEngine);
+        this.resultExporter = new ResultExporter();
+        this.zoneFile = new ZoneFile(this.dnsEngine);
+        this.snapshotStore = new SnapshotStore(this.dnsEngine);
+
+        // Transport per provider before the advanced options override it
+        this.defaultProviderFormats = { ...this.dnsEngine.providerFormats };
 
         // Set up event listeners
         this.setupEventListeners();
+
+        // Reproduce an analysis shared as a permalink
+        this.loadFromPermalink();
     }
 
     /**
@@ -82,8 +128,70 @@ class UIController {
         if (this.elements.clearBtn) {
             this.elements.clearBtn.addEventListener('click', () => {
                 this.clearResults();
+                this.updatePermalink(null);
+            });
+        }
+
+        // Export menu
+        if (this.elements.exportMenu) {
+            this.elements.exportMenu.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-export]');
+                if (button) {
+                    this.exportResults(button.dataset.export);
+                    this.elements.exportMenu.open = false;
+                }
+            });
+        }
+
+        // Zone file upload fills the text area; linting runs without live lookups
+        if (this.elements.zoneFileUpload) {
+            this.elements.zoneFileUpload.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (file && this.elements.zoneFileInput) {
+                    this.elements.zoneFileInput.value = await file.text();
+                }
+            });
+        }
+
+        if (this.elements.lintZoneBtn) {
+            this.elements.lintZoneBtn.addEventListener('click', () => {
+                this.handleZoneFileLint();
+            });
+        }
+
+        if (this.elements.compareZoneBtn) {
+            this.elements.compareZoneBtn.addEventListener('click', () => {
+                this.handleZoneCompare();
+            });
+        }
+
+        // Snapshot history (the panel content is re-rendered, so listen on the panel)
+        if (this.elements.historyPanel) {
+            this.elements.historyPanel.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-history-action]');
+                if (!button) {
+                    return;
+                }
+                if (button.dataset.historyAction === 'diff') {
+                    this.showSnapshotDiff();
+                } else if (button.dataset.historyAction === 'delete') {
+                    this.deleteSnapshot(Number(button.dataset.snapshotId));
+                } else if (button.dataset.historyAction === 'export') {
+                    this.exportHistory();
+                }
+            });
+
+            this.elements.historyPanel.addEventListener('change', (e) => {
+                if (e.target.id === 'import-history-input' && e.target.files[0]) {
+                    this.importHistory(e.target.files[0]);
+                }
             });
         }
+
+        // Back/forward moves between previous analyses
+        window.addEventListener('popstate', () => {
+            this.loadFromPermalink();
+        });
     }
 
     /**
@@ -103,14 +211,15 @@ class UIController {
             return false;
         }
 
-        const isValid = this.dnsEngine ? this.dnsEngine.validateDomain(domain) : this.domainRegex.test(domain);
+        const isIP = this.dnsEngine ? this.dnsEngine.getIPVersion(domain) !== 0 : false;
+        const isValid = isIP || (this.dnsEngine ? this.dnsEngine.validateDomain(domain) : this.domainRegex.test(domain));
         
         if (validationElement) {
             if (isValid) {
-                validationElement.textContent = showErrors ? '' : '✓ Valid domain format';
+                validationElement.textContent = showErrors ? '' : isIP ? '✓ IP address (reverse DNS lookup)' : '✓ Valid domain format';
                 validationElement.className = 'input-validation valid';
             } else if (showErrors) {
-                validationElement.textContent = '✗ Invalid domain format';
+                validationElement.textContent = '✗ Invalid domain name or IP address';
                 validationElement.className = 'input-validation invalid';
             } else {
                 validationElement.textContent = '';
@@ -124,8 +233,11 @@ class UIController {
     /**
      * Handles domain submission and initiates DNS analysis
      * @param {string} domain - Domain to analyze
+     * @param {Object} options - Submission options
+     * @param {boolean} options.updateHistory - Push a permalink history entry (default: true; false when restoring from the URL)
+     * @param {Object} options.expectedZone - Expected records (ZoneFile.parseInput() result) to diff live DNS against
      */
-    async handleDomainSubmit(domain) {
+    async handleDomainSubmit(domain, options = {}) {
         if (this.isAnalyzing) {
             return;
         }
@@ -133,18 +245,51 @@ class UIController {
         this.currentDomain = domain;
         this.isAnalyzing = true;
 
+        if (options.expectedZone) {
+            // The URL cannot carry the pasted zone, so a compare run gets no permalink
+            this.updatePermalink(null);
+        } else if (options.updateHistory !== false) {
+            this.updatePermalink(domain);
+        }
+
         try {
             // Show loading state
             this.showLoadingState();
+            this.applySelectedTransport();
 
-            // Perform DNS lookup with enhanced error handling
-            const dnsData = await this.performDNSAnalysisWithRetry(domain);
-            
-            // Analyze for errors
-            const errorAnalysis = this.errorDetector.analyzeConfiguration(dnsData, domain);
+            // IP addresses get a reverse lookup instead of the domain analysis
+            if (this.dnsEngine.getIPVersion(domain) !== 0) {
+                const reverse = await this.dnsEngine.lookupReverseDNS(domain.trim());
+                this.displayReverseLookupResults(reverse);
+                return;
+            }
 
-            // Display results with progressive enhancement
-            this.displayResultsWithProgressive(dnsData, errorAnalysis);
+            // Perform DNS lookup with enhanced error handling (copied so the analysis does not alter cached results)
+            const dnsData = { ...(await this.performDNSAnalysisWithRetry(domain)) };
+
+            // Analyze for errors (also fetches DMARC, DKIM, SPF includes, propagation and DNSSEC data)
+            const errorAnalysis = await this.errorDetector.analyzeConfiguration(dnsData, domain, {
+                dkimSelectors: this.getCustomDKIMSelectors(),
+                bimiSelectors: this.getCustomBIMISelectors(),
+                cnameDepth: this.getCNAMEChainDepth(),
+                srvLabels: this.getCustomSRVLabels(),
+                ttlProfile: this.getTTLProfile(),
+                ttlThresholds: this.getCustomTTLThresholds(),
+                expectedZone: options.expectedZone,
+                provider: this.getSelectedProvider(),
+                // Only the takeover findings are shown for subdomains, so the apex sweeps are skipped
+                takeoverOnly: !options.expectedZone && this.isSubdomain(domain)
+            });
+            this.lastDNSSECReport = errorAnalysis.dnssec || null;
+            this.lastMailClientDiscovery = errorAnalysis.mailClientDiscovery || null;
+            this.lastSecurityAnalysis = errorAnalysis.security || null;
+            this.lastZoneComparison = errorAnalysis.zoneComparison || null;
+
+            // Display results with progressive enhancement (an expected zone's origin is always a zone apex)
+            this.displayResultsWithProgressive(dnsData, errorAnalysis, { zoneApex: Boolean(options.expectedZone) });
+
+            // Keep the run in the browser's history (not awaited; storage failures only disable the history)
+            this.saveSnapshot().catch(error => console.warn('Could not update snapshot history:', error));
 
         } catch (error) {
             console.error('DNS analysis failed:', error);
@@ -152,6 +297,7 @@ class UIController {
         } finally {
             this.isAnalyzing = false;
             this.hideLoadingState();
+            this.loadPendingPermalink();
         }
     }
 
@@ -166,7 +312,7 @@ class UIController {
 
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
-                const dnsData = await this.dnsEngine.queryAllRecords(domain);
+                const dnsData = await this.dnsEngine.queryAllRecords(domain, this.getSelectedProvider(), this.getSelectedRecordTypes());
                 
                 // Check if we got any successful results
                 const hasAnyResults = Object.values(dnsData).some(recordData => 
@@ -282,12 +428,172 @@ class UIController {
         }
     }
 
+    /**
+     * Parses the pasted or uploaded zone file or JSON export, showing a validation message when it cannot be used
+     * @returns {Object|null} - Result from ZoneFile.parseInput(), or null when there is nothing to analyze
+     */
+    readZoneInput() {
+        const validation = this.elements.zoneFileValidation;
+        const showValidation = (message) => {
+            if (validation) {
+                validation.textContent = message;
+                validation.className = message ? 'input-validation invalid' : 'input-validation';
+            }
+        };
+
+        const text = this.elements.zoneFileInput ? this.elements.zoneFileInput.value : '';
+        if (!text.trim()) {
+            showValidation('Paste or upload a zone file first');
+            return null;
+        }
+
+        const origin = this.elements.zoneOriginInput ? this.elements.zoneOriginInput.value.trim() : '';
+        if (origin && !this.dnsEngine.validateDomain(origin.replace(/\.$/, ''))) {
+            showValidation('Enter a valid zone name');
+            return null;
+        }
+
+        const zone = this.zoneFile.parseInput(text, origin);
+        if (!zone.origin) {
+            const finding = zone.findings[0];
+            showValidation(finding ? `${finding.message}: ${finding.description}` : 'The zone file contains no records');
+            return null;
+        }
+
+        showValidation('');
+        return zone;
+    }
+
+    /**
+     * Parses the pasted or uploaded zone file and runs the configuration analysis on it offline
+     */
+    async handleZoneFileLint() {
+        if (this.isAnalyzing) {
+            return;
+        }
+
+        const zone = this.readZoneInput();
+        if (!zone) {
+            return;
+        }
+
+        this.currentDomain = zone.origin;
+        this.isAnalyzing = true;
+
+        try {
+            this.showLoadingState();
+
+            const errorAnalysis = await this.errorDetector.analyzeConfiguration(zone.records, zone.origin, {
+                offline: true,
+                ttlProfile: this.getTTLProfile(),
+                ttlThresholds: this.getCustomTTLThresholds()
+            });
+            this.errorDetector.mergeIssues(errorAnalysis, this.errorDetector.checkZoneFile(zone));
+            this.lastDNSSECReport = null;
+            this.lastMailClientDiscovery = null;
+            this.lastSecurityAnalysis = errorAnalysis.security || null;
+            this.lastZoneComparison = null;
+
+            this.displayResultsWithProgressive(zone.records, errorAnalysis, { zoneApex: true, offline: true });
+
+        } catch (error) {
+            console.error('Zone file lint failed:', error);
+            this.handleAnalysisError(error, zone.origin);
+        } finally {
+            this.isAnalyzing = false;
+            this.hideLoadingState();
+            this.loadPendingPermalink();
+        }
+    }
+
+    /**
+     * Queries live DNS for the zone in the zone file input and diffs it against the expected records
+     */
+    handleZoneCompare() {
+        if (this.isAnalyzing) {
+            return;
+        }
+
+        const zone = this.readZoneInput();
+        if (!zone) {
+            return;
+        }
+
+        if (this.elements.domainInput) {
+            this.elements.domainInput.value = zone.origin;
+        }
+        this.handleDomainSubmit(zone.origin, { expectedZone: zone });
+    }
+
+    /**
+     * Displays the reverse lookup view for an IP address: reverse name, PTR records and forward confirmation
+     * @param {Object} reverse - Result from DNSQueryEngine.lookupReverseDNS()
+     */
+    displayReverseLookupResults(reverse) {
+        this.lastDNSData = null;
+
+        if (this.elements.resultsTitle) {
+            this.elements.resultsTitle.innerHTML = `
+                🔁 Reverse DNS for ${this.escapeHTML(reverse.ip)}
+                <div class="results-stats">
+                    <span class="stat-info">${this.escapeHTML(reverse.reverseName)}</span>
+                </div>
+            `;
+        }
+
+        if (this.elements.errorSummary) {
+            this.elements.errorSummary.style.display = 'none';
+        }
+
+        let verdict;
+        if (reverse.hostnames.length === 0) {
+            verdict = `<span class="status-indicator status-warning">⚠️ No PTR record${reverse.error ? ` (${this.escapeHTML(reverse.error)})` : ''}</span>`;
+        } else if (reverse.forwardConfirmed) {
+            verdict = '<span class="status-indicator status-success">✅ Forward-confirmed reverse DNS</span>';
+        } else {
+            verdict = '<span class="status-indicator status-error">❌ PTR host name does not resolve back to this address</span>';
+        }
+
+        const rows = reverse.hostnames.map(hostname => `
+            <tr>
+                <td>${this.escapeHTML(hostname.name)}</td>
+                <td>${hostname.ttl}s</td>
+                <td>${hostname.addresses.length > 0 ? hostname.addresses.map(address => this.escapeHTML(address)).join('<br>') : this.escapeHTML(hostname.error || 'no addresses')}</td>
+                <td>${hostname.confirmed ? '✅ matches' : '❌ no match'}</td>
+            </tr>
+        `).join('');
+
+        if (this.elements.dnsRecords) {
+            this.elements.dnsRecords.innerHTML = `
+                <div class="dns-record-section" id="section-reverse">
+                    <div class="collapsible-body">
+                        <div class="spf-summary">${verdict}</div>
+                        ${reverse.hostnames.length > 0 ? `
+                            <table class="dns-record-table">
+                                <thead><tr><th>PTR host name</th><th>TTL</th><th>Forward addresses</th><th>Forward confirmation</th></tr></thead>
+                                <tbody>${rows}</tbody>
+                            </table>
+                        ` : this.getEmptyStateMessage('PTR')}
+                    </div>
+                </div>
+            `;
+        }
+
+        if (this.elements.resultsSection) {
+            this.elements.resultsSection.style.display = 'block';
+            this.elements.resultsSection.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
     /**
      * Displays results with progressive enhancement for partial data
      * @param {Object} dnsData - DNS records data (may be partial)
      * @param {Object} errorAnalysis - Error analysis results
+     * @param {Object} options - Display options
+     * @param {boolean} options.zoneApex - The domain is a zone apex, so the full analysis is shown even for subdomains
+     * @param {boolean} options.offline - Results come from a linted zone file instead of live DNS
      */
-    displayResultsWithProgressive(dnsData, errorAnalysis) {
+    displayResultsWithProgressive(dnsData, errorAnalysis, options = {}) {
         // Store DNS data for lazy loading
         this.lastDNSData = dnsData;
         // Count successful and failed record types
@@ -298,7 +604,9 @@ class UIController {
             const statusIcon = recordStats.hasAnySuccess ? 
                 (recordStats.hasAnyFailures ? '⚠️' : '✅') : '❌';
             
-            const isSubdomainQuery = this.isSubdomain(this.currentDomain);
+            const isSubdomainQuery = !options.zoneApex && this.isSubdomain(this.currentDomain);
+            const comparison = this.lastZoneComparison;
+            const differences = comparison ? comparison.counts.changed + comparison.counts.missing + comparison.counts.extra : 0;
             const titlePrefix = isSubdomainQuery ? '🔍 DNS Records for' : 'DNS Analysis Results for';
             
             this.elements.resultsTitle.innerHTML = `
@@ -307,7 +615,9 @@ class UIController {
                     <span class="stat-success">${recordStats.successCount} successful</span>
                     ${recordStats.failureCount > 0 ? `<span class="stat-failure">${recordStats.failureCount} failed</span>` : ''}
                     ${recordStats.emptyCount > 0 ? `<span class="stat-empty">${recordStats.emptyCount} empty</span>` : ''}
-                    ${isSubdomainQuery ? '<span class="stat-info">Subdomain query - no issue analysis</span>' : ''}
+                    ${isSubdomainQuery ? '<span class="stat-info">Subdomain query - takeover checks only</span>' : ''}
+                    ${options.offline ? '<span class="stat-info">Zone file - checked offline</span>' : ''}
+                    ${comparison ? `<span class="${differences > 0 ? 'stat-failure' : 'stat-success'}">Expected zone: ${differences > 0 ? `${differences} record set(s) differ` : 'in sync'}</span>` : ''}
                 </div>
             `;
         }
@@ -318,9 +628,15 @@ class UIController {
         }
 
         // Display error summary only for main domains, not subdomains
-        if (!this.isSubdomain(this.currentDomain)) {
-            this.displayErrorSummary(errorAnalysis);
+        if (options.zoneApex || !this.isSubdomain(this.currentDomain)) {
+            this.lastErrorAnalysis = errorAnalysis;
+        } else {
+            // Subdomains are where dangling CNAMEs usually live, so takeover findings are always shown
+            this.lastErrorAnalysis = this.getTakeoverAnalysis(errorAnalysis);
         }
+        this.lastResultsFromZoneFile = Boolean(options.offline);
+        this.displayErrorSummary(this.lastErrorAnalysis);
+        this.setExportAvailable(true);
 
         // Display DNS records with enhanced empty state handling
         this.displayDNSRecordsEnhanced(dnsData);
@@ -398,6 +714,31 @@ class UIController {
         }
     }
 
+    /**
+     * Reduces an analysis report to its subdomain takeover findings
+     * @param {Object} errorAnalysis - Error analysis results
+     * @returns {Object} - Analysis report with only subdomain takeover issues
+     */
+    getTakeoverAnalysis(errorAnalysis) {
+        const takeoverType = this.errorDetector.errorTypes.SUBDOMAIN_TAKEOVER;
+        const errors = errorAnalysis.errors.filter(issue => issue.type === takeoverType);
+        const warnings = errorAnalysis.warnings.filter(issue => issue.type === takeoverType);
+        const info = errorAnalysis.info.filter(issue => issue.type === takeoverType);
+
+        return {
+            ...errorAnalysis,
+            errors,
+            warnings,
+            info,
+            summary: {
+                totalIssues: errors.length + warnings.length + info.length,
+                criticalErrors: errors.length,
+                warnings: warnings.length,
+                infoItems: info.length
+            }
+        };
+    }
+
     /**
      * Displays error summary section
      * @param {Object} errorAnalysis - Error analysis results
@@ -455,7 +796,7 @@ class UIController {
             return;
         }
 
-        const recordTypes = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SOA', 'PTR', 'SRV'];
+        const recordTypes = this.recordDisplayOrder;
         let recordsHTML = '';
 
         for (const recordType of recordTypes) {
@@ -525,7 +866,7 @@ class UIController {
             return;
         }
 
-        const recordTypes = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SOA', 'PTR', 'SRV'];
+        const recordTypes = this.recordDisplayOrder;
         let recordsHTML = '';
 
         // Add DMARC section (always show it, will query _dmarc subdomain when expanded)
@@ -547,6 +888,23 @@ class UIController {
             </div>
         `;
 
+        if (this.lastSecurityAnalysis) {
+            recordsHTML += this.renderSecuritySection(this.lastSecurityAnalysis);
+        }
+
+        // DNSSEC chain of trust is already computed, so render it directly (no lazy loading)
+        if (this.lastDNSSECReport) {
+            recordsHTML += this.renderDNSSECSection(this.lastDNSSECReport);
+        }
+
+        if (this.lastMailClientDiscovery) {
+            recordsHTML += this.renderMailClientDiscoverySection(this.lastMailClientDiscovery);
+        }
+
+        if (this.lastZoneComparison) {
+            recordsHTML += this.renderZoneComparisonSection(this.lastZoneComparison);
+        }
+
         for (const recordType of recordTypes) {
             const recordData = dnsData[recordType];
             
@@ -662,9 +1020,69 @@ class UIController {
             'SRV': {
                 icon: '⚙️',
                 message: 'No service records found',
-                explanation: 'No specific services are advertised via DNS.',
+                explanation: 'None of the well-known _service._proto labels (SIP, XMPP, CalDAV, IMAP, LDAP, Kerberos and more) has SRV records. Add other labels under Advanced options.',
                 impact: 'Service discovery may not work for this domain.'
             },
+            'CAA': {
+                icon: '🔏',
+                message: 'No CAA records found',
+                explanation: 'Any certificate authority may issue certificates for this domain.',
+                impact: 'Consider restricting issuance to the CAs you actually use.'
+            },
+            'HTTPS': {
+                icon: '🚀',
+                message: 'No HTTPS service binding records',
+                explanation: 'Clients will not learn ALPN, ECH or address hints from DNS.',
+                impact: 'No functional impact; HTTPS records are an optional optimization.'
+            },
+            'TLSA': {
+                icon: '📜',
+                message: 'No TLSA records at _443._tcp',
+                explanation: 'DANE is not configured for the HTTPS service of this domain.',
+                impact: 'Certificate validation relies on the public CA system only.'
+            },
+            'DS': {
+                icon: '🔗',
+                message: 'No DS records at the parent zone',
+                explanation: 'The parent zone has no delegation signer for this domain.',
+                impact: 'DNSSEC validation cannot reach this zone; answers are treated as insecure.'
+            },
+            'DNSKEY': {
+                icon: '🔑',
+                message: 'No DNSKEY records found',
+                explanation: 'This zone does not publish DNSSEC signing keys.',
+                impact: 'The zone is not DNSSEC signed.'
+            },
+            'SPF': {
+                icon: '✉️',
+                message: 'No SPF record found',
+                explanation: 'SPF is a TXT record starting with "v=spf1" that lists the servers allowed to send mail for the domain.',
+                impact: 'Receivers cannot tell which servers may send mail for this domain.'
+            },
+            'DKIM': {
+                icon: '🔑',
+                message: 'No DKIM keys found at common selectors',
+                explanation: 'DKIM keys live at selector._domainkey.domain.com. Add your provider\'s selector under Advanced options if it is not in the common list.',
+                impact: 'Receivers cannot verify DKIM signatures for this domain.'
+            },
+            'MTA-STS': {
+                icon: '🔒',
+                message: 'No MTA-STS policy found',
+                explanation: 'MTA-STS is a TXT record at _mta-sts.domain.com ("v=STSv1; id=...") plus a policy file served from https://mta-sts.domain.com/.well-known/mta-sts.txt.',
+                impact: 'Sending servers use opportunistic TLS, which an attacker on the path can downgrade.'
+            },
+            'TLS-RPT': {
+                icon: '📨',
+                message: 'No TLS-RPT record found',
+                explanation: 'TLS-RPT is a TXT record at _smtp._tls.domain.com ("v=TLSRPTv1; rua=mailto:...") that asks senders for TLS delivery reports.',
+                impact: 'You will not be told when senders fail to establish TLS with your MX hosts.'
+            },
+            'BIMI': {
+                icon: '🏷️',
+                message: 'No BIMI record found',
+                explanation: 'BIMI is a TXT record at default._bimi.domain.com ("v=BIMI1; l=...; a=...") that points mail clients to your brand logo. Add other selectors under Advanced options.',
+                impact: 'Mail clients show a generic avatar instead of your logo.'
+            },
             'DMARC': {
                 icon: '🛡️',
                 message: 'No DMARC records found',
@@ -714,6 +1132,11 @@ class UIController {
         if (this.elements.resultsSection) {
             this.elements.resultsSection.style.display = 'none';
         }
+
+        // Only a completed domain analysis can be exported
+        this.lastErrorAnalysis = null;
+        this.setExportAvailable(false);
+        this.setHistoryAvailable(false);
     }
 
     /**
@@ -883,6 +1306,7 @@ class UIController {
         } finally {
             this.isAnalyzing = false;
             this.hideLoadingState();
+            this.loadPendingPermalink();
         }
     }
 
@@ -902,7 +1326,8 @@ class UIController {
             this.showRecordTypeLoading(recordType);
 
             // Query the specific record type
-            const result = await this.dnsEngine.queryDNS(this.currentDomain, recordType);
+            const queryName = this.dnsEngine.getQueryName(this.currentDomain, recordType);
+            const result = await this.dnsEngine.queryDNS(queryName, recordType);
             
             // Update just this record type in the display
             this.updateRecordTypeDisplay(recordType, result);
@@ -919,6 +1344,7 @@ class UIController {
             });
         } finally {
             this.isAnalyzing = false;
+            this.loadPendingPermalink();
         }
     }
 
@@ -1157,6 +1583,13 @@ class UIController {
         // Reset state
         this.currentDomain = null;
         this.isAnalyzing = false;
+        this.lastDNSSECReport = null;
+        this.lastMailClientDiscovery = null;
+        this.lastSecurityAnalysis = null;
+        this.lastZoneComparison = null;
+        this.lastErrorAnalysis = null;
+        this.setExportAvailable(false);
+        this.setHistoryAvailable(false);
 
         // Focus on input
         if (this.elements.domainInput) {
@@ -1280,7 +1713,7 @@ class UIController {
     }
 
     /**
-     * Checks if a domain is a subdomain (has more than 2 parts)
+     * Checks if a domain is a subdomain (below its organizational domain)
      * @param {string} domain - Domain to check
      * @returns {boolean} - True if it's a subdomain
      */
@@ -1288,12 +1721,10 @@ class UIController {
         if (!domain) return false;
         
         // Remove trailing dot if present
-        const cleanDomain = domain.replace(/\.$/, '');
-        const parts = cleanDomain.split('.');
+        const cleanDomain = domain.toLowerCase().replace(/\.$/, '');
         
-        // Consider it a subdomain if it has more than 2 parts
-        // e.g., www.example.com (3 parts) or mail.google.com (3 parts)
-        return parts.length > 2;
+        // www.example.com is a subdomain, but example.co.uk is a registrable apex despite its 3 labels
+        return this.errorDetector.getOrganizationalDomain(cleanDomain) !== cleanDomain;
     }
 
     /**
@@ -1365,6 +1796,22 @@ class UIController {
                     </div>
                 </div>
             `;
+        } else if (hasRecords && recordType === 'SPF' && recordData.tree) {
+            content = this.renderSPFEvaluation(recordData);
+        } else if (hasRecords && recordType === 'NS' && recordData.delegation) {
+            content = this.renderDelegation(recordData.delegation);
+        } else if (hasRecords && recordType === 'MX' && recordData.health) {
+            content = this.renderMXHealth(recordData);
+        } else if (hasRecords && recordType === 'CNAME' && recordData.chain) {
+            content = this.renderCNAMEChain(recordData.chain);
+        } else if (hasRecords && recordType === 'MTA-STS') {
+            content = this.renderMTASTSPolicy(recordData);
+        } else if (hasRecords && recordType === 'BIMI') {
+            content = this.renderBIMIRecords(recordData);
+        } else if (recordType === 'TXT' && (hasRecords || (recordData.acmeChallenges && recordData.acmeChallenges.length > 0))) {
+            content = this.renderTXTRecords(recordData);
+        } else if (hasRecords && recordType === 'SRV' && recordData.services) {
+            content = this.renderSRVServices(recordData);
         } else if (hasRecords) {
             const listClass = recordType === 'TXT' ? 'dns-record-list txt-records' : 'dns-record-list';
             content = `
@@ -1372,7 +1819,7 @@ class UIController {
                     ${recordData.records.map(record => `
                         <div class="dns-record">
                             <div class="dns-record-name">${record.name}</div>
-                            <div class="dns-record-value">${record.data}</div>
+                            ${this.renderRecordValue(record)}
                             <div class="dns-record-ttl">TTL: ${record.ttl}s</div>
                         </div>
                     `).join('')}
@@ -1392,15 +1839,1376 @@ class UIController {
     }
 
     /**
-     * Gets stored record data for lazy loading
-     * @param {string} recordType - DNS record type
-     * @returns {Object|Promise<Object>|null} - Record data or null
+     * Renders a record value, with structured fields for parsed record types
+     * @param {Object} record - DNS record
+     * @returns {string} - HTML for the record value
      */
-    getStoredRecordData(recordType) {
-        if (recordType === 'DMARC') {
-            return this.extractDMARCFromTXT(this.lastDNSData);
+    renderRecordValue(record) {
+        if (!record.parsed || record.parsed.error) {
+            return `<div class="dns-record-value">${this.escapeHTML(record.data)}</div>`;
+        }
+
+        const fields = Object.entries(record.parsed).map(([key, value]) => {
+            let display;
+            if (Array.isArray(value)) {
+                display = value.join(', ');
+            } else if (value && typeof value === 'object') {
+                display = Object.entries(value)
+                    .map(([param, paramValue]) => paramValue === true ? param : `${param}=${Array.isArray(paramValue) ? paramValue.join(',') : paramValue}`)
+                    .join(' ');
+            } else {
+                display = String(value);
+            }
+
+            return `<dt>${this.formatFieldLabel(key)}</dt><dd>${this.escapeHTML(display || '—')}</dd>`;
+        }).join('');
+
+        return `
+            <div class="dns-record-value">
+                <dl class="dns-record-fields">${fields}</dl>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the email security score with one row per scored mechanism (email authentication and
+     * transport security) and the recommendations
+     * @param {Object} report - Result from DNSErrorDetector.analyzeSecurityConfiguration()
+     * @returns {string} - HTML for the section
+     */
+    renderSecuritySection(report) {
+        const ratio = report.overallScore / report.maxScore;
+        const overall = ratio >= 0.8 ? 'status-success' : ratio >= 0.5 ? 'status-warning' : 'status-error';
+        const email = report.emailSecurity;
+
+        const dmarcDetail = email.dmarc.configured
+            ? `p=${email.dmarc.policy}${email.dmarc.pct < 100 ? `, pct=${email.dmarc.pct}` : ''}${email.dmarc.inherited ? ` (inherited from ${email.dmarc.policyDomain})` : ''}`
+            : '';
+        const dkimDetail = email.dkim.selectors && email.dkim.selectors.length > 0 ? `Selectors: ${email.dkim.selectors.join(', ')}` : '';
+        const transport = report.transportSecurity;
+        const mtaStsDetail = transport.mtaSts.configured ? 'TXT record only; the policy file (mode, max_age, MX patterns) is not checked' : '';
+        const mechanisms = [
+            { name: 'SPF', configured: email.spf.configured, issues: email.spf.issues, detail: '' },
+            { name: 'DMARC', configured: email.dmarc.configured, issues: email.dmarc.issues, detail: dmarcDetail },
+            { name: 'DKIM', configured: email.dkim.configured, issues: email.dkim.issues, detail: dkimDetail },
+            { name: 'MTA-STS', configured: transport.mtaSts.configured, issues: transport.mtaSts.issues, detail: mtaStsDetail },
+            { name: 'TLS-RPT', configured: transport.tlsRpt.configured, issues: transport.tlsRpt.issues, detail: '' }
+        ];
+
+        const rows = mechanisms.map(mechanism => {
+            const problems = mechanism.issues.filter(issue => issue.severity !== 'info').length;
+            const status = !mechanism.configured
+                ? '<span class="status-indicator status-error">Not configured</span>'
+                : `<span class="status-indicator ${problems > 0 ? 'status-warning' : 'status-success'}">${problems > 0 ? `${problems} issue(s)` : 'Configured'}</span>`;
+            return `
+                <tr>
+                    <td>${mechanism.name}</td>
+                    <td>${status}</td>
+                    <td>${this.escapeHTML(mechanism.detail)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const recommendations = report.recommendations.map(recommendation => `
+            <li class="dnssec-finding severity-${recommendation.priority === 'high' ? 'critical' : 'warning'}">
+                <strong>${this.escapeHTML(recommendation.title)}</strong>: ${this.escapeHTML(recommendation.description)}
+            </li>
+        `).join('');
+
+        return `
+            <div class="dns-record-section ${overall}" id="section-SECURITY" data-record-type="SECURITY">
+                <div class="collapsible-header" role="button" tabindex="0" aria-expanded="false" 
+                     onclick="window.uiController.toggleSection('SECURITY', this)">
+                    <h3 class="collapsible-title">
+                        🛡️ Email Security Score 
+                        <span class="record-count ${overall}">${report.overallScore}/${report.maxScore}</span>
+                    </h3>
+                    <span class="collapsible-toggle">▶</span>
+                </div>
+                <div class="collapsible-content">
+                    <div class="collapsible-body">
+                        <table class="dns-record-table">
+                            <thead><tr><th>Mechanism</th><th>Status</th><th>Details</th></tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                        ${recommendations ? `<ul class="dnssec-tree">${recommendations}</ul>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the DNSSEC chain of trust as a collapsible section with a zone tree
+     * @param {Object} report - Chain report from DNSSECValidator.validateChain()
+     * @returns {string} - HTML for the DNSSEC section
+     */
+    renderDNSSECSection(report) {
+        const statusLabels = {
+            secure: { icon: '🔒', label: 'Secure', className: 'status-success' },
+            insecure: { icon: '🔓', label: 'Insecure', className: 'status-empty' },
+            bogus: { icon: '❌', label: 'Bogus', className: 'status-error' },
+            indeterminate: { icon: '❔', label: 'Indeterminate', className: 'status-empty' }
+        };
+        const overall = statusLabels[report.status] || statusLabels.indeterminate;
+
+        // Build the tree inside-out so each zone nests under its parent
+        let tree = report.answer ? this.renderDNSSECAnswer(report.answer, statusLabels) : '';
+        for (let i = report.zones.length - 1; i >= 0; i--) {
+            tree = this.renderDNSSECZone(report.zones[i], statusLabels, tree);
         }
-        return this.lastDNSData ? this.lastDNSData[recordType] : null;
+
+        return `
+            <div class="dns-record-section ${overall.className}" id="section-DNSSEC" data-record-type="DNSSEC">
+                <div class="collapsible-header" role="button" tabindex="0" aria-expanded="false" 
+                     onclick="window.uiController.toggleSection('DNSSEC', this)">
+                    <h3 class="collapsible-title">
+                        🔐 DNSSEC Chain of Trust 
+                        <span class="record-count ${overall.className}">${overall.icon} ${overall.label}</span>
+                    </h3>
+                    <span class="collapsible-toggle">▶</span>
+                </div>
+                <div class="collapsible-content">
+                    <div class="collapsible-body">
+                        <ul class="dnssec-tree">${tree}</ul>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the mail client discovery methods (Autodiscover, autoconfig, RFC 6186 SRV) as a collapsible section
+     * @param {Object} report - Result from MailClientDiscovery.analyze()
+     * @returns {string} - HTML for the section
+     */
+    renderMailClientDiscoverySection(report) {
+        const statusLabels = {
+            configured: { className: 'status-success', label: 'Configured' },
+            disabled: { className: 'status-empty', label: 'Explicitly not offered' },
+            missing: { className: 'status-empty', label: 'Not published' }
+        };
+        const consistent = report.methods.every(method => method.consistentWithMX !== false);
+        const overall = report.configured.length === 0
+            ? { className: 'status-empty', label: 'None' }
+            : { className: consistent ? 'status-success' : 'status-warning', label: `${report.configured.length} method(s)` };
+
+        const rows = report.methods.map(method => {
+            const status = method.error
+                ? `<span class="status-indicator status-warning">${this.escapeHTML(method.error)}</span>`
+                : `<span class="status-indicator ${statusLabels[method.status].className}">${statusLabels[method.status].label}</span>`;
+            const hosts = method.hosts.map(host => {
+                const port = host.port ? `:${host.port}` : '';
+                const resolves = host.addresses.length > 0 ? '' : ' ❌ does not resolve';
+                return `${this.escapeHTML(host.name)}${port}${resolves}`;
+            }).join('<br>');
+            const mx = method.consistentWithMX === null ? '' : method.consistentWithMX ? '✅' : '⚠️ different provider';
+
+            return `
+                <tr>
+                    <td>${this.escapeHTML(method.name)}<br><small>${this.escapeHTML(method.queryName)}</small></td>
+                    <td>${this.escapeHTML(method.clients)}</td>
+                    <td>${status}</td>
+                    <td>${hosts}</td>
+                    <td>${mx}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const findings = report.findings.map(finding => `
+            <li class="dnssec-finding severity-${finding.severity}">${this.escapeHTML(finding.message)}</li>
+        `).join('');
+
+        return `
+            <div class="dns-record-section ${overall.className}" id="section-MAIL-CLIENT" data-record-type="MAIL-CLIENT">
+                <div class="collapsible-header" role="button" tabindex="0" aria-expanded="false" 
+                     onclick="window.uiController.toggleSection('MAIL-CLIENT', this)">
+                    <h3 class="collapsible-title">
+                        📨 Mail client discovery 
+                        <span class="record-count ${overall.className}">${overall.label}</span>
+                    </h3>
+                    <span class="collapsible-toggle">▶</span>
+                </div>
+                <div class="collapsible-content">
+                    <div class="collapsible-body">
+                        <div class="spf-summary">
+                            <span class="status-indicator status-success">Mail delivered to: ${report.mxProviders.map(provider => this.escapeHTML(provider)).join(', ')}</span>
+                        </div>
+                        <table class="dns-record-table">
+                            <thead><tr><th>Method</th><th>Used by</th><th>Status</th><th>Points at</th><th>Matches MX</th></tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                        ${findings ? `<ul class="dnssec-tree">${findings}</ul>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the expected zone vs. live DNS diff: one row per RRset with expected and live records side by side
+     * @param {Object} report - Result from ZoneComparator.compare()
+     * @returns {string} - HTML section
+     */
+    renderZoneComparisonSection(report) {
+        const statusLabels = {
+            match: { className: 'status-success', label: '✅ Matches' },
+            changed: { className: 'status-error', label: '❌ Changed' },
+            missing: { className: 'status-error', label: '❌ Missing' },
+            extra: { className: 'status-warning', label: '⚠️ Not expected' },
+            unchecked: { className: 'status-empty', label: 'Not checked' }
+        };
+        const differences = report.counts.changed + report.counts.missing + report.counts.extra;
+        const overall = differences > 0
+            ? { className: 'status-error', label: `${differences} differ` }
+            : { className: report.counts.ttlDrift > 0 ? 'status-warning' : 'status-success', label: 'In sync' };
+
+        // Differences first, then unchecked and matching RRsets
+        const order = { missing: 0, changed: 1, extra: 2, unchecked: 3, match: 4 };
+        const rrsets = [...report.rrsets].sort((a, b) => order[a.status] - order[b.status] || a.name.localeCompare(b.name));
+
+        const rows = rrsets.map(rrset => {
+            const expected = rrset.expected.map(record => rrset.missing.includes(record)
+                ? `<span class="zone-diff-missing">− ${this.escapeHTML(record.data)}</span>`
+                : this.escapeHTML(record.data)).join('<br>');
+            const live = rrset.live.map(record => rrset.extra.includes(record)
+                ? `<span class="zone-diff-extra">+ ${this.escapeHTML(record.data)}</span>`
+                : this.escapeHTML(record.data)).join('<br>');
+            const ttl = rrset.ttl
+                ? `${rrset.ttl.expected} → ${rrset.ttl.live}${rrset.ttl.drift ? ' ⚠️' : ''}`
+                : '';
+            const status = `<span class="status-indicator ${statusLabels[rrset.status].className}">${statusLabels[rrset.status].label}</span>`;
+
+            return `
+                <tr>
+                    <td>${this.escapeHTML(rrset.name)}</td>
+                    <td>${this.escapeHTML(rrset.type)}</td>
+                    <td>${status}${rrset.error ? `<br><small>${this.escapeHTML(rrset.error)}</small>` : ''}</td>
+                    <td>${expected}</td>
+                    <td>${live}</td>
+                    <td>${ttl}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="dns-record-section ${overall.className}" id="section-ZONE-DIFF" data-record-type="ZONE-DIFF">
+                <div class="collapsible-header" role="button" tabindex="0" aria-expanded="false" 
+                     onclick="window.uiController.toggleSection('ZONE-DIFF', this)">
+                    <h3 class="collapsible-title">
+                        🧾 Expected zone vs. live DNS 
+                        <span class="record-count ${overall.className}">${overall.label}</span>
+                    </h3>
+                    <span class="collapsible-toggle">▶</span>
+                </div>
+                <div class="collapsible-content">
+                    <div class="collapsible-body">
+                        <div class="spf-summary">
+                            <span class="status-indicator status-success">${report.counts.match} matching</span>
+                            <span class="status-indicator ${report.counts.changed > 0 ? 'status-error' : 'status-empty'}">${report.counts.changed} changed</span>
+                            <span class="status-indicator ${report.counts.missing > 0 ? 'status-error' : 'status-empty'}">${report.counts.missing} missing</span>
+                            <span class="status-indicator ${report.counts.extra > 0 ? 'status-warning' : 'status-empty'}">${report.counts.extra} not expected</span>
+                            <span class="status-indicator ${report.counts.ttlDrift > 0 ? 'status-warning' : 'status-empty'}">${report.counts.ttlDrift} TTL drift</span>
+                        </div>
+                        <table class="dns-record-table">
+                            <thead><tr><th>Name</th><th>Type</th><th>Status</th><th>Expected</th><th>Live</th><th>TTL (expected → live)</th></tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders an expanded SPF policy: lookup totals, include/redirect tree and flattened IP list
+     * @param {Object} evaluation - Result from DNSErrorDetector.evaluateSPF()
+     * @returns {string} - HTML content
+     */
+    renderSPFEvaluation(evaluation) {
+        const lookupClass = evaluation.lookupCount > 10 ? 'status-error' : evaluation.lookupCount >= 8 ? 'status-warning' : 'status-success';
+        const voidClass = evaluation.voidLookupCount > 2 ? 'status-error' : 'status-success';
+
+        const ipRows = evaluation.ips.map(ip => `
+            <tr><td>${this.escapeHTML(ip.value)}</td><td>${this.escapeHTML(ip.source)}</td></tr>
+        `).join('');
+
+        return `
+            <div class="spf-summary">
+                <span class="status-indicator ${lookupClass}">DNS lookups: ${evaluation.lookupCount}/10</span>
+                <span class="status-indicator ${voidClass}">Void lookups: ${evaluation.voidLookupCount}/2</span>
+            </div>
+            <ul class="dnssec-tree spf-tree">${this.renderSPFNode(evaluation.tree)}</ul>
+            <details class="spf-ip-list">
+                <summary>Authorized IP ranges (${evaluation.ips.length})</summary>
+                <table class="dns-record-table">
+                    <thead><tr><th>Range</th><th>Authorized by</th></tr></thead>
+                    <tbody>${ipRows}</tbody>
+                </table>
+            </details>
+        `;
+    }
+
+    /**
+     * Renders the nameserver delegation: parent vs. zone NS sets, glue, addresses and findings
+     * @param {Object} delegation - Result from DelegationAnalyzer.analyze()
+     * @returns {string} - HTML content
+     */
+    renderDelegation(delegation) {
+        const mark = value => value === null ? '—' : value ? '✅' : '❌';
+        const parentLabels = {
+            'fetched': { className: 'status-success', label: 'Parent NS from registry (RDAP)' },
+            'blocked': { className: 'status-warning', label: 'Parent NS not checked (blocked by CSP)' },
+            'failed': { className: 'status-warning', label: 'Parent NS lookup failed' },
+            'not-checked': { className: 'status-warning', label: 'Parent NS not checked (not a registered domain)' }
+        };
+        const parent = parentLabels[delegation.parent.status] || parentLabels['not-checked'];
+
+        const rows = delegation.nameservers.map(nameserver => `
+            <tr>
+                <td>${this.escapeHTML(nameserver.name)}</td>
+                <td>${mark(nameserver.inParent)}</td>
+                <td>${mark(nameserver.inChild)}</td>
+                <td>${nameserver.glue.length > 0 ? nameserver.glue.map(address => this.escapeHTML(address)).join('<br>') : nameserver.inBailiwick ? 'required' : '—'}</td>
+                <td>${nameserver.addresses.length > 0 ? nameserver.addresses.map(address => this.escapeHTML(address)).join('<br>') : this.escapeHTML(nameserver.error || 'no addresses')}</td>
+            </tr>
+        `).join('');
+
+        const findings = delegation.findings.map(finding => `
+            <li class="dnssec-finding severity-${finding.severity}">${this.escapeHTML(finding.message)}</li>
+        `).join('');
+
+        return `
+            <div class="spf-summary">
+                <span class="status-indicator ${parent.className}">${parent.label}</span>
+                <span class="status-indicator ${delegation.networks.length > 1 ? 'status-success' : 'status-warning'}">Networks: ${delegation.networks.length}</span>
+            </div>
+            <table class="dns-record-table">
+                <thead><tr><th>Nameserver</th><th>At parent</th><th>In zone</th><th>Glue</th><th>Addresses</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${findings ? `<ul class="dnssec-tree">${findings}</ul>` : ''}
+        `;
+    }
+
+    /**
+     * Renders MX records with target resolution, reverse DNS and an overall delivery verdict
+     * @param {Object} mxData - MX record set with health from DNSErrorDetector.collectMXHealth()
+     * @returns {string} - HTML content
+     */
+    renderMXHealth(mxData) {
+        const delivery = this.errorDetector.getMXDeliveryStatus(mxData.health);
+        const healthByHost = new Map(mxData.health.map(entry => [entry.host, entry]));
+
+        const rows = mxData.records.map(record => {
+            const [priority, target = ''] = String(record.data).trim().split(/\s+/);
+            const host = target.toLowerCase().replace(/\.$/, '');
+            const entry = healthByHost.get(host);
+
+            let status;
+            let addresses = '';
+            if (host === '' || target === '.') {
+                status = '<span class="status-indicator status-warning">Null MX</span>';
+            } else if (!entry || entry.isIP) {
+                status = '<span class="status-indicator status-error">IP address, not a host name</span>';
+            } else if (!entry.resolves) {
+                status = `<span class="status-indicator status-error">Does not resolve${entry.error ? ` (${this.escapeHTML(entry.error)})` : ''}</span>`;
+            } else {
+                status = entry.cname
+                    ? `<span class="status-indicator status-warning">CNAME to ${this.escapeHTML(entry.cname)}</span>`
+                    : '<span class="status-indicator status-success">Resolves</span>';
+                addresses = entry.addresses.map(address => {
+                    const reverse = address.reverse;
+                    const ptr = reverse && reverse.hostnames.length > 0
+                        ? `${reverse.hostnames.map(hostname => this.escapeHTML(hostname.name)).join(', ')} ${reverse.forwardConfirmed ? '✅ FCrDNS' : '⚠️ not forward-confirmed'}`
+                        : '⚠️ no PTR';
+                    return `${address.type} ${this.escapeHTML(address.ip)} → ${ptr}`;
+                }).join('<br>');
+            }
+
+            return `
+                <tr>
+                    <td>${this.escapeHTML(priority)}</td>
+                    <td>${this.escapeHTML(target)}</td>
+                    <td>${status}</td>
+                    <td>${addresses}</td>
+                    <td>${record.ttl}s</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="spf-summary">
+                <span class="status-indicator ${delivery.deliverable ? 'status-success' : 'status-error'}">
+                    ${delivery.deliverable ? '✅ Mail delivery should work' : '❌ Mail cannot be delivered'}: ${this.escapeHTML(delivery.reason)}
+                </span>
+            </div>
+            <table class="dns-record-table">
+                <thead><tr><th>Priority</th><th>Host</th><th>Status</th><th>Addresses and reverse DNS</th><th>TTL</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Renders a CNAME chain as a path diagram with TTL and provider per hop
+     * @param {Object} chain - Result from DNSQueryEngine.resolveCNAMEChain()
+     * @returns {string} - HTML content
+     */
+    renderCNAMEChain(chain) {
+        const statusLabels = {
+            'resolved': { className: 'status-success', label: `Resolves in ${chain.hops.length} hop(s)` },
+            'no-cname': { className: 'status-success', label: 'No CNAME at this name' },
+            'dead-end': { className: 'status-error', label: 'Chain ends without an address' },
+            'loop': { className: 'status-error', label: 'Circular chain' },
+            'depth-exceeded': { className: 'status-warning', label: `Stopped after ${chain.maxDepth} hops` },
+            'error': { className: 'status-warning', label: 'Chain lookup failed' }
+        };
+        const status = statusLabels[chain.status] || statusLabels.error;
+
+        const hops = chain.hops.map(hop => `
+            <div class="cname-hop">${this.escapeHTML(hop.name)}<small>CNAME · TTL ${hop.ttl}s · ${this.escapeHTML(hop.provider)}</small></div>
+            <span class="cname-arrow">→</span>
+        `).join('');
+
+        const terminal = chain.terminal;
+        let terminalDetail;
+        if (chain.status === 'loop') {
+            terminalDetail = 'loops back';
+        } else if (chain.status === 'depth-exceeded') {
+            terminalDetail = 'not followed';
+        } else if (terminal.addresses.length > 0) {
+            terminalDetail = terminal.addresses.map(address => `${address.type} ${this.escapeHTML(address.data)} · TTL ${address.ttl}s`).join('<br>');
+        } else {
+            terminalDetail = this.escapeHTML(terminal.error || 'no A/AAAA records');
+        }
+        const terminalClass = ['resolved', 'no-cname'].includes(chain.status) ? '' : ' cname-terminal-error';
+
+        return `
+            <div class="spf-summary">
+                <span class="status-indicator ${status.className}">${status.label}</span>
+            </div>
+            <div class="cname-chain">
+                ${hops}
+                <div class="cname-hop${terminalClass}">${this.escapeHTML(terminal.name)}<small>${terminalDetail}</small></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the MTA-STS TXT record with a link to the policy file
+     * @param {Object} mtaSts - Result from MailTransportChecker.lookupMTASTS()
+     * @returns {string} - HTML content
+     */
+    renderMTASTSPolicy(mtaSts) {
+        const records = mtaSts.records.map(record => `
+            <div class="dns-record">
+                <div class="dns-record-name">${this.escapeHTML(record.name)}</div>
+                <div class="dns-record-value">${this.escapeHTML(record.data)}</div>
+                <div class="dns-record-ttl">TTL: ${record.ttl}s</div>
+            </div>
+        `).join('');
+
+        const policyURL = this.escapeHTML(mtaSts.policyURL);
+        return `
+            <div class="dns-record-list">${records}</div>
+            <p><strong>Policy:</strong> <a href="${policyURL}" target="_blank" rel="noopener noreferrer">${policyURL}</a></p>
+            <p class="empty-explanation">The policy file is not fetched: this page's Content-Security-Policy cannot list every mta-sts host, so review its mode, max_age and mx: lines manually.</p>
+        `;
+    }
+
+    /**
+     * Renders BIMI assertion records with their logo and certificate links and the DMARC prerequisite
+     * @param {Object} bimi - Result from DNSErrorDetector.lookupBIMI()
+     * @returns {string} - HTML content
+     */
+    renderBIMIRecords(bimi) {
+        const link = url => {
+            const safeURL = this.escapeHTML(url);
+            return /^https:\/\//i.test(url)
+                ? `<a href="${safeURL}" target="_blank" rel="noopener noreferrer">${safeURL}</a>`
+                : safeURL;
+        };
+
+        const rows = bimi.records.map(record => {
+            const tags = this.errorDetector.parseBIMITags(this.errorDetector.getTXTData(record));
+            return `
+                <tr>
+                    <td>${this.escapeHTML(record.assertionName)}</td>
+                    <td>${tags.l ? link(tags.l) : '<em>none</em>'}</td>
+                    <td>${tags.a ? link(tags.a) : '<em>none</em>'}</td>
+                    <td>${record.ttl}s</td>
+                </tr>
+            `;
+        }).join('');
+
+        const dmarcStatus = this.errorDetector.getBIMIDMARCStatus(this.lastDNSData ? this.lastDNSData.DMARC : null);
+        const dmarcBadge = dmarcStatus.eligible
+            ? `<span class="status-indicator status-success">DMARC p=${this.escapeHTML(dmarcStatus.policy)} pct=100 meets BIMI requirements</span>`
+            : `<span class="status-indicator status-warning">Logo will not be shown: ${this.escapeHTML(dmarcStatus.reason)}</span>`;
+
+        return `
+            <div class="spf-summary">${dmarcBadge}</div>
+            <table class="dns-record-table">
+                <thead><tr><th>Record</th><th>Logo (l=)</th><th>Certificate (a=)</th><th>TTL</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Renders TXT records labeled with the service they belong to, preceded by a "Known services" table
+     * @param {Object} txtData - TXT record set (may carry acmeChallenges)
+     * @returns {string} - HTML content
+     */
+    renderTXTRecords(txtData) {
+        const inventory = this.errorDetector.getTXTServiceInventory({ TXT: txtData });
+
+        const rows = inventory.map(entry => {
+            let status = '<span class="status-indicator status-success">OK</span>';
+            if (entry.misplaced) {
+                status = '<span class="status-indicator status-error">Wrong name</span>';
+            } else if (entry.stale) {
+                status = '<span class="status-indicator status-warning">Stale</span>';
+            } else if (entry.duplicate) {
+                status = `<span class="status-indicator status-warning">${new Set(entry.tokens).size < entry.tokens.length ? 'Duplicate record' : 'Multiple tokens'}</span>`;
+            }
+            return `
+                <tr>
+                    <td>${this.escapeHTML(entry.service)}</td>
+                    <td>${entry.category === 'policy' ? 'Email policy' : 'Domain verification'}</td>
+                    <td>${entry.records.length}</td>
+                    <td>${status}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const table = inventory.length > 0 ? `
+            <h4 class="srv-service-title">Known services</h4>
+            <table class="dns-record-table">
+                <thead><tr><th>Service</th><th>Purpose</th><th>Records</th><th>Status</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        ` : '';
+
+        const records = [...(txtData.records || []), ...(txtData.acmeChallenges || [])].map(record => {
+            const classification = this.errorDetector.classifyTXTRecord(record);
+            const label = record.name.toLowerCase().startsWith('_acme-challenge.')
+                ? 'ACME challenge'
+                : classification ? classification.service : null;
+            return `
+                <div class="dns-record">
+                    <div class="dns-record-name">${this.escapeHTML(record.name)}${label ? ` <span class="record-count">${this.escapeHTML(label)}</span>` : ''}</div>
+                    ${this.renderRecordValue(record)}
+                    <div class="dns-record-ttl">TTL: ${record.ttl}s</div>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            ${table}
+            <div class="dns-record-list txt-records">${records}</div>
+        `;
+    }
+
+    /**
+     * Renders swept SRV records grouped by service, with the resolution status of each target
+     * @param {Object} srvData - Result from DNSQueryEngine.discoverSRVServices()
+     * @returns {string} - HTML content
+     */
+    renderSRVServices(srvData) {
+        const groups = srvData.services.map(service => {
+            const targets = new Map(service.targets.map(target => [target.target, target]));
+
+            const rows = [...service.records]
+                .sort((a, b) => (a.parsed && b.parsed ? a.parsed.priority - b.parsed.priority || b.parsed.weight - a.parsed.weight : 0))
+                .map(record => {
+                    const fields = record.parsed && !record.parsed.error ? record.parsed : null;
+                    if (!fields) {
+                        return `<tr><td colspan="6">${this.escapeHTML(record.data)}</td></tr>`;
+                    }
+
+                    const target = targets.get(fields.target);
+                    let status;
+                    if (!fields.available) {
+                        status = '<span class="status-indicator status-warning">Service not offered</span>';
+                    } else if (!target || target.addresses.length === 0) {
+                        status = `<span class="status-indicator status-error">Does not resolve${target && target.error ? ` (${this.escapeHTML(target.error)})` : ''}</span>`;
+                    } else {
+                        const badge = target.cname
+                            ? `<span class="status-indicator status-warning">CNAME to ${this.escapeHTML(target.cname)}</span>`
+                            : '<span class="status-indicator status-success">Resolves</span>';
+                        status = `${badge}<br>${target.addresses.map(address => `${address.type} ${this.escapeHTML(address.data)}`).join('<br>')}`;
+                    }
+
+                    return `
+                        <tr>
+                            <td>${fields.priority}</td>
+                            <td>${fields.weight}</td>
+                            <td>${fields.port}</td>
+                            <td>${this.escapeHTML(fields.target)}</td>
+                            <td>${status}</td>
+                            <td>${record.ttl}s</td>
+                        </tr>
+                    `;
+                }).join('');
+
+            return `
+                <h4 class="srv-service-title">${this.escapeHTML(service.name)} <code>${this.escapeHTML(service.records[0].name.replace(/\.$/, ''))}</code></h4>
+                <table class="dns-record-table">
+                    <thead><tr><th>Priority</th><th>Weight</th><th>Port</th><th>Target</th><th>Status</th><th>TTL</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `;
+        }).join('');
+
+        return `
+            <div class="spf-summary">
+                <span class="status-indicator status-success">${srvData.services.length} service(s) found across ${srvData.probedLabels.length} probed label(s)</span>
+            </div>
+            ${groups}
+        `;
+    }
+
+    /**
+     * Renders one node of the SPF include/redirect tree
+     * @param {Object} node - SPF tree node
+     * @returns {string} - HTML list item
+     */
+    renderSPFNode(node) {
+        const label = node.via === 'root' ? '' : `${node.via}:`;
+        const lookups = node.totalLookups !== node.lookups
+            ? `${node.lookups} lookup(s), ${node.totalLookups} in subtree`
+            : `${node.lookups} lookup(s)`;
+        const ips = node.ips.length > 0
+            ? `<li class="dnssec-node">${node.ips.map(ip => this.escapeHTML(ip)).join(', ')}</li>`
+            : '';
+        const errors = node.errors.map(error => `
+            <li class="dnssec-finding severity-critical">${this.escapeHTML(error.message)}</li>
+        `).join('');
+
+        return `
+            <li class="dnssec-zone">
+                <div class="dnssec-zone-name"><strong>${this.escapeHTML(label + node.domain)}</strong> <span class="dnssec-status">${lookups}</span></div>
+                <ul>
+                    ${node.record ? `<li class="dnssec-node">${this.escapeHTML(node.record)}</li>` : ''}
+                    ${ips}${errors}
+                    ${node.children.map(child => this.renderSPFNode(child)).join('')}
+                </ul>
+            </li>
+        `;
+    }
+
+    /**
+     * Renders one zone of the DNSSEC tree (DS, DNSKEY, RRSIG and findings)
+     * @param {Object} zone - Zone report
+     * @param {Object} statusLabels - Status icon/label map
+     * @param {string} childrenHTML - Already rendered child nodes
+     * @returns {string} - HTML list item
+     */
+    renderDNSSECZone(zone, statusLabels, childrenHTML) {
+        const status = statusLabels[zone.status] || statusLabels.indeterminate;
+
+        const dsItems = zone.ds.map(ds => {
+            const verified = ds.verified === true ? '✅ digest verified' : ds.verified === false ? '❌ digest mismatch' : ds.matchedKey ? 'key tag matched' : '⚠️ no matching DNSKEY';
+            const label = ds.trustAnchor ? 'Trust anchor' : 'DS';
+            return `<li class="dnssec-node dnssec-ds">${label} ${this.escapeHTML(ds.keyTag)} · ${this.escapeHTML(ds.algorithmName || ds.algorithm)} · digest ${this.escapeHTML(ds.digestTypeName || ds.digestType)} — ${verified}</li>`;
+        }).join('');
+
+        const keyItems = zone.dnskeys.map(key => `
+            <li class="dnssec-node dnssec-dnskey">DNSKEY ${this.escapeHTML(key.keyTag)} · ${this.escapeHTML(key.role)} · ${this.escapeHTML(key.algorithmName)}${key.keySize ? ` · ${this.escapeHTML(key.keySize)} bits` : ''}${key.revoked ? ' · revoked' : ''}</li>
+        `).join('');
+
+        const signatureItems = zone.signatures.map(signature => this.renderDNSSECSignature(signature)).join('');
+
+        const findingItems = zone.findings.map(finding => `
+            <li class="dnssec-finding severity-${this.escapeHTML(finding.severity)}">${this.escapeHTML(finding.message)}</li>
+        `).join('');
+
+        return `
+            <li class="dnssec-zone">
+                <div class="dnssec-zone-name">${status.icon} <strong>${this.escapeHTML(zone.name)}</strong> <span class="dnssec-status">${status.label}</span></div>
+                <ul>
+                    ${dsItems}${keyItems}${signatureItems}${findingItems}
+                    ${childrenHTML}
+                </ul>
+            </li>
+        `;
+    }
+
+    /**
+     * Renders the final answer node of the DNSSEC tree
+     * @param {Object} answer - Answer report
+     * @param {Object} statusLabels - Status icon/label map
+     * @returns {string} - HTML list item
+     */
+    renderDNSSECAnswer(answer, statusLabels) {
+        const invalid = !answer.verified && answer.signatures.some(signature => signature.verified === false);
+        const status = answer.bogus || invalid ? statusLabels.bogus : answer.authenticated ? statusLabels.secure : statusLabels.insecure;
+        let verification = 'no signature';
+        if (answer.verified) {
+            verification = 'signature verified locally';
+        } else if (invalid) {
+            verification = 'signature does not verify';
+        } else if (answer.signatures.length > 0) {
+            verification = 'signature not verified locally (resolver-reported)';
+        }
+        const signatureItems = answer.signatures.map(signature => this.renderDNSSECSignature(signature)).join('');
+        const findingItems = answer.findings.map(finding => `
+            <li class="dnssec-finding severity-${this.escapeHTML(finding.severity)}">${this.escapeHTML(finding.message)}</li>
+        `).join('');
+
+        return `
+            <li class="dnssec-zone dnssec-answer">
+                <div class="dnssec-zone-name">${status.icon} <strong>${this.escapeHTML(answer.name)}</strong> ${this.escapeHTML(answer.recordType)} answer <span class="dnssec-status">${answer.authenticated ? 'AD flag set' : 'AD flag not set'} · ${verification}</span></div>
+                <ul>${signatureItems}${findingItems}</ul>
+            </li>
+        `;
+    }
+
+    /**
+     * Renders an RRSIG node with its validity window and local verification result
+     * @param {Object} signature - Signature summary
+     * @returns {string} - HTML list item
+     */
+    renderDNSSECSignature(signature) {
+        const statusText = {
+            'valid': '✅ valid',
+            'expiring': '⚠️ expires soon',
+            'expired': '❌ expired',
+            'not-yet-valid': '❌ not yet valid',
+            'unknown-key': '⚠️ unknown key'
+        };
+        const verificationText = {
+            true: '🔏 signature verified',
+            false: '❌ signature invalid',
+            null: 'signature not verified locally'
+        };
+
+        return `
+            <li class="dnssec-node dnssec-rrsig">RRSIG ${this.escapeHTML(signature.covers)} by ${this.escapeHTML(signature.keyTag)} · ${this.escapeHTML(signature.algorithmName)} · ${this.escapeHTML(signature.inception)} → ${this.escapeHTML(signature.expiration)} — ${statusText[signature.status] || this.escapeHTML(signature.status)} · ${verificationText[signature.verified] || verificationText.null}</li>
+        `;
+    }
+
+    /**
+     * Converts a camelCase field name into a display label (keyTag -> Key Tag)
+     * @param {string} key - Field name
+     * @returns {string} - Display label
+     */
+    formatFieldLabel(key) {
+        const label = key.replace(/([a-z])([A-Z])/g, '$1 $2');
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    }
+
+    /**
+     * Escapes text for safe insertion into HTML
+     * @param {*} value - Value to escape
+     * @returns {string} - Escaped text
+     */
+    escapeHTML(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Gets stored record data for lazy loading
+     * @param {string} recordType - DNS record type
+     * @returns {Object|Promise<Object>|null} - Record data or null
+     */
+    getStoredRecordData(recordType) {
+        if (recordType === 'DMARC') {
+            // Use the policy found by the analysis (including organizational-domain fallback) when available
+            if (this.lastDNSData && this.lastDNSData.DMARC) {
+                return this.lastDNSData.DMARC;
+            }
+            return this.extractDMARCFromTXT(this.lastDNSData);
+        }
+        if (recordType === 'DKIM') {
+            return this.getDKIMDisplayData(this.lastDNSData);
+        }
+        return this.lastDNSData ? this.lastDNSData[recordType] : null;
+    }
+
+    /**
+     * Gets discovered DKIM keys with selector, key type and key size for display
+     * @param {Object} dnsData - DNS data containing the DKIM discovery result
+     * @returns {Object|null} - DKIM record data with parsed fields, or null if discovery did not run
+     */
+    getDKIMDisplayData(dnsData) {
+        if (!dnsData || !dnsData.DKIM) {
+            return null;
+        }
+
+        const records = dnsData.DKIM.records.map(record => {
+            const tags = this.errorDetector.parseDKIMTags(this.errorDetector.getTXTData(record));
+            const keyInfo = tags.p ? this.errorDetector.getDKIMKeyInfo(tags) : { keyType: tags.k || 'rsa', keySize: null };
+
+            return {
+                ...record,
+                parsed: {
+                    selector: record.selector,
+                    keyType: keyInfo.keyType.toUpperCase(),
+                    keySize: tags.p ? (keyInfo.keySize ? `${keyInfo.keySize} bits` : 'undecodable') : 'revoked',
+                    flags: tags.t || '',
+                    publicKey: tags.p || ''
+                }
+            };
+        });
+
+        return { ...dnsData.DKIM, records };
+    }
+
+    /**
+     * Shows or hides the export menu in the results header
+     * @param {boolean} available - Whether exportable results are shown
+     */
+    setExportAvailable(available) {
+        if (this.elements.exportMenu) {
+            this.elements.exportMenu.style.display = available ? '' : 'none';
+            this.elements.exportMenu.open = false;
+        }
+    }
+
+    /**
+     * Exports the shown records and analysis
+     * @param {string} format - json, csv, markdown or print
+     */
+    exportResults(format) {
+        if (!this.lastDNSData || !this.currentDomain) {
+            return;
+        }
+
+        const report = this.buildCurrentReport();
+        const baseName = `dns-report-${this.currentDomain}-${report.generatedAt.replace(/[:.]/g, '-')}`;
+
+        switch (format) {
+            case 'json':
+                this.downloadFile(`${baseName}.json`, this.resultExporter.toJSON(report), 'application/json');
+                break;
+            case 'csv':
+                this.downloadFile(`${baseName}.csv`, this.resultExporter.toCSV(report), 'text/csv');
+                break;
+            case 'markdown':
+                this.downloadFile(`${baseName}.md`, this.resultExporter.toMarkdown(report), 'text/markdown');
+                break;
+            case 'zone':
+                this.downloadFile(`${this.currentDomain}.zone`, this.zoneFile.serialize(this.lastDNSData, this.currentDomain), 'text/plain');
+                break;
+            case 'print': {
+                const html = this.resultExporter.toPrintHTML(report);
+                const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+                // Popup blockers return null; the page can still be saved and printed from a file
+                if (!window.open(url, '_blank')) {
+                    this.downloadFile(`${baseName}.html`, html, 'text/html');
+                }
+                setTimeout(() => URL.revokeObjectURL(url), 60000);
+                break;
+            }
+            default:
+                console.warn(`Unknown export format: ${format}`);
+        }
+    }
+
+    /**
+     * Builds the versioned report of the shown records and analysis
+     * @returns {Object} - Report from ResultExporter.buildReport()
+     */
+    buildCurrentReport() {
+        return this.resultExporter.buildReport(this.lastDNSData, this.lastErrorAnalysis, {
+            domain: this.currentDomain,
+            // A linted zone file or a comparison with a pasted zone cannot be reproduced from the URL
+            permalink: this.lastResultsFromZoneFile || this.lastZoneComparison ? null : window.location.href,
+            options: Object.fromEntries(this.getPermalinkParams(this.currentDomain))
+        });
+    }
+
+    /**
+     * Shows or hides the snapshot history panel
+     * @param {boolean} available - Whether a live domain analysis is shown
+     */
+    setHistoryAvailable(available) {
+        if (this.elements.historyPanel) {
+            this.elements.historyPanel.style.display = available ? '' : 'none';
+        }
+        if (!available && this.elements.historyDiff) {
+            this.elements.historyDiff.innerHTML = '';
+        }
+    }
+
+    /**
+     * Stores the shown analysis as a snapshot and refreshes the history panel
+     */
+    async saveSnapshot() {
+        if (!this.lastDNSData || !this.currentDomain) {
+            return;
+        }
+
+        this.setHistoryAvailable(true);
+        if (this.snapshotStore.isAvailable()) {
+            try {
+                // Round-trip through JSON so the snapshot matches what an export contains
+                await this.snapshotStore.save(JSON.parse(this.resultExporter.toJSON(this.buildCurrentReport())));
+            } catch (error) {
+                console.warn('Could not store snapshot:', error);
+                await this.refreshHistory(`This analysis could not be stored: ${error.message}`);
+                return;
+            }
+        }
+        await this.refreshHistory();
+    }
+
+    /**
+     * Renders the snapshot list of the current domain with from/to selection for diffs
+     * @param {string} message - Status message shown below the list
+     */
+    async refreshHistory(message = '') {
+        const content = this.elements.historyContent;
+        if (!content || !this.currentDomain) {
+            return;
+        }
+
+        if (!this.snapshotStore.isAvailable()) {
+            content.innerHTML = '<p class="history-status">History is unavailable because this browser does not offer IndexedDB storage.</p>';
+            return;
+        }
+
+        try {
+            this.historySnapshots = await this.snapshotStore.list(this.currentDomain);
+        } catch (error) {
+            content.innerHTML = `<p class="history-status">History could not be read: ${this.escapeHTML(error.message)}</p>`;
+            return;
+        }
+
+        const snapshots = this.historySnapshots;
+        const rows = snapshots.map((snapshot, index) => {
+            const summary = snapshot.summary || { criticalErrors: '–', warnings: '–', infoItems: '–' };
+            return `
+                <tr>
+                    <td><input type="radio" name="history-from" value="${snapshot.id}" aria-label="Compare from this snapshot" ${index === Math.min(1, snapshots.length - 1) ? 'checked' : ''}></td>
+                    <td><input type="radio" name="history-to" value="${snapshot.id}" aria-label="Compare to this snapshot" ${index === 0 ? 'checked' : ''}></td>
+                    <td>${this.escapeHTML(new Date(snapshot.timestamp).toLocaleString())}</td>
+                    <td>${summary.criticalErrors}</td>
+                    <td>${summary.warnings}</td>
+                    <td>${summary.infoItems}</td>
+                    <td><button type="button" class="btn btn-secondary btn-small" data-history-action="delete" data-snapshot-id="${snapshot.id}">Delete</button></td>
+                </tr>
+            `;
+        }).join('');
+
+        content.innerHTML = `
+            <p class="history-status">${snapshots.length} snapshot(s) of ${this.escapeHTML(this.currentDomain)} stored in this browser</p>
+            ${snapshots.length > 0 ? `
+                <table class="dns-record-table">
+                    <thead><tr><th>From</th><th>To</th><th>Analyzed</th><th>Critical</th><th>Warnings</th><th>Info</th><th></th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : ''}
+            <div class="history-actions">
+                <button type="button" class="btn btn-secondary btn-small" data-history-action="diff" ${snapshots.length < 2 ? 'disabled' : ''}>Compare selected</button>
+                <button type="button" class="btn btn-secondary btn-small" data-history-action="export" ${snapshots.length === 0 ? 'disabled' : ''}>Export history</button>
+                <label class="btn btn-secondary btn-small">
+                    Import history
+                    <input type="file" id="import-history-input" accept=".json,application/json" hidden>
+                </label>
+            </div>
+            ${message ? `<p class="history-status">${this.escapeHTML(message)}</p>` : ''}
+        `;
+    }
+
+    /**
+     * Diffs the snapshots selected in the history panel (the earlier one is always the base)
+     */
+    showSnapshotDiff() {
+        const panel = this.elements.historyPanel;
+        const selected = name => {
+            const input = panel.querySelector(`input[name="${name}"]:checked`);
+            return input ? this.historySnapshots.find(snapshot => snapshot.id === Number(input.value)) : null;
+        };
+        const from = selected('history-from');
+        const to = selected('history-to');
+        if (!from || !to || !this.elements.historyDiff) {
+            return;
+        }
+
+        const [older, newer] = from.timestamp <= to.timestamp ? [from, to] : [to, from];
+        this.elements.historyDiff.innerHTML = this.renderSnapshotDiff(this.snapshotStore.diffSnapshots(older, newer), older, newer);
+    }
+
+    /**
+     * Renders a snapshot diff: changed record sets side by side, then new, resolved and changed issues
+     * @param {Object} diff - Result from SnapshotStore.diffSnapshots()
+     * @param {Object} older - Base snapshot
+     * @param {Object} newer - Compared snapshot
+     * @returns {string} - HTML content
+     */
+    renderSnapshotDiff(diff, older, newer) {
+        const changeLabels = {
+            added: { className: 'status-success', label: 'Added' },
+            removed: { className: 'status-error', label: 'Removed' },
+            changed: { className: 'status-warning', label: 'Changed' }
+        };
+
+        const rows = diff.records.map(entry => {
+            const before = entry.before.map(record => entry.removed.includes(record)
+                ? `<span class="zone-diff-missing">− ${this.escapeHTML(record.data)}</span>`
+                : this.escapeHTML(record.data)).join('<br>');
+            const after = entry.after.map(record => entry.added.includes(record)
+                ? `<span class="zone-diff-extra">+ ${this.escapeHTML(record.data)}</span>`
+                : this.escapeHTML(record.data)).join('<br>');
+
+            return `
+                <tr>
+                    <td>${this.escapeHTML(entry.name)}</td>
+                    <td>${this.escapeHTML(entry.type)}</td>
+                    <td><span class="status-indicator ${changeLabels[entry.change].className}">${changeLabels[entry.change].label}</span></td>
+                    <td>${before}</td>
+                    <td>${after}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const issueList = issues => issues.map(issue => `
+            <li class="dnssec-finding severity-${issue.severity}">${this.escapeHTML(issue.message)}</li>
+        `).join('');
+
+        return `
+            <div class="history-diff">
+                <p class="history-status">
+                    ${this.escapeHTML(new Date(older.timestamp).toLocaleString())} → ${this.escapeHTML(new Date(newer.timestamp).toLocaleString())}
+                </p>
+                <h4>Records</h4>
+                ${rows ? `
+                    <table class="dns-record-table">
+                        <thead><tr><th>Name</th><th>Type</th><th>Change</th><th>Before</th><th>After</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : '<p class="history-status">No record changes</p>'}
+                <h4>New issues (${diff.newIssues.length})</h4>
+                ${diff.newIssues.length > 0 ? `<ul class="dnssec-tree">${issueList(diff.newIssues)}</ul>` : '<p class="history-status">None</p>'}
+                <h4>Resolved issues (${diff.resolvedIssues.length})</h4>
+                ${diff.resolvedIssues.length > 0 ? `<ul class="dnssec-tree">${issueList(diff.resolvedIssues)}</ul>` : '<p class="history-status">None</p>'}
+                <h4>Changed issues (${diff.changedIssues.length})</h4>
+                ${diff.changedIssues.length > 0 ? `<ul class="dnssec-tree">${diff.changedIssues.map(change => `
+                    <li class="dnssec-finding severity-${change.after.severity}">
+                        <span class="zone-diff-missing">− ${this.escapeHTML(change.before.message)}</span><br>
+                        <span class="zone-diff-extra">+ ${this.escapeHTML(change.after.message)}</span>
+                    </li>
+                `).join('')}</ul>` : '<p class="history-status">None</p>'}
+            </div>
+        `;
+    }
+
+    /**
+     * Deletes a snapshot and refreshes the history panel
+     * @param {number} id - Snapshot id
+     */
+    async deleteSnapshot(id) {
+        try {
+            await this.snapshotStore.delete(id);
+            if (this.elements.historyDiff) {
+                this.elements.historyDiff.innerHTML = '';
+            }
+            await this.refreshHistory();
+        } catch (error) {
+            await this.refreshHistory(`Could not delete the snapshot: ${error.message}`);
+        }
+    }
+
+    /**
+     * Downloads the current domain's snapshots as JSON
+     */
+    async exportHistory() {
+        try {
+            const json = await this.snapshotStore.exportSnapshots(this.currentDomain);
+            this.downloadFile(`dns-history-${this.currentDomain}.json`, json, 'application/json');
+        } catch (error) {
+            await this.refreshHistory(`Could not export the history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Imports snapshots from a history export
+     * @param {File} file - Selected JSON file
+     */
+    async importHistory(file) {
+        try {
+            const result = await this.snapshotStore.importSnapshots(await file.text());
+            const others = result.domains.filter(domain => domain !== this.snapshotStore.normalizeName(this.currentDomain));
+            await this.refreshHistory(`Imported ${result.imported} snapshot(s), skipped ${result.skipped}${others.length > 0 ? `; also added history for ${others.join(', ')}` : ''}`);
+        } catch (error) {
+            await this.refreshHistory(`Could not import the history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Saves text content as a file download
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File content
+     * @param {string} mimeType - MIME type of the content
+     */
+    downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Reads the DoH provider selected in the advanced options
+     * @returns {string} - Provider name (cloudflare when nothing valid is selected)
+     */
+    getSelectedProvider() {
+        const provider = this.elements.providerInput ? this.elements.providerInput.value : '';
+        return this.dnsEngine.getAvailableProviders().includes(provider) ? provider : 'cloudflare';
+    }
+
+    /**
+     * Reads the DoH transport selected in the advanced options
+     * @returns {string} - 'json' or 'wire', or an empty string for the provider's default
+     */
+    getSelectedTransport() {
+        const transport = this.elements.transportInput ? this.elements.transportInput.value : '';
+        return transport === 'json' || transport === 'wire' ? transport : '';
+    }
+
+    /**
+     * Sets the selected provider's transport from the advanced options (other providers keep their defaults)
+     */
+    applySelectedTransport() {
+        const provider = this.getSelectedProvider();
+        for (const [name, format] of Object.entries(this.defaultProviderFormats)) {
+            this.dnsEngine.setProviderFormat(name, name === provider && this.getSelectedTransport() ? this.getSelectedTransport() : format);
+        }
+    }
+
+    /**
+     * Reads the record types selected in the advanced options
+     * @returns {string[]} - Supported record types, or an empty array to query all types
+     */
+    getSelectedRecordTypes() {
+        return [...new Set(this.parseListInput(this.elements.recordTypesInput).map(recordType => recordType.toUpperCase()))]
+            .filter(recordType => this.dnsEngine.recordTypes[recordType] !== undefined);
+    }
+
+    /**
+     * Encodes the domain and the non-default analysis options as URL query parameters
+     * @param {string} domain - Domain or IP address being analyzed
+     * @returns {URLSearchParams} - Permalink parameters
+     */
+    getPermalinkParams(domain) {
+        const params = new URLSearchParams();
+        params.set('domain', domain);
+
+        const recordTypes = this.getSelectedRecordTypes();
+        const lists = {
+            types: recordTypes,
+            dkim: this.getCustomDKIMSelectors(),
+            bimi: this.getCustomBIMISelectors(),
+            srv: this.getCustomSRVLabels()
+        };
+        for (const [name, values] of Object.entries(lists)) {
+            if (values.length > 0) {
+                params.set(name, values.join(','));
+            }
+        }
+
+        const provider = this.getSelectedProvider();
+        if (provider !== 'cloudflare') {
+            params.set('provider', provider);
+        }
+        if (this.getSelectedTransport()) {
+            params.set('transport', this.getSelectedTransport());
+        }
+
+        const depth = this.getCNAMEChainDepth();
+        if (depth !== undefined && depth !== this.dnsEngine.maxCNAMEChainDepth) {
+            params.set('depth', String(depth));
+        }
+
+        const ttlProfile = this.getTTLProfile();
+        if (ttlProfile && ttlProfile !== 'default') {
+            params.set('ttl', ttlProfile);
+        }
+        if (this.elements.ttlThresholdsInput && this.elements.ttlThresholdsInput.value.trim()) {
+            params.set('ttlRanges', this.elements.ttlThresholdsInput.value.trim());
+        }
+
+        return params;
+    }
+
+    /**
+     * Fills the form and advanced options from permalink parameters (missing parameters reset to defaults)
+     * @param {URLSearchParams} params - Permalink parameters
+     */
+    applyPermalinkParams(params) {
+        const inputs = {
+            domainInput: params.get('domain') || '',
+            recordTypesInput: (params.get('types') || '').split(',').join(', '),
+            dkimSelectorsInput: (params.get('dkim') || '').split(',').join(', '),
+            bimiSelectorsInput: (params.get('bimi') || '').split(',').join(', '),
+            srvLabelsInput: (params.get('srv') || '').split(',').join(', '),
+            providerInput: params.get('provider') || 'cloudflare',
+            transportInput: params.get('transport') || '',
+            cnameDepthInput: params.get('depth') || String(this.dnsEngine.maxCNAMEChainDepth),
+            ttlProfileInput: params.get('ttl') || 'default',
+            ttlThresholdsInput: params.get('ttlRanges') || ''
+        };
+
+        for (const [element, value] of Object.entries(inputs)) {
+            if (this.elements[element]) {
+                this.elements[element].value = value;
+            }
+        }
+
+        // Show the options a shared link changed
+        const advanced = document.getElementById('advanced-options');
+        if (advanced && [...params.keys()].some(key => key !== 'domain')) {
+            advanced.open = true;
+        }
+    }
+
+    /**
+     * Adds a history entry whose URL reproduces the current analysis
+     * @param {string|null} domain - Domain or IP address being analyzed, or null after clearing the results
+     */
+    updatePermalink(domain) {
+        if (!window.history || !window.history.pushState) {
+            return;
+        }
+
+        // Commas are allowed in query strings and keep the lists readable
+        const search = domain ? `?${this.getPermalinkParams(domain).toString().replace(/%2C/g, ',')}` : '';
+        if (search === window.location.search) {
+            return;
+        }
+        window.history.pushState({ domain }, '', `${window.location.pathname}${search}${window.location.hash}`);
+    }
+
+    /**
+     * Runs the analysis described by the current URL, or clears shown results when it names no domain
+     */
+    loadFromPermalink() {
+        // Wait for the running analysis so the results end up matching the address bar
+        if (this.isAnalyzing) {
+            this.permalinkPending = true;
+            return;
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        const domain = (params.get('domain') || '').trim();
+
+        if (!domain) {
+            // Back to the page before the first analysis
+            if (this.currentDomain) {
+                this.applyPermalinkParams(params);
+                this.clearResults();
+            }
+            return;
+        }
+
+        this.applyPermalinkParams(params);
+
+        if (this.validateDomainInput(domain, true)) {
+            this.handleDomainSubmit(domain, { updateHistory: false });
+        }
+    }
+
+    /**
+     * Loads the URL that back/forward navigation selected while an analysis was running
+     */
+    loadPendingPermalink() {
+        if (this.permalinkPending) {
+            this.permalinkPending = false;
+            this.loadFromPermalink();
+        }
+    }
+
+    /**
+     * Reads the user-supplied DKIM selectors from the advanced options
+     * @returns {string[]} - Selectors (comma or whitespace separated in the input)
+     */
+    getCustomDKIMSelectors() {
+        return this.parseListInput(this.elements.dkimSelectorsInput);
+    }
+
+    /**
+     * Reads the user-supplied BIMI selectors from the advanced options
+     * @returns {string[]} - Selectors queried in addition to "default"
+     */
+    getCustomBIMISelectors() {
+        return this.parseListInput(this.elements.bimiSelectorsInput);
+    }
+
+    /**
+     * Reads the user-supplied SRV service labels from the advanced options
+     * @returns {string[]} - "_service._proto" labels swept in addition to the well-known ones
+     */
+    getCustomSRVLabels() {
+        return this.parseListInput(this.elements.srvLabelsInput);
+    }
+
+    /**
+     * Reads the maximum CNAME chain depth from the advanced options
+     * @returns {number|undefined} - Depth between 1 and 32, or undefined to use the engine default
+     */
+    getCNAMEChainDepth() {
+        if (!this.elements.cnameDepthInput) {
+            return undefined;
+        }
+        const depth = parseInt(this.elements.cnameDepthInput.value, 10);
+        return depth >= 1 && depth <= 32 ? depth : undefined;
+    }
+
+    /**
+     * Reads the selected TTL policy profile from the advanced options
+     * @returns {string|undefined} - Profile name, or undefined to use the default profile
+     */
+    getTTLProfile() {
+        return this.elements.ttlProfileInput ? this.elements.ttlProfileInput.value : undefined;
+    }
+
+    /**
+     * Reads custom per-type TTL ranges ("TYPE=min-max", either bound optional) from the advanced options
+     * @returns {Object} - { TYPE: { min, max } }; malformed entries are ignored
+     */
+    getCustomTTLThresholds() {
+        const thresholds = {};
+
+        for (const entry of this.parseListInput(this.elements.ttlThresholdsInput)) {
+            const match = entry.match(/^([A-Za-z0-9*-]+)=(\d*)-(\d*)$/);
+            if (!match || (!match[2] && !match[3])) {
+                continue;
+            }
+            thresholds[match[1].toUpperCase()] = {
+                min: match[2] ? parseInt(match[2], 10) : undefined,
+                max: match[3] ? parseInt(match[3], 10) : undefined
+            };
+        }
+
+        return thresholds;
+    }
+
+    /**
+     * Splits a comma or whitespace separated input value into its entries
+     * @param {HTMLInputElement|null} input - Input element
+     * @returns {string[]} - Non-empty entries
+     */
+    parseListInput(input) {
+        if (!input) {
+            return [];
+        }
+        return input.value
+            .split(/[\s,]+/)
+            .map(entry => entry.trim())
+            .filter(Boolean);
     }
 
     /**
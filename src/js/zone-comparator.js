@@ -0,0 +1,198 @@
+/**
+ * Zone Comparator - Diffs the records a zone is expected to serve (zone file or JSON export) against
+ * live DNS, RRset by RRset, to confirm a change was applied: missing, extra and changed records and TTL drift
+ * Resolvers report the remaining cache lifetime, so a live TTL below the expected one is not drift
+ */
+
+class ZoneComparator {
+    /**
+     * @param {DNSQueryEngine} dnsEngine - Query engine used for all lookups
+     */
+    constructor(dnsEngine) {
+        this.dnsEngine = dnsEngine;
+
+        // Types the zone signer maintains; only compared when the expected zone lists them
+        this.dnssecTypes = ['DNSKEY', 'RRSIG', 'NSEC', 'NSEC3', 'DS', 'CDS', 'CDNSKEY'];
+    }
+
+    /**
+     * Compares expected records with live DNS
+     * @param {string} domain - Zone apex
+     * @param {Object[]} expected - Expected records [{ name, type, ttl, data }] (e.g. ZoneFile.parse() entries)
+     * @param {Object} options - Comparison options
+     * @param {Object} options.liveRecords - Records from queryAllRecords(); apex RRsets in it that the expected zone
+     *   does not list are reported as extra
+     * @returns {Promise<Object>} - { domain, rrsets, counts, findings, timestamp } where each RRset is
+     *   { name, type, status: 'match'|'changed'|'missing'|'extra'|'unchecked', expected, live, missing, extra, ttl, error }
+     */
+    async compare(domain, expected, options = {}) {
+        const zone = this.normalizeName(domain);
+        const report = {
+            domain: zone,
+            rrsets: [],
+            counts: { match: 0, changed: 0, missing: 0, extra: 0, unchecked: 0, ttlDrift: 0 },
+            findings: [],
+            timestamp: new Date().toISOString()
+        };
+
+        const groups = new Map();
+        for (const record of expected) {
+            const name = this.normalizeName(record.name);
+            const key = `${name} ${record.type}`;
+            if (!groups.has(key)) {
+                groups.set(key, { name, type: record.type, records: [] });
+            }
+            groups.get(key).records.push(record);
+        }
+
+        // Query in small batches to avoid overwhelming the DoH APIs
+        const batchSize = 5;
+        const expectedSets = [...groups.values()];
+        for (let i = 0; i < expectedSets.length; i += batchSize) {
+            const batch = expectedSets.slice(i, i + batchSize);
+            report.rrsets.push(...await Promise.all(batch.map(group => this.compareRRset(group))));
+        }
+
+        // Apex RRsets the live analysis found but the expected zone does not mention
+        const liveRecords = options.liveRecords || {};
+        for (const recordType of Object.keys(this.dnsEngine.recordTypes)) {
+            const name = this.normalizeName(this.dnsEngine.getQueryName(zone, recordType));
+            const recordSet = liveRecords[recordType];
+            if (this.dnssecTypes.includes(recordType) || groups.has(`${name} ${recordType}`) || !recordSet || !Array.isArray(recordSet.records)) {
+                continue;
+            }
+            const live = recordSet.records.filter(record => record.type === recordType && this.normalizeName(record.name) === name);
+            if (live.length > 0) {
+                report.rrsets.push(this.diffRRset({ name, type: recordType, records: [] }, live));
+            }
+        }
+
+        for (const rrset of report.rrsets) {
+            report.counts[rrset.status]++;
+            if (rrset.ttl && rrset.ttl.drift) {
+                report.counts.ttlDrift++;
+            }
+        }
+
+        this.checkComparison(report);
+        return report;
+    }
+
+    /**
+     * Queries one expected RRset and diffs it against the answer
+     * @param {Object} group - { name, type, records } expected RRset
+     * @returns {Promise<Object>} - RRset comparison
+     */
+    async compareRRset(group) {
+        if (this.dnsEngine.recordTypes[group.type] === undefined) {
+            return { ...this.diffRRset(group, []), status: 'unchecked', error: `${group.type} records cannot be queried over DoH by this tool` };
+        }
+
+        try {
+            const response = await this.dnsEngine.queryDNS(group.name, group.type);
+            // NXDOMAIN just means nothing is published; other errors leave the RRset unchecked
+            if (response.error && !/NXDOMAIN/i.test(response.error)) {
+                return { ...this.diffRRset(group, []), status: 'unchecked', error: response.error };
+            }
+            return this.diffRRset(group, response.records.filter(record => this.normalizeName(record.name) === group.name));
+        } catch (error) {
+            return { ...this.diffRRset(group, []), status: 'unchecked', error: error.message };
+        }
+    }
+
+    /**
+     * Diffs expected and live records of one RRset (data compared in normalized form)
+     * @param {Object} group - { name, type, records } expected RRset
+     * @param {Object[]} live - Live records of the RRset
+     * @returns {Object} - RRset comparison
+     */
+    diffRRset(group, live) {
+        const normalize = record => this.dnsEngine.normalizeRecordData(group.type, record.data);
+        const expectedData = new Set(group.records.map(normalize));
+        const liveData = new Set(live.map(normalize));
+
+        const missing = group.records.filter(record => !liveData.has(normalize(record)));
+        const extra = live.filter(record => !expectedData.has(normalize(record)));
+
+        let status = 'match';
+        if (group.records.length > 0 && live.length === 0) {
+            status = 'missing';
+        } else if (group.records.length === 0) {
+            status = 'extra';
+        } else if (missing.length > 0 || extra.length > 0) {
+            status = 'changed';
+        }
+
+        // A cached TTL only counts down, so drift shows when the live TTL exceeds the expected one
+        let ttl = null;
+        const expectedTTLs = group.records.map(record => record.ttl).filter(value => Number.isInteger(value));
+        if (expectedTTLs.length > 0 && live.length > 0) {
+            const expectedTTL = Math.max(...expectedTTLs);
+            const liveTTL = Math.max(...live.map(record => record.ttl));
+            ttl = { expected: expectedTTL, live: liveTTL, drift: liveTTL > expectedTTL };
+        }
+
+        return { name: group.name, type: group.type, status, expected: group.records, live, missing, extra, ttl, error: null };
+    }
+
+    /**
+     * Adds findings for the comparison report (one per RRset that differs)
+     * @param {Object} report - Comparison report (findings are appended)
+     */
+    checkComparison(report) {
+        const findings = report.findings;
+        const list = records => records.map(record => record.data).join(', ');
+
+        for (const rrset of report.rrsets) {
+            const label = `${rrset.type} ${rrset.name}`;
+
+            if (rrset.status === 'missing') {
+                findings.push(this.createFinding('critical', `Expected ${label} is not published`,
+                    `Live DNS has no ${rrset.type} records at ${rrset.name}; expected ${list(rrset.expected)}`,
+                    'Check that the change was applied at your DNS provider, or wait for negative caching to expire', rrset));
+            } else if (rrset.status === 'changed') {
+                findings.push(this.createFinding('critical', `${label} differs from the expected zone`,
+                    `${rrset.missing.length > 0 ? `Missing: ${list(rrset.missing)}. ` : ''}${rrset.extra.length > 0 ? `Not expected: ${list(rrset.extra)}.` : ''}`.trim(),
+                    'Update the records at your DNS provider to match the expected zone, or wait for cached answers to expire', rrset));
+            } else if (rrset.status === 'extra') {
+                findings.push(this.createFinding('warning', `Unexpected ${label} is published`,
+                    `Live DNS serves ${list(rrset.extra)}, which the expected zone does not contain`,
+                    'Remove the records at your DNS provider, or add them to the expected zone if they are intended', rrset));
+            } else if (rrset.status === 'unchecked') {
+                findings.push(this.createFinding('info', `${label} could not be compared`,
+                    `Live DNS could not be checked: ${rrset.error}`, 'Check the record manually or run the comparison again', rrset));
+            }
+
+            if (rrset.ttl && rrset.ttl.drift) {
+                findings.push(this.createFinding('warning', `TTL drift on ${label}`,
+                    `Live DNS reports a TTL of ${rrset.ttl.live}s, more than the expected ${rrset.ttl.expected}s; the provider keeps an older TTL or resolvers still cache the previous records`,
+                    `Set the TTL to ${rrset.ttl.expected} at your DNS provider`, rrset));
+            }
+        }
+    }
+
+    /**
+     * Lowercases a domain name and strips the trailing dot
+     * @param {string} name - Domain name
+     * @returns {string} - Normalized name
+     */
+    normalizeName(name) {
+        return String(name || '').trim().toLowerCase().replace(/\.$/, '');
+    }
+
+    /**
+     * Creates a finding object
+     * @param {string} severity - critical, warning or info
+     * @param {string} message - Short summary
+     * @param {string} description - Details
+     * @param {string} recommendation - Suggested fix
+     * @param {Object} rrset - RRset comparison the finding is about
+     * @returns {Object} - Finding
+     */
+    createFinding(severity, message, description, recommendation, rrset) {
+        return { severity, message, description, recommendation, recordName: rrset.name, recordType: rrset.type };
+    }
+}
+
+// Export for use in other modules
+window.ZoneComparator = ZoneComparator;
@@ -0,0 +1,655 @@
+/**
+ * Zone File - Converts between RFC 1035 master files (BIND zone files) and the record structure
+ * returned by DNSQueryEngine.queryAllRecords(), so fetched records can be exported and a staged
+ * zone can be linted offline with DNSErrorDetector.analyzeConfiguration()
+ */
+
+class ZoneFile {
+    /**
+     * @param {DNSQueryEngine} dnsEngine - Query engine providing record types, owner name prefixes and the record parser
+     */
+    constructor(dnsEngine) {
+        this.dnsEngine = dnsEngine;
+
+        // Positions of domain-name fields in the RDATA of each type (made absolute on import and export)
+        this.nameFields = {
+            CNAME: [0],
+            NS: [0],
+            PTR: [0],
+            DNAME: [0],
+            MX: [1],
+            SRV: [3],
+            SOA: [0, 1],
+            NAPTR: [5],
+            SVCB: [1],
+            HTTPS: [1]
+        };
+
+        // Types generated by the zone signer or served by the parent zone, so they do not belong in an editable zone
+        this.excludedTypes = ['RRSIG', 'NSEC', 'NSEC3', 'DS'];
+
+        // Types accepted on import besides DNSQueryEngine.recordTypes
+        this.extraTypes = ['DNAME', 'SPF', 'LOC', 'HINFO', 'RP', 'URI', 'OPENPGPKEY', 'SMIMEA'];
+
+        this.classes = ['IN', 'CH', 'HS', 'CS'];
+
+        // BIND TTL unit suffixes in seconds
+        this.ttlUnits = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+        // Longest character-string in TXT RDATA (RFC 1035 section 3.3)
+        this.maxCharacterString = 255;
+
+        // $TTL written on export when some records carry no TTL (e.g. JSON imported without one)
+        this.defaultTTL = 3600;
+    }
+
+    /**
+     * Serializes fetched records as a master file with $ORIGIN and owner names relative to it
+     * @param {Object} dnsData - DNS records organized by type (queryAllRecords() result, optionally extended by the analysis)
+     * @param {string} origin - Zone apex
+     * @returns {string} - Zone file text
+     */
+    serialize(dnsData, origin) {
+        const zone = this.normalizeName(origin);
+        const entries = [];
+        const seen = new Set();
+        const sources = new Set();
+
+        // SOA and NS first, as in a hand-written zone
+        const recordTypes = [...new Set(['SOA', 'NS', ...Object.keys(this.dnsEngine.recordTypes)])]
+            .filter(recordType => !this.excludedTypes.includes(recordType));
+
+        const add = (record, recordSet) => {
+            const owner = this.normalizeName(record.name);
+            if (owner !== zone && !owner.endsWith(`.${zone}`)) {
+                return;
+            }
+            const key = `${owner} ${record.type} ${record.data}`;
+            if (seen.has(key)) {
+                return;
+            }
+            seen.add(key);
+            if (recordSet.source) {
+                sources.add(recordSet.source);
+            }
+            entries.push({ owner: owner === zone ? '@' : owner.slice(0, -(zone.length + 1)), ttl: Number.isInteger(record.ttl) ? String(record.ttl) : '', type: record.type, data: this.formatRdata(record.type, record.data) });
+        };
+
+        for (const recordType of recordTypes) {
+            const recordSet = dnsData[recordType];
+            if (recordSet && Array.isArray(recordSet.records)) {
+                recordSet.records.filter(record => record.type === recordType).forEach(record => add(record, recordSet));
+            }
+        }
+
+        // TXT records found at other names by the email authentication lookups
+        if (dnsData.DMARC && Array.isArray(dnsData.DMARC.records) && !dnsData.DMARC.inherited) {
+            dnsData.DMARC.records.forEach(record => add(record, dnsData.DMARC));
+        }
+        if (dnsData.DKIM && Array.isArray(dnsData.DKIM.records)) {
+            dnsData.DKIM.records.forEach(record => add(record, dnsData.DKIM));
+        }
+
+        const ownerWidth = Math.max(1, ...entries.map(entry => entry.owner.length));
+        const ttlWidth = Math.max(1, ...entries.map(entry => entry.ttl.length));
+        const typeWidth = Math.max(1, ...entries.map(entry => entry.type.length));
+
+        const lines = [
+            `; ${zone} exported by DNS Checker on ${new Date().toISOString()}`,
+            `; Source: ${[...sources].join(', ') || 'none'}`
+        ];
+        if ([...sources].some(source => source !== 'zone file')) {
+            lines.push('; TTLs are the remaining cache lifetimes reported by the resolver, not necessarily the configured values');
+        }
+        lines.push(`$ORIGIN ${zone}.`);
+        // Records without a TTL leave the field empty and fall back to $TTL
+        if (entries.some(entry => entry.ttl === '')) {
+            lines.push(`$TTL ${this.defaultTTL}`);
+        }
+        lines.push('');
+        for (const entry of entries) {
+            lines.push(`${entry.owner.padEnd(ownerWidth)} ${entry.ttl.padStart(ttlWidth)} IN ${entry.type.padEnd(typeWidth)} ${entry.data}`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Converts record data to master-file RDATA (quoted TXT strings, absolute domain names)
+     * @param {string} recordType - DNS record type
+     * @param {string} data - Record data as returned by the provider
+     * @returns {string} - RDATA in presentation format
+     */
+    formatRdata(recordType, data) {
+        const value = String(data || '').trim();
+
+        if (recordType === 'TXT' || recordType === 'SPF') {
+            // Resolvers that return TXT data unquoted join the character-strings; split them again
+            if (value.startsWith('"')) {
+                return value;
+            }
+            const strings = value.match(new RegExp(`[^]{1,${this.maxCharacterString}}`, 'g')) || [''];
+            return strings.map(text => this.quote(text)).join(' ');
+        }
+
+        const positions = this.nameFields[recordType];
+        if (!positions || value.startsWith('\\#')) {
+            return value;
+        }
+        const tokens = this.tokenize(value);
+        for (const position of positions) {
+            if (tokens[position] !== undefined) {
+                tokens[position] = this.toAbsolute(tokens[position]);
+            }
+        }
+        return tokens.join(' ');
+    }
+
+    /**
+     * Parses a master file into the record structure of queryAllRecords(); records at the names the engine
+     * queries become record sets, SRV, DMARC and DKIM records become the pseudo sets the analysis uses
+     * @param {string} text - Zone file text
+     * @param {string} origin - Zone apex when the file has no $ORIGIN before its first relative name
+     * @returns {Object} - { origin, records, entries, findings } where entries holds every parsed record
+     *   with its line number and findings lists syntax problems as { severity, message, description, recommendation, line }
+     */
+    parse(text, origin = '') {
+        const result = { origin: origin ? this.normalizeName(origin) : null, records: {}, entries: [], findings: [] };
+        let currentOrigin = result.origin;
+        let defaultTTL = null;
+        let lastTTL = null;
+        let lastOwner = null;
+
+        for (const { line, text: content, continued } of this.splitLines(text, result.findings)) {
+            const tokens = this.tokenize(content);
+            if (tokens.length === 0) {
+                continue;
+            }
+
+            if (tokens[0].startsWith('$')) {
+                const directive = tokens[0].toUpperCase();
+                if (directive === '$ORIGIN' && tokens[1]) {
+                    currentOrigin = this.resolveName(tokens[1], currentOrigin);
+                    result.origin = result.origin || currentOrigin;
+                } else if (directive === '$TTL' && tokens[1]) {
+                    defaultTTL = this.parseTTL(tokens[1]);
+                    if (defaultTTL === null) {
+                        result.findings.push(this.createFinding('critical', `Invalid $TTL value "${tokens[1]}"`,
+                            `Line ${line}: the default TTL must be a number of seconds or a BIND duration such as 1h or 1d`,
+                            'Fix the $TTL directive', line));
+                    }
+                } else if (directive === '$INCLUDE') {
+                    result.findings.push(this.createFinding('warning', `$INCLUDE ${tokens[1] || ''} was not loaded`,
+                        `Line ${line}: included files cannot be read here, so their records are not part of the check`,
+                        'Paste the included file\'s records into the zone to lint them too', line));
+                } else {
+                    result.findings.push(this.createFinding('warning', `Unsupported directive ${directive}`,
+                        `Line ${line}: ${directive} is not part of RFC 1035 master files or is not supported by this parser, so the line was skipped`,
+                        'Expand the directive into plain records to lint them', line));
+                }
+                continue;
+            }
+
+            // A line starting with whitespace belongs to the previous owner
+            let owner = continued ? lastOwner : tokens.shift();
+            if (!continued) {
+                if (!currentOrigin && !owner.endsWith('.')) {
+                    result.findings.push(this.createFinding('critical', `Relative name "${owner}" without an origin`,
+                        `Line ${line}: relative names need a $ORIGIN directive or a zone name to be resolved`,
+                        'Add a $ORIGIN line or enter the zone name', line));
+                    continue;
+                }
+                owner = this.resolveName(owner, currentOrigin);
+                // Without a given origin the first owner (normally the SOA) is the zone apex
+                result.origin = result.origin || owner;
+                currentOrigin = currentOrigin || owner;
+            }
+            if (!owner) {
+                result.findings.push(this.createFinding('critical', 'Record without an owner name',
+                    `Line ${line} starts with whitespace, but no previous record defines the owner name`,
+                    'Put the owner name at the start of the line', line));
+                continue;
+            }
+            lastOwner = owner;
+
+            // TTL and class may appear in either order before the type
+            let ttl = null;
+            let recordClass = 'IN';
+            for (let i = 0; i < 2 && tokens.length > 1; i++) {
+                if (ttl === null && this.parseTTL(tokens[0]) !== null) {
+                    ttl = this.parseTTL(tokens.shift());
+                } else if (this.classes.includes(tokens[0].toUpperCase())) {
+                    recordClass = tokens.shift().toUpperCase();
+                }
+            }
+
+            const type = (tokens.shift() || '').toUpperCase();
+            if (!this.isKnownType(type)) {
+                result.findings.push(this.createFinding('critical', `Unknown record type "${type}"`,
+                    `Line ${line}: "${content.trim()}" does not name a record type after the owner, TTL and class`,
+                    'Check the line for a typo or a missing field', line));
+                continue;
+            }
+            if (recordClass !== 'IN') {
+                result.findings.push(this.createFinding('info', `${recordClass} class record skipped`,
+                    `Line ${line}: only IN class records are analyzed`, 'No action needed unless the class is a typo', line));
+                continue;
+            }
+            if (tokens.length === 0) {
+                result.findings.push(this.createFinding('critical', `${type} record without data`,
+                    `Line ${line}: the record for ${owner} has no RDATA`, 'Add the record data', line, type));
+                continue;
+            }
+
+            if (ttl === null) {
+                ttl = defaultTTL !== null ? defaultTTL : lastTTL;
+            }
+            if (ttl === null) {
+                result.findings.push(this.createFinding('warning', `No TTL for ${owner} ${type}`,
+                    `Line ${line}: the record has no TTL and no $TTL directive precedes it; name servers differ in what they use instead`,
+                    'Add a $TTL directive at the top of the zone', line, type));
+                ttl = 0;
+            }
+            lastTTL = ttl;
+
+            const entry = this.dnsEngine.parser.attachParsedData({
+                name: owner,
+                type,
+                ttl,
+                data: this.buildRdata(type, tokens, currentOrigin),
+                line
+            });
+            if (entry.parsed && entry.parsed.error) {
+                result.findings.push(this.createFinding('critical', `Invalid ${type} record for ${owner}`,
+                    `Line ${line}: ${entry.parsed.error}`, 'Fix the record data', line, type));
+            } else if (!this.isValidRdata(type, tokens)) {
+                result.findings.push(this.createFinding('critical', `Invalid ${type} record for ${owner}`,
+                    `Line ${line}: "${tokens.join(' ')}" is not valid ${type} data`, 'Fix the record data', line, type));
+            }
+
+            result.entries.push(entry);
+        }
+
+        if (!result.origin) {
+            return result;
+        }
+
+        this.checkEntries(result);
+        result.findings.sort((a, b) => a.line - b.line);
+        result.records = this.toRecordSets(result.entries, result.origin);
+        return result;
+    }
+
+    /**
+     * Parses expected records given as a zone file or as JSON: a ResultExporter report, a record-set map
+     * like queryAllRecords() returns, or an array of { name, type, ttl, data } records
+     * @param {string} text - Zone file or JSON text
+     * @param {string} origin - Zone apex (JSON reports carry their own domain)
+     * @returns {Object} - Same shape as parse()
+     */
+    parseInput(text, origin = '') {
+        const trimmed = String(text || '').trim();
+        if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
+            return this.parse(text, origin);
+        }
+
+        const result = { origin: origin ? this.normalizeName(origin) : null, records: {}, entries: [], findings: [] };
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            result.findings.push(this.createFinding('critical', 'Invalid JSON', error.message, 'Paste a JSON export or a zone file', null));
+            return result;
+        }
+
+        if (data && !Array.isArray(data) && data.records && typeof data.records === 'object') {
+            result.origin = result.origin || (data.domain ? this.normalizeName(data.domain) : null);
+            data = data.records;
+        }
+        const candidates = Array.isArray(data)
+            ? data
+            : Object.values(data || {}).flatMap(recordSet => recordSet && Array.isArray(recordSet.records) ? recordSet.records : []);
+
+        // Pseudo record sets repeat records of the real ones, so keep each record once
+        const seen = new Set();
+        for (const record of candidates) {
+            if (!record || typeof record.name !== 'string' || typeof record.type !== 'string' || record.data === undefined) {
+                continue;
+            }
+            const type = record.type.toUpperCase();
+            const name = this.normalizeName(record.name);
+            const key = `${name} ${type} ${record.data}`;
+            if (!this.isKnownType(type) || seen.has(key)) {
+                continue;
+            }
+            seen.add(key);
+            result.entries.push(this.dnsEngine.parser.attachParsedData({
+                name,
+                type,
+                ttl: Number.isInteger(record.ttl) ? record.ttl : null,
+                data: String(record.data)
+            }));
+        }
+
+        if (result.entries.length === 0) {
+            result.findings.push(this.createFinding('critical', 'No records found in the JSON',
+                'Expected a JSON export of this tool, a map of record sets or an array of { name, type, ttl, data } records',
+                'Check the pasted JSON', null));
+        }
+
+        result.origin = result.origin || (result.entries.find(entry => entry.type === 'SOA') || result.entries[0] || {}).name || null;
+        if (result.origin) {
+            this.checkEntries(result);
+            result.records = this.toRecordSets(result.entries, result.origin);
+        }
+        return result;
+    }
+
+    /**
+     * Splits zone text into logical lines: strips comments and joins parenthesized continuations
+     * @param {string} text - Zone file text
+     * @param {Object[]} findings - Findings list (unbalanced parentheses and quotes are appended)
+     * @returns {Object[]} - [{ line, text, continued }] where continued means the line starts with whitespace
+     */
+    splitLines(text, findings) {
+        const lines = [];
+        let current = null;
+        let depth = 0;
+        let quoted = false;
+
+        String(text || '').split(/\r?\n/).forEach((raw, index) => {
+            let content = '';
+            for (let i = 0; i < raw.length; i++) {
+                const char = raw[i];
+                if (char === '\\' && i + 1 < raw.length) {
+                    content += char + raw[++i];
+                } else if (char === '"') {
+                    quoted = !quoted;
+                    content += char;
+                } else if (char === ';' && !quoted) {
+                    break;
+                } else if ((char === '(' || char === ')') && !quoted) {
+                    depth += char === '(' ? 1 : -1;
+                    content += ' ';
+                } else {
+                    content += char;
+                }
+            }
+
+            if (current) {
+                current.text += ` ${content}`;
+            } else {
+                current = { line: index + 1, text: content, continued: /^\s/.test(raw) };
+            }
+
+            if (depth <= 0 && !quoted) {
+                if (depth < 0) {
+                    findings.push(this.createFinding('critical', 'Unbalanced ")"', `Line ${index + 1} closes a parenthesis that was never opened`, 'Remove the extra ")"', index + 1));
+                    depth = 0;
+                }
+                lines.push(current);
+                current = null;
+            }
+        });
+
+        if (current) {
+            findings.push(this.createFinding('critical', quoted ? 'Unterminated quoted string' : 'Unterminated parenthesis',
+                `The record starting on line ${current.line} is never closed, so it runs to the end of the file`,
+                quoted ? 'Add the closing quote' : 'Add the closing ")"', current.line));
+            lines.push(current);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Splits presentation text into tokens; quoted strings keep their quotes and escapes
+     * @param {string} text - Presentation text
+     * @returns {string[]} - Tokens
+     */
+    tokenize(text) {
+        return String(text).match(/"(?:[^"\\]|\\.)*"?|(?:[^\s"\\]|\\.)+/g) || [];
+    }
+
+    /**
+     * Builds record data in the form DoH providers return it (TXT quoted, domain names absolute)
+     * @param {string} type - Record type
+     * @param {string[]} tokens - RDATA tokens
+     * @param {string|null} origin - Current $ORIGIN
+     * @returns {string} - Record data
+     */
+    buildRdata(type, tokens, origin) {
+        if (type === 'TXT' || type === 'SPF') {
+            return tokens.map(token => token.startsWith('"') ? token : this.quote(token.replace(/\\(.)/g, '$1'))).join(' ');
+        }
+
+        const fields = [...tokens];
+        if (fields[0] !== '\\#') {
+            for (const position of this.nameFields[type] || []) {
+                if (fields[position] !== undefined && fields[position] !== '.') {
+                    fields[position] = `${this.resolveName(fields[position], origin)}.`;
+                }
+            }
+        }
+        return fields.join(' ');
+    }
+
+    /**
+     * Checks the fields of record types the record parser does not cover
+     * @param {string} type - Record type
+     * @param {string[]} tokens - RDATA tokens
+     * @returns {boolean} - True when the data looks valid
+     */
+    isValidRdata(type, tokens) {
+        const integer = value => /^\d+$/.test(value);
+
+        switch (type) {
+            case 'A':
+                return tokens.length === 1 && this.dnsEngine.getIPVersion(tokens[0]) === 4;
+            case 'AAAA':
+                return tokens.length === 1 && this.dnsEngine.getIPVersion(tokens[0]) === 6;
+            case 'CNAME':
+            case 'NS':
+            case 'PTR':
+            case 'DNAME':
+                return tokens.length === 1;
+            case 'MX':
+                return tokens.length === 2 && integer(tokens[0]) && Number(tokens[0]) <= 65535;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Adds findings that need the whole zone: CNAMEs next to other data and records outside the origin
+     * @param {Object} result - Parse result (findings are appended)
+     */
+    checkEntries(result) {
+        const zone = result.origin;
+        const byOwner = new Map();
+
+        for (const entry of result.entries) {
+            if (entry.name !== zone && !entry.name.endsWith(`.${zone}`)) {
+                result.findings.push(this.createFinding('warning', `${entry.name} is outside ${zone}`,
+                    `${this.linePrefix(entry.line)}name servers ignore out-of-zone data when loading the zone`,
+                    'Check the owner name for a missing or extra trailing dot', entry.line, entry.type));
+                continue;
+            }
+            if (!byOwner.has(entry.name)) {
+                byOwner.set(entry.name, []);
+            }
+            byOwner.get(entry.name).push(entry);
+        }
+
+        for (const [owner, entries] of byOwner) {
+            const cnames = entries.filter(entry => entry.type === 'CNAME');
+            if (cnames.length === 0) {
+                continue;
+            }
+            // RFC 4035 allows DNSSEC records next to a CNAME
+            const others = entries.filter(entry => !['CNAME', 'RRSIG', 'NSEC', 'NSEC3'].includes(entry.type));
+            if (cnames.length > 1 || others.length > 0) {
+                result.findings.push(this.createFinding('critical', `CNAME at ${owner} coexists with other data`,
+                    `${this.linePrefix(cnames[0].line)}${owner} has ${cnames.length > 1 ? `${cnames.length} CNAME records` : `a CNAME and ${[...new Set(others.map(entry => entry.type))].join(', ')} records`}; RFC 1034 allows no other data at an alias, and name servers reject the zone or serve unpredictable answers`,
+                    owner === zone ? 'Replace the CNAME at the zone apex with A/AAAA records or your DNS provider\'s ALIAS/flattening feature' : 'Keep either the CNAME or the other records at this name', cnames[0].line, 'CNAME'));
+            }
+        }
+    }
+
+    /**
+     * Formats the "Line n: " prefix of a finding description
+     * @param {number|null} line - Line number (null for records from JSON)
+     * @returns {string} - Prefix, empty without a line number
+     */
+    linePrefix(line) {
+        return line ? `Line ${line}: ` : '';
+    }
+
+    /**
+     * Groups parsed records into record sets as queryAllRecords() and the analysis collectors would return them
+     * @param {Object[]} entries - Parsed records
+     * @param {string} zone - Zone apex
+     * @returns {Object} - DNS records organized by type
+     */
+    toRecordSets(entries, zone) {
+        const timestamp = new Date().toISOString();
+        const createSet = (recordType, records, extra = {}) => ({ domain: zone, recordType, records, timestamp, source: 'zone file', ...extra });
+        const at = (name, type) => entries.filter(entry => entry.name === name && entry.type === type);
+        const records = {};
+
+        for (const recordType of Object.keys(this.dnsEngine.recordTypes)) {
+            records[recordType] = createSet(recordType, at(this.dnsEngine.getQueryName(zone, recordType), recordType));
+        }
+
+        // SRV records live under _service._proto labels; targets inside the zone are resolved from the zone data
+        const srvRecords = entries.filter(entry => entry.type === 'SRV' && entry.name.endsWith(`.${zone}`));
+        const services = [];
+        for (const label of [...new Set(srvRecords.map(entry => entry.name.slice(0, -(zone.length + 1))))]) {
+            const serviceRecords = srvRecords.filter(entry => entry.name === `${label}.${zone}`).map(entry => ({ ...entry, service: label }));
+            const targets = [...new Set(serviceRecords
+                .map(entry => entry.parsed)
+                .filter(parsed => parsed && !parsed.error && parsed.available)
+                .map(parsed => this.normalizeName(parsed.target)))]
+                .filter(target => target === zone || target.endsWith(`.${zone}`))
+                .map(target => {
+                    const cname = at(target, 'CNAME')[0];
+                    return {
+                        target,
+                        cname: cname ? this.normalizeName(cname.data) : null,
+                        addresses: [...at(target, 'A'), ...at(target, 'AAAA')].map(entry => ({ type: entry.type, data: entry.data, ttl: entry.ttl })),
+                        error: null
+                    };
+                });
+            services.push({ label, name: this.dnsEngine.srvServices[label] || label, records: serviceRecords, targets });
+        }
+        if (services.length > 0) {
+            records.SRV = createSet('SRV', services.flatMap(service => service.records), { services, probedLabels: services.map(service => service.label), failedLabels: [] });
+        }
+
+        const dmarcName = `_dmarc.${zone}`;
+        records.DMARC = createSet('DMARC', at(dmarcName, 'TXT').filter(entry => /^v\s*=\s*dmarc1/i.test(this.dnsEngine.normalizeRecordData('TXT', entry.data).trim())), {
+            policyDomain: dmarcName,
+            organizationalDomain: zone,
+            inherited: false,
+            reportAuthorizations: []
+        });
+
+        const dkimRecords = entries
+            .filter(entry => entry.type === 'TXT' && entry.name.endsWith(`._domainkey.${zone}`))
+            .map(entry => ({ ...entry, selector: entry.name.slice(0, -(`._domainkey.${zone}`).length) }));
+        if (dkimRecords.length > 0) {
+            records.DKIM = createSet('DKIM', dkimRecords, { probedSelectors: [...new Set(dkimRecords.map(entry => entry.selector))], failedSelectors: [] });
+        }
+
+        return records;
+    }
+
+    /**
+     * Parses a TTL in seconds or BIND duration notation (1h30m, 2d, 1w)
+     * @param {string} value - TTL text
+     * @returns {number|null} - TTL in seconds, or null if the text is not a TTL
+     */
+    parseTTL(value) {
+        const text = String(value).toLowerCase();
+        if (/^\d+$/.test(text)) {
+            return Number(text);
+        }
+        if (!/^(\d+[smhdw])+$/.test(text)) {
+            return null;
+        }
+        let seconds = 0;
+        for (const [, amount, unit] of text.matchAll(/(\d+)([smhdw])/g)) {
+            seconds += Number(amount) * this.ttlUnits[unit];
+        }
+        return seconds;
+    }
+
+    /**
+     * Checks whether a record type can appear in an imported zone
+     * @param {string} type - Record type (uppercase)
+     * @returns {boolean} - True for supported, extra and TYPEnnn types
+     */
+    isKnownType(type) {
+        return this.dnsEngine.recordTypes[type] !== undefined || this.extraTypes.includes(type) || /^TYPE\d+$/.test(type);
+    }
+
+    /**
+     * Resolves a master-file name against the origin ("@" is the origin, names without a trailing dot are relative)
+     * @param {string} name - Name as written in the file
+     * @param {string|null} origin - Current origin
+     * @returns {string} - Absolute name, lowercased and without the trailing dot
+     */
+    resolveName(name, origin) {
+        if (name === '@') {
+            return origin;
+        }
+        if (name.endsWith('.')) {
+            return this.normalizeName(name);
+        }
+        return this.normalizeName(origin ? `${name}.${origin}` : name);
+    }
+
+    /**
+     * Adds the trailing dot that marks a name as absolute in a master file
+     * @param {string} name - Domain name
+     * @returns {string} - Absolute name
+     */
+    toAbsolute(name) {
+        return name.endsWith('.') ? name : `${name}.`;
+    }
+
+    /**
+     * Quotes a character-string, escaping quotes and backslashes
+     * @param {string} text - Text
+     * @returns {string} - Quoted string
+     */
+    quote(text) {
+        return `"${text.replace(/["\\]/g, '\\$&')}"`;
+    }
+
+    /**
+     * Lowercases a domain name and strips the trailing dot
+     * @param {string} name - Domain name
+     * @returns {string} - Normalized name
+     */
+    normalizeName(name) {
+        return String(name || '').trim().toLowerCase().replace(/\.$/, '');
+    }
+
+    /**
+     * Creates a finding object
+     * @param {string} severity - critical, warning or info
+     * @param {string} message - Short summary
+     * @param {string} description - Details
+     * @param {string} recommendation - Suggested fix
+     * @param {number} line - Line number in the zone file
+     * @param {string|null} recordType - Record type of the line, when known
+     * @returns {Object} - Finding
+     */
+    createFinding(severity, message, description, recommendation, line, recordType = null) {
+        return { severity, message, description, recommendation, line, recordType };
+    }
+}
+
+// Export for use in other modules
+window.ZoneFile = ZoneFile;